@@ -0,0 +1,104 @@
+// A stand-in collection endpoint for the site's analytics. It accepts the
+// batches the site posts and appends each event as one JSON line to a file,
+// so you can see exactly what is recorded before choosing a real backend:
+//
+//   npm run analytics-sink
+//   REACT_APP_ANALYTICS_ENDPOINT=http://localhost:4100/events npm start
+//
+// Optional: PORT (default 4100), ALLOWED_ORIGIN, the address the site runs on
+// (default http://localhost:3000), and ANALYTICS_LOG, the file to append to
+// (default analytics-events.ndjson in the project folder). It only listens on
+// this machine.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const port = Number(process.env.PORT) || 4100;
+const allowedOrigin = process.env.ALLOWED_ORIGIN || 'http://localhost:3000';
+const logFile = path.resolve(root, process.env.ANALYTICS_LOG || 'analytics-events.ndjson');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_EVENTS = 100;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const send = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+const readBody = (request, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      reject(new HttpError(413, 'That batch is too large.'));
+      request.destroy();
+    } else {
+      chunks.push(chunk);
+    }
+  });
+  request.on('end', () => resolve(Buffer.concat(chunks)));
+  request.on('error', reject);
+});
+
+// The site sends `text/plain` so that beacons work, so the body is parsed whatever its type.
+const readEvents = async (request) => {
+  let body;
+  try {
+    body = JSON.parse((await readBody(request, MAX_BODY_BYTES)).toString('utf8'));
+  } catch (error) {
+    throw error instanceof HttpError ? error : new HttpError(400, 'The request body is not valid JSON.');
+  }
+  const events = body && body.events;
+  if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS) {
+    throw new HttpError(400, `Send "events" as a list of 1 to ${MAX_EVENTS} events.`);
+  }
+  if (!events.every((event) => event && typeof event === 'object' && typeof event.type === 'string')) {
+    throw new HttpError(400, 'Every event needs a "type".');
+  }
+  return events;
+};
+
+const routes = {
+  'POST /events': async (request, response) => {
+    const events = await readEvents(request);
+    const receivedAt = new Date().toISOString();
+    fs.appendFileSync(logFile, events.map((event) => `${JSON.stringify({ ...event, receivedAt })}\n`).join(''));
+    console.log(`Recorded ${events.length} event${events.length === 1 ? '' : 's'}: ${events.map((event) => event.type).join(', ')}`);
+    send(response, 202, { received: events.length });
+  },
+};
+
+const server = http.createServer(async (request, response) => {
+  response.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  const handler = routes[`${request.method} ${url.pathname}`];
+  try {
+    if (!handler) throw new HttpError(404, 'Not found.');
+    await handler(request, response, url);
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error(error);
+    send(response, error.status || 500, { error: error instanceof HttpError ? error.message : 'Something went wrong in the analytics sink.' });
+  }
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Analytics sink listening on http://localhost:${port}/events for ${allowedOrigin}, writing to ${path.relative(root, logFile)}`);
+});
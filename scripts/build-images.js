@@ -0,0 +1,132 @@
+// Builds responsive versions of every photo the site shows: AVIF, WebP and
+// JPEG at several widths, plus a tiny blurred placeholder that is shown while
+// the real image loads. Variants go to public/img/ (not committed) and their
+// details to src/content/imageVariants.json, which <ResponsiveImage> reads.
+//
+// Runs before `npm start` and `npm run build`; run `npm run images` by hand
+// after adding a photo and commit the updated imageVariants.json. Images are
+// found through the content files, so a photo that is referenced but missing
+// from public/ stops the build. `npm start` passes --allow-missing, which only
+// warns about it so the dev server still starts. Unchanged photos are not
+// processed again.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const root = path.resolve(__dirname, '..');
+const publicDir = path.join(root, 'public');
+const outputDir = path.join(publicDir, 'img');
+const manifestFile = path.join(root, 'src/content/imageVariants.json');
+const allowMissing = process.argv.includes('--allow-missing');
+const readContent = (name) => JSON.parse(fs.readFileSync(path.join(root, 'src/content', `${name}.json`), 'utf8'));
+
+// Hero photos fill the screen; nothing else is shown wider than 1920px.
+const WIDTHS = [480, 960, 1440, 1920];
+const PLACEHOLDER_WIDTH = 16;
+const FORMATS = [
+  { extension: 'avif', encode: (image) => image.avif({ quality: 50 }) },
+  { extension: 'webp', encode: (image) => image.webp({ quality: 72 }) },
+  { extension: 'jpg', encode: (image) => image.jpeg({ quality: 78, mozjpeg: true }) },
+];
+
+// Every place a photo can be referenced, with where it came from for error messages.
+const references = () => [
+  ...readContent('projects').flatMap((project) => [
+    { src: project.imgSrc, from: `project "${project.slug}"` },
+    ...(project.images || []).map((image) => ({ src: image.src, from: `project "${project.slug}" gallery` })),
+  ]),
+  ...readContent('heroSlides').map((slide) => ({ src: slide.image, from: `hero slide "${slide.id}"` })),
+  ...Object.entries(readContent('pageImages')).map(([name, src]) => ({ src, from: `page image "${name}"` })),
+];
+
+const isRemote = (src) => /^https?:\/\//.test(src);
+
+// The standard widths below the original's, then the original itself unless it is wider than them all.
+const widthsFor = (originalWidth) => {
+  const widths = WIDTHS.filter((width) => width < originalWidth);
+  return widths.length < WIDTHS.length ? [...widths, originalWidth] : widths;
+};
+
+const writeIfMissing = async (file, render) => {
+  if (fs.existsSync(file)) return false;
+  // Write to a temporary file first, so an interrupted run never leaves half an image.
+  await render(`${file}.tmp`);
+  fs.renameSync(`${file}.tmp`, file);
+  return true;
+};
+
+const processImage = async (src) => {
+  const file = path.join(publicDir, src);
+  const data = fs.readFileSync(file);
+  // The content hash in the name means a changed photo gets new URLs, past any cache.
+  const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 8);
+  const base = `${path.basename(src, path.extname(src)).toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${hash}`;
+  // Photos are turned upright from their EXIF orientation, which can swap the sides.
+  const meta = await sharp(data).metadata();
+  const [width, height] = meta.orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+  const widths = widthsFor(width);
+
+  const files = [];
+  let written = 0;
+  for (const variantWidth of widths) {
+    for (const { extension, encode } of FORMATS) {
+      const name = `${base}-${variantWidth}.${extension}`;
+      files.push(name);
+      if (await writeIfMissing(path.join(outputDir, name), (temporary) => encode(sharp(data).rotate().resize(variantWidth)).toFile(temporary))) written += 1;
+    }
+  }
+
+  const placeholder = await sharp(data).rotate().resize(PLACEHOLDER_WIDTH).blur(0.6).webp({ quality: 40 }).toBuffer();
+  return {
+    files,
+    written,
+    variants: {
+      path: `/img/${base}`,
+      width,
+      height,
+      widths,
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    },
+  };
+};
+
+const main = async () => {
+  const found = references().filter((reference) => reference.src);
+  const remote = found.filter((reference) => isRemote(reference.src));
+  const [local, missing] = found.filter((reference) => !isRemote(reference.src))
+    .reduce(([present, absent], reference) => (fs.existsSync(path.join(publicDir, reference.src))
+      ? [[...present, reference], absent]
+      : [present, [...absent, reference]]), [[], []]);
+
+  const report = allowMissing ? console.warn : console.error;
+  missing.forEach((reference) => report(`Missing image ${reference.src}, used by ${reference.from}; add it to public/ or change the reference.`));
+  if (missing.length > 0 && !allowMissing) process.exit(1);
+  [...new Set(remote.map((reference) => reference.src))].forEach((src) => {
+    const users = remote.filter((reference) => reference.src === src).map((reference) => reference.from);
+    console.warn(`Not optimised: ${users.join(' and ')} use${users.length === 1 ? 's' : ''} a remote image; save it in public/ and reference it from there.`);
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const manifest = {};
+  const current = new Set();
+  let written = 0;
+  for (const src of [...new Set(local.map((reference) => reference.src))].sort()) {
+    const result = await processImage(src);
+    manifest[src] = result.variants;
+    result.files.forEach((name) => current.add(name));
+    written += result.written;
+  }
+
+  // Variants of photos that were replaced or are no longer used.
+  fs.readdirSync(outputDir).filter((name) => !current.has(name)).forEach((name) => fs.unlinkSync(path.join(outputDir, name)));
+
+  fs.writeFileSync(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Prepared ${Object.keys(manifest).length} images (${written} new variant files in public/img/)`);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
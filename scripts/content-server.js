@@ -0,0 +1,195 @@
+// A small local server for the /admin content editor. It checks the admin
+// password, then reads and writes the content files in src/content/ and saves
+// uploaded images to public/uploads/. Run it next to `npm start`:
+//
+//   ADMIN_PASSWORD=choose-one npm run content-server
+//
+// Optional: PORT (default 4000) and ALLOWED_ORIGIN, the address the site runs
+// on (default http://localhost:3000). It only listens on this machine.
+// Published changes show up in `npm start` straight away and go live with the
+// next build and deploy; commit the changed files like any other edit.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const contentDir = path.join(root, 'src/content');
+const uploadsDir = path.join(root, 'public/uploads');
+const port = Number(process.env.PORT) || 4000;
+const allowedOrigin = process.env.ALLOWED_ORIGIN || 'http://localhost:3000';
+const password = process.env.ADMIN_PASSWORD;
+
+const MAX_CONTENT_BYTES = 2 * 1024 * 1024;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SESSION_MS = 8 * 60 * 60 * 1000;
+
+// Tokens handed out at sign-in, with their expiry time.
+const sessions = new Map();
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const send = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+const readBody = (request, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      reject(new HttpError(413, 'That file is too large.'));
+      request.destroy();
+    } else {
+      chunks.push(chunk);
+    }
+  });
+  request.on('end', () => resolve(Buffer.concat(chunks)));
+  request.on('error', reject);
+});
+
+const readJson = async (request) => {
+  try {
+    return JSON.parse((await readBody(request, MAX_CONTENT_BYTES)).toString('utf8'));
+  } catch (error) {
+    throw error instanceof HttpError ? error : new HttpError(400, 'The request body is not valid JSON.');
+  }
+};
+
+// Compares digests so the time taken doesn't reveal how much of the password matched.
+const passwordMatches = (candidate) => {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(candidate), digest(password));
+};
+
+const requireSession = (request) => {
+  const token = (request.headers.authorization || '').replace(/^Bearer /, '');
+  const expires = sessions.get(token);
+  if (!expires || expires < Date.now()) {
+    sessions.delete(token);
+    throw new HttpError(401, 'Sign in first.');
+  }
+};
+
+const contentFile = (name) => path.join(contentDir, `${name}.json`);
+
+const readContent = () => ({
+  projects: JSON.parse(fs.readFileSync(contentFile('projects'), 'utf8')),
+  services: JSON.parse(fs.readFileSync(contentFile('services'), 'utf8')),
+});
+
+// The editor validates each item; this guards the files against anything
+// that would break the site's build or its pages.
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const itemShapes = {
+  projects: (project) => ['title', 'category', 'clientType', 'imgSrc', 'describe'].every((key) => isText(project[key]))
+    && DATE_PATTERN.test(project.completedOn || '')
+    && Array.isArray(project.images) && project.images.every((image) => image && isText(image.src) && isText(image.alt))
+    && Array.isArray(project.scope) && project.scope.every((line) => line && isText(line.item)),
+  services: (service) => ['title', 'icon', 'description'].every((key) => isText(service[key])),
+};
+
+const checkContent = (content) => {
+  ['projects', 'services'].forEach((name) => {
+    const items = content && content[name];
+    if (!Array.isArray(items)) throw new HttpError(400, `"${name}" must be a list.`);
+    if (!items.every((item) => item && typeof item === 'object')) throw new HttpError(400, `Every item in "${name}" must be an object.`);
+    const slugs = items.map((item) => item.slug);
+    if (!slugs.every((slug) => SLUG_PATTERN.test(slug || ''))) throw new HttpError(400, `Every item in "${name}" needs a valid slug.`);
+    if (new Set(slugs).size !== slugs.length) throw new HttpError(400, `Slugs in "${name}" must be unique.`);
+    const broken = items.find((item) => !itemShapes[name](item));
+    if (broken) throw new HttpError(400, `"${broken.slug}" in "${name}" is missing required fields.`);
+  });
+};
+
+// Writes to a temporary file first, so a failed write never leaves half a file.
+const writeJson = (file, value) => {
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, `${JSON.stringify(value, null, 2)}\n`);
+  fs.renameSync(temporary, file);
+};
+
+const uploadName = (name) => {
+  const extension = path.extname(name).toLowerCase();
+  if (!IMAGE_TYPES[extension]) throw new HttpError(415, 'Upload a JPEG, PNG or WebP image.');
+  const base = path.basename(name, path.extname(name)).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'image';
+  let candidate = `${base}${extension}`;
+  for (let n = 2; fs.existsSync(path.join(uploadsDir, candidate)); n += 1) {
+    candidate = `${base}-${n}${extension}`;
+  }
+  return candidate;
+};
+
+const routes = {
+  'POST /session': async (request, response) => {
+    const { password: candidate } = await readJson(request);
+    if (!passwordMatches(candidate)) throw new HttpError(401, 'That password isn’t right.');
+    const token = crypto.randomBytes(24).toString('hex');
+    sessions.set(token, Date.now() + SESSION_MS);
+    send(response, 200, { token });
+  },
+  'GET /content': async (request, response) => {
+    requireSession(request);
+    send(response, 200, readContent());
+  },
+  'PUT /content': async (request, response) => {
+    requireSession(request);
+    const content = await readJson(request);
+    checkContent(content);
+    writeJson(contentFile('projects'), content.projects);
+    writeJson(contentFile('services'), content.services);
+    console.log(`Published ${content.projects.length} projects and ${content.services.length} services`);
+    send(response, 200, readContent());
+  },
+  'POST /uploads': async (request, response, url) => {
+    requireSession(request);
+    const name = uploadName(url.searchParams.get('name') || '');
+    const data = await readBody(request, MAX_UPLOAD_BYTES);
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    fs.writeFileSync(path.join(uploadsDir, name), data);
+    console.log(`Saved public/uploads/${name}`);
+    send(response, 201, { src: `/uploads/${name}` });
+  },
+};
+
+const server = http.createServer(async (request, response) => {
+  response.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+  response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  const handler = routes[`${request.method} ${url.pathname}`];
+  try {
+    if (!handler) throw new HttpError(404, 'Not found.');
+    await handler(request, response, url);
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error(error);
+    send(response, error.status || 500, { error: error instanceof HttpError ? error.message : 'Something went wrong on the content server.' });
+  }
+});
+
+if (!password) {
+  console.error('Set ADMIN_PASSWORD to start the content server, e.g. ADMIN_PASSWORD=choose-one npm run content-server');
+  process.exit(1);
+}
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Content server listening on http://localhost:${port} for ${allowedOrigin}`);
+});
@@ -0,0 +1,167 @@
+// Generates the app icons in public/icons/ from public/logo.png: square PNGs
+// at the sizes the web app manifest, iOS and browser tabs ask for, plus a
+// maskable icon whose logo stays inside the safe zone when the platform crops
+// it to a circle or squircle.
+//
+// Run `npm run icons` after changing the logo and commit the results. Uses
+// only Node's zlib, so it needs no image libraries.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const root = path.resolve(__dirname, '..');
+const source = path.join(root, 'public/logo.png');
+const outputDir = path.join(root, 'public/icons');
+
+// Same as the dark theme's surface colour, which the light logo is drawn for.
+const background = [17, 24, 39];
+
+// `scale` is how much of the icon's width the logo fills.
+const icons = [
+  { file: 'favicon-32.png', size: 32, scale: 0.94 },
+  { file: 'apple-touch-icon.png', size: 180, scale: 0.8 },
+  { file: 'icon-192.png', size: 192, scale: 0.86 },
+  { file: 'icon-512.png', size: 512, scale: 0.86 },
+  // The maskable safe zone is a centred circle 80% of the icon wide.
+  { file: 'maskable-512.png', size: 512, scale: 0.66 },
+];
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const paeth = (left, up, upLeft) => {
+  const estimate = left + up - upLeft;
+  const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+  if (distances[0] <= distances[1] && distances[0] <= distances[2]) return left;
+  return distances[1] <= distances[2] ? up : upLeft;
+};
+
+// Reads an 8-bit RGBA, non-interlaced PNG (what logo.png is) into raw pixels.
+const readPng = (file) => {
+  const data = fs.readFileSync(file);
+  if (!data.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error(`${file} is not a PNG`);
+
+  let width;
+  let height;
+  const compressed = [];
+  for (let offset = 8; offset < data.length;) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('ascii', offset + 4, offset + 8);
+    const body = data.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      if (body[8] !== 8 || body[9] !== 6 || body[12] !== 0) {
+        throw new Error(`${file} must be an 8-bit RGBA PNG without interlacing`);
+      }
+    } else if (type === 'IDAT') {
+      compressed.push(body);
+    }
+    offset += length + 12;
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(compressed));
+  const stride = width * 4;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= 4 ? pixels[y * stride + x - 4] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = x >= 4 && y > 0 ? pixels[(y - 1) * stride + x - 4] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      pixels[y * stride + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+  return { width, height, pixels };
+};
+
+const chunk = (type, body) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type, 'ascii'), body])));
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), body, crc]);
+};
+
+// Writes opaque RGB pixels as a PNG.
+const encodePng = (size, rgb) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const lines = Buffer.alloc((size * 3 + 1) * size);
+  for (let y = 0; y < size; y += 1) {
+    rgb.copy(lines, y * (size * 3 + 1) + 1, y * size * 3, (y + 1) * size * 3);
+  }
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(lines, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+// Shrinks the logo into the middle of a square icon, averaging every source
+// pixel that falls under each icon pixel, then lays it over the background.
+const renderIcon = (logo, size, scale) => {
+  const logoWidth = size * scale;
+  const ratio = logo.width / logoWidth;
+  const logoHeight = logo.height / ratio;
+  const left = (size - logoWidth) / 2;
+  const top = (size - logoHeight) / 2;
+  const rgb = Buffer.alloc(size * size * 3);
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const sums = [0, 0, 0];
+      let alpha = 0;
+      const x0 = Math.floor((x - left) * ratio);
+      const x1 = Math.ceil((x + 1 - left) * ratio);
+      const y0 = Math.floor((y - top) * ratio);
+      const y1 = Math.ceil((y + 1 - top) * ratio);
+      // Source pixels outside the logo count as transparent.
+      const count = (x1 - x0) * (y1 - y0);
+      for (let sy = Math.max(0, y0); sy < Math.min(logo.height, y1); sy += 1) {
+        for (let sx = Math.max(0, x0); sx < Math.min(logo.width, x1); sx += 1) {
+          const i = (sy * logo.width + sx) * 4;
+          const a = logo.pixels[i + 3] / 255;
+          sums[0] += logo.pixels[i] * a;
+          sums[1] += logo.pixels[i + 1] * a;
+          sums[2] += logo.pixels[i + 2] * a;
+          alpha += a;
+        }
+      }
+      for (let channel = 0; channel < 3; channel += 1) {
+        const value = sums[channel] / count + background[channel] * (1 - alpha / count);
+        rgb[(y * size + x) * 3 + channel] = Math.round(Math.min(255, value));
+      }
+    }
+  }
+  return rgb;
+};
+
+const main = () => {
+  const logo = readPng(source);
+  fs.mkdirSync(outputDir, { recursive: true });
+  icons.forEach(({ file, size, scale }) => {
+    fs.writeFileSync(path.join(outputDir, file), encodePng(size, renderIcon(logo, size, scale)));
+    console.log(`Wrote public/icons/${file}`);
+  });
+};
+
+main();
@@ -0,0 +1,175 @@
+// Renders every route of the production build to static HTML, so search
+// engines and link previews see each page's content and metadata without
+// running JavaScript. Also writes sitemap.xml and robots.txt.
+//
+// Runs after `react-scripts build` (see the `build` script in package.json).
+// Set REACT_APP_SITE_URL to the public origin, e.g. https://www.example.com;
+// without it the sitemap is skipped because it needs absolute URLs.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const root = path.resolve(__dirname, '..');
+const buildDir = path.join(root, 'build');
+const origin = 'http://localhost';
+const siteUrl = (process.env.REACT_APP_SITE_URL || '').replace(/\/$/, '');
+const timeout = 15000;
+
+// Keep in step with the route table in src/router.js.
+const projects = require(path.join(root, 'src/content/projects.json'));
+const rates = require(path.join(root, 'src/content/rates.json'));
+// The estimator is left out until its rates are signed off (see pageOffered in src/content).
+const pagePaths = ['/', '/about', '/services', '/projects', '/testimonials', '/tenders', '/workforce', ...(rates.approved ? ['/estimate'] : []), '/contact', '/quote'];
+const locales = fs.readdirSync(path.join(root, 'src/i18n/messages')).map((file) => path.basename(file, '.json'));
+const defaultLocale = 'en';
+
+const localizePath = (pagePath, locale) => {
+  if (locale === defaultLocale) return pagePath;
+  return pagePath === '/' ? `/${locale}` : `/${locale}${pagePath}`;
+};
+
+const paths = [...pagePaths, ...projects.map((project) => `/projects/${project.slug}`)];
+
+// Serves files from the build folder and skips everything else (CDNs, fonts, analytics).
+class BuildLoader extends ResourceLoader {
+  fetch(url) {
+    const { origin: requestOrigin, pathname } = new URL(url);
+    const file = path.join(buildDir, decodeURIComponent(pathname));
+    if (requestOrigin !== origin || !file.startsWith(buildDir) || !fs.existsSync(file)) {
+      return null;
+    }
+    const request = fs.promises.readFile(file);
+    request.abort = () => {};
+    return request;
+  }
+}
+
+// Browser APIs jsdom lacks. Images report loaded straight away so pages that
+// wait for them (the home page hero) finish rendering.
+const installBrowserShims = (window) => {
+  window.scrollTo = () => {};
+  // Reads as an analytics refusal: no consent banner in the static HTML and no events sent while rendering.
+  Object.defineProperty(window.navigator, 'doNotTrack', { value: '1', configurable: true });
+  window.matchMedia = (query) => ({
+    matches: false, media: query, addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {},
+  });
+  window.IntersectionObserver = class {
+    constructor(callback) { this.callback = callback; }
+    observe(target) { this.callback([{ target, isIntersecting: true, intersectionRatio: 1 }], this); }
+    unobserve() {}
+    disconnect() {}
+  };
+  const { setAttribute } = window.Element.prototype;
+  window.HTMLImageElement.prototype.setAttribute = function setImageAttribute(name, value) {
+    setAttribute.call(this, name, value);
+    if (name === 'src') {
+      window.setTimeout(() => this.dispatchEvent(new window.Event('load')));
+    }
+  };
+  Object.defineProperty(window.HTMLImageElement.prototype, 'src', {
+    get() { return this.getAttribute('src') || ''; },
+    set(value) { this.setAttribute('src', value); },
+  });
+};
+
+// The app is ready once <main> is on screen and no loader is busy.
+const waitUntilRendered = (window, url) => new Promise((resolve, reject) => {
+  const startedAt = Date.now();
+  const check = () => {
+    const { document } = window;
+    if (document.querySelector('main') && !document.querySelector('[aria-busy="true"]')) {
+      // One more tick for effects such as the document metadata.
+      window.setTimeout(resolve, 100);
+    } else if (Date.now() - startedAt > timeout) {
+      reject(new Error(`Timed out rendering ${url}`));
+    } else {
+      window.setTimeout(check, 50);
+    }
+  };
+  check();
+});
+
+const render = async (template, url) => {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', (error) => console.warn(`  ${url}: ${error.message}`));
+
+  const dom = new JSDOM(template, {
+    url: `${origin}${url}`,
+    runScripts: 'dangerously',
+    resources: new BuildLoader(),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse: installBrowserShims,
+  });
+
+  try {
+    await waitUntilRendered(dom.window, url);
+    return dom.serialize();
+  } finally {
+    dom.window.close();
+  }
+};
+
+const writePage = (url, html) => {
+  const file = url === '/404' ? path.join(buildDir, '404.html') : path.join(buildDir, url, 'index.html');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, html);
+};
+
+const sitemap = () => {
+  const urls = paths.map((pagePath) => {
+    const alternates = [
+      ...locales.map((locale) => (
+        `    <xhtml:link rel="alternate" hreflang="${locale}" href="${siteUrl}${localizePath(pagePath, locale)}"/>`
+      )),
+      `    <xhtml:link rel="alternate" hreflang="x-default" href="${siteUrl}${pagePath}"/>`,
+    ];
+    return locales.map((locale) => [
+      '  <url>',
+      `    <loc>${siteUrl}${localizePath(pagePath, locale)}</loc>`,
+      ...alternates,
+      '  </url>',
+    ].join('\n')).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+};
+
+// The content editor is not for search engines, in any language.
+const robots = () => [
+  'User-agent: *',
+  ...locales.map((locale) => `Disallow: ${localizePath('/admin', locale)}`),
+  ...(siteUrl ? ['', `Sitemap: ${siteUrl}/sitemap.xml`] : []),
+  '',
+].join('\n');
+
+const main = async () => {
+  // Keep an untouched copy of the shell: every page renders from it.
+  const template = fs.readFileSync(path.join(buildDir, 'index.html'), 'utf8');
+  const urls = [...locales.flatMap((locale) => paths.map((pagePath) => localizePath(pagePath, locale))), '/404'];
+
+  for (const url of urls) {
+    writePage(url, await render(template, url));
+    console.log(`Prerendered ${url}`);
+  }
+
+  fs.writeFileSync(path.join(buildDir, 'robots.txt'), robots());
+  if (siteUrl) {
+    fs.writeFileSync(path.join(buildDir, 'sitemap.xml'), sitemap());
+    console.log('Wrote sitemap.xml and robots.txt');
+  } else {
+    console.warn('REACT_APP_SITE_URL is not set; skipped sitemap.xml.');
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
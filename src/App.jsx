@@ -1,760 +1,373 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { useForm, ValidationError } from "@formspree/react";
-import { motion } from 'framer-motion';
-import { Menu, X, Phone, Mail, MapPin, Building, Wrench, ArrowRight, CheckCircle, Lightbulb, Users, Train ,Shield, ChevronLeft, Factory, ChevronRight } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, lazy, Suspense } from 'react';
+import { Menu, X, Phone, Mail, MapPin, Sun, Moon, Monitor } from 'lucide-react';
+import { useRouter, pathFor, Link } from './router';
+import { useFocusTrap, useMediaQuery } from './hooks';
+import { I18nProvider, useI18n, createI18n, locales, localizePath, loadPreferredLocale, savePreferredLocale } from './i18n';
+import { pageMeta, useDocumentMeta } from './seo';
+import { ThemeProvider, useTheme, nextThemePreference } from './theme';
+import { useServiceWorkerUpdate } from './serviceWorkerRegistration';
+import { trackPageView, useAnalyticsConsent } from './analytics';
+import { CTAButton, AddressLines, PageSkeleton, Logo, ProfileDownloadButton, PageErrorBoundary } from './components/ui';
+import { company, telHref, pageOffered } from './content';
+
+// Each page is its own chunk, downloaded the first time it is visited.
+const HomePage = lazy(() => import('./pages/HomePage'));
+const AboutPage = lazy(() => import('./pages/AboutPage'));
+const ServicesPage = lazy(() => import('./pages/ServicesPage'));
+const ProjectsPage = lazy(() => import('./pages/ProjectsPage'));
+const ProjectDetailPage = lazy(() => import('./pages/ProjectDetailPage'));
+const TestimonialsPage = lazy(() => import('./pages/TestimonialsPage'));
+const TendersPage = lazy(() => import('./pages/TendersPage'));
+const WorkforcePage = lazy(() => import('./pages/WorkforcePage'));
+const EstimatorPage = lazy(() => import('./pages/EstimatorPage'));
+const ContactPage = lazy(() => import('./pages/ContactPage'));
+const QuotePage = lazy(() => import('./pages/QuotePage'));
+const AdminPage = lazy(() => import('./pages/AdminPage'));
+const NotFoundPage = lazy(() => import('./pages/NotFoundPage'));
 
-// --- Advanced Animation & Utility Components ---
-
-/**
- * A custom React hook to track if an element is in the viewport.
- * @param {object} options - Options for the IntersectionObserver.
- * @param {number} options.threshold - A number from 0 to 1 indicating the percentage of the element that must be visible to trigger.
- * @param {boolean} options.once - If true, the hook will only trigger once.
- * @returns {[React.RefObject, boolean]} - A ref to attach to the element and a boolean indicating if it's in view.
- */
-const useInView = (options) => {
-  const ref = useRef(null);
-  const [inView, setInView] = useState(false);
-  const [hasAnimated, setHasAnimated] = useState(false);
-
-  useEffect(() => {
-    const observer = new IntersectionObserver(([entry]) => {
-      if (entry.isIntersecting && !hasAnimated) {
-        setInView(true);
-        setHasAnimated(true);
-      } else if (!entry.isIntersecting && options.once === false) {
-        setInView(false);
-      }
-    }, options);
-
-    const currentRef = ref.current;
-    if (currentRef) {
-      observer.observe(currentRef);
-    }
+// Main App Component - Manages page navigation
+const App = () => {
+  const { route: matchedRoute, search, path, locale, navigate } = useRouter();
+  const route = pageOffered(matchedRoute.page) ? matchedRoute : { page: 'notFound', params: {} };
 
-    return () => {
-      if (currentRef) {
-        observer.unobserve(currentRef);
-      }
-    };
-  }, [options, hasAnimated]);
+  useDocumentMeta(pageMeta(route, path, createI18n(locale)));
 
-  return [ref, inView];
-};
+  // Accepts either a page id from the route table or a ready-made path; the locale prefix is added here.
+  const navigateTo = (page, params, options) => {
+    navigate(localizePath(page.startsWith('/') ? page : pathFor(page, params), locale), options);
+  };
 
-/**
- * A custom React hook for parallax scrolling.
- * It calculates a transform value based on the element's position in the viewport.
- * @param {number} speed - The speed of the parallax effect. A higher number means more movement.
- * @returns {object} - An object containing the transform style.
- */
-const useParallax = (speed = 0.5) => {
-  const ref = useRef(null);
-  const [transformY, setTransformY] = useState(0);
+  // Switching language keeps the user on the same page and remembers the choice.
+  const setLocale = useCallback((nextLocale) => {
+    savePreferredLocale(nextLocale);
+    navigate(localizePath(window.location.pathname, nextLocale) + window.location.search, { replace: true });
+  }, [navigate]);
 
+  // An unprefixed URL from a returning visitor opens in the language they chose
+  // last time. Only the URL the visit starts on is checked, so switching to
+  // English later in the visit sticks.
+  const checkedPreferredLocale = useRef(false);
   useEffect(() => {
-    const handleScroll = () => {
-      if (ref.current) {
-        const top = ref.current.getBoundingClientRect().top;
-        const viewportHeight = window.innerHeight;
-        const progress = (top / viewportHeight) * speed;
-        setTransformY(progress * 100);
-      }
-    };
-
-    window.addEventListener('scroll', handleScroll);
-    handleScroll(); // Initial call to set position
-
-    return () => window.removeEventListener('scroll', handleScroll);
-  }, [speed]);
-
-  return { ref, style: { transform: `translate3d(0, ${transformY}px, 0)` } };
-};
-
-/**
- * A component to handle staggered, animated reveals using IntersectionObserver.
- * @param {object} props
- * @param {React.ReactNode} props.children - The elements to animate.
- * @param {string} props.className - Additional class names for the wrapper div.
- * @param {number} props.delay - The base delay in milliseconds.
- * @param {boolean} props.once - If the animation should only play once.
- */
-const MotionDiv = ({ children, className, delay = 0, once = true }) => {
-  const [ref, inView] = useInView({ threshold: 0.1, once });
-
-  return (
-    <div ref={ref} className={className}>
-      {React.Children.map(children, (child, index) => (
-        <div
-          key={index}
-          className={`transition-all duration-1000 ease-out transform ${inView ? 'opacity-100 translate-y-0 scale-100' : 'opacity-0 translate-y-16 scale-95'}`}
-          style={{ transitionDelay: `${delay + index * 150}ms` }}
-        >
-          {child}
-        </div>
-      ))}
-    </div>
-  );
-};
-
-// Reusable component for section titles
-const SectionTitle = ({ title, subtitle }) => {
-  const [ref, inView] = useInView({ threshold: 0.2, once: true });
-  return (
-    <div ref={ref} className="text-center mb-16 px-4">
-      <h2 className={`text-4xl md:text-6xl font-extrabold text-gray-900 leading-tight tracking-tight transition-all duration-1000 ease-out transform ${inView ? 'opacity-100 translate-y-0' : 'opacity-0 -translate-y-8'}`}>
-        {title}
-      </h2>
-      <p className={`text-gray-600 mt-4 text-lg max-w-2xl mx-auto transition-all duration-1000 delay-200 ease-out transform ${inView ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-8'}`}>{subtitle}</p>
-    </div>
-  );
-};
-
-// Reusable component for call-to-action buttons
-const CTAButton = ({ text, onClick, className = '' }) => (
-  <button
-    onClick={onClick}
-    className={`group bg-amber-500 hover:bg-amber-600 text-white font-bold py-3 px-8 rounded-full text-lg shadow-xl transition-all duration-300 transform hover:-translate-y-1 hover:shadow-2xl active:scale-95 ${className}`}
-  >
-    {text}
-    <ArrowRight className="inline-block ml-2 transition-transform duration-300 group-hover:translate-x-1" size={20} />
-  </button>
-);
-
-
-// --- Reusable Components ---
-const ServiceCard = ({ icon, title, description }) => (
-  <div className="group bg-white p-8 rounded-3xl shadow-lg border h-full border-gray-100 transform hover:-translate-y-2 transition-transform duration-500 hover:shadow-2xl hover:border-amber-500/20">
-    <div className="text-amber-500 inline-block p-3 bg-amber-50 rounded-xl mb-4 transition-transform duration-500 group-hover:rotate-6 group-hover:scale-110">
-      {icon}
-    </div>
-    <h3 className="text-2xl font-bold text-gray-900 mb-3">{title}</h3>
-    <p className="text-gray-600">{description}</p>
-  </div>
-);
-
-const ProjectCard = ({ title, category, imgSrc, describe }) => (
-  <div className="group relative overflow-hidden rounded-xl shadow-lg transform transition-transform duration-500 hover:scale-[1.02] hover:shadow-xl">
-    <img src={imgSrc} alt={title} className="w-full h-full object-cover transform group-hover:scale-110 transition-transform duration-500 aspect-[4/4] lg:aspect-[4/3]" />
-    <div className="absolute inset-0 bg-gradient-to-t from-gray-900/90 to-transparent flex flex-col justify-end p-6 transition-colors duration-300 group-hover:from-amber-700/80">
-      <p className="text-amber-300 text-sm font-bold transition-opacity duration-300 group-hover:opacity-100 opacity-100">{category}</p>
-      <h3 className="text-2xl font-bold text-white mb-4 transition-transform duration-300 translate-y-2 group-hover:translate-y-0">{title}</h3>
-      <p className="text-gray-100 text-md font-semibold transition-opacity duration-300 group-hover:opacity-100 opacity-100">{describe}</p>
-
-    </div>
-  </div>
-);
-
-const Loader = () => {
-    return (
-        <div className="fixed inset-0 bg-gray-900 bg-opacity-90 z-[9999] flex flex-col items-center justify-center">
-            <div className="relative w-24 h-24">
-                {/* Outer ring */}
-                <motion.div
-                    className="w-full h-full border-4 border-white border-opacity-30 rounded-full"
-                    animate={{ rotate: 360 }}
-                    transition={{ duration: 2, ease: "linear", repeat: Infinity }}
-                />
-                {/* Inner spinner */}
-                <motion.div
-                    className="absolute top-0 left-0 w-full h-full border-4 border-blue-500 border-t-transparent rounded-full"
-                    animate={{ rotate: 360 }}
-                    transition={{ duration: 1, ease: "linear", repeat: Infinity }}
-                />
-            </div>
-            <motion.p
-                className="text-white text-lg mt-6"
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: 0.5, duration: 0.5 }}
-            >
-                Loading...
-            </motion.p>
-        </div>
-    );
-};
-
+    if (checkedPreferredLocale.current) return;
+    checkedPreferredLocale.current = true;
+    const preferred = loadPreferredLocale();
+    if (locale === 'en' && preferred && preferred !== locale) {
+      navigate(localizePath(window.location.pathname, preferred) + window.location.search, { replace: true });
+    }
+  }, [locale, navigate]);
 
-// Main App Component - Manages page navigation
-const App = () => {
-  const [currentPage, setCurrentPage] = useState('home');
-    const [isLoading, setIsLoading] = useState(true);
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
 
-  const navigateTo = (page) => {
-    setCurrentPage(page);
-    window.scrollTo(0, 0);
-  };
+  // One page view per page; filters and other query string changes don't count.
+  useEffect(() => {
+    trackPageView(path, locale);
+  }, [path, locale]);
 
-      // Simulate an initial loading delay for a better user experience
-    useEffect(() => {
-        // Here you would typically fetch data or check for initial API responses.
-        // We'll use a simple setTimeout to simulate this.
-        setTimeout(() => {
-            setIsLoading(false);
-        }, 1500); // 1.5 seconds delay
-    }, []);
+  // After moving to another page, start keyboard and screen reader users at
+  // the new content rather than wherever the old page left focus.
+  const mainRef = useRef(null);
+  const firstPath = useRef(path);
+  useEffect(() => {
+    if (path === firstPath.current) return;
+    firstPath.current = null;
+    mainRef.current?.focus({ preventScroll: true });
+  }, [path]);
 
   const renderPage = () => {
-    switch (currentPage) {
+    switch (route.page) {
       case 'home':
         return <HomePage navigateTo={navigateTo} />;
       case 'about':
         return <AboutPage />;
       case 'services':
-        return <ServicesPage />;
+        return <ServicesPage navigateTo={navigateTo} />;
       case 'projects':
-        return <ProjectsPage />;
+        return <ProjectsPage navigateTo={navigateTo} search={search} />;
+      case 'project':
+        return <ProjectDetailPage slug={route.params.slug} navigateTo={navigateTo} />;
+      case 'testimonials':
+        return <TestimonialsPage navigateTo={navigateTo} />;
+      case 'tenders':
+        return <TendersPage navigateTo={navigateTo} search={search} />;
+      case 'workforce':
+        return <WorkforcePage />;
+      case 'estimate':
+        return <EstimatorPage navigateTo={navigateTo} />;
       case 'contact':
-        return <ContactPage />;
+        return <ContactPage navigateTo={navigateTo} />;
+      case 'quote':
+        return <QuotePage />;
+      case 'admin':
+        return <AdminPage />;
       default:
-        return <HomePage navigateTo={navigateTo} />;
+        return <NotFoundPage navigateTo={navigateTo} />;
     }
   };
 
-  return (<>
-    {isLoading ? (
-                    <Loader key="loader" />
-                ) :
-    <div className="bg-white text-gray-800 font-sans">
-      <style>
-        {`
-        @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700;800;900&display=swap');
-        
-        body {
-          font-family: 'Inter', sans-serif;
-        }
-
-        .animate-spin-slow {
-          animation: spin 5s linear infinite;
-        }
-        
-        @keyframes spin {
-          from { transform: rotate(0deg); }
-          to { transform: rotate(360deg); }
-        }
-        
-        .animate-slide-down {
-          animation: slide-down 0.5s ease-out;
-        }
-
-        @keyframes slide-down {
-          from { transform: translateY(-100%); opacity: 0; }
-          to { transform: translateY(0); opacity: 1; }
-        }
-        
-        .hero-background-image {
-          position: absolute;
-          inset: 0;
-          background-size: cover;
-          background-position: center;
-          transition: transform 0.5s ease-out;
-        }
-        `}
-      </style>
-      <Header currentPage={currentPage} navigateTo={navigateTo} />
-      <main className="pt-0 min-h-screen">
-        {renderPage()}
+  return (<ThemeProvider><I18nProvider locale={locale} setLocale={setLocale}>
+    <div className="bg-surface text-ink-body font-sans">
+      <SkipLink />
+      <Header currentPage={route.parent || route.page} navigateTo={navigateTo} />
+      <main id="main-content" ref={mainRef} tabIndex={-1} className="pt-0 min-h-screen focus:outline-none">
+        <PageErrorBoundary resetKey={path}>
+          <Suspense fallback={<PageSkeleton />}>
+            {renderPage()}
+          </Suspense>
+        </PageErrorBoundary>
       </main>
       <Footer navigateTo={navigateTo} />
-    </div> }
-    </>
+      <ConsentBanner />
+      <UpdatePrompt />
+    </div>
+    </I18nProvider></ThemeProvider>
   );
 };
 
 // Header Component
-const Header = ({ currentPage, navigateTo }) => {
-  const [isMenuOpen, setIsMenuOpen] = useState(false);
-
-  const navLinks = [
-    { id: 'home', title: 'Home' },
-    { id: 'about', title: 'About Us' },
-    { id: 'services', title: 'Services' },
-    { id: 'projects', title: 'Projects' },
-    { id: 'contact', title: 'Contact Us' },
-  ];
-
-  const handleNavClick = (page) => {
-    navigateTo(page);
-    setIsMenuOpen(false);
-  };
-
-  return (
-    <header className="bg-gray-800/80 backdrop-blur-md fixed top-0 left-0 right-0 z-50 shadow-lg">
-      <div className="container mx-auto px-6 py-4 flex justify-between items-center">
-        <div className="flex items-center space-x-2 cursor-pointer transition-transform duration-300 hover:scale-105" onClick={() => handleNavClick('home')}>
-          
-          <img src="logo.png" alt="logo"  style={{ height: '60px', width: '100px' }}/>
-          <span className="text-2xl font-bold text-gray-100 tracking-tight">AF Skyhigh Construction</span>
-        </div>
-        <nav className="hidden lg:flex space-x-8 items-center">
-          {navLinks.map((link) => (
-            <button
-              key={link.id}
-              onClick={() => handleNavClick(link.id)}
-              className={`text-lg font-medium transition-colors duration-300 relative group px-2 py-1
-                ${currentPage === link.id ? 'text-amber-500' : 'text-gray-100 hover:text-amber-500'}`}
-            >
-              {link.title}
-              <span className={`absolute bottom-0 left-0 h-0.5 bg-amber-500 transition-all duration-300 ${currentPage === link.id ? 'w-full' : 'w-0 group-hover:w-full'}`}></span>
-            </button>
-          ))}
-          <CTAButton text="Get a Quote" onClick={() => handleNavClick('contact')} className="ml-4 py-2 px-6 rounded-lg text-base hover:scale-100" />
-        </nav>
-        <button
-          className="lg:hidden text-gray-100 hover:text-amber-500 transition-colors"
-          onClick={() => setIsMenuOpen(!isMenuOpen)}
-        >
-          {isMenuOpen ? <X size={32} /> : <Menu size={32} />}
-        </button>
-      </div>
-      {/* Mobile Menu */}
-      {isMenuOpen && (
-        <div className="lg:hidden bg-white/90 border-t border-gray-200 animate-slide-down">
-          <nav className="flex flex-col items-center space-y-4 py-4">
-            {navLinks.map((link) => (
-              <button
-                key={link.id}
-                onClick={() => handleNavClick(link.id)}
-                className={`text-lg font-medium transition-colors duration-300 ${currentPage === link.id ? 'text-amber-500' : 'text-gray-600 hover:text-amber-500'
-                  }`}
-              >
-                {link.title}
-              </button>
-            ))}
-          </nav>
-        </div>
-      )}
-    </header>
-  );
-};
-
-// --- Page Components ---
-// Home Page
-
-const HomePage = ({ navigateTo }) => {
-  const { ref: parallaxRef, style: parallaxStyle } = useParallax(-0.2);
-
-  const images = [
-   'banner1.jpg',
-    'ordnance.jpg',
-    'banner3.jpg',
-    'lgbanner.jpg',
-    'wirebundles.jpg',
-    'cctv.jpg',
-  ];
-  
-  const [currentImageIndex, setCurrentImageIndex] = useState(0);
-  const [isLoading, setIsLoading] = useState(true);
-  const imagesLoaded = useRef(0);
-  const totalImages = images.length;
-  const intervalRef = useRef(null);
-
-  // Function to handle the automatic image change
-  const startAutoSlide = () => {
-    intervalRef.current = setInterval(() => {
-      setCurrentImageIndex((prevIndex) => (prevIndex + 1) % images.length);
-    }, 5000);
-  };
-
-  // Function to reset the timer
-  const resetTimer = () => {
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-    }
-    startAutoSlide();
-  };
-  
-  // Effect to preload all images
-  useEffect(() => {
-    images.forEach((image, index) => {
-      const img = new Image();
-      img.src = image;
-      img.onload = () => {
-        imagesLoaded.current += 1;
-        if (imagesLoaded.current === totalImages) {
-          setIsLoading(false);
-          startAutoSlide();
-        }
-      };
-      img.onerror = () => {
-        // Handle error if an image fails to load, but still increment the count
-        imagesLoaded.current += 1;
-        if (imagesLoaded.current === totalImages) {
-          setIsLoading(false);
-          startAutoSlide();
-        }
-      };
-    });
-    return () => clearInterval(intervalRef.current);
-  }, []);
-
-  const handlePrevClick = () => {
-    setCurrentImageIndex((prevIndex) => (prevIndex - 1 + images.length) % images.length);
-    resetTimer();
-  };
-
-  const handleNextClick = () => {
-    setCurrentImageIndex((prevIndex) => (prevIndex + 1) % images.length);
-    resetTimer();
-  };
-
-  if (isLoading) {
-    return (
-      <div className="flex justify-center items-center min-h-screen bg-gray-900">
-        <Loader className="animate-spin text-amber-500" size={48} />
-      </div>
-    );
-  }
-
+// Language switcher shown in the header
+const LanguageSelect = ({ id, className }) => {
+  const { locale, setLocale, t } = useI18n();
   return (
     <>
-      {/* Hero Section with Image Slider and Arrows */}
-      <section className="relative h-screen w-full flex items-center relative overflow-hidden">
-        {images.map((img, index) => (
-          <div
-            ref={parallaxRef}
-            className="hero-background-image absolute inset-0 bg-cover bg-center transition-opacity duration-1000 ease-in-out"
-            style={{
-              ...parallaxStyle,
-              backgroundImage: `url(${img})`,
-              willChange: 'transform',
-              opacity: index === currentImageIndex ? 1 : 0
-            }}
-            key={index}
-          ></div>
+      <label htmlFor={id} className="sr-only">{t('common.language')}</label>
+      <select id={id} value={locale} onChange={(e) => setLocale(e.target.value)} className={className}>
+        {locales.map((option) => (
+          <option key={option.code} value={option.code} lang={option.code}>{option.label}</option>
         ))}
-
-        {/* Navigation Arrows */}
-        <button
-          onClick={handlePrevClick}
-          className="absolute left-6 top-1/2 -translate-y-1/2 p-3 rounded-full bg-gray-900/50 text-white hover:bg-gray-900/70 transition z-20"
-          aria-label="Previous image"
-        >
-          <ChevronLeft size={24} />
-        </button>
-        <button
-          onClick={handleNextClick}
-          className="absolute right-6 top-1/2 -translate-y-1/2 p-3 rounded-full bg-gray-900/50 text-white hover:bg-gray-900/70 transition z-20"
-          aria-label="Next image"
-        >
-          <ChevronRight size={24} />
-        </button>
-
-        <div className="absolute inset-0 bg-gray-900/70"></div>
-        <div className="container mx-auto px-6 text-center text-white z-10 py-20">
-          <MotionDiv>
-            <h1 className="text-5xl md:text-7xl font-extrabold leading-tight mb-4">
-              Building Your Vision, <span className="text-amber-400">Brick by Brick</span>
-            </h1>
-            <p className="text-lg md:text-xl text-gray-200 mb-8 max-w-4xl mx-auto">
-              Your trusted partner in construction, delivering quality and excellence from foundation to finish.
-            </p>
-            <CTAButton text="Get a Free Quote" onClick={() => navigateTo('contact')} />
-          </MotionDiv>
-        </div>
-      </section>
-      {/* Services Overview */}
-      <section className="py-24 bg-gray-50 overflow-hidden">
-        <div className="container mx-auto px-6">
-          
-          <SectionTitle title="Our Core Services" subtitle="We offer a wide range of construction solutions, designed to meet your every need." />
-          <MotionDiv className="grid md:grid-cols-3 gap-8">
-            <ServiceCard icon={<Building size={40} />} title="Government Tender Expertise" description="We specialize in managing and executing government tenders with full compliance and professionalism. Every project is delivered on time with quality assurance." />
-            <ServiceCard icon={<Shield size={40} />} title="Defence Projects" description="We undertake defence-related contracts with strict attention to standards, security protocols, and reliability in execution." />
-            <ServiceCard icon={<Users size={40} />} title="Labour and Workforce Supply" description="We provide skilled and semi-skilled manpower for both government and private projects, ensuring dependable workforce support." />
-          </MotionDiv>
-          <div className="text-center mt-16">
-            <button onClick={() => navigateTo('services')} className="text-amber-600 font-semibold text-lg hover:text-amber-700 transition group">
-              View All Services <ArrowRight className="inline-block ml-1 group-hover:translate-x-1 transition-transform" size={20} />
-            </button>
-          </div>
-        </div>
-      </section>
-
-      {/* Projects Overview */}
-      <section className="py-24 bg-gray-50 overflow-hidden">
-        <div className="container mx-auto px-6">
-          
-          <SectionTitle title="Our Projects" subtitle="A portfolio of our commitment to quality and craftsmanship." />
-          <MotionDiv className="grid md:grid-cols-2 gap-8">
-            <ProjectCard title= "Ordnance Factory" category="Industrial" imgSrc="ord1.jpg" describe="Supplied essential raw materials including steel rods, aluminium rods, and other construction-grade resources. Ensured strict adherence to quality standards and timely delivery to support critical defence infrastructure requirements." />
-            <ProjectCard title="Defense Factory" category="Industrial" imgSrc="https://images.unsplash.com/photo-1614493557324-02b61dc031bb?w=600&auto=format&fit=crop&q=60&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxzZWFyY2h8OHx8d2FyZWhvdXNlJTIwZG9tZSUyMGluZGlhfGVufDB8fDB8fHww" describe="Delivered a wide range of electrical equipment and raw materials for construction needs. Our contribution helped strengthen operational facilities while meeting defence-sector compliance and procurement protocols." />           
-          </MotionDiv>
-          <div className="text-center mt-16">
-            <button onClick={() => navigateTo('projects')} className="text-amber-600 font-semibold text-lg hover:text-amber-700 transition group">
-              View All Projects <ArrowRight className="inline-block ml-1 group-hover:translate-x-1 transition-transform" size={20} />
-            </button>
-          </div>
-        </div>
-      </section>
-
-      {/* Why Choose Us */}
-      <section className="py-24 bg-white overflow-hidden">
-        <div className="container mx-auto px-6">
-          <SectionTitle title="Why Choose Us?" subtitle="Experience the difference of working with a partner you can trust." />
-          <div className="grid lg:grid-cols-2 gap-16 items-center">
-            <MotionDiv className="lg:order-2 flex flex-col items-center">
-              <img src="https://plus.unsplash.com/premium_photo-1681691912442-68c4179c530c?q=80&w=1171&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D" alt="Construction Team" className="rounded-2xl shadow-xl w-full max-w-lg transition-transform duration-500 hover:scale-[1.02] hover:shadow-2xl" />
-            </MotionDiv>
-            <div className="lg:order-1">
-              <MotionDiv className="space-y-8">
-                <div className="flex items-start group">
-                  <CheckCircle className="text-amber-500 min-w-8 min-h-8 mt-1 mr-4 transition-transform duration-300 group-hover:scale-110" size={32} />
-                  <div>
-                    <h3 className="text-2xl font-bold text-gray-900">Experienced Team</h3>
-                    <p className="text-gray-600 mt-1">Our crew consists of certified professionals with decades of combined experience, ensuring flawless execution.</p>
-                  </div>
-                </div>
-                <div className="flex items-start group">
-                  <Lightbulb className="text-amber-500 min-w-8 min-h-8 mt-1 mr-4 transition-transform duration-300 group-hover:scale-110" size={32} />
-                  <div>
-                    <h3 className="text-2xl font-bold text-gray-900">Innovative Solutions</h3>
-                    <p className="text-gray-600 mt-1">We utilize the latest technology and methods to deliver efficient and sustainable construction solutions.</p>
-                  </div>
-                </div>
-                <div className="flex items-start group">
-                  <Users className="text-amber-500 min-w-8 min-h-8 mt-1 mr-4 transition-transform duration-300 group-hover:scale-110" size={32} />
-                  <div>
-                    <h3 className="text-2xl font-bold text-gray-900">Client-Centric Approach</h3>
-                    <p className="text-gray-600 mt-1">Your vision is our priority. We maintain open communication and a collaborative process from start to finish.</p>
-                  </div>
-                </div>
-              </MotionDiv>
-            </div>
-          </div>
-        </div>
-      </section>
+      </select>
     </>
   );
 };
 
-// About Page
-const AboutPage = () => {
-  return (
-    <div className="bg-white">
-      <section className="py-24">
-        <div className="container mx-auto px-6 mt-10">
-
-          <SectionTitle title="About Us" subtitle="Pioneering the future of construction with a legacy of excellence." />
-          <MotionDiv className="grid grid-cols-1 lg:grid-cols-2 items-center gap-6 mb-16">
-            <div className="col-span-1">
-              <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">Our Story</h2>
-              <p className="text-gray-600 mb-4 text-lg">Founded in 2025, AF Skyhigh Construction began with a simple mission: to deliver exceptional construction services with an unwavering commitment to quality and client satisfaction. Over the years, we've grown from a small local builder into a respected firm, tackling projects of all sizes and complexities.</p>
-              <p className="text-gray-600 text-lg">Our success is built on a foundation of trust, earned through transparent communication, meticulous project management, and a skilled team that takes pride in every detail.</p>
-            </div>
-            <div className="lg:col-span-2">
-              <img src="about.png" alt="Company History" className="rounded-2xl shadow-xl w-full transition-transform duration-500 hover:scale-[1.02] hover:shadow-2xl" />
-            </div>
-          </MotionDiv>
-        </div>
-      </section>
-    </div>
-  );
-};
-
-// Services Page
-const ServicesPage = () => {
-  const services = [
-    { icon: <Building size={40} />, title: "Government Tender Expertise", description: "We specialize in managing and executing government tenders with full compliance and professionalism. Every project is delivered on time with quality assurance." },
-    { icon: <Shield size={40} />, title: "Defence Projects", description: "We undertake defence-related contracts with strict attention to standards, security protocols, and reliability in execution." },
-    { icon: <Factory size={40} />, title: "Ordnance Factory Works", description: "Our firm handles tenders for ordnance factories, meeting technical specifications with precision and durability." },
-    { icon: <Train size={40} />, title: "Railway Infrastructure Solutions", description: "We deliver railway tender projects with efficiency, ensuring long-lasting construction and supply services." },
-    { icon: <Users size={40} />, title: "Labour & Workforce Supply", description: "We provide skilled and semi-skilled manpower for both government and private projects, ensuring dependable workforce support." },
-    { icon: <Wrench size={40} />, title: "Supply & Procurement Services", description: "We manage procurement and supply tenders, delivering resources, materials, and equipment as per project requirements." },
-  ];
-
-  return (
-    <div className="bg-gray-50">
-      <section className="py-24">
-        <div className="container mx-auto px-6 mt-10">
-          <SectionTitle title="Our Services" subtitle="Delivering a comprehensive range of construction solutions tailored to your needs." />
-          <MotionDiv className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
-            {services.map((service, index) => (
-              <ServiceCard key={index} {...service} />
-            ))}
-          </MotionDiv>
-        </div>
-      </section>
-    </div>
-  );
-};
-
-// Projects Page
-const ProjectsPage = () => {
-  const projects = [
-    { title: "Ordnance Factory", category: "Industrial", imgSrc: "ord1.jpg", describe: "Supplied essential raw materials including steel rods, aluminium rods, and other construction-grade resources. Ensured strict adherence to quality standards and timely delivery to support critical defence infrastructure requirements." },
-    { title: "Defense Factory", category: "Industrial", imgSrc: "https://images.unsplash.com/photo-1614493557324-02b61dc031bb?w=600&auto=format&fit=crop&q=60&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxzZWFyY2h8OHx8d2FyZWhvdXNlJTIwZG9tZSUyMGluZGlhfGVufDB8fDB8fHww", describe: 'Delivered a wide range of electrical equipment and raw materials for construction needs. Our contribution helped strengthen operational facilities while meeting defence-sector compliance and procurement protocols.'},
-    { title: "Byculla Government Hospital", category: "Commercial", imgSrc: "https://images.unsplash.com/photo-1619070284836-e850273d69ac?q=80&w=1074&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D", describe:"Provided telecommunications infrastructure such as wiring, CCTV systems, inverters, and related units. The project enhanced hospital safety, connectivity, and operational efficiency through reliable technology integration"},
-    { title: "Byculla Railways", category: "Commercial", imgSrc: "https://plus.unsplash.com/premium_photo-1680102982036-dcbe9a9e9a4d?q=80&w=687&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D", describe: 'Executed supply of telecommunications materials including wires, CCTV systems, inverters, and associated units. The work supported improved security and communication systems within the railway premises.' }
-  ];
+// Light/dark/system switch shown in the header; each press moves to the next choice
+const themeIcons = { light: Sun, dark: Moon, system: Monitor };
 
+const ThemeToggle = ({ className }) => {
+  const { preference, setPreference } = useTheme();
+  const { t } = useI18n();
+  const Icon = themeIcons[preference];
+  const label = t('theme.toggle', { theme: t(`theme.${preference}`) });
   return (
-    <div className="bg-white">
-      <section className="py-24">
-        <div className="container mx-auto px-6 mt-10">
-          <SectionTitle title="Our Projects" subtitle="A portfolio of our commitment to quality and craftsmanship." />
-          <MotionDiv className="grid md:grid-cols-2 lg:grid-cols-2 gap-8">
-            {projects.map((project, index) => (
-              <ProjectCard key={index} {...project} />
-            ))}
-          </MotionDiv>
-        </div>
-      </section>
-    </div>
+    <button type="button" onClick={() => setPreference(nextThemePreference(preference))} className={className} aria-label={label} title={label}>
+      <Icon size={20} aria-hidden="true" />
+    </button>
   );
 };
 
-// Component for animating sections on scroll
-const AnimatedSection = ({ children, className, animationClass = 'animate-fade-in-up' }) => {
-  const [ref, inView] = useInView({ threshold: 0.1 });
+// Lets keyboard users jump past the header; hidden until it has focus
+const SkipLink = () => {
+  const { t } = useI18n();
   return (
-    <section ref={ref} className={`${className} transition-opacity duration-1000 transform ${inView ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-8'}`}>
-      {children}
-    </section>
+    <a
+      href="#main-content"
+      className="sr-only focus:not-sr-only focus:fixed focus:top-4 focus:left-4 focus:z-[60] focus:px-4 focus:py-2 focus:rounded-md focus:bg-brand focus:text-on-brand focus:font-semibold focus:shadow-lg"
+    >
+      {t('common.skipToContent')}
+    </a>
   );
 };
 
-const ContactPage = () => {
-  const [name, setName] = useState('');
-  const [email, setEmail] = useState('');
-  const [message, setMessage] = useState('');
-  const [state, handleSubmit] = useForm("xandyorv");
-  const [successmessage, setSuccessMessage] = useState('');
-
-  useEffect(() => {
-    setName('');
-    setEmail('');
-    setMessage('');
-    setSuccessMessage("Your Message has been sent! We will get back to you shortly.");
-    setTimeout(() => {
-      setSuccessMessage('')
-    }, 7000);
-  }, [state.succeeded]);
+const Header = ({ currentPage, navigateTo }) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const { t } = useI18n();
+  // The menu only exists below the desktop breakpoint; widening the window closes it.
+  const isDesktop = useMediaQuery('(min-width: 1024px)');
+  const menuOpen = isMenuOpen && !isDesktop;
+  const toggleRef = useRef(null);
+  const closeMenu = () => {
+    setIsMenuOpen(false);
+    toggleRef.current?.focus();
+  };
+  const menuRef = useFocusTrap(menuOpen, closeMenu);
 
+  const navLinks = ['home', 'about', 'services', 'projects', 'tenders', 'contact'].map((id) => ({ id, title: t(`nav.${id}`) }));
+  const linkProps = (id) => ({
+    to: pathFor(id),
+    navigateTo,
+    onClick: () => setIsMenuOpen(false),
+    'aria-current': currentPage === id ? 'page' : undefined,
+  });
 
   return (
-    <div className="pt-12 bg-gray-50">
-      <AnimatedSection className="py-12">
-        <div className="container mx-auto px-6 mt-10">
-          <SectionTitle title="Contact Us" subtitle="Let's build something great together. Reach out to us today." />
-
-          <div className="flex flex-col lg:flex-row gap-12">
-            {/* Contact Form */}
-            <div className="lg:w-1/2 bg-white p-8 rounded-lg shadow-lg">
-              <h2 className="text-2xl font-bold mb-6">Send us a Message</h2>
-              <form onSubmit={handleSubmit} className="space-y-6">
-                <div>
-                  <label htmlFor="name" className="block text-gray-700 font-medium mb-2">Name</label>
-                  <input type="text" id="name" value={name} onChange={(e) => setName(e.target.value)} className="w-full border-2 border-gray-300 rounded-md p-3 focus:ring-2 focus:ring-amber-500 focus:border-amber-500 transition"
-               required />
-                </div>
-                <div>
-                  <label htmlFor="email" className="block text-gray-700 font-medium mb-2">Email</label>
-                  <input type="email" name="email" id="email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full border-2 border-gray-300 rounded-md p-3 focus:ring-2 focus:ring-amber-500 focus:border-amber-500 transition"
-             required />
-                  <ValidationError prefix="Email" field="email" errors={state.errors} />
-                </div>
-                <div>
-                  <label htmlFor="message" className="block text-gray-700 font-medium mb-2">Message</label>
-                  <textarea id="message" name='message' rows="5" value={message} onChange={(e) => setMessage(e.target.value)}  className="w-full border-2 border-gray-300 rounded-md p-3 focus:ring-2 focus:ring-amber-500 focus:border-amber-500 transition"
-             required></textarea>
-                  <ValidationError
-                    prefix="Message"
-                    field="message"
-                    errors={state.errors}
-                  />
-                </div>
-                <button type="submit" className="w-full bg-amber-500 hover:bg-amber-600 text-white font-bold py-3 rounded-md text-lg transition duration-300 transform hover:scale-105 active:scale-95">Submit Inquiry</button>
-                <div className={`mt-4 text-center text-lg ${state.succeeded ? 'text-green-600' : 'text-red-600'}`}>
-                  {state.succeeded && <h1>{successmessage}</h1>}
-                </div>
-              </form>
-            </div>
-
-            {/* Contact Info */}
-            <div className="lg:w-1/2">
-              <div className="bg-white p-8 rounded-lg shadow-lg">
-                <h2 className="text-2xl font-bold mb-6">Contact Information</h2>
-                <div className="space-y-6">
-                  <div className="flex items-center space-x-4 animate-fade-in-up delay-100">
-                    <MapPin className="text-amber-500" size={24} />
-                    <div>
-                      <h3 className="font-semibold text-lg">Our Office</h3>
-                      <p className="text-gray-600">Shop no. TF-S01, Third Floor, Darshani Commerical Complex 2, <br /> Masurkar Marg, Chandrashekhar Azad Chowk <br /> Nagpur, Maharashtra, 440008</p>
-                    </div>
-                  </div>
-                  <div className="flex items-center space-x-4 animate-fade-in-up delay-200">
-                    <Mail className="text-amber-500" size={24} />
-                    <div>
-                      <h3 className="font-semibold text-lg">Email Us</h3>
-                      <p className="text-gray-600"><a href="mailto: afskyhigh1529@gmail.com" className="hover:text-blue-400"> afskyhigh1529@gmail.com</a></p>
-                    </div>
-                  </div>
-                  <div className="flex items-center space-x-4 animate-fade-in-up delay-300">
-                    <Phone className="text-amber-500" size={24} />
-                    <div>
-                      <h3 className="font-semibold text-lg">Call Us</h3>
-                      <p className="text-gray-600"><a href="tel:+917507897502" className="hover:text-blue-400">+91-7507897502</a></p>
-                      <p className="text-gray-600"><a href="tel:+917038630149" className="hover:text-blue-400">+91-7038630149</a></p>
-                    </div>
-                  </div>
+    <header className="bg-surface-inverse/80 backdrop-blur-md fixed top-0 left-0 right-0 z-50 shadow-lg">
+      <div className="container mx-auto px-6 py-4 flex justify-between items-center">
+        <Link to={pathFor('home')} navigateTo={navigateTo} className="flex items-center space-x-2 rounded-md transition-transform duration-300 hover:scale-105 motion-reduce:transform-none">
+          <Logo decorative />
+          <span className="text-2xl font-bold text-gray-100 tracking-tight">{company.name}</span>
+        </Link>
+        <nav aria-label={t('nav.label')} className="hidden lg:flex space-x-8 items-center">
+          {navLinks.map((link) => (
+            <Link
+              key={link.id}
+              {...linkProps(link.id)}
+              className={`text-lg font-medium transition-colors duration-300 relative group px-2 py-1 rounded-sm
+                ${currentPage === link.id ? 'text-brand' : 'text-gray-100 hover:text-brand'}`}
+            >
+              {link.title}
+              <span aria-hidden="true" className={`absolute bottom-0 left-0 h-0.5 bg-brand transition-all duration-300 ${currentPage === link.id ? 'w-full' : 'w-0 group-hover:w-full'}`}></span>
+            </Link>
+          ))}
+          <LanguageSelect id="language-desktop" className="bg-transparent text-gray-100 border border-gray-500 rounded-md py-1 px-2 focus:ring-2 focus:ring-brand [&>option]:text-ink [&>option]:bg-surface" />
+          <ThemeToggle className="p-2 rounded-md text-gray-100 hover:text-brand focus:outline-none focus:ring-2 focus:ring-brand transition-colors" />
+          <CTAButton text={t('common.getQuote')} to={pathFor('quote')} navigateTo={navigateTo} trackAs="header" onClick={() => setIsMenuOpen(false)} className="ml-4 py-2 px-6 rounded-lg text-base hover:scale-100" />
+        </nav>
+        {/* Mobile menu: the toggle and the menu share a focus trap while it is open */}
+        <div ref={menuRef} className="lg:hidden">
+          <button
+            ref={toggleRef}
+            type="button"
+            className="p-1 rounded-md text-gray-100 hover:text-brand focus:outline-none focus:ring-2 focus:ring-brand transition-colors"
+            onClick={() => setIsMenuOpen(!isMenuOpen)}
+            aria-expanded={menuOpen}
+            aria-controls="mobile-menu"
+            aria-label={menuOpen ? t('nav.closeMenu') : t('nav.openMenu')}
+          >
+            {menuOpen ? <X size={32} aria-hidden="true" /> : <Menu size={32} aria-hidden="true" />}
+          </button>
+          {menuOpen && (
+            <div id="mobile-menu" className="absolute left-0 right-0 top-full bg-surface/90 backdrop-blur-md border-t border-line animate-slide-down">
+              <nav aria-label={t('nav.label')} className="flex flex-col items-center space-y-4 py-4">
+                {navLinks.map((link) => (
+                  <Link
+                    key={link.id}
+                    {...linkProps(link.id)}
+                    className={`text-lg font-medium rounded-sm transition-colors duration-300 ${currentPage === link.id ? 'text-brand-strong' : 'text-ink-muted hover:text-brand-strong'}`}
+                  >
+                    {link.title}
+                  </Link>
+                ))}
+                <CTAButton text={t('common.getQuote')} to={pathFor('quote')} navigateTo={navigateTo} trackAs="header-menu" onClick={() => setIsMenuOpen(false)} className="py-2 px-6 rounded-lg text-base" />
+                <div className="flex items-center gap-4">
+                  <LanguageSelect id="language-mobile" className="border border-line rounded-md py-1 px-2 bg-surface text-ink-body focus:ring-2 focus:ring-brand" />
+                  <ThemeToggle className="p-2 rounded-md border border-line text-ink-body hover:text-brand-strong focus:outline-none focus:ring-2 focus:ring-brand transition-colors" />
                 </div>
-              </div>
+              </nav>
             </div>
-          </div>
+          )}
         </div>
-      </AnimatedSection>
-    </div>
+      </div>
+    </header>
   );
 };
 
 // Footer Component
+const footerLinkClass = 'text-gray-400 hover:text-brand-soft transition text-sm rounded-sm';
+
 const Footer = ({ navigateTo }) => {
+  const { t, formatNumber } = useI18n();
+  const quickLinks = [
+    { page: 'about', label: t('footer.about') },
+    { page: 'services', label: t('footer.services') },
+    { page: 'projects', label: t('footer.projects') },
+    { page: 'tenders', label: t('footer.tenders') },
+    { page: 'workforce', label: t('footer.workforce') },
+    { page: 'estimate', label: t('footer.estimate') },
+    { page: 'testimonials', label: t('footer.references') },
+    { page: 'contact', label: t('footer.contact') },
+  ].filter((link) => pageOffered(link.page));
   return (
-    <footer className="bg-gray-900 text-white">
+    <footer className="bg-surface-inverse text-white border-t border-white/10">
       <div className="container mx-auto px-6 py-16">
         <div className="grid md:grid-cols-4 gap-12">
           <div>
             <div className="flex items-center space-x-2 mb-4">
-             <img src="logo.png" alt="logo"  style={{ height: '60px', width: '100px' }}/>
-              <h3 className="text-1xl font-bold">AF Skyhigh Construction</h3>
+              <Logo decorative />
+              <h2 className="text-1xl font-bold">{company.name}</h2>
             </div>
-            <p className="text-gray-400 text-sm">Building the future, restoring the past. Your trusted construction partner. <br/> GSTIN : 27ABCCA9829P1ZW</p>
+            <p className="text-gray-400 text-sm">{t('footer.tagline')} <br/> {t('footer.gstin')} : {company.gstin}</p>
           </div>
-          <div>
-            <h3 className="text-lg font-semibold mb-6 text-gray-200">Quick Links</h3>
+          <nav aria-labelledby="footer-quick-links">
+            <h2 id="footer-quick-links" className="text-lg font-semibold mb-6 text-gray-200">{t('footer.quickLinks')}</h2>
             <ul className="space-y-4">
-              <li><button onClick={() => navigateTo('about')} className="text-gray-400 hover:text-amber-400 transition text-sm">About Us</button></li>
-              <li><button onClick={() => navigateTo('services')} className="text-gray-400 hover:text-amber-400 transition text-sm">Services</button></li>
-              <li><button onClick={() => navigateTo('projects')} className="text-gray-400 hover:text-amber-400 transition text-sm">Projects</button></li>
-              <li><button onClick={() => navigateTo('contact')} className="text-gray-400 hover:text-amber-400 transition text-sm">Contact</button></li>
+              {quickLinks.map(({ page, label }) => (
+                <li key={page}><Link to={pathFor(page)} navigateTo={navigateTo} className={footerLinkClass}>{label}</Link></li>
+              ))}
+              <li><ProfileDownloadButton label={t('footer.profile')} className={footerLinkClass} errorClassName="text-red-300" /></li>
             </ul>
-          </div>
+          </nav>
           <div>
-            <h3 className="text-lg font-semibold mb-6 text-gray-200">Contact</h3>
+            <h2 className="text-lg font-semibold mb-6 text-gray-200">{t('footer.contactTitle')}</h2>
             <ul className="space-y-4 text-gray-400 text-sm">
-
-              <li className="flex items-center"><MapPin size={16} className="mr-2 text-amber-400" /><p>Shop no. TF-S01, Third Floor, <br /> Darshani Commerical Complex 2, <br />
-                Masurkar Marg, <br /> Chandrashekhar Azad Chowk,
-                <br />
-                Nagpur, Maharashtra, 440008</p></li>
-              <li className="flex items-center"><Mail size={16} className="mr-2 text-amber-400" /><a href="mailto: afskyhigh1529@gmail.com" className="hover:text-blue-400"> afskyhigh1529@gmail.com</a></li>
-              <li className="flex items-center"><Phone size={16} className="mr-2 text-amber-400" /><a href="tel:+917507897502" className="hover:text-blue-400">+91-7507897502</a></li>
-              <li className="flex items-center"><Phone size={16} className="mr-2 text-amber-400" /><a href="tel:+917038630149" className="hover:text-blue-400">+91-7038630149</a></li>
+              <li className="flex items-start"><MapPin size={16} className="mr-2 mt-0.5 shrink-0 text-brand-soft" aria-hidden="true" /><AddressLines /></li>
+              <li className="flex items-center"><Mail size={16} className="mr-2 text-brand-soft" aria-hidden="true" /><a href={`mailto:${company.email}`} className="hover:text-blue-400 rounded-sm">{company.email}</a></li>
+              {company.phones.map((phone) => (
+                <li key={phone} className="flex items-center"><Phone size={16} className="mr-2 text-brand-soft" aria-hidden="true" /><a href={telHref(phone)} className="hover:text-blue-400 rounded-sm">{phone}</a></li>
+              ))}
             </ul>
           </div>
           <div className="lg:col-span-1">
-            <h3 className="text-lg font-semibold mb-6 text-gray-200">Get a Quote</h3>
-            <p className="text-gray-400 mb-4 text-sm">Ready to start your project? Contact us for a free, no-obligation quote.</p>
-            <CTAButton text="Request a Quote" onClick={() => navigateTo('contact')} className="py-2 px-6 rounded-md text-sm" />
+            <h2 className="text-lg font-semibold mb-6 text-gray-200">{t('footer.quoteTitle')}</h2>
+            <p className="text-gray-400 mb-4 text-sm">{t('footer.quoteText')}</p>
+            <CTAButton text={t('footer.quoteCta')} to={pathFor('quote')} navigateTo={navigateTo} trackAs="footer" className="py-2 px-6 rounded-md text-sm" />
           </div>
         </div>
       </div>
-      <div className="border-t border-gray-800 py-8 text-center text-gray-500 text-sm">
-        <p>&copy; {new Date().getFullYear()} AF Skyhigh Construction. All Rights Reserved.</p>
+      <div className="border-t border-white/10 py-8 text-center text-gray-400 text-sm">
+        <p>{t('footer.rights', { year: formatNumber(new Date().getFullYear(), { useGrouping: false }), company: company.name })}</p>
+        <AnalyticsSettingsButton />
       </div>
     </footer>
   );
 };
 
+// Lets visitors change their analytics choice by asking again; hidden when
+// analytics isn't configured or the browser sends Do-Not-Track.
+const AnalyticsSettingsButton = () => {
+  const { choice, setChoice, canAsk } = useAnalyticsConsent();
+  const { t } = useI18n();
+  if (!canAsk || choice === 'pending') return null;
+
+  return (
+    <button type="button" onClick={() => setChoice('pending')} className={`mt-2 underline ${footerLinkClass}`}>
+      {t('analytics.settings')}
+    </button>
+  );
+};
+
+// Asks before any analytics event leaves the browser
+const ConsentBanner = () => {
+  const { choice, setChoice, canAsk } = useAnalyticsConsent();
+  const { t } = useI18n();
+  if (!canAsk || choice !== 'pending') return null;
+
+  return (
+    <section aria-labelledby="analytics-consent-title" className="fixed bottom-4 left-4 right-4 sm:right-auto sm:max-w-md z-50 bg-surface-raised text-ink-body border border-line rounded-lg shadow-2xl p-4 animate-slide-down">
+      <h2 id="analytics-consent-title" className="font-semibold text-ink mb-1">{t('analytics.title')}</h2>
+      <p className="text-sm text-ink-muted mb-3">{t('analytics.text')}</p>
+      <div className="flex justify-end gap-3">
+        <button type="button" onClick={() => setChoice('denied')} className="px-4 py-2 rounded-md text-ink-muted hover:text-ink focus:outline-none focus:ring-2 focus:ring-brand transition">
+          {t('analytics.decline')}
+        </button>
+        <button type="button" onClick={() => setChoice('granted')} className="px-4 py-2 rounded-md bg-brand hover:bg-brand-soft text-on-brand font-semibold focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-brand transition">
+          {t('analytics.allow')}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+// Offers a new version of the site once the service worker has downloaded it
+const UpdatePrompt = () => {
+  const [updateWaiting, applyUpdate] = useServiceWorkerUpdate();
+  const [dismissed, setDismissed] = useState(false);
+  const { t } = useI18n();
+  if (!updateWaiting || dismissed) return null;
+
+  return (
+    <div role="status" className="fixed bottom-4 left-4 right-4 sm:left-auto sm:max-w-sm z-50 bg-surface-raised text-ink-body border border-line rounded-lg shadow-2xl p-4 animate-slide-down">
+      <p className="font-medium text-ink mb-3">{t('update.available')}</p>
+      <div className="flex justify-end gap-3">
+        <button type="button" onClick={() => setDismissed(true)} className="px-4 py-2 rounded-md text-ink-muted hover:text-ink focus:outline-none focus:ring-2 focus:ring-brand transition">
+          {t('update.dismiss')}
+        </button>
+        <button type="button" onClick={applyUpdate} className="px-4 py-2 rounded-md bg-brand hover:bg-brand-soft text-on-brand font-semibold focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-brand transition">
+          {t('update.reload')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
 export default App;
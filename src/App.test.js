@@ -1,8 +1,127 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, waitFor, within, fireEvent } from '@testing-library/react';
 import App from './App';
+import { consent, tracker, transport } from './analytics';
 
-test('renders learn react link', () => {
+// Pages load lazily; wait for the loading skeleton to give way to the page.
+const isLoading = () => screen.queryAllByRole('status').some((element) => element.getAttribute('aria-busy') === 'true');
+const pageLoaded = () => waitFor(() => expect(isLoading()).toBe(false), { timeout: 5000 });
+
+const renderAt = async (path) => {
+  window.history.pushState({}, '', path);
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await pageLoaded();
+};
+
+const mainNav = (name = 'Main') => screen.getAllByRole('navigation', { name })[0];
+const footer = () => screen.getByRole('contentinfo');
+
+beforeEach(() => {
+  window.scrollTo = jest.fn();
+  window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+  localStorage.clear();
+  consent.set('pending');
+});
+
+test.each([
+  ['/', 'AF Skyhigh Construction — Construction and Government Tender Contractor in Nagpur', /Construction and Government Tender Contractor/],
+  ['/about', 'About Us | AF Skyhigh Construction', 'About Us'],
+  ['/services', 'Services | AF Skyhigh Construction', 'Our Services'],
+  ['/projects', 'Projects | AF Skyhigh Construction', 'Our Projects'],
+  ['/projects/byculla-railways', 'Byculla Railways | AF Skyhigh Construction', 'Byculla Railways'],
+  ['/testimonials', 'Client References | AF Skyhigh Construction', 'Client References'],
+  ['/contact', 'Contact Us | AF Skyhigh Construction', 'Contact Us'],
+  ['/quote', 'Request a Quote | AF Skyhigh Construction', 'Request a Quote'],
+  ['/admin', 'Content Editor | AF Skyhigh Construction', /Content Editor/],
+  ['/projects/no-such-project', 'Page Not Found | AF Skyhigh Construction', 'Page Not Found'],
+  ['/tenders', 'Tenders | AF Skyhigh Construction', 'Tenders'],
+  ['/workforce', 'Register for Work | AF Skyhigh Construction', 'Register for Work'],
+  ['/estimate', 'Page Not Found | AF Skyhigh Construction', 'Page Not Found'],
+  ['/tenders/2024', 'Page Not Found | AF Skyhigh Construction', 'Page Not Found'],
+])('%s renders its page', async (path, title, heading) => {
+  await renderAt(path);
+  expect(document.title).toBe(title);
+  expect(screen.getByRole('heading', { name: heading })).toBeInTheDocument();
+});
+
+test('renders the page in the language of the URL prefix', async () => {
+  await renderAt('/hi/services');
+  expect(document.documentElement).toHaveAttribute('lang', 'hi');
+  expect(within(mainNav('मुख्य')).getByRole('link', { name: 'सेवाएँ' })).toHaveAttribute('href', '/hi/services');
+});
+
+test('header links move between pages without a reload', async () => {
+  await renderAt('/');
+
+  fireEvent.click(within(mainNav()).getByRole('link', { name: 'Services' }));
+  await pageLoaded();
+  expect(window.location.pathname).toBe('/services');
+  expect(screen.getByRole('heading', { name: 'Our Services' })).toBeInTheDocument();
+
+  fireEvent.click(within(mainNav()).getByRole('link', { name: 'Get a Quote' }));
+  await pageLoaded();
+  expect(window.location.pathname).toBe('/quote');
+
+  fireEvent.click(screen.getByRole('link', { name: 'AF Skyhigh Construction' }));
+  await pageLoaded();
+  expect(window.location.pathname).toBe('/');
+});
+
+test('the workforce service links to the registration form', async () => {
+  await renderAt('/services');
+  fireEvent.click(screen.getByRole('link', { name: 'Register for Work' }));
+  await pageLoaded();
+  expect(window.location.pathname).toBe('/workforce');
+  expect(screen.getByRole('heading', { name: 'Register for Work' })).toBeInTheDocument();
+});
+
+test('offers no link to the estimator until its rates are signed off', async () => {
+  await renderAt('/services');
+  expect(screen.queryByRole('link', { name: /Estimate Material Costs/ })).not.toBeInTheDocument();
+  expect(within(footer()).queryByRole('link', { name: 'Cost Estimator' })).not.toBeInTheDocument();
+});
+
+test('footer links move between pages', async () => {
+  await renderAt('/contact');
+  const quickLinks = within(footer()).getByRole('navigation', { name: 'Quick Links' });
+
+  fireEvent.click(within(quickLinks).getByRole('link', { name: 'Client References' }));
+  await pageLoaded();
+  expect(window.location.pathname).toBe('/testimonials');
+  expect(screen.getByRole('heading', { name: 'Client References' })).toBeInTheDocument();
+
+  fireEvent.click(within(footer()).getByRole('link', { name: 'Request a Quote' }));
+  await pageLoaded();
+  expect(window.location.pathname).toBe('/quote');
+});
+
+test('Back returns to the previous page', async () => {
+  await renderAt('/about');
+  fireEvent.click(within(mainNav()).getByRole('link', { name: 'Projects' }));
+  await pageLoaded();
+
+  window.history.back();
+  await waitFor(() => expect(window.location.pathname).toBe('/about'));
+  fireEvent.popState(window);
+  await pageLoaded();
+  expect(within(mainNav()).getByRole('link', { name: 'About Us' })).toHaveAttribute('aria-current', 'page');
+});
+
+test('records page views and CTA clicks once the visitor allows analytics', async () => {
+  await renderAt('/');
+  const banner = screen.getByRole('region', { name: 'Help us improve this site' });
+  fireEvent.click(within(banner).getByRole('button', { name: 'Allow' }));
+  expect(banner).not.toBeInTheDocument();
+
+  fireEvent.click(within(mainNav()).getByRole('link', { name: 'Get a Quote' }));
+  await pageLoaded();
+  await tracker.flush();
+  const events = transport.batches.flat();
+  expect(events).toContainEqual(expect.objectContaining({ type: 'cta_click', target: '/quote', placement: 'header', page: '/' }));
+  expect(events).toContainEqual(expect.objectContaining({ type: 'page_view', page: '/quote', locale: 'en' }));
+
+  // The footer lets the visitor change their mind.
+  fireEvent.click(within(footer()).getByRole('button', { name: 'Analytics settings' }));
+  fireEvent.click(screen.getByRole('button', { name: 'No thanks' }));
+  expect(screen.queryByRole('region', { name: 'Help us improve this site' })).not.toBeInTheDocument();
+  expect(tracker.pendingCount()).toBe(0);
 });
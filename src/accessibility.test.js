@@ -0,0 +1,70 @@
+import { render, screen, waitFor, within, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import App from './App';
+
+// Audit the estimator too, although it stays hidden until its rates are signed off.
+jest.mock('./content', () => ({ ...jest.requireActual('./content'), pageOffered: () => true }));
+
+const pages = ['/', '/about', '/services', '/projects', '/projects/ordnance-factory', '/testimonials', '/tenders', '/tenders?view=timeline', '/workforce', '/estimate', '/contact', '/quote', '/admin', '/no-such-page', '/mr/contact'];
+
+const renderAt = async (path) => {
+  window.history.pushState({}, '', path);
+  const view = render(<App />);
+  // Pages load lazily; wait for the loading skeleton to give way to the page.
+  const isLoading = () => screen.queryAllByRole('status').some((element) => element.getAttribute('aria-busy') === 'true');
+  await waitFor(() => expect(isLoading()).toBe(false), { timeout: 5000 });
+  return view;
+};
+
+beforeEach(() => {
+  window.scrollTo = jest.fn();
+  window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+  localStorage.clear();
+});
+
+test.each(pages)('%s has no axe violations', async (path) => {
+  const { container } = await renderAt(path);
+  expect(await axe(container)).toHaveNoViolations();
+}, 20000);
+
+test('offers a skip link to the main content', async () => {
+  await renderAt('/about');
+  const skip = screen.getByRole('link', { name: 'Skip to main content' });
+  expect(skip).toHaveAttribute('href', '#main-content');
+  expect(screen.getByRole('main')).toHaveAttribute('id', 'main-content');
+});
+
+test('navigation is made of links that mark the current page', async () => {
+  await renderAt('/projects/ordnance-factory');
+  const nav = screen.getAllByRole('navigation', { name: 'Main' })[0];
+  expect(within(nav).getByRole('link', { name: 'Projects' })).toHaveAttribute('aria-current', 'page');
+  expect(within(nav).getByRole('link', { name: 'Home' })).not.toHaveAttribute('aria-current');
+  expect(screen.getByRole('link', { name: 'AF Skyhigh Construction' })).toHaveAttribute('href', '/');
+
+  // Moving to another page puts focus at the start of the new content
+  fireEvent.click(within(nav).getByRole('link', { name: 'About Us' }));
+  expect(screen.getByRole('main')).toHaveFocus();
+  expect(within(nav).getByRole('link', { name: 'About Us' })).toHaveAttribute('aria-current', 'page');
+});
+
+test('the mobile menu reports its state, traps focus and closes on Escape', async () => {
+  await renderAt('/');
+  const toggle = screen.getByRole('button', { name: 'Open menu' });
+  expect(toggle).toHaveAttribute('aria-expanded', 'false');
+
+  fireEvent.click(toggle);
+  expect(toggle).toHaveAttribute('aria-expanded', 'true');
+  expect(toggle).toHaveAccessibleName('Close menu');
+  expect(toggle).toHaveAttribute('aria-controls', 'mobile-menu');
+  const menu = screen.getAllByRole('navigation', { name: 'Main' })[1];
+  const themeToggle = within(menu).getByRole('button', { name: /Colour theme/ });
+
+  themeToggle.focus();
+  fireEvent.keyDown(themeToggle, { key: 'Tab' });
+  expect(toggle).toHaveFocus();
+
+  fireEvent.keyDown(toggle, { key: 'Escape' });
+  expect(toggle).toHaveAttribute('aria-expanded', 'false');
+  expect(toggle).toHaveFocus();
+  expect(menu).not.toBeInTheDocument();
+});
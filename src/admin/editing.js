@@ -0,0 +1,171 @@
+import { isFilled } from '../validation';
+import { serviceIconNames } from '../content';
+import { catalogues } from '../i18n';
+
+// --- Content editing: blank items, slugs, ordering and validation ---
+// Items are edited in the same shape as src/content/projects.json and
+// services.json, so publishing writes them back unchanged.
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const scopeUnits = ['Nos', 'MT', 'Kg', 'm', 'Lot'];
+
+/**
+ * Turns a title into a URL slug, e.g. `Byculla Railways` → `byculla-railways`.
+ * @param {string} title
+ * @returns {string}
+ */
+export const slugify = (title) => title
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+export const emptyProject = () => ({
+  slug: '',
+  title: '',
+  category: '',
+  clientType: '',
+  completedOn: '',
+  imgSrc: '',
+  describe: '',
+  images: [],
+  client: '',
+  location: '',
+  tenderRef: null,
+  scope: [],
+  featured: false,
+});
+
+export const emptyService = () => ({
+  slug: '',
+  icon: serviceIconNames[0],
+  title: '',
+  description: '',
+  featured: false,
+});
+
+/**
+ * Whether the site shows a service's title and description from the i18n
+ * catalogues rather than the content file, as it does for translated services.
+ * @param {string} slug
+ * @returns {boolean}
+ */
+export const hasTranslatedCopy = (slug) => `services.${slug}.title` in catalogues.en;
+
+export const emptyScopeLine = () => ({ item: '', quantity: null, unit: scopeUnits[0] });
+
+/**
+ * Moves an item one place up or down, returning a new array.
+ * @param {Array} items
+ * @param {number} index - The item to move.
+ * @param {number} direction - `-1` for up, `1` for down.
+ * @returns {Array} - The reordered items; unchanged if the move would leave the list.
+ */
+export const moveItem = (items, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+/**
+ * Replaces the item at `index`, or appends it when `index` is null.
+ * @param {Array} items
+ * @param {number|null} index
+ * @param {object} item
+ * @returns {Array}
+ */
+export const putItem = (items, index, item) => (
+  index === null ? [...items, item] : items.map((existing, i) => (i === index ? item : existing))
+);
+
+const validateSlug = (slug, others) => {
+  if (!isFilled(slug)) return 'Enter a slug for the page address.';
+  if (!SLUG_PATTERN.test(slug)) return 'Use lowercase letters, numbers and single hyphens only.';
+  if (others.some((other) => other.slug === slug)) return 'Another item already uses this slug.';
+  return null;
+};
+
+/**
+ * Checks a project before it is saved to the draft.
+ * @param {object} project
+ * @param {object[]} others - The other projects, for the unique slug check.
+ * @returns {object} - Error messages keyed by field; empty when valid.
+ */
+export const validateProject = (project, others) => {
+  const slugError = validateSlug(project.slug, others);
+  const errors = {
+    ...(!isFilled(project.title) && { title: 'Enter the project title.' }),
+    ...(slugError && { slug: slugError }),
+    ...(!isFilled(project.category) && { category: 'Enter a category, e.g. Industrial.' }),
+    ...(!isFilled(project.clientType) && { clientType: 'Enter the client type, e.g. Railways.' }),
+    ...(!(DATE_PATTERN.test(project.completedOn) && !Number.isNaN(Date.parse(project.completedOn)))
+      && { completedOn: 'Enter the completion date as YYYY-MM-DD.' }),
+    ...(!isFilled(project.imgSrc) && { imgSrc: 'Upload a cover image or enter its address.' }),
+    ...(!isFilled(project.describe) && { describe: 'Describe the work in a sentence or two.' }),
+  };
+
+  project.images.forEach((image, index) => {
+    if (!isFilled(image.alt)) {
+      errors[`images.${index}.alt`] = 'Describe the photo for visitors who can’t see it.';
+    }
+  });
+  project.scope.forEach((line, index) => {
+    if (!isFilled(line.item)) {
+      errors[`scope.${index}.item`] = 'Name the item or remove this line.';
+    }
+    if (line.quantity !== null && line.quantity !== '' && !(Number(line.quantity) > 0)) {
+      errors[`scope.${index}.quantity`] = 'Enter a quantity greater than zero, or leave it blank.';
+    }
+  });
+  return errors;
+};
+
+/**
+ * Checks a service before it is saved to the draft.
+ * @param {object} service
+ * @param {object[]} others - The other services, for the unique slug check.
+ * @returns {object} - Error messages keyed by field; empty when valid.
+ */
+export const validateService = (service, others) => {
+  const slugError = validateSlug(service.slug, others);
+  return {
+    ...(!isFilled(service.title) && { title: 'Enter the service title.' }),
+    ...(slugError && { slug: slugError }),
+    ...(!serviceIconNames.includes(service.icon) && { icon: 'Choose an icon.' }),
+    ...(!isFilled(service.description) && { description: 'Describe the service in a sentence or two.' }),
+  };
+};
+
+/**
+ * Tidies a project for publishing: trims text, and stores a blank tender
+ * reference or scope quantity as null like the rest of the content.
+ * @param {object} project
+ * @returns {object}
+ */
+export const normalizeProject = (project) => ({
+  ...project,
+  title: project.title.trim(),
+  category: project.category.trim(),
+  clientType: project.clientType.trim(),
+  describe: project.describe.trim(),
+  client: project.client.trim(),
+  location: project.location.trim(),
+  tenderRef: isFilled(project.tenderRef || '') ? project.tenderRef.trim() : null,
+  images: project.images.map((image) => ({ src: image.src, alt: image.alt.trim() })),
+  scope: project.scope.map((line) => ({
+    item: line.item.trim(),
+    quantity: line.quantity === null || line.quantity === '' ? null : Number(line.quantity),
+    unit: line.unit,
+  })),
+});
+
+export const normalizeService = (service) => ({
+  ...service,
+  title: service.title.trim(),
+  description: service.description.trim(),
+});
@@ -0,0 +1,61 @@
+import projects from '../content/projects.json';
+import services from '../content/services.json';
+import {
+  slugify, emptyProject, emptyService, moveItem, putItem,
+  validateProject, validateService, normalizeProject, hasTranslatedCopy,
+} from './editing';
+
+const newProject = () => ({
+  ...emptyProject(),
+  title: 'Nagpur Metro Depot',
+  slug: 'nagpur-metro-depot',
+  category: 'Industrial',
+  clientType: 'Railways',
+  completedOn: '2025-08-01',
+  imgSrc: '/uploads/depot.jpg',
+  describe: 'Supplied cabling for the depot.',
+});
+
+test('derives slugs from titles', () => {
+  expect(slugify('Byculla Railways')).toBe('byculla-railways');
+  expect(slugify('  Café & Canteen — Phase 2! ')).toBe('cafe-canteen-phase-2');
+});
+
+test('moves and replaces items without touching the original list', () => {
+  const items = ['a', 'b', 'c'];
+  expect(moveItem(items, 2, -1)).toEqual(['a', 'c', 'b']);
+  expect(moveItem(items, 0, -1)).toBe(items);
+  expect(putItem(items, 1, 'B')).toEqual(['a', 'B', 'c']);
+  expect(putItem(items, null, 'd')).toEqual(['a', 'b', 'c', 'd']);
+  expect(items).toEqual(['a', 'b', 'c']);
+});
+
+test('accepts the existing content as it is', () => {
+  projects.forEach((project, index) => {
+    expect(validateProject(project, projects.filter((_, i) => i !== index))).toEqual({});
+  });
+  services.forEach((service, index) => {
+    expect(validateService(service, services.filter((_, i) => i !== index))).toEqual({});
+  });
+});
+
+test('reports missing fields, bad slugs and incomplete gallery and scope lines', () => {
+  expect(Object.keys(validateProject(emptyProject(), projects))).toEqual(['title', 'slug', 'category', 'clientType', 'completedOn', 'imgSrc', 'describe']);
+  expect(validateProject({ ...newProject(), slug: projects[0].slug }, projects).slug).toBe('Another item already uses this slug.');
+  expect(validateProject({ ...newProject(), slug: 'Metro Depot' }, projects).slug).toMatch(/lowercase/);
+  expect(validateProject({ ...newProject(), completedOn: '2025-02-30x' }, projects)).toHaveProperty('completedOn');
+
+  const project = { ...newProject(), images: [{ src: '/a.jpg', alt: ' ' }], scope: [{ item: 'Cable', quantity: '-2', unit: 'm' }, { item: 'Lugs', quantity: '', unit: 'Nos' }] };
+  expect(Object.keys(validateProject(project, projects))).toEqual(['images.0.alt', 'scope.0.quantity']);
+  expect(Object.keys(validateService({ ...emptyService(), icon: 'Rocket' }, services))).toEqual(['title', 'slug', 'icon', 'description']);
+});
+
+test('normalizes projects into the content file shape', () => {
+  const project = normalizeProject({ ...newProject(), title: ' Depot ', tenderRef: ' ', scope: [{ item: ' Cable ', quantity: '120', unit: 'm' }, { item: 'Lugs', quantity: '', unit: 'Nos' }] });
+  expect(project).toMatchObject({ title: 'Depot', tenderRef: null, scope: [{ item: 'Cable', quantity: 120, unit: 'm' }, { item: 'Lugs', quantity: null, unit: 'Nos' }] });
+});
+
+test('knows which services take their copy from the translations', () => {
+  expect(hasTranslatedCopy(services[0].slug)).toBe(true);
+  expect(hasTranslatedCopy('solar-installation')).toBe(false);
+});
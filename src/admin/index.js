@@ -0,0 +1,24 @@
+import { createFileAdapter, createMemoryAdapter } from './storage';
+
+export { ContentStorageError } from './storage';
+
+// --- Content editor storage ---
+// The /admin editor loads and publishes content through an adapter, picked at
+// build time:
+//   REACT_APP_CONTENT_ADAPTER   file (default) | memory
+//   REACT_APP_CONTENT_SERVER    content server address (default http://localhost:4000)
+//   REACT_APP_ADMIN_PASSWORD    password for the memory adapter (default admin)
+// The memory adapter's password ends up in the bundle, so use it for demos only;
+// the file adapter's password lives with the content server.
+// Tests always use the memory adapter.
+
+const createAdapter = () => {
+  const kind = process.env.NODE_ENV === 'test' ? 'memory' : process.env.REACT_APP_CONTENT_ADAPTER || 'file';
+
+  if (kind === 'memory') {
+    return createMemoryAdapter({ password: process.env.REACT_APP_ADMIN_PASSWORD || 'admin' });
+  }
+  return createFileAdapter(process.env.REACT_APP_CONTENT_SERVER || 'http://localhost:4000');
+};
+
+export const contentStorage = createAdapter();
@@ -0,0 +1,130 @@
+import projectsData from '../content/projects.json';
+import servicesData from '../content/services.json';
+
+// --- Content storage adapters ---
+// Every adapter exposes `signIn(password)`, `load()`, `publish(content)` and
+// `uploadImage(file)`, and rejects with a `ContentStorageError`. `content` is
+// `{ projects, services }` in the shape of the JSON files in src/content/.
+
+export class ContentStorageError extends Error {
+  constructor(message, { status } = {}) {
+    super(message);
+    this.name = 'ContentStorageError';
+    this.status = status;
+  }
+}
+
+const wrongPassword = () => new ContentStorageError('That password isn’t right.', { status: 401 });
+
+const readErrorMessage = async (response) => {
+  try {
+    const body = await response.json();
+    if (body.error) {
+      return body.error;
+    }
+  } catch (error) {
+    // Not JSON; fall through to the generic message.
+  }
+  return `The content server responded with ${response.status}.`;
+};
+
+/**
+ * Talks to the local content server (`npm run content-server`), which checks
+ * the password and writes src/content/*.json and public/uploads/ on this machine.
+ * @param {string} url - The server's address, e.g. `http://localhost:4000`.
+ */
+export const createFileAdapter = (url) => {
+  let token = null;
+
+  const request = async (path, { headers = {}, ...init } = {}) => {
+    let response;
+    try {
+      response = await fetch(`${url}${path}`, {
+        ...init,
+        headers: { ...(token && { Authorization: `Bearer ${token}` }), ...headers },
+      });
+    } catch (error) {
+      throw new ContentStorageError(`Couldn’t reach the content server at ${url}. Is \`npm run content-server\` running?`);
+    }
+
+    if (response.status === 401) {
+      token = null;
+      throw path === '/session' ? wrongPassword() : new ContentStorageError('Your session has ended. Sign in again.', { status: 401 });
+    }
+    if (!response.ok) {
+      throw new ContentStorageError(await readErrorMessage(response), { status: response.status });
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'file',
+    signIn: async (password) => {
+      ({ token } = await request('/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password }),
+      }));
+    },
+    load: () => request('/content'),
+    publish: (content) => request('/content', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(content),
+    }),
+    uploadImage: async (file) => {
+      const { src } = await request(`/uploads?name=${encodeURIComponent(file.name)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        body: file,
+      });
+      return src;
+    },
+  };
+};
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new ContentStorageError(`Couldn’t read ${file.name}.`));
+  reader.readAsDataURL(file);
+});
+
+const copy = (content) => JSON.parse(JSON.stringify(content));
+
+/**
+ * An in-browser stand-in for tests and demos. Starts from the bundled content;
+ * published changes last until the page is reloaded and are kept in `published`.
+ * Uploaded images become data URLs.
+ * @param {object} options
+ * @param {string} options.password - The password `signIn` accepts.
+ * @param {object} options.content - The starting `{ projects, services }`.
+ */
+export const createMemoryAdapter = ({ password = 'admin', content = { projects: projectsData, services: servicesData } } = {}) => {
+  const adapter = { name: 'memory', published: copy(content) };
+  let signedIn = false;
+
+  const requireSignIn = () => {
+    if (!signedIn) throw new ContentStorageError('Sign in first.', { status: 401 });
+  };
+
+  return Object.assign(adapter, {
+    signIn: async (candidate) => {
+      if (candidate !== password) throw wrongPassword();
+      signedIn = true;
+    },
+    load: async () => {
+      requireSignIn();
+      return copy(adapter.published);
+    },
+    publish: async (next) => {
+      requireSignIn();
+      adapter.published = copy(next);
+      return copy(next);
+    },
+    uploadImage: async (file) => {
+      requireSignIn();
+      return readAsDataUrl(file);
+    },
+  });
+};
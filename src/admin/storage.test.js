@@ -0,0 +1,57 @@
+import { createFileAdapter, createMemoryAdapter, ContentStorageError } from './storage';
+
+const content = { projects: [{ slug: 'depot', title: 'Depot' }], services: [] };
+
+const jsonResponse = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('the memory adapter requires the password and keeps what was published', async () => {
+  const storage = createMemoryAdapter({ password: 'secret', content });
+  await expect(storage.load()).rejects.toThrow('Sign in first.');
+  await expect(storage.signIn('guess')).rejects.toMatchObject({ name: 'ContentStorageError', status: 401 });
+
+  await storage.signIn('secret');
+  const loaded = await storage.load();
+  loaded.projects[0].title = 'Changed';
+  expect(storage.published.projects[0].title).toBe('Depot');
+
+  await storage.publish(loaded);
+  expect(storage.published.projects[0].title).toBe('Changed');
+  await expect(storage.uploadImage(new File(['x'], 'a.png', { type: 'image/png' }))).resolves.toMatch(/^data:image\/png;base64,/);
+});
+
+test('the file adapter signs in once and sends its token with each request', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(jsonResponse(200, { token: 'abc' }))
+    .mockResolvedValueOnce(jsonResponse(200, content))
+    .mockResolvedValueOnce(jsonResponse(201, { src: '/uploads/site-photo.jpg' }));
+  const storage = createFileAdapter('http://localhost:4000');
+
+  await storage.signIn('secret');
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ password: 'secret' });
+  await expect(storage.load()).resolves.toEqual(content);
+  expect(global.fetch.mock.calls[1][1].headers).toEqual({ Authorization: 'Bearer abc' });
+
+  const photo = new File(['x'], 'Site Photo.jpg', { type: 'image/jpeg' });
+  await expect(storage.uploadImage(photo)).resolves.toBe('/uploads/site-photo.jpg');
+  expect(global.fetch.mock.calls[2][0]).toBe('http://localhost:4000/uploads?name=Site%20Photo.jpg');
+});
+
+test('the file adapter explains failures', async () => {
+  const storage = createFileAdapter('http://localhost:4000');
+
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  await expect(storage.load()).rejects.toThrow(/Is `npm run content-server` running\?/);
+
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(401, { error: 'Sign in first.' }));
+  await expect(storage.signIn('guess')).rejects.toThrow('That password isn’t right.');
+  await expect(storage.publish(content)).rejects.toThrow('Your session has ended. Sign in again.');
+
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(400, { error: 'Slugs in "projects" must be unique.' }));
+  const error = await storage.publish(content).catch((e) => e);
+  expect(error).toBeInstanceOf(ContentStorageError);
+  expect(error).toMatchObject({ status: 400, message: 'Slugs in "projects" must be unique.' });
+});
@@ -0,0 +1,62 @@
+// --- Analytics consent ---
+// Nothing is sent until the visitor allows it in the consent banner. A browser
+// that sends Do-Not-Track or Global Privacy Control counts as a refusal, and
+// the banner is not shown at all.
+
+const STORAGE_KEY = 'afsc:analytics-consent';
+
+export const consentChoices = ['granted', 'denied'];
+
+/**
+ * Whether the browser asks sites not to track the visitor.
+ * @returns {boolean}
+ */
+export const isDoNotTrack = () => {
+  if (typeof navigator === 'undefined') return false;
+  const signal = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+  return signal === '1' || signal === 'yes' || navigator.globalPrivacyControl === true;
+};
+
+export const loadConsent = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return consentChoices.includes(saved) ? saved : 'pending';
+  } catch (error) {
+    return 'pending';
+  }
+};
+
+export const saveConsent = (choice) => {
+  try {
+    if (choice === 'pending') {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(STORAGE_KEY, choice);
+    }
+  } catch (error) {
+    // Storage disabled; the choice lasts until the page is closed.
+  }
+};
+
+/**
+ * Keeps the visitor's consent choice and tells subscribers when it changes.
+ * @returns {{get: Function, set: Function, subscribe: Function}} - `get()` is
+ *   `granted`, `denied` or `pending`; Do-Not-Track always reads as `denied`.
+ */
+export const createConsentStore = () => {
+  let choice = loadConsent();
+  const listeners = new Set();
+
+  return {
+    get: () => (isDoNotTrack() ? 'denied' : choice),
+    set: (next) => {
+      choice = next;
+      saveConsent(next);
+      listeners.forEach((listener) => listener(next));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
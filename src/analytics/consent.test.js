@@ -0,0 +1,46 @@
+import { createConsentStore, isDoNotTrack } from './consent';
+
+const setDoNotTrack = (value) => {
+  Object.defineProperty(window.navigator, 'doNotTrack', { value, configurable: true });
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  setDoNotTrack(null);
+});
+
+test('starts pending and remembers the choice', () => {
+  const store = createConsentStore();
+  expect(store.get()).toBe('pending');
+
+  store.set('granted');
+  expect(createConsentStore().get()).toBe('granted');
+
+  store.set('pending');
+  expect(createConsentStore().get()).toBe('pending');
+});
+
+test('tells subscribers about changes until they unsubscribe', () => {
+  const store = createConsentStore();
+  const listener = jest.fn();
+  const unsubscribe = store.subscribe(listener);
+
+  store.set('denied');
+  unsubscribe();
+  store.set('granted');
+  expect(listener.mock.calls).toEqual([['denied']]);
+});
+
+test('ignores unknown saved values', () => {
+  localStorage.setItem('afsc:analytics-consent', 'maybe');
+  expect(createConsentStore().get()).toBe('pending');
+});
+
+test('Do-Not-Track reads as a refusal whatever was chosen', () => {
+  const store = createConsentStore();
+  store.set('granted');
+
+  setDoNotTrack('1');
+  expect(isDoNotTrack()).toBe(true);
+  expect(store.get()).toBe('denied');
+});
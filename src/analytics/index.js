@@ -0,0 +1,150 @@
+import { useEffect, useState } from 'react';
+import { createConsentStore, isDoNotTrack } from './consent';
+import { createTracker } from './tracker';
+import { createHttpTransport, createMemoryTransport } from './transports';
+
+// --- Privacy-friendly analytics ---
+// Records Core Web Vitals, page views, call-to-action and project card clicks
+// and form outcomes, and sends them in batches once the visitor has agreed.
+//   REACT_APP_ANALYTICS_ENDPOINT   where batches are posted, e.g. the local
+//                                  sink from `npm run analytics-sink`
+// Without an endpoint nothing is collected and the consent banner stays hidden.
+// Events carry no cookies or visitor ids, and pages are recorded without their
+// query string. Tests always use an in-memory transport.
+
+const createTransport = () => {
+  if (process.env.NODE_ENV === 'test') return createMemoryTransport();
+  const endpoint = process.env.REACT_APP_ANALYTICS_ENDPOINT;
+  return endpoint ? createHttpTransport(endpoint) : null;
+};
+
+export const transport = createTransport();
+
+export const analyticsEnabled = Boolean(transport);
+
+export const consent = createConsentStore();
+
+export const tracker = transport && createTracker({ transport, consent });
+
+// The page the latest page view was for, added to the events that follow it.
+let currentPage = null;
+
+// The last CTA or project card clicked in this tab, so a form outcome can be
+// credited to what led to it. Kept in sessionStorage, which ends with the tab,
+// once the visitor has agreed; until then only in memory.
+const SOURCE_KEY = 'afsc:analytics-source';
+let pendingSource = null;
+
+const storeSource = (source) => {
+  try {
+    if (source) {
+      window.sessionStorage.setItem(SOURCE_KEY, source);
+    } else {
+      window.sessionStorage.removeItem(SOURCE_KEY);
+    }
+  } catch (error) {
+    // Storage disabled; outcomes go uncredited.
+  }
+};
+
+const setSource = (source) => {
+  if (!tracker) return;
+  const choice = consent.get();
+  if (choice === 'granted') {
+    storeSource(source);
+  } else if (choice === 'pending') {
+    pendingSource = source;
+  }
+};
+
+// Agreeing stores the source held so far; refusing forgets it.
+consent.subscribe((choice) => {
+  if (choice === 'granted' && pendingSource) storeSource(pendingSource);
+  if (choice === 'denied') storeSource(null);
+  pendingSource = null;
+});
+
+const readSource = () => {
+  if (pendingSource) return pendingSource;
+  try {
+    return window.sessionStorage.getItem(SOURCE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+const track = (type, data) => tracker?.track(type, data);
+
+/**
+ * Records a page view.
+ * @param {string} page - The path without locale prefix or query string, e.g. `/projects`.
+ * @param {string} locale - The language the page is shown in.
+ */
+export const trackPageView = (page, locale) => {
+  currentPage = page;
+  track('page_view', { page, locale });
+};
+
+/**
+ * Records a Core Web Vitals measurement; pass to `reportWebVitals`.
+ * @param {{name: string, value: number}} metric - From the `web-vitals` package.
+ */
+export const trackWebVital = ({ name, value }) => {
+  // CLS is a small unitless score; the others are milliseconds.
+  track('web_vital', { name, value: Number(value.toFixed(name === 'CLS' ? 4 : 0)), page: currentPage });
+};
+
+/**
+ * Records a call-to-action click.
+ * @param {string} target - Where the CTA leads, e.g. `/quote`.
+ * @param {string} placement - Which CTA it was, e.g. `header` or `hero-vision`.
+ */
+export const trackCtaClick = (target, placement) => {
+  setSource(`cta:${placement}`);
+  track('cta_click', { target, placement, page: currentPage });
+};
+
+/**
+ * Records a click on a project card.
+ * @param {string} slug - The project.
+ * @param {string} placement - Where the card was, e.g. `home` or `projects`.
+ */
+export const trackProjectClick = (slug, placement) => {
+  setSource(`project:${slug}`);
+  track('project_click', { slug, placement, page: currentPage });
+};
+
+/**
+ * Records how a form submission ended, credited to the last CTA or project clicked.
+ * @param {string} form - e.g. `contact`.
+ * @param {string} outcome - `sent`, `queued` or `failed`.
+ */
+export const trackFormSubmission = (form, outcome) => {
+  track('form_submission', { form, outcome, source: readSource(), page: currentPage });
+};
+
+/**
+ * Sends what is waiting whenever the page is hidden or closed; call once when the app boots.
+ */
+export const startAnalytics = () => {
+  if (!tracker) return;
+  const flushOnHide = () => {
+    if (document.visibilityState === 'hidden') tracker.flush({ beacon: true });
+  };
+  document.addEventListener('visibilitychange', flushOnHide);
+  window.addEventListener('pagehide', () => tracker.flush({ beacon: true }));
+};
+
+/**
+ * A custom React hook for the analytics consent choice.
+ * @returns {{choice: string, setChoice: Function, canAsk: boolean}} - The choice
+ *   (`granted`, `denied` or `pending`), a setter, and whether to offer the choice
+ *   at all (analytics is configured and the browser doesn't send Do-Not-Track).
+ */
+export const useAnalyticsConsent = () => {
+  const [choice, setChoiceState] = useState(consent.get);
+
+  useEffect(() => consent.subscribe(() => setChoiceState(consent.get())), []);
+
+  return { choice, setChoice: consent.set, canAsk: analyticsEnabled && !isDoNotTrack() };
+};
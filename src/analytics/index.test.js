@@ -0,0 +1,36 @@
+import { consent, transport, trackCtaClick, trackFormSubmission, tracker } from '.';
+
+const SOURCE_KEY = 'afsc:analytics-source';
+
+const lastEvent = async () => {
+  await tracker.flush();
+  const events = transport.batches.flat();
+  return events[events.length - 1];
+};
+
+afterEach(() => {
+  consent.set('pending');
+  sessionStorage.clear();
+});
+
+test('keeps the click source in memory until the visitor agrees', async () => {
+  trackCtaClick('/quote', 'header');
+  expect(sessionStorage.getItem(SOURCE_KEY)).toBeNull();
+
+  consent.set('granted');
+  expect(sessionStorage.getItem(SOURCE_KEY)).toBe('cta:header');
+  trackFormSubmission('quote', 'sent');
+  expect(await lastEvent()).toMatchObject({ type: 'form_submission', source: 'cta:header' });
+});
+
+test('forgets the click source when the visitor refuses', () => {
+  consent.set('granted');
+  trackCtaClick('/quote', 'header');
+  consent.set('denied');
+  expect(sessionStorage.getItem(SOURCE_KEY)).toBeNull();
+
+  consent.set('pending');
+  trackCtaClick('/contact', 'footer');
+  consent.set('denied');
+  expect(sessionStorage.getItem(SOURCE_KEY)).toBeNull();
+});
@@ -0,0 +1,70 @@
+// --- Event batching ---
+// Events are held in memory and sent in batches: when a batch fills up, after
+// a short delay, or when the page is hidden. While consent is pending they
+// wait in memory (nothing is stored or sent); a refusal discards them.
+
+/**
+ * Creates an event tracker around a transport.
+ * @param {object} options
+ * @param {object} options.transport - Where batches go (see `transports.js`).
+ * @param {object} options.consent - A consent store from `createConsentStore`.
+ * @param {number} options.batchSize - Send as soon as this many events are waiting.
+ * @param {number} options.flushDelay - Otherwise send this many milliseconds after the first one.
+ * @param {number} options.maxPending - Keep at most this many unsent events; the oldest go first.
+ * @param {Function} options.now - Clock, injectable for tests.
+ */
+export const createTracker = ({ transport, consent, batchSize = 10, flushDelay = 5000, maxPending = 100, now = Date.now }) => {
+  let pending = [];
+  let timer = null;
+
+  const cancelTimer = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  const flush = async ({ beacon = false } = {}) => {
+    cancelTimer();
+    if (consent.get() !== 'granted' || pending.length === 0) return;
+
+    const batch = pending;
+    pending = [];
+    try {
+      await transport.send(batch, { beacon });
+    } catch (error) {
+      // Put the batch back in front of anything newer; it goes with the next one.
+      pending = [...batch, ...pending].slice(-maxPending);
+    }
+  };
+
+  const schedule = () => {
+    if (pending.length >= batchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushDelay);
+    }
+  };
+
+  consent.subscribe((choice) => {
+    if (choice === 'granted') {
+      schedule();
+    } else if (choice === 'denied') {
+      cancelTimer();
+      pending = [];
+    }
+  });
+
+  return {
+    /**
+     * Records an event, unless the visitor has refused analytics.
+     * @param {string} type - e.g. `page_view`.
+     * @param {object} data - Event fields; keep them free of personal details.
+     */
+    track: (type, data = {}) => {
+      if (consent.get() === 'denied') return;
+      pending = [...pending, { type, ...data, time: new Date(now()).toISOString() }].slice(-maxPending);
+      if (consent.get() === 'granted') schedule();
+    },
+    flush,
+    pendingCount: () => pending.length,
+  };
+};
@@ -0,0 +1,99 @@
+import { createTracker } from './tracker';
+import { createMemoryTransport } from './transports';
+
+const createConsent = (initial) => {
+  let choice = initial;
+  const listeners = new Set();
+  return {
+    get: () => choice,
+    set: (next) => {
+      choice = next;
+      listeners.forEach((listener) => listener(next));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+const setup = (choice, options = {}) => {
+  const transport = createMemoryTransport();
+  const consent = createConsent(choice);
+  const tracker = createTracker({ transport, consent, batchSize: 3, flushDelay: 1000, now: () => 0, ...options });
+  return { transport, consent, tracker };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('sends a batch once it fills up', async () => {
+  const { transport, tracker } = setup('granted');
+  tracker.track('page_view', { page: '/' });
+  tracker.track('cta_click', { placement: 'header' });
+  expect(transport.batches).toHaveLength(0);
+
+  tracker.track('page_view', { page: '/quote' });
+  await Promise.resolve();
+  expect(transport.batches).toEqual([[
+    { type: 'page_view', page: '/', time: '1970-01-01T00:00:00.000Z' },
+    { type: 'cta_click', placement: 'header', time: '1970-01-01T00:00:00.000Z' },
+    { type: 'page_view', page: '/quote', time: '1970-01-01T00:00:00.000Z' },
+  ]]);
+});
+
+test('sends a part-filled batch after the delay', async () => {
+  const { transport, tracker } = setup('granted');
+  tracker.track('page_view', { page: '/' });
+
+  jest.advanceTimersByTime(1000);
+  await Promise.resolve();
+  expect(transport.batches[0]).toHaveLength(1);
+  expect(tracker.pendingCount()).toBe(0);
+});
+
+test('holds events until consent is given', async () => {
+  const { transport, consent, tracker } = setup('pending');
+  tracker.track('page_view', { page: '/' });
+  await tracker.flush();
+  jest.advanceTimersByTime(5000);
+  expect(transport.batches).toHaveLength(0);
+  expect(tracker.pendingCount()).toBe(1);
+
+  consent.set('granted');
+  jest.advanceTimersByTime(1000);
+  await Promise.resolve();
+  expect(transport.batches[0]).toMatchObject([{ type: 'page_view' }]);
+});
+
+test('drops everything once consent is refused', () => {
+  const { consent, tracker } = setup('pending');
+  tracker.track('page_view', { page: '/' });
+
+  consent.set('denied');
+  expect(tracker.pendingCount()).toBe(0);
+  tracker.track('page_view', { page: '/about' });
+  expect(tracker.pendingCount()).toBe(0);
+});
+
+test('keeps a failed batch for the next send, up to the limit', async () => {
+  const transport = { send: jest.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValue() };
+  const tracker = createTracker({ transport, consent: createConsent('granted'), batchSize: 10, maxPending: 3 });
+  ['/', '/about'].forEach((page) => tracker.track('page_view', { page }));
+
+  await tracker.flush();
+  expect(tracker.pendingCount()).toBe(2);
+
+  ['/projects', '/quote'].forEach((page) => tracker.track('page_view', { page }));
+  expect(tracker.pendingCount()).toBe(3);
+  await tracker.flush({ beacon: true });
+  expect(transport.send).toHaveBeenLastCalledWith(
+    [expect.objectContaining({ page: '/about' }), expect.objectContaining({ page: '/projects' }), expect.objectContaining({ page: '/quote' })],
+    { beacon: true },
+  );
+});
@@ -0,0 +1,44 @@
+// --- Analytics transports ---
+// Every transport exposes `send(events, { beacon })` and returns a promise.
+// `beacon` is set while the page is being hidden or closed, when only
+// `navigator.sendBeacon` (or a keepalive request) is sure to get through.
+
+/**
+ * Posts batches of events as JSON to an HTTP endpoint, such as the local sink
+ * in `scripts/analytics-sink.js`. The body is sent as `text/plain` so that a
+ * cross-origin endpoint needs no preflight request, which beacons can't make.
+ * @param {string} url - The collection endpoint.
+ */
+export const createHttpTransport = (url) => ({
+  name: 'http',
+  send: async (events, { beacon = false } = {}) => {
+    const body = JSON.stringify({ events });
+    if (beacon && typeof navigator !== 'undefined' && navigator.sendBeacon) {
+      if (navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }))) return;
+    }
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body,
+      keepalive: beacon,
+      credentials: 'omit',
+    });
+    if (!response.ok) {
+      throw new Error(`The analytics endpoint responded with ${response.status}.`);
+    }
+  },
+});
+
+/**
+ * Keeps sent batches in memory; used in tests.
+ */
+export const createMemoryTransport = () => {
+  const batches = [];
+  return {
+    name: 'memory',
+    batches,
+    send: async (events) => {
+      batches.push(events);
+    },
+  };
+};
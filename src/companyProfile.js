@@ -0,0 +1,293 @@
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { company, services, projects } from './content';
+import { createI18n } from './i18n';
+import { siteUrl } from './seo';
+import { addressText } from './contactInfo';
+
+// --- Company profile PDF ---
+// Builds the company profile tender submissions ask for from the same content
+// the site shows, so the two never drift apart. The PDF is always in English,
+// the language tenders are filed in. Pages load this module on demand, which
+// keeps pdf-lib out of the main bundle.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_HEIGHT = 40;
+
+export const colors = {
+  band: rgb(17 / 255, 24 / 255, 39 / 255),
+  brand: rgb(245 / 255, 158 / 255, 11 / 255),
+  ink: rgb(17 / 255, 24 / 255, 39 / 255),
+  muted: rgb(75 / 255, 85 / 255, 99 / 255),
+  stripe: rgb(249 / 255, 250 / 255, 251 / 255),
+  white: rgb(1, 1, 1),
+};
+
+// Project table columns and their share of the content width.
+const projectColumns = [
+  { key: 'title', label: 'Project', width: 0.24 },
+  { key: 'client', label: 'Client', width: 0.19 },
+  { key: 'location', label: 'Location', width: 0.19 },
+  { key: 'completed', label: 'Completed', width: 0.13 },
+  { key: 'scope', label: 'Scope of supply', width: 0.25 },
+];
+
+/**
+ * Collects what goes into the profile from the site content, with the same
+ * English wording the site uses.
+ * @returns {{company: object, story: string[], contact: Array<[string, string]>, services: object[], projects: object[]}}
+ */
+export const profileContent = () => {
+  const { t, formatDate } = createI18n('en');
+  return {
+    company,
+    story: [t('about.storyIntro', { year: String(company.founded), company: company.name }), t('about.storyTrust')],
+    contact: [
+      ['GSTIN', company.gstin],
+      ['Address', addressText()],
+      ['Phone', company.phones.join(', ')],
+      ['Email', company.email],
+      ['Website', siteUrl()],
+    ],
+    services: services.map((service) => ({
+      title: t(`services.${service.slug}.title`, { defaultValue: service.title }),
+      description: t(`services.${service.slug}.description`, { defaultValue: service.description }),
+    })),
+    projects: projects.map((project) => ({
+      title: project.title,
+      client: project.client || '—',
+      location: project.location || '—',
+      completed: formatDate(project.completedOn),
+      scope: project.scope.map((line) => line.item).join(', ') || '—',
+    })),
+  };
+};
+
+/**
+ * Breaks text into lines that fit a width, starting a new line at each `\n`.
+ * A word too long for a line on its own is split.
+ * @param {string} text
+ * @param {object} font - A pdf-lib font.
+ * @param {number} size - Font size in points.
+ * @param {number} width - Available width in points.
+ * @returns {string[]}
+ */
+export const wrapText = (text, font, size, width) => {
+  const fits = (line) => font.widthOfTextAtSize(line, size) <= width;
+  return text.split('\n').flatMap((paragraph) => {
+    const lines = [];
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      let rest = word;
+      while (!fits(rest)) {
+        let cut = rest.length - 1;
+        while (cut > 1 && !fits(rest.slice(0, cut))) cut -= 1;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    });
+    lines.push(line);
+    return lines;
+  });
+};
+
+/**
+ * Makes a filter for text drawn in a standard PDF font. Those fonts only cover
+ * Western European characters; anything else would make pdf-lib throw, so it is dropped.
+ * @param {object} font - A pdf-lib font.
+ * @returns {function(string): string}
+ */
+export const printableIn = (font) => {
+  const characters = new Set(font.getCharacterSet());
+  return (text) => [...text.normalize('NFKC')].filter((ch) => characters.has(ch.codePointAt(0))).join('');
+};
+
+/**
+ * Builds the company profile PDF.
+ * @param {object} options
+ * @param {Uint8Array|ArrayBuffer} options.logo - The PNG logo; left out when missing.
+ * @param {Date} options.date - The date printed on the cover.
+ * @returns {Promise<Uint8Array>} - The PDF file.
+ */
+export const createCompanyProfile = async ({ logo, date = new Date() } = {}) => {
+  const content = profileContent();
+  const pdf = await PDFDocument.create();
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  const printable = printableIn(regular);
+
+  let page;
+  let y;
+  const addPage = () => {
+    page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN + FOOTER_HEIGHT) {
+      addPage();
+      return true;
+    }
+    return false;
+  };
+
+  const paragraph = (text, { font = regular, size = 10, color = colors.ink, x = MARGIN, width = CONTENT_WIDTH, gap = 8 } = {}) => {
+    const lineHeight = size * 1.4;
+    wrapText(printable(text), font, size, width).forEach((line) => {
+      ensureSpace(lineHeight);
+      page.drawText(line, { x, y: y - size, size, font, color });
+      y -= lineHeight;
+    });
+    y -= gap;
+  };
+
+  const heading = (text) => {
+    ensureSpace(60);
+    y -= 10;
+    page.drawText(printable(text), { x: MARGIN, y: y - 16, size: 16, font: bold, color: colors.ink });
+    page.drawRectangle({ x: MARGIN, y: y - 24, width: 40, height: 3, color: colors.brand });
+    y -= 38;
+  };
+
+  // Cover band with the logo, name and tagline
+  addPage();
+  const bandHeight = 110;
+  page.drawRectangle({ x: 0, y: PAGE_HEIGHT - bandHeight, width: PAGE_WIDTH, height: bandHeight, color: colors.band });
+  let textX = MARGIN;
+  if (logo) {
+    const image = await pdf.embedPng(logo);
+    const { width, height } = image.scaleToFit(120, 60);
+    page.drawImage(image, { x: MARGIN, y: PAGE_HEIGHT - bandHeight / 2 - height / 2, width, height });
+    textX = MARGIN + width + 16;
+  }
+  page.drawText(printable(content.company.name), { x: textX, y: PAGE_HEIGHT - 52, size: 22, font: bold, color: colors.white });
+  wrapText(printable(content.company.tagline), regular, 10, PAGE_WIDTH - MARGIN - textX).forEach((line, index) => {
+    page.drawText(line, { x: textX, y: PAGE_HEIGHT - 72 - index * 14, size: 10, font: regular, color: colors.brand });
+  });
+  y = PAGE_HEIGHT - bandHeight - 36;
+
+  page.drawText('Company Profile', { x: MARGIN, y: y - 24, size: 26, font: bold, color: colors.ink });
+  y -= 40;
+  const generated = new Intl.DateTimeFormat('en-IN', { day: 'numeric', month: 'long', year: 'numeric' }).format(date);
+  paragraph(`Prepared ${generated} from ${siteUrl()}`, { size: 9, color: colors.muted, gap: 16 });
+
+  heading('About Us');
+  content.story.forEach((text) => paragraph(text));
+
+  heading('Registration and Contact');
+  const labelWidth = 70;
+  content.contact.forEach(([label, value]) => {
+    ensureSpace(14);
+    page.drawText(label, { x: MARGIN, y: y - 10, size: 10, font: bold, color: colors.muted });
+    paragraph(value, { x: MARGIN + labelWidth, width: CONTENT_WIDTH - labelWidth, gap: 4 });
+  });
+
+  heading('Services');
+  content.services.forEach((service) => {
+    ensureSpace(40);
+    page.drawRectangle({ x: MARGIN, y: y - 8, width: 4, height: 4, color: colors.brand });
+    paragraph(service.title, { font: bold, size: 11, x: MARGIN + 12, width: CONTENT_WIDTH - 12, gap: 2 });
+    paragraph(service.description, { color: colors.muted, x: MARGIN + 12, width: CONTENT_WIDTH - 12, gap: 10 });
+  });
+
+  heading('Completed Projects');
+  const columns = projectColumns.reduce((placed, column) => {
+    const x = placed.length ? placed[placed.length - 1].x + placed[placed.length - 1].width : MARGIN;
+    return [...placed, { ...column, x, width: column.width * CONTENT_WIDTH }];
+  }, []);
+  const cellPadding = 5;
+  const cellSize = 8.5;
+  const cellLineHeight = cellSize * 1.35;
+
+  const drawRow = (cells, { font, color, fill }) => {
+    const lines = columns.map((column) => wrapText(printable(cells[column.key]), font, cellSize, column.width - 2 * cellPadding));
+    const height = Math.max(...lines.map((cellLines) => cellLines.length)) * cellLineHeight + 2 * cellPadding;
+    if (fill) {
+      page.drawRectangle({ x: MARGIN, y: y - height, width: CONTENT_WIDTH, height, color: fill });
+    }
+    columns.forEach((column, index) => {
+      lines[index].forEach((line, lineIndex) => {
+        page.drawText(line, { x: column.x + cellPadding, y: y - cellPadding - cellSize - lineIndex * cellLineHeight, size: cellSize, font, color });
+      });
+    });
+    y -= height;
+  };
+  const headerCells = Object.fromEntries(projectColumns.map(({ key, label }) => [key, label]));
+  const drawHeader = () => drawRow(headerCells, { font: bold, color: colors.white, fill: colors.band });
+
+  drawHeader();
+  content.projects.forEach((project, index) => {
+    const lineCount = Math.max(...columns.map((column) => wrapText(printable(project[column.key]), regular, cellSize, column.width - 2 * cellPadding).length));
+    // Start a new page, with the header repeated, rather than split a row.
+    if (ensureSpace(lineCount * cellLineHeight + 2 * cellPadding)) {
+      drawHeader();
+    }
+    drawRow(project, { font: regular, color: colors.ink, fill: index % 2 ? colors.stripe : null });
+  });
+
+  // Footer on every page
+  const pages = pdf.getPages();
+  pages.forEach((footerPage, index) => {
+    footerPage.drawLine({ start: { x: MARGIN, y: MARGIN + 14 }, end: { x: PAGE_WIDTH - MARGIN, y: MARGIN + 14 }, thickness: 0.5, color: colors.muted });
+    footerPage.drawText(printable(`${content.company.name} · GSTIN ${content.company.gstin}`), { x: MARGIN, y: MARGIN, size: 8, font: regular, color: colors.muted });
+    const pageLabel = `Page ${index + 1} of ${pages.length}`;
+    footerPage.drawText(pageLabel, { x: PAGE_WIDTH - MARGIN - regular.widthOfTextAtSize(pageLabel, 8), y: MARGIN, size: 8, font: regular, color: colors.muted });
+  });
+
+  pdf.setTitle(`${printable(content.company.name)} - Company Profile`);
+  pdf.setAuthor(printable(content.company.name));
+  pdf.setSubject('Company profile and capability statement');
+  pdf.setCreator(siteUrl());
+  pdf.setCreationDate(date);
+  return pdf.save();
+};
+
+/**
+ * The file name the profile downloads as, e.g. `AF-Skyhigh-Construction-Company-Profile.pdf`.
+ * @returns {string}
+ */
+export const profileFileName = () => `${company.name.replace(/[^A-Za-z0-9]+/g, '-')}-Company-Profile.pdf`;
+
+const loadLogo = async () => {
+  try {
+    const response = await fetch('/logo.png');
+    return response.ok ? await response.arrayBuffer() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Hands a generated PDF to the browser as a download.
+ * @param {Uint8Array} bytes - The PDF file.
+ * @param {string} fileName - The name it is saved under.
+ */
+export const downloadPdf = (bytes, fileName) => {
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the file.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Builds the profile and hands it to the browser as a download.
+ * @returns {Promise<void>}
+ */
+export const downloadCompanyProfile = async () => {
+  downloadPdf(await createCompanyProfile({ logo: await loadLogo() }), profileFileName());
+};
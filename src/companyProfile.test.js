@@ -0,0 +1,50 @@
+import { PDFDocument } from 'pdf-lib';
+import { profileContent, wrapText, createCompanyProfile, downloadCompanyProfile } from './companyProfile';
+import { services, projects } from './content';
+
+// Every character is half the font size wide.
+const fakeFont = { widthOfTextAtSize: (text, size) => text.length * size * 0.5 };
+
+test('takes the profile from the site content', () => {
+  const content = profileContent();
+  expect(content.story[0]).toMatch(/^Founded in 2025, AF Skyhigh Construction began/);
+  expect(content.contact).toContainEqual(['GSTIN', '27ABCCA9829P1ZW']);
+  expect(content.services).toHaveLength(services.length);
+  expect(content.services[0].title).toBe('Government Tender Expertise');
+  expect(content.projects).toHaveLength(projects.length);
+  expect(content.projects.find((project) => project.title === 'Byculla Railways')).toMatchObject({
+    client: 'Central Railway, Byculla',
+    completed: 'September 2025',
+    scope: 'Telecom wires, CCTV systems, Inverters, Associated units',
+  });
+});
+
+test('wraps text to the width and splits words that cannot fit', () => {
+  expect(wrapText('steel rods and wiring', fakeFont, 10, 40)).toEqual(['steel', 'rods and', 'wiring']);
+  expect(wrapText('first\nsecond', fakeFont, 10, 100)).toEqual(['first', 'second']);
+  expect(wrapText('TF-S01-Darshani', fakeFont, 10, 30)).toEqual(['TF-S01', '-Darsh', 'ani']);
+});
+
+test('builds a titled PDF', async () => {
+  const bytes = await createCompanyProfile({ date: new Date('2026-01-15') });
+  const pdf = await PDFDocument.load(bytes);
+  expect(pdf.getPageCount()).toBeGreaterThanOrEqual(2);
+  expect(pdf.getTitle()).toBe('AF Skyhigh Construction - Company Profile');
+});
+
+test('downloads the profile as a named PDF file', async () => {
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('offline'));
+  URL.createObjectURL = jest.fn(() => 'blob:profile');
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function record() {
+    expect(this).toHaveAttribute('download', 'AF-Skyhigh-Construction-Company-Profile.pdf');
+    expect(this).toHaveAttribute('href', 'blob:profile');
+  });
+
+  await downloadCompanyProfile();
+  expect(click).toHaveBeenCalled();
+  expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/pdf');
+
+  click.mockRestore();
+  delete global.fetch;
+});
@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { ImagePlus, Plus, Trash2 } from 'lucide-react';
+import { serviceIconNames, serviceIcon } from '../content';
+import { scopeUnits, slugify, emptyScopeLine, hasTranslatedCopy } from '../admin/editing';
+import { districtForLocation } from '../map';
+
+const inputClass = (hasError) =>
+  `w-full border-2 rounded-md p-3 bg-surface text-ink focus:ring-2 focus:ring-brand focus:border-brand transition ${hasError ? 'border-red-500' : 'border-line'}`;
+
+// The contact page map places projects by the district named in their location
+const locationHint = (location) => {
+  const district = districtForLocation(location);
+  return district ? `Shown on the contact page map in ${district.name}.` : 'Name the town or district, e.g. "Byculla, Mumbai", to show it on the contact page map.';
+};
+
+const FieldError = ({ id, message }) => (message ? <p id={id} className="text-red-600 dark:text-red-400 text-sm mt-2">{message}</p> : null);
+
+// Labelled input or textarea wired up to the form's error map
+export const TextField = ({ id, label, value, onChange, error, hint, multiline = false, optional = false, ...rest }) => {
+  const Control = multiline ? 'textarea' : 'input';
+  const describedBy = [hint && `${id}-hint`, error && `${id}-error`].filter(Boolean).join(' ');
+  return (
+    <div>
+      <label htmlFor={id} className="block text-ink-body font-medium mb-2">
+        {label} {optional && <span className="text-ink-subtle font-normal">(optional)</span>}
+      </label>
+      <Control
+        id={id}
+        name={id}
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        aria-invalid={Boolean(error)}
+        aria-describedby={describedBy || undefined}
+        className={inputClass(error)}
+        {...(multiline ? { rows: 4 } : { type: 'text' })}
+        {...rest}
+      />
+      {hint && <p id={`${id}-hint`} className="text-ink-muted text-sm mt-1">{hint}</p>}
+      <FieldError id={`${id}-error`} message={error} />
+    </div>
+  );
+};
+
+const FeaturedField = ({ id, checked, onChange, hint }) => (
+  <label htmlFor={id} className="flex items-start gap-3 cursor-pointer">
+    <input id={id} type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} className="mt-1 w-5 h-5 accent-brand" />
+    <span>
+      <span className="block text-ink-body font-medium">Featured</span>
+      <span className="block text-ink-muted text-sm">{hint}</span>
+    </span>
+  </label>
+);
+
+// A file picker that uploads straight away and hands back the stored image's address
+const ImageUpload = ({ id, label, onUpload, uploadImage }) => {
+  const [state, setState] = useState({ busy: false, error: null });
+
+  const handleChange = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      setState({ busy: false, error: `${file.name} isn’t an image.` });
+      return;
+    }
+    setState({ busy: true, error: null });
+    try {
+      onUpload(await uploadImage(file));
+      setState({ busy: false, error: null });
+    } catch (error) {
+      setState({ busy: false, error: error.message });
+    }
+  };
+
+  return (
+    <div>
+      <label htmlFor={id} className="inline-flex items-center gap-2 border-2 border-dashed border-line rounded-md px-4 py-2 cursor-pointer text-brand-strong font-semibold hover:border-brand transition focus-within:ring-2 focus-within:ring-brand">
+        <ImagePlus size={20} /> {state.busy ? 'Uploading…' : label}
+        <input id={id} type="file" accept="image/jpeg,image/png,image/webp" onChange={handleChange} disabled={state.busy} className="sr-only" />
+      </label>
+      <FieldError id={`${id}-error`} message={state.error} />
+    </div>
+  );
+};
+
+// Keeps the slug following the title until someone edits the slug by hand
+const useSlugFollowsTitle = (item, onChange) => {
+  const [follows, setFollows] = useState(item.slug === '' || item.slug === slugify(item.title));
+  return {
+    setTitle: (title) => onChange(follows ? { title, slug: slugify(title) } : { title }),
+    setSlug: (slug) => {
+      setFollows(false);
+      onChange({ slug });
+    },
+  };
+};
+
+// Fields for one project, in the shape of src/content/projects.json
+export const ProjectFields = ({ project, errors, onChange, uploadImage }) => {
+  const { setTitle, setSlug } = useSlugFollowsTitle(project, onChange);
+
+  const updateImage = (index, changes) =>
+    onChange({ images: project.images.map((image, i) => (i === index ? { ...image, ...changes } : image)) });
+  const updateScope = (index, changes) =>
+    onChange({ scope: project.scope.map((line, i) => (i === index ? { ...line, ...changes } : line)) });
+
+  return (
+    <div className="space-y-6">
+      <div className="grid sm:grid-cols-2 gap-6">
+        <TextField id="project-title" label="Title" value={project.title} onChange={setTitle} error={errors.title} />
+        <TextField id="project-slug" label="Slug" value={project.slug} onChange={setSlug} error={errors.slug} hint={`Page address: /projects/${project.slug || '…'}`} />
+        <TextField id="project-category" label="Category" value={project.category} onChange={(category) => onChange({ category })} error={errors.category} />
+        <TextField id="project-client-type" label="Client type" value={project.clientType} onChange={(clientType) => onChange({ clientType })} error={errors.clientType} />
+        <TextField id="project-client" label="Client" optional value={project.client} onChange={(client) => onChange({ client })} />
+        <TextField id="project-location" label="Location" optional value={project.location} onChange={(location) => onChange({ location })} hint={locationHint(project.location)} />
+        <TextField id="project-completed-on" label="Completed on" type="date" value={project.completedOn} onChange={(completedOn) => onChange({ completedOn })} error={errors.completedOn} />
+        <TextField id="project-tender-ref" label="Tender reference" optional value={project.tenderRef} onChange={(tenderRef) => onChange({ tenderRef })} />
+      </div>
+      <TextField id="project-describe" label="Description" multiline value={project.describe} onChange={(describe) => onChange({ describe })} error={errors.describe} />
+
+      <fieldset className="space-y-3">
+        <legend className="block text-ink-body font-medium mb-2">Cover image</legend>
+        {project.imgSrc && <img src={project.imgSrc} alt="" className="w-48 aspect-[4/3] object-cover rounded-md border border-line" />}
+        <div className="flex flex-wrap items-start gap-4">
+          <ImageUpload id="project-cover-upload" label="Upload cover" uploadImage={uploadImage} onUpload={(imgSrc) => onChange({ imgSrc })} />
+          <div className="flex-1 min-w-[16rem]">
+            <TextField id="project-img-src" label="or image address" value={project.imgSrc} onChange={(imgSrc) => onChange({ imgSrc })} error={errors.imgSrc} />
+          </div>
+        </div>
+      </fieldset>
+
+      <fieldset className="space-y-4">
+        <legend className="block text-ink-body font-medium mb-2">Gallery</legend>
+        {project.images.map((image, index) => (
+          <div key={`${image.src}-${index}`} className="flex items-start gap-4">
+            <img src={image.src} alt="" className="w-24 aspect-square object-cover rounded-md border border-line shrink-0" />
+            <div className="flex-1">
+              <TextField id={`project-image-${index}-alt`} label={`Photo ${index + 1} description`} value={image.alt} onChange={(alt) => updateImage(index, { alt })} error={errors[`images.${index}.alt`]} />
+            </div>
+            <button type="button" onClick={() => onChange({ images: project.images.filter((_, i) => i !== index) })} className="p-2 mt-8 text-ink-muted hover:text-red-600 transition" aria-label={`Remove photo ${index + 1}`}>
+              <Trash2 size={20} />
+            </button>
+          </div>
+        ))}
+        <ImageUpload id="project-gallery-upload" label="Add photo" uploadImage={uploadImage} onUpload={(src) => onChange({ images: [...project.images, { src, alt: '' }] })} />
+      </fieldset>
+
+      <fieldset className="space-y-4">
+        <legend className="block text-ink-body font-medium mb-2">Scope of work</legend>
+        {project.scope.map((line, index) => (
+          <div key={index} className="grid grid-cols-12 gap-3 items-start">
+            <div className="col-span-12 sm:col-span-6">
+              <TextField id={`project-scope-${index}-item`} label="Item" value={line.item} onChange={(item) => updateScope(index, { item })} error={errors[`scope.${index}.item`]} />
+            </div>
+            <div className="col-span-5 sm:col-span-2">
+              <TextField id={`project-scope-${index}-quantity`} label="Qty" type="number" min="0" step="any" value={line.quantity} onChange={(quantity) => updateScope(index, { quantity })} error={errors[`scope.${index}.quantity`]} />
+            </div>
+            <div className="col-span-5 sm:col-span-3">
+              <label htmlFor={`project-scope-${index}-unit`} className="block text-ink-body font-medium mb-2">Unit</label>
+              <select id={`project-scope-${index}-unit`} value={line.unit} onChange={(e) => updateScope(index, { unit: e.target.value })} className={inputClass(false)}>
+                {scopeUnits.map((unit) => <option key={unit} value={unit}>{unit}</option>)}
+              </select>
+            </div>
+            <div className="col-span-2 sm:col-span-1 pt-9">
+              <button type="button" onClick={() => onChange({ scope: project.scope.filter((_, i) => i !== index) })} className="p-2 text-ink-muted hover:text-red-600 transition" aria-label={`Remove scope line ${index + 1}`}>
+                <Trash2 size={20} />
+              </button>
+            </div>
+          </div>
+        ))}
+        <button type="button" onClick={() => onChange({ scope: [...project.scope, emptyScopeLine()] })} className="inline-flex items-center text-brand-strong font-semibold hover:text-brand-deep transition">
+          <Plus className="mr-1" size={20} /> Add scope line
+        </button>
+      </fieldset>
+
+      <FeaturedField id="project-featured" checked={project.featured} onChange={(featured) => onChange({ featured })} hint="Show this project on the home page." />
+    </div>
+  );
+};
+
+// Fields for one service, in the shape of src/content/services.json
+export const ServiceFields = ({ service, errors, onChange }) => {
+  const { setTitle, setSlug } = useSlugFollowsTitle(service, onChange);
+  const Icon = serviceIcon(service.icon);
+
+  return (
+    <div className="space-y-6">
+      {hasTranslatedCopy(service.slug) && (
+        <p className="bg-brand-subtle text-ink-body p-4 rounded-md">
+          This service’s title and description are translated, so the site shows the wording from src/i18n/messages. Ask a developer to update the translations when you change them here.
+        </p>
+      )}
+      <div className="grid sm:grid-cols-2 gap-6">
+        <TextField id="service-title" label="Title" value={service.title} onChange={setTitle} error={errors.title} />
+        <TextField id="service-slug" label="Slug" value={service.slug} onChange={setSlug} error={errors.slug} />
+      </div>
+      <div>
+        <label htmlFor="service-icon" className="block text-ink-body font-medium mb-2">Icon</label>
+        <div className="flex items-center gap-4">
+          <select id="service-icon" value={service.icon} onChange={(e) => onChange({ icon: e.target.value })} className={inputClass(errors.icon)}>
+            {serviceIconNames.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <Icon className="text-brand shrink-0" size={32} aria-hidden="true" />
+        </div>
+        <FieldError id="service-icon-error" message={errors.icon} />
+      </div>
+      <TextField id="service-description" label="Description" multiline value={service.description} onChange={(description) => onChange({ description })} error={errors.description} />
+      <FeaturedField id="service-featured" checked={service.featured} onChange={(featured) => onChange({ featured })} hint="Show this service on the home page." />
+    </div>
+  );
+};
@@ -0,0 +1,120 @@
+import React, { useMemo, useState } from 'react';
+import { company, projects } from '../content';
+import { mapSize, outlinePath, districts, project as toMap, districtForLocation, coverageByDistrict } from '../map';
+import { pathFor, Link } from '../router';
+import { useI18n } from '../i18n';
+
+/**
+ * An offline map of Maharashtra with the office pin and the districts we have
+ * carried out projects in. Each covered district is a button: hovering or
+ * focusing it names the district, and choosing it lists its projects below.
+ * @param {object} props
+ * @param {Function} props.navigateTo - The app's navigate function, for project links.
+ */
+const CoverageMap = ({ navigateTo }) => {
+  const { t, formatNumber } = useI18n();
+  const coverage = useMemo(() => coverageByDistrict(projects), []);
+  const office = toMap(company.geo.lat, company.geo.lng);
+  const [hovered, setHovered] = useState(null);
+  // Start on the office's own district when we have worked there
+  const [selected, setSelected] = useState(() => {
+    const home = districtForLocation(company.address.locality);
+    return coverage.find(({ district }) => district === home)?.district.name ?? coverage[0]?.district.name ?? null;
+  });
+
+  const covered = new Set(coverage.map(({ district }) => district.name));
+  const selectedCoverage = coverage.find(({ district }) => district.name === selected);
+  const highlighted = coverage.find(({ district }) => district.name === hovered);
+  const projectCount = (count) => t('contact.map.projects', { count: formatNumber(count) });
+
+  const handleKeyDown = (name) => (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      setSelected(name);
+    }
+  };
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${mapSize.width} ${mapSize.height}`} className="w-full h-auto" role="group" aria-labelledby="coverage-map-title">
+        <title id="coverage-map-title">{t('contact.map.label')}</title>
+        <path d={outlinePath} className="fill-surface-muted stroke-line" strokeWidth="2" strokeLinejoin="round" />
+        {districts.filter((district) => !covered.has(district.name)).map((district) => (
+          <circle key={district.name} cx={district.x} cy={district.y} r="4" className="fill-line" aria-hidden="true" />
+        ))}
+        {coverage.map(({ district, projects: districtProjects }) => (
+          <g
+            key={district.name}
+            role="button"
+            tabIndex={0}
+            aria-label={`${district.name}: ${projectCount(districtProjects.length)}`}
+            aria-pressed={district.name === selected}
+            onClick={() => setSelected(district.name)}
+            onKeyDown={handleKeyDown(district.name)}
+            onMouseEnter={() => setHovered(district.name)}
+            onMouseLeave={() => setHovered(null)}
+            onFocus={() => setHovered(district.name)}
+            onBlur={() => setHovered(null)}
+            className="cursor-pointer focus:outline-none group"
+          >
+            <circle cx={district.x} cy={district.y} r="26" className="fill-brand opacity-20" />
+            <circle
+              cx={district.x}
+              cy={district.y}
+              r="12"
+              className={`stroke-surface-raised group-focus:stroke-ink ${district.name === selected ? 'fill-brand-strong' : 'fill-brand'}`}
+              strokeWidth="3"
+            />
+          </g>
+        ))}
+        <g aria-hidden="true" transform={`translate(${office.x} ${office.y})`}>
+          <path d="M0 0 C-6 -12 -14 -18 -14 -28 A14 14 0 1 1 14 -28 C14 -18 6 -12 0 0 Z" className="fill-red-600 stroke-surface-raised" strokeWidth="2" />
+          <circle cy="-28" r="5" className="fill-surface-raised" />
+        </g>
+        {highlighted && (
+          <text
+            x={highlighted.district.x}
+            y={highlighted.district.y + 44}
+            textAnchor="middle"
+            className="fill-ink text-2xl font-semibold stroke-surface-raised"
+            strokeWidth="6"
+            paintOrder="stroke"
+            aria-hidden="true"
+          >
+            {highlighted.district.name}
+          </text>
+        )}
+      </svg>
+
+      <ul className="flex flex-wrap gap-x-6 gap-y-2 text-sm text-ink-muted mt-4" aria-label={t('contact.map.legend')}>
+        <li className="flex items-center gap-2"><span className="w-3 h-3 rounded-full bg-red-600" aria-hidden="true"></span>{t('contact.map.office')}</li>
+        <li className="flex items-center gap-2"><span className="w-3 h-3 rounded-full bg-brand" aria-hidden="true"></span>{t('contact.map.covered')}</li>
+        <li className="flex items-center gap-2"><span className="w-3 h-3 rounded-full bg-line" aria-hidden="true"></span>{t('contact.map.otherDistrict')}</li>
+      </ul>
+      <p className="text-xs text-ink-subtle mt-2">{t('contact.map.simplified')}</p>
+
+      <div className="mt-6" aria-live="polite">
+        {selectedCoverage ? (
+          <>
+            <h3 className="font-semibold text-lg">
+              {selectedCoverage.district.name} <span className="text-ink-muted font-normal">· {projectCount(selectedCoverage.projects.length)}</span>
+            </h3>
+            <ul className="mt-2 space-y-1">
+              {selectedCoverage.projects.map((item) => (
+                <li key={item.slug}>
+                  <Link to={pathFor('project', { slug: item.slug })} navigateTo={navigateTo} className="text-brand-strong hover:text-brand-deep transition">
+                    {item.title}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <p className="text-ink-muted">{t('contact.map.selectHint')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CoverageMap;
@@ -0,0 +1,25 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import CoverageMap from './CoverageMap';
+
+test('highlights covered districts and lists the projects of the one chosen', () => {
+  render(<CoverageMap navigateTo={jest.fn()} />);
+  expect(screen.getByRole('group', { name: /Map of Maharashtra/ })).toBeInTheDocument();
+
+  const mumbai = screen.getByRole('button', { name: 'Mumbai City: Completed projects: 2' });
+  const nagpur = screen.getByRole('button', { name: 'Nagpur: Completed projects: 2' });
+  expect(screen.getAllByRole('button')).toHaveLength(2);
+  // The office's district is chosen to begin with
+  expect(nagpur).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByRole('heading', { name: /Nagpur/ })).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: 'Byculla Railways' })).toBeNull();
+
+  fireEvent.keyDown(mumbai, { key: 'Enter' });
+  expect(mumbai).toHaveAttribute('aria-pressed', 'true');
+  expect(nagpur).toHaveAttribute('aria-pressed', 'false');
+  expect(screen.getByRole('link', { name: 'Byculla Railways' })).toHaveAttribute('href', '/projects/byculla-railways');
+
+  fireEvent.focus(mumbai);
+  expect(screen.getByText('Mumbai City', { selector: 'text' })).toBeInTheDocument();
+  fireEvent.blur(mumbai);
+  expect(screen.queryByText('Mumbai City', { selector: 'text' })).toBeNull();
+});
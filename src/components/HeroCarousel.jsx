@@ -0,0 +1,113 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronLeft, ChevronRight, Pause, Play } from 'lucide-react';
+import { useI18n } from '../i18n';
+import { useCarousel, useParallax, usePrefersReducedMotion } from '../hooks';
+import { MotionDiv, CTAButton, ResponsiveImage } from './ui';
+
+const controlClass = 'p-3 rounded-full bg-gray-900/50 text-white hover:bg-gray-900/70 focus:outline-none focus:ring-2 focus:ring-amber-400 transition';
+
+/**
+ * A full-height carousel for the top of a page, following the WAI-ARIA carousel pattern.
+ * Rotation pauses while the pointer or keyboard focus is inside, and is off by default
+ * for users who prefer reduced motion. Slides whose image fails to load are left out.
+ * The first image loads ahead of the rest, each at the size and format the screen needs.
+ * @param {object} props
+ * @param {Array<{image: string, alt: string, title: string, highlight?: string, text?: string, cta?: {text: string, onClick?: Function, to?: string, navigateTo?: Function, trackAs?: string}}>} props.slides
+ *   A call-to-action with `to` renders as a link to that page.
+ * @param {string} props.label - Accessible name for the carousel.
+ * @param {number} props.interval - Milliseconds each slide stays up while rotating.
+ * @param {number} props.parallax - Parallax speed for the background images; 0 for none.
+ */
+const HeroCarousel = ({ slides, label, interval = 5000, parallax = 0 }) => {
+  const { t } = useI18n();
+  const reducedMotion = usePrefersReducedMotion();
+  const [imageStatus, setImageStatus] = useState(() => slides.map(() => 'loading'));
+  const settle = (index, status) => setImageStatus((current) => current.map((value, i) => (i === index ? status : value)));
+  const parallaxRef = useParallax(parallax);
+
+  // Slides rotate once their image has decoded. Until one has, the first slide
+  // that hasn't failed shows its caption over the plain background.
+  const ready = useMemo(() => imageStatus.flatMap((status, index) => (status === 'loaded' ? [index] : [])), [imageStatus]);
+  const firstUsable = Math.max(imageStatus.findIndex((status) => status !== 'error'), 0);
+  const { active: readyActive, go, select, isPaused, isRotating, togglePaused, containerProps } = useCarousel(ready, interval);
+  const active = readyActive ?? firstUsable;
+  const slide = slides[active];
+
+  return (
+    <section
+      aria-roledescription="carousel"
+      aria-label={label}
+      className="relative h-screen w-full flex items-center overflow-hidden bg-gray-900"
+      {...containerProps}
+    >
+      {/* Background images share one parallax layer; each stays hidden until it has loaded */}
+      <div ref={parallaxRef} className="absolute inset-0" aria-hidden="true">
+        {slides.map(({ image }, index) => (index === 0 || imageStatus[0] !== 'loading') && imageStatus[index] !== 'error' && (
+          <ResponsiveImage
+            key={image}
+            src={image}
+            alt=""
+            fetchpriority={index === 0 ? 'high' : undefined}
+            onLoad={() => settle(index, 'loaded')}
+            onError={() => settle(index, 'error')}
+            className={`hero-background-image w-full h-full object-cover ${reducedMotion ? '' : 'transition-opacity duration-1000 ease-in-out'}`}
+            style={{ opacity: index === active && imageStatus[index] === 'loaded' ? 1 : 0 }}
+          />
+        ))}
+      </div>
+      <div className="absolute inset-0 bg-gray-900/70"></div>
+
+      {/* Controls come first so keyboard users reach the pause button before the moving content */}
+      {ready.length > 1 && (
+        <>
+          <div className="absolute bottom-8 left-0 right-0 flex justify-center items-center gap-3 z-20">
+            <button
+              type="button"
+              onClick={togglePaused}
+              className={controlClass}
+              aria-label={isPaused ? t('carousel.play') : t('carousel.pause')}
+            >
+              {isPaused ? <Play size={18} aria-hidden="true" /> : <Pause size={18} aria-hidden="true" />}
+            </button>
+            {ready.map((index, position) => (
+              <button
+                key={index}
+                type="button"
+                onClick={() => select(index)}
+                aria-label={t('carousel.goTo', { number: position + 1 })}
+                aria-current={index === active ? 'true' : undefined}
+                className={`w-3 h-3 rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-amber-400 ${index === active ? 'bg-amber-400' : 'bg-white/50 hover:bg-white/80'}`}
+              ></button>
+            ))}
+          </div>
+          <button type="button" onClick={() => go(-1)} className={`absolute left-6 top-1/2 -translate-y-1/2 z-20 ${controlClass}`} aria-label={t('carousel.previous')}>
+            <ChevronLeft size={24} aria-hidden="true" />
+          </button>
+          <button type="button" onClick={() => go(1)} className={`absolute right-6 top-1/2 -translate-y-1/2 z-20 ${controlClass}`} aria-label={t('carousel.next')}>
+            <ChevronRight size={24} aria-hidden="true" />
+          </button>
+        </>
+      )}
+
+      {/* Announce slide changes only when the user caused them */}
+      <div className="container mx-auto px-6 text-center text-white z-10 py-20" aria-live={isRotating ? 'off' : 'polite'}>
+        <div
+          role="group"
+          aria-roledescription="slide"
+          aria-label={t('carousel.slideLabel', { number: Math.max(ready.indexOf(active), 0) + 1, total: Math.max(ready.length, 1) })}
+        >
+          <span role="img" aria-label={slide.alt}></span>
+          <MotionDiv key={active}>
+            <h2 className="text-5xl md:text-7xl font-extrabold leading-tight mb-4">
+              {slide.title} {slide.highlight && <span className="text-amber-400">{slide.highlight}</span>}
+            </h2>
+            {slide.text && <p className="text-lg md:text-xl text-gray-200 mb-8 max-w-4xl mx-auto">{slide.text}</p>}
+            {slide.cta && <CTAButton {...slide.cta} />}
+          </MotionDiv>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default HeroCarousel;
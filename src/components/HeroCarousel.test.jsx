@@ -0,0 +1,110 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import HeroCarousel from './HeroCarousel';
+
+const slides = [
+  { image: '/one.jpg', alt: 'Site overview', title: 'First slide', cta: { text: 'Get a Quote', onClick: jest.fn() } },
+  { image: '/missing.jpg', alt: 'Missing', title: 'Broken slide' },
+  { image: '/three.jpg', alt: 'Wiring', title: 'Third slide' },
+];
+
+// Images load or fail by file name, so each test controls which slides are usable.
+const backgrounds = () => screen.queryAllByRole('img', { hidden: true, name: '' });
+const settleImages = () => backgrounds().forEach((image) => {
+  if (image.getAttribute('src').includes('missing')) {
+    fireEvent.error(image);
+  } else {
+    fireEvent.load(image);
+  }
+});
+
+const renderLoaded = async (props = {}) => {
+  const view = render(<HeroCarousel slides={slides} label="Highlights" {...props} />);
+  // The first image, then the rest once it is in.
+  settleImages();
+  settleImages();
+  return view;
+};
+
+const slide = () => screen.getByRole('group');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+afterEach(() => {
+  jest.useRealTimers();
+  delete window.matchMedia;
+});
+
+test('skips slides whose image is missing', async () => {
+  await renderLoaded();
+  expect(screen.getByRole('region', { name: 'Highlights' })).toHaveAttribute('aria-roledescription', 'carousel');
+  expect(screen.getAllByRole('button', { name: /Go to slide/ })).toHaveLength(2);
+  expect(slide()).toHaveAccessibleName('1 of 2');
+  expect(slide()).toHaveAttribute('aria-roledescription', 'slide');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Next slide' }));
+  expect(screen.getByText('Third slide')).toBeInTheDocument();
+  expect(screen.queryByText('Broken slide')).not.toBeInTheDocument();
+});
+
+test('loads the first image before the rest', () => {
+  render(<HeroCarousel slides={slides} label="Highlights" />);
+  expect(backgrounds()).toHaveLength(1);
+  expect(screen.queryByRole('button', { name: /Go to slide/ })).not.toBeInTheDocument();
+
+  settleImages();
+  expect(backgrounds()).toHaveLength(3);
+});
+
+test('moves with the arrow keys and touch swipes', async () => {
+  await renderLoaded();
+  const carousel = screen.getByRole('region');
+
+  fireEvent.keyDown(carousel, { key: 'ArrowLeft' });
+  expect(slide()).toHaveAccessibleName('2 of 2');
+
+  fireEvent.touchStart(carousel, { touches: [{ clientX: 300 }] });
+  fireEvent.touchEnd(carousel, { changedTouches: [{ clientX: 100 }] });
+  expect(slide()).toHaveAccessibleName('1 of 2');
+});
+
+test('moves with the previous and next buttons', async () => {
+  await renderLoaded();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Next slide' }));
+  expect(slide()).toHaveAccessibleName('2 of 2');
+  expect(screen.getByRole('heading', { name: 'Third slide' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Next slide' }));
+  expect(slide()).toHaveAccessibleName('1 of 2');
+  fireEvent.click(screen.getByRole('button', { name: 'Previous slide' }));
+  expect(slide()).toHaveAccessibleName('2 of 2');
+  fireEvent.click(screen.getByRole('button', { name: 'Go to slide 1' }));
+  expect(screen.getByRole('heading', { name: 'First slide' })).toBeInTheDocument();
+});
+
+test('rotates until paused, and pauses while hovered', async () => {
+  await renderLoaded();
+  const carousel = screen.getByRole('region');
+
+  act(() => jest.advanceTimersByTime(5000));
+  expect(slide()).toHaveAccessibleName('2 of 2');
+
+  fireEvent.mouseEnter(carousel);
+  act(() => jest.advanceTimersByTime(5000));
+  expect(slide()).toHaveAccessibleName('2 of 2');
+  fireEvent.mouseLeave(carousel);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pause slideshow' }));
+  act(() => jest.advanceTimersByTime(10000));
+  expect(slide()).toHaveAccessibleName('2 of 2');
+});
+
+test('starts paused when the user prefers reduced motion', async () => {
+  window.matchMedia = () => ({ matches: true, addEventListener() {}, removeEventListener() {} });
+  await renderLoaded();
+
+  expect(screen.getByRole('button', { name: 'Play slideshow' })).toBeInTheDocument();
+  act(() => jest.advanceTimersByTime(10000));
+  expect(slide()).toHaveAccessibleName('1 of 2');
+});
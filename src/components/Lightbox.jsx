@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, ChevronLeft, ChevronRight, ZoomIn, ZoomOut } from 'lucide-react';
+import { ResponsiveImage } from './ui';
+import { useI18n } from '../i18n';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 0.5;
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+/**
+ * A full-screen, keyboard-accessible image viewer.
+ * Arrow keys move between images, `+`/`-`/`0` zoom, Escape closes, and focus
+ * stays inside the dialog until it is dismissed.
+ * @param {object} props
+ * @param {{src: string, alt: string}[]} props.images - The images to page through.
+ * @param {number} props.index - The index of the image to show.
+ * @param {Function} props.onIndexChange - Called with the new index when the user pages.
+ * @param {Function} props.onClose - Called when the user dismisses the lightbox.
+ */
+export const Lightbox = ({ images, index, onIndexChange, onClose }) => {
+  const { t } = useI18n();
+  const [zoom, setZoom] = useState(MIN_ZOOM);
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const image = images[index];
+  const hasMany = images.length > 1;
+
+  const showPrev = () => onIndexChange((index - 1 + images.length) % images.length);
+  const showNext = () => onIndexChange((index + 1) % images.length);
+
+  // Each image starts un-zoomed.
+  useEffect(() => {
+    setZoom(MIN_ZOOM);
+  }, [index]);
+
+  // Move focus into the dialog, and hand it back to the opener on close.
+  useEffect(() => {
+    const opener = document.activeElement;
+    closeRef.current?.focus();
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+
+    return () => {
+      document.body.style.overflow = overflow;
+      opener?.focus?.();
+    };
+  }, []);
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'Escape':
+        onClose();
+        break;
+      case 'ArrowLeft':
+        if (hasMany) showPrev();
+        break;
+      case 'ArrowRight':
+        if (hasMany) showNext();
+        break;
+      case '+':
+      case '=':
+        setZoom((z) => clampZoom(z + ZOOM_STEP));
+        break;
+      case '-':
+        setZoom((z) => clampZoom(z - ZOOM_STEP));
+        break;
+      case '0':
+        setZoom(MIN_ZOOM);
+        break;
+      case 'Tab': {
+        // Keep Tab cycling through the dialog's own controls.
+        const focusable = dialogRef.current.querySelectorAll('button:not([disabled])');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+        return;
+      }
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  const controlClass = 'p-3 rounded-full bg-gray-900/60 text-white hover:bg-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-400 transition disabled:opacity-40 disabled:hover:bg-gray-900/60';
+
+  return (
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('lightbox.position', { number: index + 1, total: images.length, alt: image.alt })}
+      onKeyDown={handleKeyDown}
+      className="fixed inset-0 z-[100] bg-gray-900/95 flex flex-col"
+    >
+      <div className="flex items-center justify-between p-4 text-white">
+        <p className="text-sm text-gray-300" aria-live="polite">{index + 1} / {images.length}</p>
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={() => setZoom((z) => clampZoom(z - ZOOM_STEP))} disabled={zoom === MIN_ZOOM} className={controlClass} aria-label={t('lightbox.zoomOut')}>
+            <ZoomOut size={20} />
+          </button>
+          <button type="button" onClick={() => setZoom((z) => clampZoom(z + ZOOM_STEP))} disabled={zoom === MAX_ZOOM} className={controlClass} aria-label={t('lightbox.zoomIn')}>
+            <ZoomIn size={20} />
+          </button>
+          <button ref={closeRef} type="button" onClick={onClose} className={controlClass} aria-label={t('lightbox.close')}>
+            <X size={20} />
+          </button>
+        </div>
+      </div>
+
+      <div className="relative flex-1 overflow-auto flex items-center justify-center">
+        <ResponsiveImage
+          src={image.src}
+          alt={image.alt}
+          onClick={() => setZoom((z) => (z === MIN_ZOOM ? 2 : MIN_ZOOM))}
+          className={`max-h-full max-w-full object-contain transition-transform duration-300 ${zoom > MIN_ZOOM ? 'cursor-zoom-out' : 'cursor-zoom-in'}`}
+          style={{ transform: `scale(${zoom})`, transformOrigin: 'center' }}
+        />
+      </div>
+
+      {hasMany && (
+        <>
+          <button type="button" onClick={showPrev} className={`${controlClass} absolute left-4 top-1/2 -translate-y-1/2`} aria-label={t('lightbox.previous')}>
+            <ChevronLeft size={24} />
+          </button>
+          <button type="button" onClick={showNext} className={`${controlClass} absolute right-4 top-1/2 -translate-y-1/2`} aria-label={t('lightbox.next')}>
+            <ChevronRight size={24} />
+          </button>
+        </>
+      )}
+      <p className="p-4 text-center text-gray-200">{image.alt}</p>
+    </div>
+  );
+};
+
+/**
+ * A cover image with a thumbnail strip; any image opens the lightbox.
+ * @param {object} props
+ * @param {{src: string, alt: string}[]} props.images - The gallery images, cover first; nothing is shown when empty.
+ */
+export const ImageGallery = ({ images }) => {
+  const { t } = useI18n();
+  const [openIndex, setOpenIndex] = useState(null);
+  if (images.length === 0) return null;
+  const [cover, ...rest] = images;
+
+  return (
+    <div>
+      <button type="button" onClick={() => setOpenIndex(0)} className="block w-full rounded-2xl overflow-hidden shadow-xl focus:outline-none focus:ring-4 focus:ring-amber-400" aria-label={t('lightbox.enlarge', { alt: cover.alt })}>
+        <ResponsiveImage src={cover.src} alt={cover.alt} sizes="(min-width: 1024px) 50vw, 100vw" className="w-full object-cover aspect-[4/3] transition-transform duration-500 hover:scale-105" />
+      </button>
+      {rest.length > 0 && (
+        <div className="grid grid-cols-4 gap-3 mt-3">
+          {rest.map((image, i) => (
+            <button key={image.src} type="button" onClick={() => setOpenIndex(i + 1)} className="rounded-lg overflow-hidden shadow focus:outline-none focus:ring-4 focus:ring-amber-400" aria-label={t('lightbox.enlarge', { alt: image.alt })}>
+              <ResponsiveImage src={image.src} alt={image.alt} sizes="(min-width: 1024px) 12vw, 25vw" loading="lazy" className="w-full object-cover aspect-square transition-transform duration-500 hover:scale-110" />
+            </button>
+          ))}
+        </div>
+      )}
+      {openIndex !== null && (
+        <Lightbox images={images} index={openIndex} onIndexChange={setOpenIndex} onClose={() => setOpenIndex(null)} />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,49 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { ImageGallery } from './Lightbox';
+import { I18nProvider } from '../i18n';
+
+const images = [
+  { src: '/one.jpg', alt: 'First delivery' },
+  { src: '/two.jpg', alt: 'Second delivery' },
+];
+
+test('opens the lightbox and pages with the keyboard', () => {
+  render(<ImageGallery images={images} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Enlarge image: Second delivery' }));
+
+  const dialog = screen.getByRole('dialog');
+  expect(dialog).toHaveAccessibleName('Image 2 of 2: Second delivery');
+  expect(screen.getByRole('button', { name: 'Close' })).toHaveFocus();
+
+  fireEvent.keyDown(dialog, { key: 'ArrowRight' });
+  expect(dialog).toHaveAccessibleName('Image 1 of 2: First delivery');
+
+  fireEvent.keyDown(dialog, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('zooms in and out', () => {
+  render(<ImageGallery images={images} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Enlarge image: First delivery' }));
+
+  const zoomOut = screen.getByRole('button', { name: 'Zoom out' });
+  expect(zoomOut).toBeDisabled();
+  fireEvent.keyDown(screen.getByRole('dialog'), { key: '+' });
+  expect(zoomOut).toBeEnabled();
+});
+
+test('shows nothing for a project without photos', () => {
+  const { container } = render(<ImageGallery images={[]} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('labels its controls in the page language', () => {
+  render(
+    <I18nProvider locale="hi" setLocale={jest.fn()}>
+      <ImageGallery images={images} />
+    </I18nProvider>,
+  );
+  fireEvent.click(screen.getByRole('button', { name: 'तस्वीर बड़ी करें: First delivery' }));
+  expect(screen.getByRole('dialog')).toHaveAccessibleName('तस्वीर 1 / 2: First delivery');
+  expect(screen.getByRole('button', { name: 'बंद करें' })).toHaveFocus();
+});
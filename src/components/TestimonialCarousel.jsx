@@ -0,0 +1,60 @@
+import React, { useMemo } from 'react';
+import { ChevronLeft, ChevronRight, Pause, Play } from 'lucide-react';
+import { useI18n } from '../i18n';
+import { useCarousel } from '../hooks';
+import { MotionDiv, TestimonialCard } from './ui';
+
+const controlClass = 'p-2 rounded-full border border-line text-ink-body hover:text-brand-strong hover:border-brand focus:outline-none focus:ring-2 focus:ring-brand transition';
+
+/**
+ * Shows one testimonial at a time, following the WAI-ARIA carousel pattern like
+ * the hero: it rotates until the visitor points at, focuses or pauses it.
+ * @param {object} props
+ * @param {object[]} props.testimonials - Entries from the testimonials content.
+ * @param {Function} props.navigateTo - The app's navigate function, for project links.
+ * @param {number} props.interval - Milliseconds each testimonial stays up while rotating.
+ */
+const TestimonialCarousel = ({ testimonials, navigateTo, interval = 8000 }) => {
+  const { t } = useI18n();
+  const indexes = useMemo(() => testimonials.map((_, index) => index), [testimonials]);
+  const { active = 0, go, select, isPaused, isRotating, togglePaused, containerProps } = useCarousel(indexes, interval);
+
+  if (testimonials.length === 0) return null;
+
+  return (
+    <section aria-roledescription="carousel" aria-label={t('testimonials.carouselLabel')} className="max-w-3xl mx-auto" {...containerProps}>
+      {testimonials.length > 1 && (
+        <div className="flex justify-center items-center gap-3 mb-8">
+          <button type="button" onClick={togglePaused} className={controlClass} aria-label={isPaused ? t('carousel.play') : t('carousel.pause')}>
+            {isPaused ? <Play size={18} aria-hidden="true" /> : <Pause size={18} aria-hidden="true" />}
+          </button>
+          <button type="button" onClick={() => go(-1)} className={controlClass} aria-label={t('carousel.previous')}>
+            <ChevronLeft size={18} aria-hidden="true" />
+          </button>
+          {indexes.map((index) => (
+            <button
+              key={index}
+              type="button"
+              onClick={() => select(index)}
+              aria-label={t('carousel.goTo', { number: index + 1 })}
+              aria-current={index === active ? 'true' : undefined}
+              className={`w-3 h-3 rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-brand ${index === active ? 'bg-brand' : 'bg-line hover:bg-brand-soft'}`}
+            ></button>
+          ))}
+          <button type="button" onClick={() => go(1)} className={controlClass} aria-label={t('carousel.next')}>
+            <ChevronRight size={18} aria-hidden="true" />
+          </button>
+        </div>
+      )}
+      <div aria-live={isRotating ? 'off' : 'polite'}>
+        <div role="group" aria-roledescription="slide" aria-label={t('carousel.slideLabel', { number: active + 1, total: testimonials.length })}>
+          <MotionDiv key={active}>
+            <TestimonialCard testimonial={testimonials[active]} navigateTo={navigateTo} />
+          </MotionDiv>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default TestimonialCarousel;
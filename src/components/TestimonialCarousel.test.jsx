@@ -0,0 +1,68 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import TestimonialCarousel from './TestimonialCarousel';
+
+const testimonials = [
+  {
+    id: 'railways',
+    quote: 'Delivered against the tender schedule.',
+    author: 'Senior Section Engineer',
+    organisation: 'Central Railway',
+    projectSlug: 'byculla-railways',
+    date: '2025-10-02',
+    certificate: { src: '/certificates/railways.pdf', reference: 'WCC/2025/118' },
+  },
+  {
+    id: 'hospital',
+    quote: 'Every unit was handed over with its test report.',
+    author: 'Medical Superintendent',
+    organisation: 'Byculla Government Hospital',
+    projectSlug: 'retired-project',
+    date: '2025-08-14',
+    certificate: null,
+  },
+];
+
+const slide = () => screen.getByRole('group');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('shows the quote with its project and completion certificate', () => {
+  render(<TestimonialCarousel testimonials={testimonials} navigateTo={jest.fn()} />);
+  expect(screen.getByRole('region', { name: 'Client testimonials' })).toHaveAttribute('aria-roledescription', 'carousel');
+  expect(slide()).toHaveAccessibleName('1 of 2');
+  expect(screen.getByText('“Delivered against the tender schedule.”')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Project: Byculla Railways' })).toHaveAttribute('href', '/projects/byculla-railways');
+  expect(screen.getByRole('link', { name: /Work completion certificate/ })).toHaveAttribute('href', '/certificates/railways.pdf');
+  expect(screen.getByText('(Ref. WCC/2025/118)')).toBeInTheDocument();
+});
+
+test('leaves out links it cannot back up', () => {
+  render(<TestimonialCarousel testimonials={testimonials} navigateTo={jest.fn()} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Go to slide 2' }));
+  expect(screen.getByText('Byculla Government Hospital')).toBeInTheDocument();
+  expect(screen.queryByRole('link')).not.toBeInTheDocument();
+});
+
+test('rotates, follows the arrow keys and stops when paused', () => {
+  render(<TestimonialCarousel testimonials={testimonials} navigateTo={jest.fn()} />);
+  act(() => jest.advanceTimersByTime(8000));
+  expect(slide()).toHaveAccessibleName('2 of 2');
+
+  fireEvent.keyDown(screen.getByRole('region'), { key: 'ArrowRight' });
+  expect(slide()).toHaveAccessibleName('1 of 2');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pause slideshow' }));
+  act(() => jest.advanceTimersByTime(16000));
+  expect(slide()).toHaveAccessibleName('1 of 2');
+});
+
+test('a single testimonial has no controls', () => {
+  render(<TestimonialCarousel testimonials={testimonials.slice(0, 1)} navigateTo={jest.fn()} />);
+  expect(screen.queryByRole('button')).not.toBeInTheDocument();
+});
@@ -0,0 +1,431 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { ArrowRight, Loader2, CloudOff, CheckCircle, AlertCircle, Download, FileCheck, Quote, Navigation, Copy } from 'lucide-react';
+import { useInView } from '../hooks';
+import { company, getProject } from '../content';
+import { pathFor, Link } from '../router';
+import { addressLines, addressText, copyText, directionsUrl } from '../contactInfo';
+import { useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import { trackCtaClick } from '../analytics';
+import { responsiveImage } from '../images';
+
+// --- Shared UI building blocks used across pages ---
+
+// Scroll reveals show their content early once keyboard focus reaches it, so a
+// focused control is never invisible.
+const useReveal = (options) => {
+  const [ref, inView] = useInView(options);
+  const [focused, setFocused] = useState(false);
+  return [ref, inView || focused, () => setFocused(true)];
+};
+
+/**
+ * A component to handle staggered, animated reveals using IntersectionObserver.
+ * @param {object} props
+ * @param {React.ReactNode} props.children - The elements to animate.
+ * @param {string} props.className - Additional class names for the wrapper div.
+ * @param {number} props.delay - The base delay in milliseconds.
+ * @param {boolean} props.once - If the animation should only play once.
+ */
+export const MotionDiv = ({ children, className, delay = 0, once = true }) => {
+  const [ref, inView, reveal] = useReveal({ threshold: 0.1, once });
+
+  return (
+    <div ref={ref} className={className} onFocus={reveal}>
+      {React.Children.map(children, (child, index) => (
+        <div
+          key={index}
+          className={`transition-all duration-1000 ease-out transform motion-reduce:transition-none ${inView ? 'opacity-100 translate-y-0 scale-100' : 'opacity-0 translate-y-16 scale-95'}`}
+          style={{ transitionDelay: `${delay + index * 150}ms` }}
+        >
+          {child}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Reusable component for section titles
+export const SectionTitle = ({ title, subtitle }) => {
+  const [ref, inView] = useInView({ threshold: 0.2, once: true });
+  return (
+    <div ref={ref} className="text-center mb-16 px-4">
+      <h2 className={`text-4xl md:text-6xl font-extrabold text-ink leading-tight tracking-tight transition-all duration-1000 ease-out transform motion-reduce:transition-none ${inView ? 'opacity-100 translate-y-0' : 'opacity-0 -translate-y-8'}`}>
+        {title}
+      </h2>
+      <p className={`text-ink-muted mt-4 text-lg max-w-2xl mx-auto transition-all duration-1000 delay-200 ease-out transform motion-reduce:transition-none ${inView ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-8'}`}>{subtitle}</p>
+    </div>
+  );
+};
+
+// Reusable component for call-to-action buttons; given `to`, it renders a link to that page instead
+// A CTA with `trackAs` records its clicks for analytics under that placement, e.g. `header`.
+export const CTAButton = ({ text, onClick, to, navigateTo, trackAs, className = '', type = 'button' }) => {
+  const ctaClass = `group inline-block bg-brand hover:bg-brand-soft text-on-brand font-bold py-3 px-8 rounded-full text-lg shadow-xl transition-all duration-300 transform hover:-translate-y-1 hover:shadow-2xl active:scale-95 motion-reduce:transform-none focus:outline-none focus-visible:ring-4 focus-visible:ring-brand-soft ${className}`;
+  const content = (
+    <>
+      {text}
+      <ArrowRight className="inline-block ml-2 transition-transform duration-300 group-hover:translate-x-1" size={20} aria-hidden="true" />
+    </>
+  );
+  const handleClick = (event) => {
+    if (trackAs) trackCtaClick(to || null, trackAs);
+    onClick?.(event);
+  };
+  return to ? (
+    <Link to={to} navigateTo={navigateTo} onClick={handleClick} className={ctaClass}>{content}</Link>
+  ) : (
+    <button type={type} onClick={handleClick} className={ctaClass}>{content}</button>
+  );
+};
+
+// Service copy comes from the i18n catalogue when translated, otherwise from the content file.
+// A service with a `cta` links to the page that acts on it, e.g. workforce registration;
+// previews in the content editor pass no `navigateTo` and leave the link out.
+export const ServiceCard = ({ slug, icon: Icon, title, description, cta, navigateTo }) => {
+  const { t } = useI18n();
+  return (
+    <div className="group bg-surface-raised p-8 rounded-3xl shadow-lg border h-full border-line-subtle transform hover:-translate-y-2 transition-transform duration-500 hover:shadow-2xl hover:border-brand/20 flex flex-col">
+      <div className="text-brand inline-block p-3 bg-brand-subtle rounded-xl mb-4 transition-transform duration-500 group-hover:rotate-6 group-hover:scale-110">
+        <Icon size={40} aria-hidden="true" />
+      </div>
+      <h3 className="text-2xl font-bold text-ink mb-3">{t(`services.${slug}.title`, { defaultValue: title })}</h3>
+      <p className="text-ink-muted flex-1">{t(`services.${slug}.description`, { defaultValue: description })}</p>
+      {cta && navigateTo && (
+        <Link to={pathFor(cta.page)} navigateTo={navigateTo} className="inline-flex items-center self-start mt-6 rounded-sm text-brand-strong font-semibold hover:text-brand-deep transition">
+          {t(`services.${slug}.cta`, { defaultValue: cta.label })} <ArrowRight className="ml-1" size={18} aria-hidden="true" />
+        </Link>
+      )}
+    </div>
+  );
+};
+
+/**
+ * A photo offered in AVIF, WebP and JPEG at the widths `npm run images` built
+ * for it, with a blurred placeholder showing until it loads. Images without
+ * variants, such as new uploads, render as a plain `<img>`.
+ * @param {object} props
+ * @param {string} props.src - The image as referenced in the content, e.g. `/ord1.jpg`.
+ * @param {string} props.alt - Alternative text; empty for decorative images.
+ * @param {string} props.sizes - How wide the image is shown, e.g. `(min-width: 768px) 50vw, 100vw`.
+ * Other props, such as `className`, `loading` and `onLoad`, go to the `<img>`.
+ */
+export const ResponsiveImage = ({ src, alt, sizes = '100vw', style, ...rest }) => {
+  const image = responsiveImage(src);
+  const img = (
+    <img
+      src={image.src}
+      srcSet={image.srcSet}
+      sizes={image.srcSet ? sizes : undefined}
+      width={image.width}
+      height={image.height}
+      alt={alt}
+      style={image.placeholder ? { backgroundImage: `url(${image.placeholder})`, backgroundSize: 'cover', backgroundPosition: 'center', ...style } : style}
+      {...rest}
+    />
+  );
+  if (image.sources.length === 0) return img;
+
+  return (
+    <picture className="contents">
+      {image.sources.map(({ type, srcSet }) => <source key={type} type={type} srcSet={srcSet} sizes={sizes} />)}
+      {img}
+    </picture>
+  );
+};
+
+export const ProjectCard = ({ title, category, imgSrc, describe }) => {
+  const { t } = useI18n();
+  const [imageReady, setImageReady] = useState(false);
+  return (
+    <div className={`group relative overflow-hidden rounded-xl shadow-lg transform transition-transform duration-500 hover:scale-[1.02] hover:shadow-xl ${imageReady ? '' : 'animate-pulse bg-line'}`}>
+      <ResponsiveImage
+        src={imgSrc}
+        alt=""
+        sizes="(min-width: 768px) 50vw, 100vw"
+        loading="lazy"
+        onLoad={() => setImageReady(true)}
+        onError={() => setImageReady(true)}
+        className="w-full h-full object-cover transform group-hover:scale-110 transition duration-500 aspect-[4/4] lg:aspect-[4/3]"
+      />
+      <div className="absolute inset-0 bg-gradient-to-t from-gray-900/90 to-transparent flex flex-col justify-end p-6 transition-colors duration-300 group-hover:from-amber-700/80">
+        <p className="text-amber-300 text-sm font-bold transition-opacity duration-300 group-hover:opacity-100 opacity-100">{t(`projects.category.${category}`, { defaultValue: category })}</p>
+        <h3 className="text-2xl font-bold text-white mb-4 transition-transform duration-300 translate-y-2 group-hover:translate-y-0">{title}</h3>
+        <p className="text-gray-100 text-md font-semibold transition-opacity duration-300 group-hover:opacity-100 opacity-100">{describe}</p>
+        <p className="text-amber-300 font-bold mt-4">{t('common.viewDetails')} <ArrowRight className="inline-block ml-1 transition-transform duration-300 group-hover:translate-x-1" size={18} aria-hidden="true" /></p>
+
+      </div>
+    </div>
+  );
+};
+
+// Filter chip used by the portfolio and tender board filters
+export const FilterChip = ({ label, active, onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    aria-pressed={active}
+    className={`px-4 py-2 rounded-full text-sm font-semibold border transition-colors duration-300 ${active ? 'bg-brand border-brand text-on-brand' : 'bg-surface border-line text-ink-body hover:border-brand hover:text-brand-strong'}`}
+  >
+    {label}
+  </button>
+);
+
+// A client's quote with who gave it, the project it refers to and, when one was
+// issued, a link to the work completion certificate
+export const TestimonialCard = ({ testimonial, navigateTo, linkProject = true }) => {
+  const { t, formatDate } = useI18n();
+  const { quote, author, organisation, date, projectSlug, certificate } = testimonial;
+  const project = linkProject && getProject(projectSlug);
+  return (
+    <figure className="bg-surface-raised p-8 rounded-3xl shadow-lg border border-line-subtle h-full flex flex-col">
+      <Quote className="text-brand mb-4" size={32} aria-hidden="true" />
+      <blockquote className="text-lg text-ink-body flex-1">
+        <p>“{quote}”</p>
+      </blockquote>
+      <figcaption className="mt-6">
+        <p className="font-bold text-ink">{author}</p>
+        <p className="text-ink-muted">{organisation}</p>
+        <p className="text-sm text-ink-subtle mt-1"><time dateTime={date}>{formatDate(date)}</time></p>
+      </figcaption>
+      <div className="mt-6 flex flex-wrap gap-x-6 gap-y-2 text-sm font-semibold">
+        {project && (
+          <Link to={pathFor('project', { slug: project.slug })} navigateTo={navigateTo} className="text-brand-strong hover:text-brand-deep transition">
+            {t('testimonials.project', { project: project.title })}
+          </Link>
+        )}
+        {certificate && (
+          <a href={certificate.src} target="_blank" rel="noopener noreferrer" className="inline-flex items-center text-brand-strong hover:text-brand-deep transition">
+            <FileCheck className="mr-1" size={16} aria-hidden="true" /> {t('testimonials.certificate')}
+            {certificate.reference && <span className="ml-1 font-normal text-ink-muted">({t('testimonials.certificateRef', { reference: certificate.reference })})</span>}
+          </a>
+        )}
+      </div>
+    </figure>
+  );
+};
+
+// Builds the company profile PDF on demand; its code is downloaded on first use
+export const ProfileDownloadButton = ({ label, className = '', errorClassName = '' }) => {
+  const { t } = useI18n();
+  const [status, setStatus] = useState('idle');
+
+  const handleClick = async () => {
+    setStatus('preparing');
+    try {
+      const { downloadCompanyProfile } = await import('../companyProfile');
+      await downloadCompanyProfile();
+      setStatus('idle');
+    } catch (error) {
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <>
+      <button type="button" onClick={handleClick} disabled={status === 'preparing'} className={`inline-flex items-center disabled:opacity-60 ${className}`}>
+        {status === 'preparing' ? <Loader2 className="mr-2 animate-spin" size={18} aria-hidden="true" /> : <Download className="mr-2" size={18} aria-hidden="true" />}
+        {status === 'preparing' ? t('profile.preparing') : label || t('profile.download')}
+      </button>
+      {status === 'failed' && <p role="alert" className={`text-sm mt-2 ${errorClassName}`}>{t('profile.failed')}</p>}
+    </>
+  );
+};
+
+// Company logo; the dark variant sits on a black background, so it is used in dark mode.
+// Mark it `decorative` where the company name is written next to it.
+export const Logo = ({ decorative = false }) => {
+  const { t } = useI18n();
+  const { theme } = useTheme();
+  return (
+    <img
+      src={theme === 'dark' ? '/logoDark.jpeg' : '/logo.png'}
+      alt={decorative ? '' : t('common.logoAlt', { company: company.name })}
+      className="object-contain"
+      style={{ height: '60px', width: '100px' }}
+    />
+  );
+};
+
+// Renders the office address from the company data, one line per row
+export const AddressLines = ({ className = '' }) => (
+  <address className={`not-italic ${className}`}>
+    {addressLines().map((line, index) => (
+      <React.Fragment key={line}>{index > 0 && <br />}{line}</React.Fragment>
+    ))}
+  </address>
+);
+
+// "Get directions" and "copy address" for the office; the copy result is announced
+export const AddressActions = ({ className = '' }) => {
+  const { t } = useI18n();
+  const [copyStatus, setCopyStatus] = useState(null);
+  const timer = useRef(null);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const handleCopy = async () => {
+    const copied = await copyText(addressText());
+    setCopyStatus(copied ? 'copied' : 'failed');
+    clearTimeout(timer.current);
+    timer.current = setTimeout(() => setCopyStatus(null), 4000);
+  };
+
+  const actionClass = 'inline-flex items-center gap-2 px-4 py-2 rounded-md border border-line text-sm font-semibold text-ink-body hover:border-brand hover:text-brand-strong focus:outline-none focus:ring-2 focus:ring-brand transition';
+  return (
+    <div className={className}>
+      <div className="flex flex-wrap gap-3">
+        <a href={directionsUrl()} target="_blank" rel="noopener noreferrer" className={actionClass}>
+          <Navigation size={16} aria-hidden="true" /> {t('contact.map.directions')}
+        </a>
+        <button type="button" onClick={handleCopy} className={actionClass}>
+          <Copy size={16} aria-hidden="true" /> {t('contact.map.copyAddress')}
+        </button>
+      </div>
+      <p role="status" className={`text-sm mt-2 ${copyStatus === 'failed' ? 'text-red-600 dark:text-red-400' : 'text-ink-muted'}`}>
+        {copyStatus && t(copyStatus === 'copied' ? 'contact.map.copied' : 'contact.map.copyFailed')}
+      </p>
+    </div>
+  );
+};
+
+// Grey placeholder block shown while content loads
+export const Skeleton = ({ className = '' }) => (
+  <div className={`animate-pulse bg-line-subtle rounded ${className}`} aria-hidden="true" />
+);
+
+export const CardSkeleton = () => (
+  <div className="rounded-xl shadow-lg bg-surface-raised p-6 space-y-4">
+    <Skeleton className="h-40 w-full" />
+    <Skeleton className="h-6 w-2/3" />
+    <Skeleton className="h-4 w-full" />
+    <Skeleton className="h-4 w-5/6" />
+  </div>
+);
+
+// Stands in for a page while its code is downloaded
+export const PageSkeleton = () => {
+  const { t } = useI18n();
+  return (
+    <div role="status" aria-busy="true" className="container mx-auto px-6 py-24 mt-10">
+      <span className="sr-only">{t('common.loading')}</span>
+      <Skeleton className="h-10 w-1/2 mx-auto mb-4" />
+      <Skeleton className="h-5 w-2/3 mx-auto mb-16" />
+      <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+        <CardSkeleton />
+        <CardSkeleton />
+        <CardSkeleton />
+      </div>
+    </div>
+  );
+};
+
+// Shown in place of a page that failed to render
+const PageError = () => {
+  const { t } = useI18n();
+  return (
+    <div className="bg-surface-muted">
+      <section role="alert" className="py-24 min-h-screen flex items-center">
+        <div className="container mx-auto px-6 mt-10 text-center">
+          <AlertCircle className="mx-auto text-red-600 mb-6" size={56} aria-hidden="true" />
+          <h1 className="text-4xl md:text-5xl font-extrabold text-ink mb-4">{t('pageError.title')}</h1>
+          <p className="text-ink-muted text-lg max-w-xl mx-auto mb-10">{t('pageError.text')}</p>
+          <CTAButton text={t('pageError.reload')} onClick={() => window.location.reload()} />
+        </div>
+      </section>
+    </div>
+  );
+};
+
+/**
+ * Shows an apology instead of a blank screen when a page throws while
+ * rendering; the header and footer stay usable. Moving to another page
+ * (a new `resetKey`) tries again.
+ */
+export class PageErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { failed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidUpdate(previous) {
+    if (this.state.failed && previous.resetKey !== this.props.resetKey) this.setState({ failed: false });
+  }
+
+  render() {
+    return this.state.failed ? <PageError /> : this.props.children;
+  }
+}
+
+// Component for animating sections on scroll
+export const AnimatedSection = ({ children, className, animationClass = 'animate-fade-in-up' }) => {
+  const [ref, inView, reveal] = useReveal({ threshold: 0.1 });
+  return (
+    <section ref={ref} onFocus={reveal} className={`${className} transition-opacity duration-1000 transform motion-reduce:transition-none ${inView ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-8'}`}>
+      {children}
+    </section>
+  );
+};
+
+/**
+ * Lists every problem at the top of a form, with links to the fields involved.
+ * Takes a ref so the form can move focus here after a failed submit.
+ * @param {object} props
+ * @param {string} props.id - Prefix for the summary's ids.
+ * @param {string[]} props.fieldIds - The form's field ids, in form order.
+ * @param {object} props.errors - Field id to i18n message key.
+ * @param {string} props.submitError - Why sending failed, listed first.
+ * @param {string} props.title - The summary heading.
+ */
+export const ErrorSummary = React.forwardRef(({ id, fieldIds, errors, submitError, title }, ref) => {
+  const { t } = useI18n();
+  const fieldErrors = fieldIds.filter((fieldId) => errors[fieldId]);
+  if (fieldErrors.length === 0 && !submitError) return null;
+
+  return (
+    <div ref={ref} tabIndex={-1} role="alert" aria-labelledby={`${id}-title`} className="border-2 border-red-500 bg-red-50 dark:bg-red-500/10 rounded-md p-4 focus:outline-none focus:ring-2 focus:ring-red-500">
+      <h3 id={`${id}-title`} className="font-bold text-red-700 dark:text-red-300 mb-2">{title}</h3>
+      <ul className="list-disc list-inside space-y-1 text-red-700 dark:text-red-300">
+        {submitError && <li>{submitError}</li>}
+        {fieldErrors.map((fieldId) => (
+          <li key={fieldId}><a href={`#${fieldId}`} className="underline hover:text-red-900">{t(errors[fieldId])}</a></li>
+        ))}
+      </ul>
+    </div>
+  );
+});
+
+const submissionStatusStyles = {
+  sending: { Icon: Loader2, className: 'bg-surface-muted text-ink-body border-line', iconClass: 'animate-spin' },
+  queued: { Icon: CloudOff, className: 'bg-amber-50 text-amber-800 border-amber-200 dark:bg-amber-500/10 dark:text-amber-200 dark:border-amber-500/30' },
+  sent: { Icon: CheckCircle, className: 'bg-green-50 text-green-700 border-green-200 dark:bg-green-500/10 dark:text-green-300 dark:border-green-500/30' },
+  failed: { Icon: AlertCircle, className: 'bg-red-50 text-red-700 border-red-200 dark:bg-red-500/10 dark:text-red-300 dark:border-red-500/30' },
+};
+
+/**
+ * Shows the state of a form submission from `useSubmission`: pending (sending or
+ * saved offline), sent or failed.
+ * @param {object} props
+ * @param {string} props.status - The submission status.
+ * @param {object} props.messages - Text per status; `failed` is followed by the error message.
+ * @param {Error} props.error - The error for a failed submission.
+ */
+export const SubmissionStatus = ({ status, messages, error }) => {
+  const style = submissionStatusStyles[status];
+  if (!style) return null;
+  const { Icon } = style;
+
+  return (
+    <div role={status === 'failed' ? 'alert' : 'status'} className={`mt-4 flex items-start gap-3 border rounded-md p-4 text-left ${style.className}`}>
+      <Icon className={`shrink-0 mt-0.5 ${style.iconClass || ''}`} size={20} />
+      <p>
+        {messages[status]}
+        {status === 'failed' && error && <span className="block text-sm mt-1">{error.message}</span>}
+      </p>
+    </div>
+  );
+};
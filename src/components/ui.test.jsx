@@ -0,0 +1,24 @@
+import { render, screen } from '@testing-library/react';
+import { I18nProvider } from '../i18n';
+import { PageErrorBoundary } from './ui';
+
+const Broken = () => {
+  throw new Error('render failed');
+};
+
+const renderAt = (resetKey, children) => (
+  <I18nProvider locale="en" setLocale={jest.fn()}>
+    <PageErrorBoundary resetKey={resetKey}>{children}</PageErrorBoundary>
+  </I18nProvider>
+);
+
+test('replaces a page that fails to render, and recovers on the next page', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { rerender } = render(renderAt('/projects/broken', <Broken />));
+  expect(screen.getByRole('heading', { name: 'Something went wrong' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Reload the page' })).toBeInTheDocument();
+
+  rerender(renderAt('/about', <h1>About Us</h1>));
+  expect(screen.getByRole('heading', { name: 'About Us' })).toBeInTheDocument();
+  console.error.mockRestore();
+});
@@ -0,0 +1,117 @@
+import { isEmail, isIndianPhone, isFilled } from './validation';
+
+// --- Contact form: validation, state machine and rate limiting ---
+
+export const contactFields = [
+  { id: 'name', messageKey: 'contact.name' },
+  { id: 'email', messageKey: 'contact.email' },
+  { id: 'phone', messageKey: 'contact.phone' },
+  { id: 'message', messageKey: 'contact.message' },
+];
+
+export const emptyContactFields = () => ({ name: '', email: '', phone: '', message: '' });
+
+/**
+ * Validates the contact form. Phone is optional, but must be an Indian number if given.
+ * @param {object} fields
+ * @returns {object} - A map of field id to an i18n message key; empty when valid.
+ */
+export const validateContact = ({ name, email, phone, message }) => ({
+  ...(!isFilled(name) && { name: 'contact.errors.nameRequired' }),
+  ...(!isFilled(email) && { email: 'contact.errors.emailRequired' }),
+  ...(isFilled(email) && !isEmail(email) && { email: 'contact.errors.emailInvalid' }),
+  ...(isFilled(phone) && !isIndianPhone(phone) && { phone: 'contact.errors.phoneInvalid' }),
+  ...(message.trim().length < 10 && { message: 'contact.errors.messageShort' }),
+});
+
+export const initialContactState = {
+  status: 'idle',
+  fields: emptyContactFields(),
+  errors: {},
+  submitError: null,
+  outcome: null,
+};
+
+/**
+ * The contact form state machine: idle → validating → submitting → success | error.
+ * Invalid input returns to `idle` with field errors; `error` is for network,
+ * server or rate-limit failures and can be retried.
+ */
+export const contactReducer = (state, action) => {
+  switch (action.type) {
+    case 'change': {
+      const fields = { ...state.fields, [action.field]: action.value };
+      // Once a field has been flagged, re-check it as the user types.
+      const errors = { ...state.errors };
+      if (errors[action.field]) {
+        const error = validateContact(fields)[action.field];
+        if (error) {
+          errors[action.field] = error;
+        } else {
+          delete errors[action.field];
+        }
+      }
+      return { ...state, fields, errors, status: state.status === 'success' ? 'idle' : state.status };
+    }
+    case 'submit':
+      if (state.status === 'validating' || state.status === 'submitting') return state;
+      return { ...state, status: 'validating', submitError: null, outcome: null };
+    case 'invalid':
+      return { ...state, status: 'idle', errors: action.errors };
+    case 'valid':
+      return { ...state, status: 'submitting', errors: {} };
+    case 'success':
+      return { ...initialContactState, status: 'success', outcome: action.outcome };
+    case 'error':
+      return { ...state, status: 'error', submitError: action.error };
+    default:
+      return state;
+  }
+};
+
+/**
+ * Limits repeat submits from one browser: a minimum gap between sends and a cap per window.
+ * Timestamps are kept in localStorage so a reload doesn't reset the limit.
+ * @param {object} options
+ * @param {string} options.key - Storage key.
+ * @param {number} options.minInterval - Milliseconds required between two submits.
+ * @param {number} options.max - Submits allowed per window.
+ * @param {number} options.window - Window length in milliseconds.
+ * @param {Function} options.now - Clock, injectable for tests.
+ */
+export const createRateLimiter = ({ key, minInterval, max, window: windowMs, now = Date.now }) => {
+  const read = () => {
+    try {
+      const stamps = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(stamps) ? stamps.filter((stamp) => now() - stamp < windowMs) : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  return {
+    /**
+     * @returns {number} - Milliseconds until another submit is allowed; 0 if allowed now.
+     */
+    retryAfter: () => {
+      const stamps = read();
+      const waitForGap = stamps.length > 0 ? stamps[stamps.length - 1] + minInterval - now() : 0;
+      const waitForWindow = stamps.length >= max ? stamps[0] + windowMs - now() : 0;
+      return Math.max(0, waitForGap, waitForWindow);
+    },
+    record: () => {
+      try {
+        localStorage.setItem(key, JSON.stringify([...read(), now()]));
+      } catch (error) {
+        // Storage unavailable; the server-side limits still apply.
+      }
+    },
+  };
+};
+
+export const contactRateLimiter = createRateLimiter({
+  key: 'afsc:contact-submits',
+  minInterval: 30 * 1000,
+  max: 3,
+  window: 10 * 60 * 1000,
+});
@@ -0,0 +1,48 @@
+import { validateContact, contactReducer, initialContactState, createRateLimiter } from './contactForm';
+
+const valid = { name: 'Asha', email: 'asha@example.com', phone: '', message: 'Need a quote for CCTV units.' };
+
+test('validates required fields and Indian phone numbers', () => {
+  expect(validateContact(valid)).toEqual({});
+  expect(validateContact({ ...valid, phone: '+91 75078 97502' })).toEqual({});
+  expect(Object.keys(validateContact({ ...valid, phone: '12345' }))).toEqual(['phone']);
+  expect(Object.keys(validateContact({ name: '', email: 'nope', phone: '', message: 'hi' }))).toEqual(['name', 'email', 'message']);
+});
+
+test('moves through validating, submitting and success', () => {
+  let state = contactReducer(initialContactState, { type: 'submit' });
+  expect(state.status).toBe('validating');
+  expect(contactReducer(state, { type: 'submit' })).toBe(state);
+
+  state = contactReducer(state, { type: 'valid' });
+  expect(state.status).toBe('submitting');
+
+  state = contactReducer(state, { type: 'success', outcome: 'queued' });
+  expect(state).toMatchObject({ status: 'success', outcome: 'queued', fields: initialContactState.fields });
+});
+
+test('returns to idle with errors, and clears a fixed error while typing', () => {
+  let state = contactReducer(initialContactState, { type: 'submit' });
+  state = contactReducer(state, { type: 'invalid', errors: { email: 'bad' } });
+  expect(state.status).toBe('idle');
+
+  state = contactReducer(state, { type: 'change', field: 'email', value: 'asha@example.com' });
+  expect(state.errors).toEqual({});
+});
+
+test('rate limits repeat submits', () => {
+  let clock = 0;
+  const limiter = createRateLimiter({ key: 'test-limit', minInterval: 1000, max: 2, window: 10000, now: () => clock });
+
+  expect(limiter.retryAfter()).toBe(0);
+  limiter.record();
+  expect(limiter.retryAfter()).toBe(1000);
+
+  clock = 2000;
+  limiter.record();
+  clock = 4000;
+  expect(limiter.retryAfter()).toBe(6000);
+
+  clock = 10001;
+  expect(limiter.retryAfter()).toBe(0);
+});
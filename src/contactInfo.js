@@ -0,0 +1,58 @@
+import { company } from './content';
+
+// --- Office contact details ---
+// One place that formats the office address and builds the links and text
+// around it, so the footer, contact page, structured data and company
+// profile all show it the same way.
+
+/**
+ * The postal address as display lines, e.g. `['Shop no. TF-S01, Third Floor', …, 'Nagpur, Maharashtra 440008']`.
+ * @returns {string[]}
+ */
+export const addressLines = () => {
+  const { streetLines, locality, region, postalCode } = company.address;
+  return [...streetLines, `${locality}, ${region} ${postalCode}`];
+};
+
+/**
+ * The address on one line, for copying, maps and documents.
+ * @returns {string}
+ */
+export const addressText = () => [...addressLines(), 'India'].join(', ');
+
+/**
+ * A Google Maps link that opens directions to the office from wherever the
+ * visitor is. The address is used rather than the map pin's coordinates, so
+ * the route ends at the right building.
+ * @returns {string}
+ */
+export const directionsUrl = () =>
+  `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(`${company.name}, ${addressText()}`)}`;
+
+/**
+ * Copies text to the clipboard, falling back to a hidden text area where the
+ * Clipboard API is unavailable (older browsers, plain http).
+ * @param {string} text
+ * @returns {Promise<boolean>} - Whether the text was copied.
+ */
+export const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.setAttribute('readonly', '');
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    try {
+      return document.execCommand('copy');
+    } catch (fallbackError) {
+      return false;
+    } finally {
+      area.remove();
+    }
+  }
+};
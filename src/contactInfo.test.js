@@ -0,0 +1,41 @@
+import { addressLines, addressText, directionsUrl, copyText } from './contactInfo';
+
+test('formats the office address for display, copying and directions', () => {
+  expect(addressLines()).toEqual([
+    'Shop no. TF-S01, Third Floor',
+    'Darshani Commerical Complex 2',
+    'Masurkar Marg',
+    'Chandrashekhar Azad Chowk',
+    'Nagpur, Maharashtra 440008',
+  ]);
+  expect(addressText()).toBe('Shop no. TF-S01, Third Floor, Darshani Commerical Complex 2, Masurkar Marg, Chandrashekhar Azad Chowk, Nagpur, Maharashtra 440008, India');
+  const url = new URL(directionsUrl());
+  expect(url.origin + url.pathname).toBe('https://www.google.com/maps/dir/');
+  expect(url.searchParams.get('destination')).toBe(`AF Skyhigh Construction, ${addressText()}`);
+});
+
+describe('copyText', () => {
+  const { clipboard } = navigator;
+  afterEach(() => {
+    Object.defineProperty(navigator, 'clipboard', { value: clipboard, configurable: true });
+    delete document.execCommand;
+  });
+
+  test('uses the Clipboard API when it is available', async () => {
+    const writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    await expect(copyText('hello')).resolves.toBe(true);
+    expect(writeText).toHaveBeenCalledWith('hello');
+  });
+
+  test('falls back to a text area, and reports when that fails too', async () => {
+    Object.defineProperty(navigator, 'clipboard', { value: undefined, configurable: true });
+    document.execCommand = jest.fn(() => true);
+    await expect(copyText('hello')).resolves.toBe(true);
+    expect(document.execCommand).toHaveBeenCalledWith('copy');
+    expect(document.querySelector('textarea')).toBeNull();
+
+    document.execCommand = jest.fn(() => false);
+    await expect(copyText('hello')).resolves.toBe(false);
+  });
+});
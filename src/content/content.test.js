@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import * as lucide from 'lucide-react';
+import { serviceIcon, serviceIconNames, services, projects, heroSlides, pageImages, featuredServices, featuredProjects, getProject, testimonials, testimonialsFor, tenders, rateCatalogue } from '.';
+import imageVariants from './imageVariants.json';
+import servicesData from './services.json';
+import { tenderStatuses, valueBands, tenderMilestones } from '../tenders';
+import { routes } from '../router';
+import { materialUnits } from '../quote';
+import { ESTIMATE_SERVICE } from '../estimator';
+
+test('every service names a lucide icon and resolves to it', () => {
+  servicesData.forEach(({ slug, icon }) => {
+    expect(serviceIconNames).toContain(icon);
+    expect(lucide[icon]).toBeDefined();
+    expect(services.find((service) => service.slug === slug).icon).toBe(lucide[icon]);
+  });
+  serviceIconNames.forEach((name) => expect(serviceIcon(name)).toBe(lucide[name]));
+});
+
+test('service calls to action open a page from the route table', () => {
+  services.filter((service) => service.cta).forEach(({ cta }) => {
+    expect(cta.label).toBeTruthy();
+    expect(routes.map((route) => route.page)).toContain(cta.page);
+  });
+});
+
+test('slugs are unique', () => {
+  const slugs = projects.map((project) => project.slug);
+  expect(new Set(slugs).size).toBe(slugs.length);
+});
+
+test('featured items are picked by flag', () => {
+  expect(featuredServices.every((service) => service.featured)).toBe(true);
+  expect(featuredProjects.map((project) => project.slug)).toEqual(['ordnance-factory', 'defense-factory']);
+});
+
+test('looks up projects by slug', () => {
+  expect(getProject('byculla-railways').title).toBe('Byculla Railways');
+  expect(getProject('nope')).toBeUndefined();
+});
+
+test('hero slides have unique ids and a caption', () => {
+  const ids = heroSlides.map((slide) => slide.id);
+  expect(new Set(ids).size).toBe(ids.length);
+  heroSlides.forEach((slide) => expect(slide.title).toBeTruthy());
+});
+
+test('local photos exist and have responsive variants', () => {
+  const local = [
+    ...projects.flatMap((project) => [project.imgSrc, ...project.images.map((image) => image.src)]),
+    ...heroSlides.map((slide) => slide.image),
+    ...Object.values(pageImages),
+  ].filter((src) => src.startsWith('/'));
+  local.forEach((src) => {
+    expect(fs.existsSync(path.join(__dirname, '../../public', src))).toBe(true);
+    // Run `npm run images` and commit imageVariants.json after adding a photo.
+    expect(imageVariants[src]).toBeDefined();
+  });
+});
+
+test('testimonials refer to real projects and list newest first', () => {
+  const ids = testimonials.map((testimonial) => testimonial.id);
+  expect(new Set(ids).size).toBe(ids.length);
+  testimonials.forEach((testimonial) => expect(getProject(testimonial.projectSlug)).toBeDefined());
+
+  const dates = testimonials.map((testimonial) => testimonial.date);
+  expect(dates).toEqual([...dates].sort().reverse());
+  testimonials.forEach((testimonial) => expect(testimonialsFor(testimonial.projectSlug)).toContain(testimonial));
+});
+
+test('completion certificates point at a PDF in public/certificates', () => {
+  testimonials.filter((testimonial) => testimonial.certificate).forEach(({ certificate }) => {
+    expect(certificate.src).toMatch(/^\/certificates\/[\w-]+\.pdf$/);
+    expect(fs.existsSync(path.join(__dirname, '../../public', certificate.src))).toBe(true);
+  });
+});
+
+test('tenders use known statuses and value bands, with milestones in order', () => {
+  const ids = tenders.map((tender) => tender.id);
+  expect(new Set(ids).size).toBe(ids.length);
+  tenders.forEach((tender) => {
+    expect(tenderStatuses.map(({ id }) => id)).toContain(tender.status);
+    expect(valueBands.map(({ id }) => id)).toContain(tender.valueBand);
+    expect(tender.tenderNumber).toBeTruthy();
+
+    const dates = tenderMilestones.map((milestone) => tender.dates[milestone]).filter(Boolean);
+    expect(dates).toEqual([...dates].sort());
+    expect(Boolean(tender.dates.awarded)).toBe(tender.status !== 'bidding');
+    expect(Boolean(tender.dates.completed)).toBe(tender.status === 'completed');
+  });
+});
+
+test('completed tenders link to the project delivered under them', () => {
+  tenders.filter((tender) => tender.status === 'completed').forEach((tender) => {
+    const project = getProject(tender.projectSlug);
+    expect(project).toBeDefined();
+    expect(project.completedOn).toBe(tender.dates.completed);
+  });
+});
+
+test('supply rates have unique ids, quote units and a GST rate', () => {
+  const ids = rateCatalogue.items.map((item) => item.id);
+  expect(new Set(ids).size).toBe(ids.length);
+  expect(rateCatalogue.updated).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  rateCatalogue.items.forEach((item) => {
+    expect(materialUnits).toContain(item.unit);
+    expect(item.rate).toBeGreaterThan(0);
+    expect([0, 5, 12, 18, 28]).toContain(item.gstRate);
+  });
+  expect(services.map((service) => service.slug)).toContain(ESTIMATE_SERVICE);
+});
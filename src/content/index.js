@@ -0,0 +1,90 @@
+import { Building, Factory, Shield, Train, Users, Wrench } from 'lucide-react';
+import servicesData from './services.json';
+import projectsData from './projects.json';
+import companyData from './company.json';
+import heroSlidesData from './heroSlides.json';
+import testimonialsData from './testimonials.json';
+import tendersData from './tenders.json';
+import pageImagesData from './pageImages.json';
+import ratesData from './rates.json';
+
+// --- Site content ---
+// Services, projects, company details, hero slides, client testimonials,
+// tenders and supply rates are defined once in the JSON files next to this
+// module. Pages read them from here, so adding a project, service,
+// testimonial, tender or rate is a data change only.
+
+// Icons are stored by name in the JSON and resolved to components here.
+const icons = { Building, Factory, Shield, Train, Users, Wrench };
+
+export const serviceIconNames = Object.keys(icons);
+
+/**
+ * Resolves a service icon name from the JSON to its component.
+ * @param {string} name - e.g. `Shield`.
+ * @returns {React.ComponentType} - The icon, or a wrench for unknown names.
+ */
+export const serviceIcon = (name) => icons[name] || Wrench;
+
+// The estimator stays hidden until the office has signed off the rates in
+// rates.json: its page is not found and nothing links to it.
+const estimatorApproved = ratesData.approved === true;
+
+/**
+ * Whether a page from the route table is open to visitors.
+ * @param {string} page - A page id, e.g. `estimate`.
+ * @returns {boolean}
+ */
+export const pageOffered = (page) => page !== 'estimate' || estimatorApproved;
+
+export const services = servicesData.map((service) => ({
+  ...service,
+  icon: serviceIcon(service.icon),
+  cta: service.cta && pageOffered(service.cta.page) ? service.cta : undefined,
+}));
+
+export const projects = projectsData;
+
+export const company = companyData;
+
+// A slide stays off the carousel until its photo has been added.
+export const heroSlides = heroSlidesData.filter((slide) => slide.image);
+
+// Photos used by page layouts rather than by a project or slide, by name.
+export const pageImages = pageImagesData;
+
+export const featuredServices = services.filter((service) => service.featured);
+
+export const featuredProjects = projects.filter((project) => project.featured);
+
+/**
+ * Looks up a project by its URL slug.
+ * @param {string} slug - The project slug, e.g. `byculla-railways`.
+ * @returns {object|undefined} - The project, if one exists.
+ */
+export const getProject = (slug) => projects.find((project) => project.slug === slug);
+
+// Newest first, so the latest references lead on the home page and the list page.
+export const testimonials = [...testimonialsData].sort((a, b) => b.date.localeCompare(a.date));
+
+export const featuredTestimonials = testimonials.filter((testimonial) => testimonial.featured);
+
+/**
+ * Finds the testimonials given for a project.
+ * @param {string} slug - The project slug.
+ * @returns {object[]}
+ */
+export const testimonialsFor = (slug) => testimonials.filter((testimonial) => testimonial.projectSlug === slug);
+
+// Most recently published first.
+export const tenders = [...tendersData].sort((a, b) => b.dates.published.localeCompare(a.dates.published));
+
+// Indicative supply rates for the cost estimator, before GST.
+export const rateCatalogue = ratesData;
+
+/**
+ * Formats a phone number from the company data as a `tel:` href.
+ * @param {string} phone - A display number such as `+91-7507897502`.
+ * @returns {string}
+ */
+export const telHref = (phone) => `tel:${phone.replace(/[^+\d]/g, '')}`;
@@ -0,0 +1,162 @@
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { company, rateCatalogue } from './content';
+import { siteUrl } from './seo';
+import { colors, downloadPdf, printableIn, wrapText } from './companyProfile';
+import { formatRupees, ratesValidUntil, supplierState } from './estimator';
+
+// --- Estimate PDF ---
+// A one-page statement of an estimate from the estimator page, in English
+// like the company profile. Amounts are written as "INR", which the standard
+// PDF fonts can print. The estimator page loads this module on demand.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+// Item table columns, their share of the content width and alignment.
+const columns = [
+  { key: 'item', label: 'Item', width: 0.4 },
+  { key: 'hsn', label: 'HSN', width: 0.09 },
+  { key: 'quantity', label: 'Qty', width: 0.12, right: true },
+  { key: 'rate', label: 'Rate', width: 0.15, right: true },
+  { key: 'gst', label: 'GST', width: 0.07, right: true },
+  { key: 'amount', label: 'Amount', width: 0.17, right: true },
+];
+
+const inr = (paise) => formatRupees(paise, 'INR ');
+const formatDay = (date) => new Intl.DateTimeFormat('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }).format(date);
+
+/**
+ * Builds the estimate PDF.
+ * @param {object} options
+ * @param {object} options.estimate - From `calculateEstimate`.
+ * @param {object} options.fields - The estimator form, for the delivery location.
+ * @param {Date} options.date - The date printed on the estimate.
+ * @returns {Promise<Uint8Array>} - The PDF file.
+ */
+export const createEstimatePdf = async ({ estimate, fields, date = new Date() }) => {
+  const pdf = await PDFDocument.create();
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const printable = printableIn(regular);
+
+  let page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  const text = (value, { x, y, size = 10, font = regular, color = colors.ink, right = false }) => {
+    const line = printable(value);
+    page.drawText(line, { x: right ? x - font.widthOfTextAtSize(line, size) : x, y, size, font, color });
+  };
+
+  // Header band with the name and GST registration
+  const bandHeight = 80;
+  page.drawRectangle({ x: 0, y: PAGE_HEIGHT - bandHeight, width: PAGE_WIDTH, height: bandHeight, color: colors.band });
+  text(company.name, { x: MARGIN, y: PAGE_HEIGHT - 40, size: 20, font: bold, color: colors.white });
+  text(`GSTIN ${company.gstin} · ${supplierState.name}`, { x: MARGIN, y: PAGE_HEIGHT - 60, color: colors.brand });
+
+  let y = PAGE_HEIGHT - bandHeight - 30;
+  text('Material Cost Estimate', { x: MARGIN, y: y - 22, size: 22, font: bold });
+  y -= 44;
+  const validUntil = new Date(`${ratesValidUntil()}T00:00:00Z`);
+  [
+    `Prepared ${formatDay(date)}. Rates of ${formatDay(new Date(`${rateCatalogue.updated}T00:00:00Z`))}, valid until ${formatDay(validUntil)}.`,
+    `Delivery to ${fields.city.trim()}, ${fields.state} (${estimate.interState ? 'inter-state supply, IGST' : 'within the state, CGST and SGST'}).`,
+  ].forEach((line) => {
+    text(line, { x: MARGIN, y: y - 10, color: colors.muted });
+    y -= 16;
+  });
+  y -= 14;
+
+  // Item table
+  const placed = columns.reduce((done, column) => {
+    const x = done.length ? done[done.length - 1].x + done[done.length - 1].width : MARGIN;
+    return [...done, { ...column, x, width: column.width * CONTENT_WIDTH }];
+  }, []);
+  const cellPadding = 5;
+  const cellSize = 9;
+  const lineHeight = cellSize * 1.35;
+  const drawRow = (cells, { font, color, fill }) => {
+    const lines = placed.map((column) => wrapText(printable(cells[column.key]), font, cellSize, column.width - 2 * cellPadding));
+    const height = Math.max(...lines.map((cellLines) => cellLines.length)) * lineHeight + 2 * cellPadding;
+    if (y - height < MARGIN + 40) {
+      page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    if (fill) page.drawRectangle({ x: MARGIN, y: y - height, width: CONTENT_WIDTH, height, color: fill });
+    placed.forEach((column, index) => {
+      lines[index].forEach((line, lineIndex) => {
+        const lineY = y - cellPadding - cellSize - lineIndex * lineHeight;
+        const x = column.right ? column.x + column.width - cellPadding : column.x + cellPadding;
+        text(line, { x, y: lineY, size: cellSize, font, color, right: column.right });
+      });
+    });
+    y -= height;
+  };
+
+  drawRow(Object.fromEntries(columns.map(({ key, label }) => [key, label])), { font: bold, color: colors.white, fill: colors.band });
+  estimate.lines.forEach(({ item, quantity, amount }, index) => {
+    drawRow({
+      item: item.name,
+      hsn: item.hsn,
+      quantity: `${quantity} ${item.unit}`,
+      rate: inr(item.rate * 100),
+      gst: `${item.gstRate}%`,
+      amount: inr(amount),
+    }, { font: regular, color: colors.ink, fill: index % 2 ? colors.stripe : null });
+  });
+
+  // Totals, right-aligned under the amount column
+  y -= 10;
+  const totals = [
+    ['Subtotal (before GST)', estimate.subtotal],
+    ...estimate.taxes.map((tax) => [`${tax.name} ${tax.rate}% on ${inr(tax.taxable)}`, tax.amount]),
+  ];
+  const labelX = PAGE_WIDTH - MARGIN - 0.2 * CONTENT_WIDTH;
+  totals.forEach(([label, amount]) => {
+    text(label, { x: labelX, y: y - 10, right: true, color: colors.muted });
+    text(inr(amount), { x: PAGE_WIDTH - MARGIN - cellPadding, y: y - 10, right: true });
+    y -= 16;
+  });
+  page.drawLine({ start: { x: PAGE_WIDTH - MARGIN - 0.5 * CONTENT_WIDTH, y: y - 2 }, end: { x: PAGE_WIDTH - MARGIN, y: y - 2 }, thickness: 1, color: colors.brand });
+  y -= 8;
+  text('Estimated total', { x: labelX, y: y - 12, size: 12, font: bold, right: true });
+  text(inr(estimate.total), { x: PAGE_WIDTH - MARGIN - cellPadding, y: y - 12, size: 12, font: bold, right: true });
+  y -= 40;
+
+  const note = 'This is an indicative estimate, not an offer. It excludes transport, unloading and site work, and prices can change with the market. '
+    + `For a firm price, request a quote at ${siteUrl()}/quote or call ${company.phones[0]}.`;
+  wrapText(printable(note), regular, 9, CONTENT_WIDTH).forEach((line) => {
+    text(line, { x: MARGIN, y: y - 9, size: 9, color: colors.muted });
+    y -= 13;
+  });
+
+  pdf.getPages().forEach((footerPage) => {
+    footerPage.drawLine({ start: { x: MARGIN, y: MARGIN + 14 }, end: { x: PAGE_WIDTH - MARGIN, y: MARGIN + 14 }, thickness: 0.5, color: colors.muted });
+    footerPage.drawText(printable(`${company.name} · ${company.email} · ${siteUrl()}`), { x: MARGIN, y: MARGIN, size: 8, font: regular, color: colors.muted });
+  });
+
+  pdf.setTitle(`${printable(company.name)} - Material Cost Estimate`);
+  pdf.setAuthor(printable(company.name));
+  pdf.setSubject('Indicative material supply estimate');
+  pdf.setCreator(siteUrl());
+  pdf.setCreationDate(date);
+  return pdf.save();
+};
+
+/**
+ * The file name an estimate downloads as, e.g. `AF-Skyhigh-Construction-Estimate-2026-10-18.pdf`.
+ * @param {Date} date
+ * @returns {string}
+ */
+export const estimateFileName = (date = new Date()) =>
+  `${company.name.replace(/[^A-Za-z0-9]+/g, '-')}-Estimate-${date.toISOString().slice(0, 10)}.pdf`;
+
+/**
+ * Builds the estimate and hands it to the browser as a download.
+ * @param {object} estimate - From `calculateEstimate`.
+ * @param {object} fields - The estimator form.
+ * @returns {Promise<void>}
+ */
+export const downloadEstimate = async (estimate, fields) => {
+  const date = new Date();
+  downloadPdf(await createEstimatePdf({ estimate, fields, date }), estimateFileName(date));
+};
@@ -0,0 +1,28 @@
+import { PDFDocument } from 'pdf-lib';
+import { createEstimatePdf, estimateFileName, downloadEstimate } from './estimatePdf';
+import { calculateEstimate, emptyEstimate } from './estimator';
+
+const fields = { ...emptyEstimate(), quantities: { 'tmt-steel-fe500d': '2', 'solar-inverter-3kw': '1' }, city: 'Nagpur' };
+
+test('builds a titled one-page estimate', async () => {
+  const bytes = await createEstimatePdf({ estimate: calculateEstimate(fields), fields, date: new Date('2026-10-18') });
+  const pdf = await PDFDocument.load(bytes);
+  expect(pdf.getPageCount()).toBe(1);
+  expect(pdf.getTitle()).toBe('AF Skyhigh Construction - Material Cost Estimate');
+});
+
+test('downloads the estimate as a dated PDF file', async () => {
+  expect(estimateFileName(new Date('2026-10-18T10:00:00Z'))).toBe('AF-Skyhigh-Construction-Estimate-2026-10-18.pdf');
+
+  URL.createObjectURL = jest.fn(() => 'blob:estimate');
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function record() {
+    expect(this.getAttribute('download')).toMatch(/^AF-Skyhigh-Construction-Estimate-\d{4}-\d{2}-\d{2}\.pdf$/);
+  });
+
+  await downloadEstimate(calculateEstimate(fields), fields);
+  expect(click).toHaveBeenCalled();
+  expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/pdf');
+
+  click.mockRestore();
+});
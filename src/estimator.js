@@ -0,0 +1,191 @@
+import { company, rateCatalogue } from './content';
+import { isFilled, localDateIso } from './validation';
+import { budgetBands, firstInvalidStep, quoteSteps } from './quote';
+
+// --- Material cost estimator: totals, GST and the hand-off to a quote request ---
+// Rates and GST percentages come from rates.json. Amounts are worked in paise
+// so that rounding happens once per tax line, as it does on an invoice.
+
+// The state codes that open every GSTIN.
+export const gstStates = [
+  { code: '01', name: 'Jammu and Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman and Nicobar Islands' },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' },
+];
+
+/**
+ * Finds the state a GSTIN is registered in.
+ * @param {string} gstin - e.g. `27ABCCA9829P1ZW`.
+ * @returns {{code: string, name: string}|undefined}
+ */
+export const stateForGstin = (gstin) => gstStates.find((state) => state.code === gstin.slice(0, 2));
+
+// Deliveries inside the state we are registered in are charged CGST and SGST;
+// anywhere else, IGST.
+export const supplierState = stateForGstin(company.gstin);
+
+export const emptyEstimate = () => ({ quantities: {}, city: '', state: supplierState.name });
+
+const quantityField = (id) => `quantity-${id}`;
+
+// The fields in the order they appear on the form, for the error summary.
+export const estimateFields = ['items', ...rateCatalogue.items.map((item) => quantityField(item.id)), 'city', 'state'];
+
+/**
+ * Validates the estimator form. Quantities left blank are simply not ordered.
+ * @param {object} fields - As returned by `emptyEstimate`.
+ * @param {object[]} items - The rate catalogue items.
+ * @returns {object} - A map of field id to an i18n message key; empty when valid.
+ */
+export const validateEstimate = (fields, items = rateCatalogue.items) => {
+  const errors = {};
+  items.forEach((item) => {
+    const quantity = fields.quantities[item.id];
+    if (isFilled(quantity || '') && !(Number(quantity) > 0)) errors[quantityField(item.id)] = 'estimate.errors.quantity';
+  });
+  if (Object.keys(errors).length === 0 && !items.some((item) => Number(fields.quantities[item.id]) > 0)) {
+    errors.items = 'estimate.errors.items';
+  }
+  if (!isFilled(fields.city)) errors.city = 'estimate.errors.city';
+  if (!gstStates.some((state) => state.name === fields.state)) errors.state = 'estimate.errors.state';
+  return errors;
+};
+
+const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+/**
+ * Prices the chosen items and adds GST for the delivery state.
+ * @param {object} fields - As returned by `emptyEstimate`.
+ * @param {object[]} items - The rate catalogue items.
+ * @returns {{lines: object[], subtotal: number, taxes: object[], tax: number, total: number, interState: boolean}}
+ *   Amounts are in paise. `lines` pairs each chosen item with its quantity and
+ *   amount; `taxes` has one entry per tax and rate, e.g. `{name: 'CGST', rate: 9, taxable, amount}`.
+ */
+export const calculateEstimate = (fields, items = rateCatalogue.items) => {
+  const lines = items
+    .filter((item) => Number(fields.quantities[item.id]) > 0)
+    .map((item) => {
+      const quantity = Number(fields.quantities[item.id]);
+      return { item, quantity, amount: Math.round(item.rate * 100 * quantity) };
+    });
+  const interState = fields.state !== supplierState.name;
+
+  const gstRates = [...new Set(lines.map((line) => line.item.gstRate))].sort((a, b) => b - a);
+  const taxes = gstRates.flatMap((gstRate) => {
+    const taxable = sum(lines.filter((line) => line.item.gstRate === gstRate).map((line) => line.amount));
+    if (interState) return [{ name: 'IGST', rate: gstRate, taxable, amount: Math.round((taxable * gstRate) / 100) }];
+    // The central and state halves are rounded separately and always match.
+    const half = Math.round((taxable * gstRate) / 200);
+    return ['CGST', 'SGST'].map((name) => ({ name, rate: gstRate / 2, taxable, amount: half }));
+  });
+
+  const subtotal = sum(lines.map((line) => line.amount));
+  const tax = sum(taxes.map((entry) => entry.amount));
+  return { lines, subtotal, taxes, tax, total: subtotal + tax, interState };
+};
+
+/**
+ * The last day the catalogue rates are quoted for.
+ * @param {{updated: string, validDays: number}} catalogue
+ * @returns {string} - `YYYY-MM-DD`.
+ */
+export const ratesValidUntil = ({ updated, validDays } = rateCatalogue) => {
+  const date = new Date(`${updated}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + validDays);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Whether the catalogue rates have run past their validity. Prices from
+ * expired rates are not shown or handed on.
+ * @param {string} today - `YYYY-MM-DD`, injectable for tests.
+ * @param {{updated: string, validDays: number}} catalogue
+ * @returns {boolean}
+ */
+export const ratesExpired = (today = localDateIso(), catalogue = rateCatalogue) => today > ratesValidUntil(catalogue);
+
+/**
+ * Formats paise as rupees in the English Indian style, e.g. `₹1,23,456.00`.
+ * @param {number} paise
+ * @param {string} symbol - Put before the amount; the PDF uses `INR `.
+ * @returns {string}
+ */
+export const formatRupees = (paise, symbol = '₹') =>
+  `${symbol}${new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(paise / 100)}`;
+
+// The quote wizard's budget bands, by their upper limit in rupees.
+const budgetLimits = [5e5, 25e5, 1e7, Infinity];
+
+/**
+ * Picks the quote budget band a total falls in.
+ * @param {number} paise
+ * @returns {string} - One of `budgetBands`.
+ */
+export const budgetBandFor = (paise) => budgetBands[budgetLimits.findIndex((limit) => paise / 100 < limit)];
+
+export const ESTIMATE_SERVICE = 'supply-procurement';
+
+const NOTE_PREFIX = 'Website estimate:';
+
+/**
+ * Fills a quote draft from an estimate, keeping the contact details and
+ * timeline already entered there. Running it again replaces the earlier estimate.
+ * @param {object} estimate - From `calculateEstimate`.
+ * @param {object} fields - The estimator form.
+ * @param {object} draft - The saved quote draft.
+ * @param {object} options
+ * @param {boolean} options.priced - False when the rates have expired: the
+ *   items and location are copied, but no budget band or total.
+ * @returns {{step: number, draft: object}} - The draft and the wizard step to open:
+ *   the first one still missing something, otherwise the review.
+ */
+export const estimateToQuote = (estimate, fields, draft, { priced = true } = {}) => {
+  const earlierNotes = draft.notes.split('\n\n').filter((note) => note && !note.startsWith(NOTE_PREFIX));
+  const next = {
+    ...draft,
+    service: ESTIMATE_SERVICE,
+    city: fields.city.trim(),
+    state: fields.state,
+    budget: priced ? budgetBandFor(estimate.total) : draft.budget,
+    materials: estimate.lines.map(({ item, quantity }) => ({ item: item.name, quantity: String(quantity), unit: item.unit })),
+    notes: [
+      ...(priced ? [`${NOTE_PREFIX} ${formatRupees(estimate.total)} including GST (${formatRupees(estimate.subtotal)} before GST), at rates of ${rateCatalogue.updated}.`] : []),
+      ...earlierNotes,
+    ].join('\n\n'),
+  };
+  const invalid = firstInvalidStep(next);
+  return { step: invalid === -1 ? quoteSteps.length - 1 : invalid, draft: next };
+};
@@ -0,0 +1,110 @@
+import {
+  stateForGstin, supplierState, emptyEstimate, validateEstimate, calculateEstimate, ratesValidUntil, ratesExpired,
+  formatRupees, budgetBandFor, estimateToQuote,
+} from './estimator';
+import { emptyQuoteDraft } from './quote';
+
+const order = (quantities, state = 'Maharashtra') => ({ ...emptyEstimate(), quantities, city: 'Nagpur', state });
+
+test('charges GST for the state in our GSTIN', () => {
+  expect(stateForGstin('27ABCCA9829P1ZW').name).toBe('Maharashtra');
+  expect(supplierState.name).toBe('Maharashtra');
+  expect(emptyEstimate().state).toBe('Maharashtra');
+});
+
+test('splits GST into CGST and SGST within the state, by rate', () => {
+  const estimate = calculateEstimate(order({ 'tmt-steel-fe500d': '2', 'solar-inverter-3kw': '1' }));
+  expect(estimate.interState).toBe(false);
+  expect(estimate.lines.map((line) => [line.item.id, line.quantity, line.amount])).toEqual([
+    ['tmt-steel-fe500d', 2, 11600000],
+    ['solar-inverter-3kw', 1, 3200000],
+  ]);
+  expect(estimate.taxes).toEqual([
+    { name: 'CGST', rate: 9, taxable: 11600000, amount: 1044000 },
+    { name: 'SGST', rate: 9, taxable: 11600000, amount: 1044000 },
+    { name: 'CGST', rate: 2.5, taxable: 3200000, amount: 80000 },
+    { name: 'SGST', rate: 2.5, taxable: 3200000, amount: 80000 },
+  ]);
+  expect(estimate).toMatchObject({ subtotal: 14800000, tax: 2248000, total: 17048000 });
+});
+
+test('charges IGST on deliveries to other states', () => {
+  const estimate = calculateEstimate(order({ 'tmt-steel-fe500d': '2', 'solar-inverter-3kw': '1' }, 'Gujarat'));
+  expect(estimate.interState).toBe(true);
+  expect(estimate.taxes).toEqual([
+    { name: 'IGST', rate: 18, taxable: 11600000, amount: 2088000 },
+    { name: 'IGST', rate: 5, taxable: 3200000, amount: 160000 },
+  ]);
+  expect(estimate.total).toBe(17048000);
+});
+
+test('rounds each half of the GST separately, as an invoice does', () => {
+  const estimate = calculateEstimate(order({ 'aluminium-rod': '0.5' }));
+  expect(estimate.subtotal).toBe(13250);
+  expect(estimate.taxes.map((tax) => tax.amount)).toEqual([1193, 1193]);
+  expect(calculateEstimate(order({ 'aluminium-rod': '0.5' }, 'Goa')).tax).toBe(2385);
+});
+
+test('asks for at least one quantity, valid quantities and a delivery location', () => {
+  expect(validateEstimate(emptyEstimate())).toEqual({ items: 'estimate.errors.items', city: 'estimate.errors.city' });
+  expect(validateEstimate({ ...order({ 'ms-round-bar': '-1', 'nvr-8-channel': '' }), state: 'Atlantis' })).toEqual({
+    'quantity-ms-round-bar': 'estimate.errors.quantity',
+    state: 'estimate.errors.state',
+  });
+  expect(validateEstimate(order({ 'nvr-8-channel': '2' }))).toEqual({});
+});
+
+test('formats amounts and picks the matching quote budget band', () => {
+  expect(formatRupees(17048000)).toBe('₹1,70,480.00');
+  expect(formatRupees(13250, 'INR ')).toBe('INR 132.50');
+  expect(budgetBandFor(17048000)).toBe('Under ₹5 lakh');
+  expect(budgetBandFor(50000000)).toBe('₹5 – 25 lakh');
+  expect(budgetBandFor(2e10)).toBe('Above ₹1 crore');
+  expect(ratesValidUntil({ updated: '2026-12-25', validDays: 15 })).toBe('2027-01-09');
+});
+
+test('treats the rates as expired from the day after they are valid until', () => {
+  const catalogue = { updated: '2026-10-01', validDays: 15 };
+  expect(ratesExpired('2026-10-16', catalogue)).toBe(false);
+  expect(ratesExpired('2026-10-17', catalogue)).toBe(true);
+});
+
+test('fills the quote request and opens the first step still to complete', () => {
+  const fields = order({ 'cctv-dome-2mp': '8', 'nvr-8-channel': '1' });
+  const estimate = calculateEstimate(fields);
+  const { step, draft } = estimateToQuote(estimate, fields, { ...emptyQuoteDraft(), name: 'Asha Patil', notes: 'Site is in MIDC Hingna.' });
+
+  expect(step).toBe(1);
+  expect(draft).toMatchObject({
+    service: 'supply-procurement',
+    city: 'Nagpur',
+    state: 'Maharashtra',
+    budget: 'Under ₹5 lakh',
+    name: 'Asha Patil',
+    materials: [
+      { item: 'CCTV dome camera, 2 MP', quantity: '8', unit: 'Nos' },
+      { item: 'Network video recorder, 8 channel', quantity: '1', unit: 'Nos' },
+    ],
+  });
+  expect(draft.notes).toMatch(/^Website estimate: ₹28,438.00 including GST \(₹24,100.00 before GST\), at rates of \d{4}-\d{2}-\d{2}\.\n\nSite is in MIDC Hingna\.$/);
+
+  // A second estimate replaces the first rather than piling up.
+  const again = estimateToQuote(estimate, fields, draft).draft;
+  expect(again.notes.match(/Website estimate/g)).toHaveLength(1);
+  expect(again.notes).toMatch(/Site is in MIDC Hingna\.$/);
+});
+
+test('hands on only the items and location when the rates have expired', () => {
+  const fields = order({ 'cctv-dome-2mp': '8' });
+  const earlier = estimateToQuote(calculateEstimate(fields), fields, { ...emptyQuoteDraft(), notes: 'Site is in MIDC Hingna.' }).draft;
+  const { draft } = estimateToQuote(calculateEstimate(fields), fields, { ...earlier, budget: '' }, { priced: false });
+
+  expect(draft).toMatchObject({ city: 'Nagpur', budget: '', materials: [{ item: 'CCTV dome camera, 2 MP', quantity: '8', unit: 'Nos' }] });
+  expect(draft.notes).toBe('Site is in MIDC Hingna.');
+});
+
+test('goes straight to the review when the quote is otherwise complete', () => {
+  const fields = order({ 'inverter-1kva': '3' });
+  const complete = { ...emptyQuoteDraft(), timeline: 'Within 1 month', name: 'Asha Patil', email: 'asha@example.com', phone: '9876543210' };
+  expect(estimateToQuote(calculateEstimate(fields), fields, complete).step).toBe(6);
+});
@@ -0,0 +1,155 @@
+import { useState, useEffect, useRef } from 'react';
+import { render, fireEvent, act } from '@testing-library/react';
+import { useInView, useParallax } from './hooks';
+
+// The hooks as they were before the shared observer and scroll scheduler,
+// kept as the baseline the current ones are measured against.
+const useLegacyInView = (options) => {
+  const ref = useRef(null);
+  const [inView, setInView] = useState(false);
+  const [hasAnimated, setHasAnimated] = useState(false);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting && !hasAnimated) {
+        setInView(true);
+        setHasAnimated(true);
+      } else if (!entry.isIntersecting && options.once === false) {
+        setInView(false);
+      }
+    }, options);
+    const currentRef = ref.current;
+    if (currentRef) observer.observe(currentRef);
+    return () => {
+      if (currentRef) observer.unobserve(currentRef);
+    };
+  }, [options, hasAnimated]);
+
+  return [ref, inView];
+};
+
+const useLegacyParallax = (speed = 0.5) => {
+  const ref = useRef(null);
+  const [transformY, setTransformY] = useState(0);
+
+  useEffect(() => {
+    const handleScroll = () => {
+      if (ref.current) {
+        const top = ref.current.getBoundingClientRect().top;
+        setTransformY((top / window.innerHeight) * speed * 100);
+      }
+    };
+    window.addEventListener('scroll', handleScroll);
+    handleScroll();
+    return () => window.removeEventListener('scroll', handleScroll);
+  }, [speed]);
+
+  return { ref, style: { transform: `translate3d(0, ${transformY}px, 0)` } };
+};
+
+const SLIDES = 6;
+const SCROLL_EVENTS = 200;
+const EVENTS_PER_FRAME = 4;
+
+let renders = 0;
+let observersCreated = 0;
+let scrollTop = 0;
+let frames = [];
+
+const LegacyLayer = () => {
+  renders += 1;
+  const { ref, style } = useLegacyParallax(-0.2);
+  return <div ref={ref} style={style}></div>;
+};
+
+const Layer = () => {
+  renders += 1;
+  const ref = useParallax(-0.2);
+  return <div><div ref={ref} data-testid="layer"></div></div>;
+};
+
+const LegacyReveal = ({ label }) => {
+  renders += 1;
+  const [ref, inView] = useLegacyInView({ threshold: 0.1, once: true });
+  return <div ref={ref}>{inView ? label : ''}</div>;
+};
+
+const Reveal = ({ label }) => {
+  renders += 1;
+  const [ref, inView] = useInView({ threshold: 0.1, once: true });
+  return <div ref={ref}>{inView ? label : ''}</div>;
+};
+
+const flushFrames = () => frames.splice(0).forEach((callback) => callback(performance.now()));
+
+// Scrolls the window a few events per animation frame, the way a browser delivers them.
+const scroll = () => {
+  for (let event = 1; event <= SCROLL_EVENTS; event += 1) {
+    scrollTop = event * 5;
+    fireEvent.scroll(window);
+    if (event % EVENTS_PER_FRAME === 0) act(flushFrames);
+  }
+};
+
+const measurements = () => Element.prototype.getBoundingClientRect.mock.calls.length;
+
+const scrollCost = (Component) => {
+  const { unmount } = render(Array.from({ length: SLIDES }, (_, index) => <Component key={index} />));
+  act(flushFrames);
+  renders = 0;
+  const measuredBefore = measurements();
+  scroll();
+  const cost = { renders, measurements: measurements() - measuredBefore };
+  unmount();
+  return cost;
+};
+
+const revealCost = (Component) => {
+  const { rerender, unmount } = render(Array.from({ length: 10 }, (_, index) => <Component key={index} label="a" />));
+  for (let update = 0; update < 5; update += 1) {
+    rerender(Array.from({ length: 10 }, (_, index) => <Component key={index} label={`b${update}`} />));
+  }
+  unmount();
+  return observersCreated;
+};
+
+const originalFrame = [window.requestAnimationFrame, window.cancelAnimationFrame];
+beforeEach(() => {
+  renders = 0;
+  observersCreated = 0;
+  scrollTop = 0;
+  frames = [];
+  window.requestAnimationFrame = (callback) => frames.push(callback);
+  window.cancelAnimationFrame = () => {};
+  window.IntersectionObserver = class {
+    constructor() { observersCreated += 1; }
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(() => ({ top: -scrollTop }));
+});
+afterEach(() => {
+  [window.requestAnimationFrame, window.cancelAnimationFrame] = originalFrame;
+  delete window.IntersectionObserver;
+  jest.restoreAllMocks();
+});
+
+test('parallax scrolling renders nothing and measures once per frame', () => {
+  const legacy = scrollCost(LegacyLayer);
+  const current = scrollCost(Layer);
+
+  expect(legacy.renders).toBeGreaterThanOrEqual(SLIDES * SCROLL_EVENTS);
+  expect(legacy.measurements).toBe(SLIDES * SCROLL_EVENTS);
+  expect(current.renders).toBe(0);
+  expect(current.measurements).toBe(SLIDES * (SCROLL_EVENTS / EVENTS_PER_FRAME));
+});
+
+test('reveal animations share one observer however often they re-render', () => {
+  const legacy = revealCost(LegacyReveal);
+  observersCreated = 0;
+  const current = revealCost(Reveal);
+
+  expect(legacy).toBe(60);
+  expect(current).toBe(1);
+});
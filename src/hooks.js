@@ -0,0 +1,286 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// --- Animation and loading hooks ---
+
+const reducedMotionQuery = '(prefers-reduced-motion: reduce)';
+
+const prefersReducedMotion = () => Boolean(window.matchMedia?.(reducedMotionQuery).matches);
+
+// One IntersectionObserver per set of options, shared by every element that
+// uses them. Each entry maps the watched elements to their change handlers.
+const intersectionObservers = new Map();
+
+const watchIntersection = (element, { threshold, rootMargin }, onChange) => {
+  const key = `${threshold}|${rootMargin}`;
+  if (!intersectionObservers.has(key)) {
+    const handlers = new Map();
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => handlers.get(entry.target)?.(entry.isIntersecting));
+    }, { threshold, rootMargin });
+    intersectionObservers.set(key, { observer, handlers });
+  }
+
+  const { observer, handlers } = intersectionObservers.get(key);
+  const unwatch = () => {
+    if (!handlers.has(element)) return;
+    handlers.delete(element);
+    observer.unobserve(element);
+    if (handlers.size === 0) {
+      observer.disconnect();
+      intersectionObservers.delete(key);
+    }
+  };
+
+  handlers.set(element, (isIntersecting) => onChange(isIntersecting, unwatch));
+  observer.observe(element);
+  return unwatch;
+};
+
+/**
+ * A custom React hook to track if an element is in the viewport.
+ * Elements with the same options share one IntersectionObserver, and the options
+ * are compared by value, so callers can pass an object literal.
+ * When the user prefers reduced motion the element counts as in view straight away.
+ * @param {object} options - Options for the IntersectionObserver.
+ * @param {number} options.threshold - A number from 0 to 1 indicating the percentage of the element that must be visible to trigger.
+ * @param {string} options.rootMargin - Grows or shrinks the viewport used for the check.
+ * @param {boolean} options.once - If true (the default), the hook will only trigger once.
+ * @returns {[React.RefObject, boolean]} - A ref to attach to the element and a boolean indicating if it's in view.
+ */
+export const useInView = ({ threshold = 0, rootMargin = '0px', once = true } = {}) => {
+  const ref = useRef(null);
+  const [inView, setInView] = useState(() => prefersReducedMotion() || typeof IntersectionObserver === 'undefined');
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || prefersReducedMotion() || typeof IntersectionObserver === 'undefined') return undefined;
+
+    return watchIntersection(element, { threshold, rootMargin }, (isIntersecting, unwatch) => {
+      if (isIntersecting) {
+        setInView(true);
+        if (once) unwatch();
+      } else if (!once) {
+        setInView(false);
+      }
+    });
+  }, [threshold, rootMargin, once]);
+
+  return [ref, inView];
+};
+
+/**
+ * A custom React hook that follows a CSS media query.
+ * @param {string} query - The media query, e.g. `(prefers-color-scheme: dark)`.
+ * @returns {boolean} - True while the query matches.
+ */
+export const useMediaQuery = (query) => {
+  const [matches, setMatches] = useState(() => Boolean(window.matchMedia?.(query).matches));
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const media = window.matchMedia(query);
+    const handleChange = () => setMatches(media.matches);
+    handleChange();
+    media.addEventListener('change', handleChange);
+    return () => media.removeEventListener('change', handleChange);
+  }, [query]);
+
+  return matches;
+};
+
+/**
+ * A custom React hook that follows the user's reduced-motion preference.
+ * @returns {boolean} - True when the user has asked the system to minimise animation.
+ */
+export const usePrefersReducedMotion = () => useMediaQuery(reducedMotionQuery);
+
+// Every parallax layer is moved from one passive scroll listener, at most once
+// per animation frame, by writing its transform directly instead of re-rendering.
+const parallaxLayers = new Map();
+let parallaxFrame = null;
+let parallaxMedia = null;
+
+const moveParallaxLayers = () => {
+  parallaxFrame = null;
+  const reduced = parallaxMedia?.matches;
+  const viewportHeight = window.innerHeight;
+  // Measure every layer before writing any transform, so the browser lays out once.
+  // The parent is measured because the layer's own box moves with its transform.
+  const offsets = [...parallaxLayers].map(([element, speed]) => (
+    reduced ? null : ((element.parentElement || element).getBoundingClientRect().top / viewportHeight) * speed * 100
+  ));
+  [...parallaxLayers.keys()].forEach((element, index) => {
+    element.style.transform = offsets[index] === null ? '' : `translate3d(0, ${offsets[index]}px, 0)`;
+  });
+};
+
+const scheduleParallax = () => {
+  if (parallaxFrame === null) {
+    parallaxFrame = window.requestAnimationFrame(moveParallaxLayers);
+  }
+};
+
+const addParallaxLayer = (element, speed) => {
+  if (parallaxLayers.size === 0) {
+    window.addEventListener('scroll', scheduleParallax, { passive: true });
+    window.addEventListener('resize', scheduleParallax);
+    parallaxMedia = window.matchMedia?.(reducedMotionQuery) || null;
+    parallaxMedia?.addEventListener('change', scheduleParallax);
+  }
+  parallaxLayers.set(element, speed);
+  element.style.willChange = 'transform';
+  scheduleParallax();
+};
+
+const removeParallaxLayer = (element) => {
+  parallaxLayers.delete(element);
+  element.style.transform = '';
+  element.style.willChange = '';
+  if (parallaxLayers.size === 0) {
+    window.removeEventListener('scroll', scheduleParallax);
+    window.removeEventListener('resize', scheduleParallax);
+    parallaxMedia?.removeEventListener('change', scheduleParallax);
+    parallaxMedia = null;
+    if (parallaxFrame !== null) {
+      window.cancelAnimationFrame(parallaxFrame);
+      parallaxFrame = null;
+    }
+  }
+};
+
+/**
+ * A custom React hook for parallax scrolling.
+ * The element is moved according to its position in the viewport without
+ * re-rendering the component, and stays put when the user prefers reduced motion.
+ * @param {number} speed - The speed of the parallax effect. A higher number means more movement; 0 turns it off.
+ * @returns {React.RefObject} - A ref to attach to the element that should move.
+ */
+export const useParallax = (speed = 0.5) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || !speed) return undefined;
+    addParallaxLayer(element, speed);
+    return () => removeParallaxLayer(element);
+  }, [speed]);
+
+  return ref;
+};
+
+// Horizontal distance in pixels a touch has to travel to count as a swipe.
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * A custom React hook with the shared behaviour of the site's carousels: timed
+ * rotation that pauses while the pointer or keyboard focus is inside, a pause
+ * button that defaults to paused for users who prefer reduced motion, arrow
+ * keys and touch swipes.
+ * @param {number[]} available - Indexes of the slides that can be shown, in order.
+ * @param {number} interval - Milliseconds each slide stays up while rotating.
+ * @returns {{active: number|undefined, go: Function, select: Function, isPaused: boolean, isRotating: boolean, togglePaused: Function, containerProps: object}}
+ *   `containerProps` go on the carousel's outer element.
+ */
+export const useCarousel = (available, interval) => {
+  const reducedMotion = usePrefersReducedMotion();
+  const [current, setCurrent] = useState(0);
+  // null until the user presses pause or play; until then reduced motion decides.
+  const [userPaused, setUserPaused] = useState(null);
+  const [hovered, setHovered] = useState(false);
+  const [focused, setFocused] = useState(false);
+  const touchStartX = useRef(null);
+
+  const active = available.includes(current) ? current : available[0];
+  const isPaused = userPaused ?? reducedMotion;
+  const isRotating = !isPaused && !hovered && !focused && available.length > 1;
+
+  const go = useCallback((direction) => {
+    if (available.length === 0) return;
+    const position = available.indexOf(active);
+    setCurrent(available[(position + direction + available.length) % available.length]);
+  }, [available, active]);
+
+  useEffect(() => {
+    if (!isRotating) return undefined;
+    const timer = setTimeout(() => go(1), interval);
+    return () => clearTimeout(timer);
+  }, [isRotating, go, interval]);
+
+  const containerProps = {
+    onKeyDown: (event) => {
+      if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        event.preventDefault();
+        go(event.key === 'ArrowLeft' ? -1 : 1);
+      }
+    },
+    onMouseEnter: () => setHovered(true),
+    onMouseLeave: () => setHovered(false),
+    onFocus: () => setFocused(true),
+    onBlur: (event) => {
+      if (!event.currentTarget.contains(event.relatedTarget)) {
+        setFocused(false);
+      }
+    },
+    onTouchStart: (event) => {
+      touchStartX.current = event.touches[0].clientX;
+    },
+    onTouchEnd: (event) => {
+      if (touchStartX.current === null) return;
+      const distance = event.changedTouches[0].clientX - touchStartX.current;
+      touchStartX.current = null;
+      if (Math.abs(distance) >= SWIPE_THRESHOLD) {
+        go(distance < 0 ? 1 : -1);
+      }
+    },
+  };
+
+  return { active, go, select: setCurrent, isPaused, isRotating, togglePaused: () => setUserPaused(!isPaused), containerProps };
+};
+
+const focusableSelector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * A custom React hook that keeps keyboard focus inside an element while it is
+ * active, for menus and dialogs: Tab and Shift+Tab wrap around its focusable
+ * children, and Escape calls `onEscape`.
+ * @param {boolean} active - Whether focus is trapped.
+ * @param {Function} onEscape - Called when Escape is pressed while active.
+ * @returns {React.RefObject} - A ref to attach to the element that holds focus.
+ */
+export const useFocusTrap = (active, onEscape) => {
+  const ref = useRef(null);
+  const onEscapeRef = useRef(onEscape);
+  onEscapeRef.current = onEscape;
+
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const handleKeyDown = (event) => {
+      const container = ref.current;
+      if (!container) return;
+      if (event.key === 'Escape') {
+        onEscapeRef.current?.();
+        return;
+      }
+      if (event.key !== 'Tab') return;
+
+      const focusable = [...container.querySelectorAll(focusableSelector)];
+      if (focusable.length === 0) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const inside = container.contains(document.activeElement);
+      if (event.shiftKey && (!inside || document.activeElement === first)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (!inside || document.activeElement === last)) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [active]);
+
+  return ref;
+};
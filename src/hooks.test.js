@@ -0,0 +1,131 @@
+import { render, renderHook, screen, act, fireEvent } from '@testing-library/react';
+import { useInView, useParallax, useFocusTrap } from './hooks';
+
+describe('scroll effects', () => {
+  let frames;
+  const originalFrame = window.requestAnimationFrame;
+  beforeEach(() => {
+    frames = [];
+    window.requestAnimationFrame = (callback) => frames.push(callback);
+  });
+  afterEach(() => {
+    window.requestAnimationFrame = originalFrame;
+    jest.restoreAllMocks();
+    delete window.matchMedia;
+    delete window.IntersectionObserver;
+  });
+
+  const Layer = () => {
+    const ref = useParallax(-0.2);
+    return <div style={{ height: 100 }}><div ref={ref} data-testid="layer"></div></div>;
+  };
+
+  test('moves parallax layers on the next frame without re-rendering', () => {
+    jest.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({ top: -window.innerHeight });
+    render(<Layer />);
+
+    fireEvent.scroll(window);
+    fireEvent.scroll(window);
+    expect(frames).toHaveLength(1);
+    act(() => frames.shift()());
+    expect(screen.getByTestId('layer').style.transform).toBe('translate3d(0, 20px, 0)');
+  });
+
+  test('reveals elements as they scroll into view, sharing one observer per set of options', () => {
+    const observers = [];
+    window.IntersectionObserver = class {
+      constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.observed = new Set();
+        observers.push(this);
+      }
+
+      observe(element) { this.observed.add(element); }
+
+      unobserve(element) { this.observed.delete(element); }
+
+      disconnect() {}
+
+      fire(element, isIntersecting) {
+        act(() => this.callback([{ target: element, isIntersecting }]));
+      }
+    };
+    const Reveal = ({ id, once }) => {
+      const [ref, inView] = useInView({ threshold: 0.5, once });
+      return <div ref={ref} data-testid={id}>{inView ? 'shown' : 'hidden'}</div>;
+    };
+    render(<><Reveal id="once" once /><Reveal id="repeat" once={false} /></>);
+    const once = screen.getByTestId('once');
+    const repeat = screen.getByTestId('repeat');
+
+    expect(observers).toHaveLength(1);
+    expect(observers[0].options).toEqual({ threshold: 0.5, rootMargin: '0px' });
+    expect(once).toHaveTextContent('hidden');
+
+    observers[0].fire(once, true);
+    observers[0].fire(repeat, true);
+    expect(once).toHaveTextContent('shown');
+    expect(repeat).toHaveTextContent('shown');
+    // A one-off reveal stops watching; a repeating one hides again on the way out.
+    expect(observers[0].observed.has(once)).toBe(false);
+    observers[0].fire(repeat, false);
+    expect(repeat).toHaveTextContent('hidden');
+  });
+
+  test('leaves layers and reveals alone when the user prefers reduced motion', () => {
+    window.matchMedia = () => ({ matches: true, addEventListener() {}, removeEventListener() {} });
+    window.IntersectionObserver = jest.fn();
+    render(<Layer />);
+    frames.forEach((callback) => callback());
+
+    expect(screen.getByTestId('layer').style.transform).toBe('');
+    expect(renderHook(() => useInView({ threshold: 0.5 })).result.current[1]).toBe(true);
+    expect(window.IntersectionObserver).not.toHaveBeenCalled();
+  });
+});
+
+describe('useFocusTrap', () => {
+  const Menu = ({ active, onEscape }) => {
+    const ref = useFocusTrap(active, onEscape);
+    return (
+      <>
+        <button type="button">Outside</button>
+        <div ref={ref}>
+          <button type="button">First</button>
+          <button type="button" disabled>Disabled</button>
+          <a href="/last">Last</a>
+        </div>
+      </>
+    );
+  };
+
+  test('wraps Tab around the element and reports Escape while active', () => {
+    const onEscape = jest.fn();
+    const { rerender } = render(<Menu active onEscape={onEscape} />);
+    const first = screen.getByRole('button', { name: 'First' });
+    const last = screen.getByRole('link', { name: 'Last' });
+
+    last.focus();
+    fireEvent.keyDown(last, { key: 'Tab' });
+    expect(first).toHaveFocus();
+    fireEvent.keyDown(first, { key: 'Tab', shiftKey: true });
+    expect(last).toHaveFocus();
+
+    // Focus that has escaped is pulled back in
+    const outside = screen.getByRole('button', { name: 'Outside' });
+    outside.focus();
+    fireEvent.keyDown(outside, { key: 'Tab' });
+    expect(first).toHaveFocus();
+
+    fireEvent.keyDown(first, { key: 'Escape' });
+    expect(onEscape).toHaveBeenCalledTimes(1);
+
+    rerender(<Menu active={false} onEscape={onEscape} />);
+    last.focus();
+    fireEvent.keyDown(last, { key: 'Tab' });
+    fireEvent.keyDown(last, { key: 'Escape' });
+    expect(last).toHaveFocus();
+    expect(onEscape).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,40 @@
+import { catalogues, locales, translate, splitLocale, localizePath, createI18n } from '.';
+
+const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort();
+
+describe.each(locales.filter((locale) => locale.code !== 'en'))('$label catalogue', ({ code }) => {
+  test('has every English key and no extras', () => {
+    expect(Object.keys(catalogues[code]).sort()).toEqual(Object.keys(catalogues.en).sort());
+  });
+
+  test('keeps the same placeholders as English', () => {
+    Object.entries(catalogues.en).forEach(([key, message]) => {
+      expect([key, placeholders(catalogues[code][key] || '')]).toEqual([key, placeholders(message)]);
+    });
+  });
+});
+
+test('interpolates and falls back to English, then the default value, then the key', () => {
+  expect(translate('hi', 'projects.resultCount', { count: 2, total: 4 })).toBe('4 में से 2 परियोजनाएँ दिखाई जा रही हैं');
+  expect(translate('xx', 'nav.home')).toBe('Home');
+  expect(translate('mr', 'projects.category.Residential', { defaultValue: 'Residential' })).toBe('Residential');
+  expect(translate('mr', 'missing.key')).toBe('missing.key');
+});
+
+test('splits and adds locale prefixes', () => {
+  expect(splitLocale('/hi/services')).toEqual({ locale: 'hi', path: '/services' });
+  expect(splitLocale('/mr')).toEqual({ locale: 'mr', path: '/' });
+  expect(splitLocale('/en/services')).toEqual({ locale: 'en', path: '/en/services' });
+  expect(splitLocale('/history')).toEqual({ locale: 'en', path: '/history' });
+
+  expect(localizePath('/services', 'hi')).toBe('/hi/services');
+  expect(localizePath('/', 'mr')).toBe('/mr');
+  expect(localizePath('/hi/projects/byculla-railways', 'mr')).toBe('/mr/projects/byculla-railways');
+  expect(localizePath('/hi/services', 'en')).toBe('/services');
+});
+
+test('formats numbers and dates for the locale', () => {
+  expect(createI18n('en').formatNumber(150000)).toBe('1,50,000');
+  expect(createI18n('en').formatDate('2025-03-01')).toBe('March 2025');
+  expect(createI18n('hi').formatDate('2025-03-01')).toBe('मार्च 2025');
+});
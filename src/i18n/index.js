@@ -0,0 +1,126 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import en from './messages/en.json';
+import hi from './messages/hi.json';
+import mr from './messages/mr.json';
+
+// --- Internationalisation ---
+// Messages live in one JSON catalogue per locale under `messages/`, with
+// English as the reference. The locale is carried in the URL prefix
+// (`/hi/services`); English pages have no prefix.
+
+export const locales = [
+  { code: 'en', label: 'English', tag: 'en-IN' },
+  { code: 'hi', label: 'हिन्दी', tag: 'hi-IN' },
+  { code: 'mr', label: 'मराठी', tag: 'mr-IN' },
+];
+
+export const defaultLocale = 'en';
+
+/**
+ * Flattens a nested catalogue into dotted keys, e.g. `{nav: {home}}` → `nav.home`.
+ * @param {object} messages
+ * @returns {object}
+ */
+export const flattenMessages = (messages, prefix = '') =>
+  Object.entries(messages).reduce((flat, [key, value]) => (
+    typeof value === 'object'
+      ? { ...flat, ...flattenMessages(value, `${prefix}${key}.`) }
+      : { ...flat, [`${prefix}${key}`]: value }
+  ), {});
+
+export const catalogues = {
+  en: flattenMessages(en),
+  hi: flattenMessages(hi),
+  mr: flattenMessages(mr),
+};
+
+export const isLocale = (code) => locales.some((locale) => locale.code === code);
+
+const interpolate = (message, vars) => message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+
+/**
+ * Looks up a message, falling back to English, then `vars.defaultValue`, then the key itself.
+ * @param {string} locale - A locale code.
+ * @param {string} key - A dotted message key, e.g. `nav.home`.
+ * @param {object} vars - Values for `{placeholders}` in the message.
+ * @returns {string}
+ */
+export const translate = (locale, key, vars = {}) => {
+  const message = catalogues[locale]?.[key] ?? catalogues[defaultLocale][key] ?? vars.defaultValue ?? key;
+  return interpolate(message, vars);
+};
+
+/**
+ * Splits a locale prefix off a path.
+ * @param {string} path - e.g. `/hi/services`.
+ * @returns {{locale: string, path: string}} - e.g. `{locale: 'hi', path: '/services'}`.
+ */
+export const splitLocale = (path) => {
+  const match = path.match(/^\/([a-z]{2})(?=\/|$)(.*)$/);
+  if (match && match[1] !== defaultLocale && isLocale(match[1])) {
+    return { locale: match[1], path: match[2] || '/' };
+  }
+  return { locale: defaultLocale, path };
+};
+
+/**
+ * Prefixes a path with a locale. Paths that already carry a prefix are re-prefixed.
+ * @param {string} path - e.g. `/services`.
+ * @param {string} locale - A locale code.
+ * @returns {string} - e.g. `/hi/services`.
+ */
+export const localizePath = (path, locale) => {
+  const { path: bare } = splitLocale(path);
+  if (locale === defaultLocale) return bare;
+  return bare === '/' ? `/${locale}` : `/${locale}${bare}`;
+};
+
+/**
+ * Builds the translation helpers for one locale.
+ * @param {string} locale - A locale code.
+ * @returns {{locale: string, t: Function, formatNumber: Function, formatDate: Function, localizePath: Function}}
+ */
+export const createI18n = (locale) => {
+  const { tag } = locales.find((entry) => entry.code === locale) || locales[0];
+  return {
+    locale,
+    t: (key, vars) => translate(locale, key, vars),
+    formatNumber: (value, options) => new Intl.NumberFormat(tag, options).format(value),
+    // Content dates are plain `YYYY-MM-DD` strings, so format them in UTC to avoid shifting a day.
+    formatDate: (value, options = { year: 'numeric', month: 'long' }) =>
+      new Intl.DateTimeFormat(tag, { timeZone: 'UTC', ...options }).format(new Date(value)),
+    localizePath: (path) => localizePath(path, locale),
+  };
+};
+
+const I18nContext = createContext({ ...createI18n(defaultLocale), setLocale: () => {} });
+
+export const I18nProvider = ({ locale, setLocale, children }) => {
+  const value = useMemo(() => ({ ...createI18n(locale), setLocale }), [locale, setLocale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+/**
+ * A custom React hook for the current locale and its translation helpers.
+ * @returns {{locale: string, t: Function, formatNumber: Function, formatDate: Function, localizePath: Function, setLocale: Function}}
+ */
+export const useI18n = () => useContext(I18nContext);
+
+const STORAGE_KEY = 'afsc:locale';
+
+export const loadPreferredLocale = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return isLocale(saved) ? saved : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const savePreferredLocale = (locale) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    // Storage disabled; the URL prefix still carries the choice.
+  }
+};
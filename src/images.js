@@ -0,0 +1,36 @@
+import imageVariants from './content/imageVariants.json';
+
+// --- Responsive images ---
+// `npm run images` builds every local photo in AVIF, WebP and JPEG at several
+// widths and records them in imageVariants.json (see scripts/build-images.js).
+// This works out which of them to offer for an image. Remote photos are left
+// as they are until they are replaced by local copies.
+
+const SOURCE_TYPES = [
+  { extension: 'avif', type: 'image/avif' },
+  { extension: 'webp', type: 'image/webp' },
+];
+
+const variantSrcSet = ({ path, widths }, extension) => widths.map((width) => `${path}-${width}.${extension} ${width}w`).join(', ');
+
+/**
+ * Works out the `<picture>` sources and `<img>` attributes for an image.
+ * @param {string} src - The image as referenced in the content, e.g. `/ord1.jpg`.
+ * @returns {{src: string, srcSet?: string, sources: {type: string, srcSet: string}[], width?: number, height?: number, placeholder?: string}}
+ *   `sources` lists the modern formats, best first; `srcSet` is the JPEG fallback.
+ *   Images with no variants, such as a fresh upload or a remote photo, come back as they are.
+ */
+export const responsiveImage = (src) => {
+  const variants = imageVariants[src];
+  if (!variants) return { src, sources: [] };
+
+  const largest = variants.widths[variants.widths.length - 1];
+  return {
+    src: `${variants.path}-${largest}.jpg`,
+    srcSet: variantSrcSet(variants, 'jpg'),
+    sources: SOURCE_TYPES.map(({ extension, type }) => ({ type, srcSet: variantSrcSet(variants, extension) })),
+    width: variants.width,
+    height: variants.height,
+    placeholder: variants.placeholder,
+  };
+};
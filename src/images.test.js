@@ -0,0 +1,22 @@
+import { responsiveImage } from './images';
+import imageVariants from './content/imageVariants.json';
+
+test('offers AVIF and WebP ahead of JPEG at every built width', () => {
+  const { path, widths, width, height, placeholder } = imageVariants['/ord1.jpg'];
+  const image = responsiveImage('/ord1.jpg');
+
+  expect(image.sources.map((source) => source.type)).toEqual(['image/avif', 'image/webp']);
+  expect(image.sources[0].srcSet).toBe(widths.map((w) => `${path}-${w}.avif ${w}w`).join(', '));
+  expect(image.srcSet).toBe(widths.map((w) => `${path}-${w}.jpg ${w}w`).join(', '));
+  expect(image.src).toBe(`${path}-${widths[widths.length - 1]}.jpg`);
+  expect(image).toMatchObject({ width, height, placeholder });
+  expect(placeholder).toMatch(/^data:image\/webp;base64,/);
+});
+
+test('leaves other images as they are', () => {
+  expect(responsiveImage('/uploads/new-site.jpg')).toEqual({ src: '/uploads/new-site.jpg', sources: [] });
+  expect(responsiveImage('https://example.com/photo.jpg')).toEqual({ src: 'https://example.com/photo.jpg', sources: [] });
+  // Remote URLs are never rewritten, Unsplash included.
+  const unsplash = 'https://images.unsplash.com/photo-1?w=600&q=60';
+  expect(responsiveImage(unsplash)).toEqual({ src: unsplash, sources: [] });
+});
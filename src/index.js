@@ -3,6 +3,9 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { startSubmissionQueue } from './submission';
+import { analyticsEnabled, startAnalytics, trackWebVital } from './analytics';
+import { registerServiceWorker } from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,7 +14,13 @@ root.render(
   </React.StrictMode>
 );
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// Retry any inquiries that were queued while offline on a previous visit.
+startSubmissionQueue();
+
+// Cache the site for offline use; new versions are offered through the update prompt.
+registerServiceWorker();
+
+// Core Web Vitals go out with the other analytics events, once the visitor agrees.
+// Learn more: https://bit.ly/CRA-vitals
+startAnalytics();
+if (analyticsEnabled) reportWebVitals(trackWebVital);
@@ -0,0 +1,81 @@
+import maharashtra from './maharashtra.json';
+
+// --- Service-area map ---
+// A simplified outline of Maharashtra and a point for each district
+// headquarters, drawn as SVG from data bundled with the site so the map needs
+// no tiles, API key or network. Coordinates are approximate: good enough to
+// show where we work, not to navigate by.
+
+const PADDING = 0.25;
+const WIDTH = 800;
+
+const lngs = maharashtra.outline.map(([lng]) => lng);
+const lats = maharashtra.outline.map(([, lat]) => lat);
+const bounds = {
+  west: Math.min(...lngs) - PADDING,
+  east: Math.max(...lngs) + PADDING,
+  south: Math.min(...lats) - PADDING,
+  north: Math.max(...lats) + PADDING,
+};
+// An equirectangular projection, with longitude narrowed for the state's
+// latitude so the outline isn't stretched sideways.
+const lngFactor = Math.cos((((bounds.north + bounds.south) / 2) * Math.PI) / 180);
+const scale = WIDTH / ((bounds.east - bounds.west) * lngFactor);
+
+export const mapSize = { width: WIDTH, height: Math.round((bounds.north - bounds.south) * scale) };
+
+/**
+ * Converts a latitude and longitude into map coordinates.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {{x: number, y: number}}
+ */
+export const project = (lat, lng) => ({
+  x: Math.round((lng - bounds.west) * lngFactor * scale * 10) / 10,
+  y: Math.round((bounds.north - lat) * scale * 10) / 10,
+});
+
+/** The state outline as an SVG path. */
+export const outlinePath = `${maharashtra.outline
+  .map(([lng, lat], index) => {
+    const { x, y } = project(lat, lng);
+    return `${index ? 'L' : 'M'}${x} ${y}`;
+  })
+  .join(' ')} Z`;
+
+export const districts = maharashtra.districts.map((district) => ({ ...district, ...project(district.lat, district.lng) }));
+
+const normalise = (text) => text.trim().toLowerCase();
+
+/**
+ * Works out the district from a project's free-text location, such as
+ * `Byculla, Mumbai, Maharashtra`. Each comma-separated part is compared with
+ * the district names and known aliases, most specific part first.
+ * @param {string} location
+ * @returns {object|null} - The district, or null when none matches.
+ */
+export const districtForLocation = (location = '') => {
+  const parts = location.split(',').map(normalise).filter(Boolean);
+  for (const part of parts) {
+    const match = districts.find((district) => [district.name, ...(district.aliases || [])].some((name) => normalise(name) === part));
+    if (match) return match;
+  }
+  return null;
+};
+
+/**
+ * Groups projects by the district they were carried out in. Projects whose
+ * location doesn't name a known district are left out.
+ * @param {object[]} projects
+ * @returns {Array<{district: object, projects: object[]}>} - Covered districts, in map order.
+ */
+export const coverageByDistrict = (projects) => {
+  const byName = new Map();
+  projects.forEach((project) => {
+    const district = districtForLocation(project.location);
+    if (!district) return;
+    if (!byName.has(district.name)) byName.set(district.name, []);
+    byName.get(district.name).push(project);
+  });
+  return districts.filter((district) => byName.has(district.name)).map((district) => ({ district, projects: byName.get(district.name) }));
+};
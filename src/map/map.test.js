@@ -0,0 +1,34 @@
+import { mapSize, project, districts, districtForLocation, coverageByDistrict } from '.';
+
+test('projects every district inside the map', () => {
+  expect(districts).toHaveLength(36);
+  districts.forEach(({ name, x, y }) => {
+    expect([name, x > 0 && x < mapSize.width, y > 0 && y < mapSize.height]).toEqual([name, true, true]);
+  });
+  // Nagpur is east of Mumbai and north of Kolhapur
+  expect(project(21.15, 79.09).x).toBeGreaterThan(project(18.94, 72.83).x);
+  expect(project(21.15, 79.09).y).toBeLessThan(project(16.7, 74.24).y);
+});
+
+test('finds the district from any part of a location, including known aliases', () => {
+  expect(districtForLocation('Nagpur, Maharashtra').name).toBe('Nagpur');
+  expect(districtForLocation('Byculla, Mumbai, Maharashtra').name).toBe('Mumbai City');
+  expect(districtForLocation(' chhatrapati sambhajinagar ').name).toBe('Aurangabad');
+  expect(districtForLocation('Maharashtra')).toBeNull();
+  expect(districtForLocation('')).toBeNull();
+  expect(districtForLocation(undefined)).toBeNull();
+});
+
+test('groups projects by district and leaves out unplaced ones', () => {
+  const coverage = coverageByDistrict([
+    { slug: 'a', location: 'Nagpur, Maharashtra' },
+    { slug: 'b', location: 'Byculla, Mumbai, Maharashtra' },
+    { slug: 'c', location: 'Kamptee, Nagpur' },
+    { slug: 'd', location: 'Somewhere else' },
+    { slug: 'e' },
+  ]);
+  expect(coverage.map(({ district, projects }) => [district.name, projects.map((p) => p.slug)])).toEqual([
+    ['Mumbai City', ['b']],
+    ['Nagpur', ['a', 'c']],
+  ]);
+});
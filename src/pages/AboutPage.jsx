@@ -0,0 +1,37 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { MotionDiv, SectionTitle, ProfileDownloadButton, ResponsiveImage } from '../components/ui';
+import { company, pageImages } from '../content';
+
+// About Page
+const AboutPage = () => {
+  const { t, formatNumber } = useI18n();
+  return (
+    <div className="bg-surface">
+      <section className="py-24">
+        <div className="container mx-auto px-6 mt-10">
+
+          <SectionTitle title={t('about.title')} subtitle={t('about.subtitle')} />
+          <MotionDiv className="grid grid-cols-1 lg:grid-cols-2 items-center gap-6 mb-16">
+            <div className="col-span-1">
+              <h2 className="text-3xl md:text-4xl font-bold text-ink mb-4">{t('about.storyTitle')}</h2>
+              <p className="text-ink-muted mb-4 text-lg">{t('about.storyIntro', { year: formatNumber(company.founded, { useGrouping: false }), company: company.name })}</p>
+              <p className="text-ink-muted text-lg">{t('about.storyTrust')}</p>
+              <div className="mt-8">
+                <ProfileDownloadButton className="bg-brand hover:bg-brand-soft text-on-brand font-bold py-3 px-6 rounded-md transition duration-300" errorClassName="text-red-600 dark:text-red-400" />
+                <p className="text-ink-muted text-sm mt-2">{t('profile.hint')}</p>
+              </div>
+            </div>
+            {pageImages.about && (
+              <div className="lg:col-span-2">
+                <ResponsiveImage src={pageImages.about} alt={t('about.imageAlt')} loading="lazy" className="rounded-2xl shadow-xl w-full transition-transform duration-500 hover:scale-[1.02] hover:shadow-2xl" />
+              </div>
+            )}
+          </MotionDiv>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default AboutPage;
@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowDown, ArrowUp, Eye, Lock, Pencil, Plus, Star, Trash2 } from 'lucide-react';
+import { SectionTitle, SubmissionStatus, ProjectCard, ServiceCard } from '../components/ui';
+import { ProjectFields, ServiceFields, TextField } from '../components/ContentForms';
+import { contentStorage } from '../admin';
+import {
+  emptyProject, emptyService, moveItem, putItem,
+  validateProject, validateService, normalizeProject, normalizeService,
+} from '../admin/editing';
+import { serviceIcon } from '../content';
+
+// What each tab edits: its blank item, checks, and how a row is labelled
+const kinds = {
+  projects: { label: 'Projects', singular: 'project', empty: emptyProject, validate: validateProject, Fields: ProjectFields },
+  services: { label: 'Services', singular: 'service', empty: emptyService, validate: validateService, Fields: ServiceFields },
+};
+
+const publishMessages = {
+  sending: 'Publishing your changes…',
+  sent: 'Published. The live site updates with the next build.',
+  failed: 'Your changes could not be published.',
+};
+
+const toPublished = (content) => ({
+  projects: content.projects.map(normalizeProject),
+  services: content.services.map(normalizeService),
+});
+
+const iconButtonClass = 'p-2 rounded-md text-ink-muted hover:text-brand-strong hover:bg-brand-subtle transition disabled:opacity-30 disabled:pointer-events-none';
+
+// Password gate shown before any content is loaded
+const SignIn = ({ onSignedIn }) => {
+  const [password, setPassword] = useState('');
+  const [state, setState] = useState({ busy: false, error: null });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setState({ busy: true, error: null });
+    try {
+      await contentStorage.signIn(password);
+      onSignedIn(await contentStorage.load());
+    } catch (error) {
+      setState({ busy: false, error: error.message });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="max-w-md mx-auto bg-surface-raised p-8 rounded-lg shadow-lg space-y-6">
+      <div className="flex items-center gap-3">
+        <Lock className="text-brand" size={28} aria-hidden="true" />
+        <h2 className="text-2xl font-bold text-ink">Sign in to edit content</h2>
+      </div>
+      <TextField id="admin-password" label="Password" type="password" value={password} onChange={setPassword} error={state.error} autoComplete="current-password" />
+      <button type="submit" disabled={state.busy} className="w-full bg-brand hover:bg-brand-soft text-on-brand font-bold py-3 px-8 rounded-md transition duration-300 disabled:opacity-60">
+        {state.busy ? 'Signing in…' : 'Sign in'}
+      </button>
+    </form>
+  );
+};
+
+// One tab's items, in the order the site shows them
+const ItemList = ({ kind, items, onChange, onEdit }) => {
+  const { singular } = kinds[kind];
+
+  const handleDelete = (index) => {
+    if (window.confirm(`Delete the ${singular} “${items[index].title}”? It stays on the live site until you publish.`)) {
+      onChange(items.filter((_, i) => i !== index));
+    }
+  };
+
+  return (
+    <ul className="divide-y divide-line-subtle border border-line rounded-lg bg-surface-raised">
+      {items.map((item, index) => (
+        <li key={item.slug} className="flex flex-wrap items-center gap-2 p-4">
+          <span className="flex-1 min-w-[12rem]">
+            <span className="block font-semibold text-ink">{item.title}</span>
+            <span className="block text-sm text-ink-muted">{item.slug}</span>
+          </span>
+          <button
+            type="button"
+            onClick={() => onChange(putItem(items, index, { ...item, featured: !item.featured }))}
+            aria-pressed={item.featured}
+            aria-label={`Feature ${item.title} on the home page`}
+            className={`${iconButtonClass} ${item.featured ? 'text-brand' : ''}`}
+          >
+            <Star size={20} fill={item.featured ? 'currentColor' : 'none'} />
+          </button>
+          <button type="button" onClick={() => onChange(moveItem(items, index, -1))} disabled={index === 0} className={iconButtonClass} aria-label={`Move ${item.title} up`}>
+            <ArrowUp size={20} />
+          </button>
+          <button type="button" onClick={() => onChange(moveItem(items, index, 1))} disabled={index === items.length - 1} className={iconButtonClass} aria-label={`Move ${item.title} down`}>
+            <ArrowDown size={20} />
+          </button>
+          <button type="button" onClick={() => onEdit(index)} className={iconButtonClass} aria-label={`Edit ${item.title}`}>
+            <Pencil size={20} />
+          </button>
+          <button type="button" onClick={() => handleDelete(index)} className={`${iconButtonClass} hover:text-red-600`} aria-label={`Delete ${item.title}`}>
+            <Trash2 size={20} />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Edits a copy of one item; nothing reaches the draft until it passes validation
+const ItemEditor = ({ kind, items, index, onSave, onCancel }) => {
+  const { singular, empty, validate, Fields } = kinds[kind];
+  const [item, setItem] = useState(() => (index === null ? empty() : items[index]));
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const others = items.filter((_, i) => i !== index);
+    const itemErrors = validate(item, others);
+    setErrors(itemErrors);
+    if (Object.keys(itemErrors).length === 0) {
+      onSave(putItem(items, index, item));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="bg-surface-raised p-8 rounded-lg shadow-lg">
+      <h2 className="text-2xl font-bold text-ink mb-6">{index === null ? `New ${singular}` : `Edit ${item.title || singular}`}</h2>
+      <Fields {...{ [singular]: item }} errors={errors} onChange={(changes) => setItem((prev) => ({ ...prev, ...changes }))} uploadImage={contentStorage.uploadImage} />
+      {Object.keys(errors).length > 0 && <p role="alert" className="text-red-600 dark:text-red-400 mt-6">Please fix the highlighted fields.</p>}
+      <div className="flex justify-between items-center mt-10">
+        <button type="button" onClick={onCancel} className="text-ink-muted font-semibold hover:text-brand-strong transition">Cancel</button>
+        <button type="submit" className="bg-brand hover:bg-brand-soft text-on-brand font-bold py-3 px-8 rounded-md transition duration-300">Save {singular}</button>
+      </div>
+    </form>
+  );
+};
+
+// The draft shown with the site's own cards, with home page picks marked
+const Preview = ({ content }) => (
+  <div className="space-y-12">
+    <section>
+      <h2 className="text-2xl font-bold text-ink mb-6">Services</h2>
+      <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+        {content.services.map((service) => (
+          <div key={service.slug}>
+            {service.featured && <p className="text-sm font-semibold text-brand-strong mb-2">Featured on the home page</p>}
+            <ServiceCard {...service} icon={serviceIcon(service.icon)} />
+          </div>
+        ))}
+      </div>
+    </section>
+    <section>
+      <h2 className="text-2xl font-bold text-ink mb-6">Projects</h2>
+      <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+        {content.projects.map((project) => (
+          <div key={project.slug}>
+            {project.featured && <p className="text-sm font-semibold text-brand-strong mb-2">Featured on the home page</p>}
+            <ProjectCard {...project} />
+          </div>
+        ))}
+      </div>
+    </section>
+  </div>
+);
+
+// Admin Page - edits projects and services, previews the draft and publishes it
+const AdminPage = () => {
+  const [published, setPublished] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [tab, setTab] = useState('projects');
+  const [editing, setEditing] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [publishing, setPublishing] = useState({ status: 'idle', error: null });
+
+  const hasChanges = draft !== null && JSON.stringify(draft) !== JSON.stringify(published);
+
+  // Warn before closing the tab with unpublished edits.
+  useEffect(() => {
+    if (!hasChanges) return undefined;
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasChanges]);
+
+  const handleSignedIn = (content) => {
+    setPublished(content);
+    setDraft(content);
+  };
+
+  const updateItems = (kind, items) => {
+    setDraft((prev) => ({ ...prev, [kind]: items }));
+    setPublishing({ status: 'idle', error: null });
+  };
+
+  const handlePublish = async () => {
+    setPublishing({ status: 'sending', error: null });
+    try {
+      const content = await contentStorage.publish(toPublished(draft));
+      setPublished(content);
+      setDraft(content);
+      setPublishing({ status: 'sent', error: null });
+    } catch (error) {
+      setPublishing({ status: 'failed', error });
+    }
+  };
+
+  const renderBody = () => {
+    if (!draft) {
+      return <SignIn onSignedIn={handleSignedIn} />;
+    }
+    if (editing) {
+      return (
+        <ItemEditor
+          kind={editing.kind}
+          items={draft[editing.kind]}
+          index={editing.index}
+          onSave={(items) => { updateItems(editing.kind, items); setEditing(null); }}
+          onCancel={() => setEditing(null)}
+        />
+      );
+    }
+    if (previewing) {
+      return <Preview content={draft} />;
+    }
+    return (
+      <>
+        <div role="tablist" aria-label="Content" className="flex gap-2 mb-6">
+          {Object.entries(kinds).map(([kind, { label }]) => (
+            <button
+              key={kind}
+              type="button"
+              role="tab"
+              aria-selected={tab === kind}
+              onClick={() => setTab(kind)}
+              className={`px-5 py-2 rounded-full font-semibold transition ${tab === kind ? 'bg-brand text-on-brand' : 'bg-surface-raised text-ink-body hover:bg-brand-subtle'}`}
+            >
+              {label} ({draft[kind].length})
+            </button>
+          ))}
+        </div>
+        <div role="tabpanel" aria-label={kinds[tab].label}>
+          <ItemList kind={tab} items={draft[tab]} onChange={(items) => updateItems(tab, items)} onEdit={(index) => setEditing({ kind: tab, index })} />
+          <button type="button" onClick={() => setEditing({ kind: tab, index: null })} className="inline-flex items-center mt-6 text-brand-strong font-semibold hover:text-brand-deep transition">
+            <Plus className="mr-1" size={20} /> Add {kinds[tab].singular}
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="pt-12 bg-surface-muted min-h-screen">
+      <section className="py-12">
+        <div className="container mx-auto px-6 mt-10 max-w-5xl">
+          <SectionTitle title="Content Editor" subtitle="Update projects and services, preview them and publish when you’re ready." />
+
+          {draft && !editing && (
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-8 bg-surface-raised p-4 rounded-lg shadow">
+              <p className="text-ink-body" role="status">
+                {hasChanges ? 'You have unpublished changes.' : 'Everything is published.'}
+              </p>
+              <div className="flex flex-wrap gap-3">
+                <button type="button" onClick={() => setPreviewing(!previewing)} aria-pressed={previewing} className="inline-flex items-center gap-2 border-2 border-brand text-brand-strong font-semibold py-2 px-5 rounded-md hover:bg-brand-subtle transition">
+                  {previewing ? <Pencil size={18} /> : <Eye size={18} />} {previewing ? 'Back to editing' : 'Preview'}
+                </button>
+                {hasChanges && <button type="button" onClick={() => setDraft(published)} className="text-ink-muted font-semibold hover:text-brand-strong transition">Discard changes</button>}
+                <button type="button" onClick={handlePublish} disabled={!hasChanges || publishing.status === 'sending'} className="bg-brand hover:bg-brand-soft text-on-brand font-bold py-2 px-6 rounded-md transition duration-300 disabled:opacity-60">
+                  {publishing.status === 'sending' ? 'Publishing…' : 'Publish'}
+                </button>
+              </div>
+              <div className="w-full">
+                <SubmissionStatus status={publishing.status} error={publishing.error} messages={publishMessages} />
+              </div>
+            </div>
+          )}
+
+          {renderBody()}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default AdminPage;
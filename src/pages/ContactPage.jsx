@@ -0,0 +1,184 @@
+import React, { useReducer, useRef, useEffect } from 'react';
+import { Phone, Mail, MapPin } from 'lucide-react';
+import { SectionTitle, AddressLines, AddressActions, AnimatedSection, SubmissionStatus, ErrorSummary } from '../components/ui';
+import CoverageMap from '../components/CoverageMap';
+import { company, telHref } from '../content';
+import { useSubmission } from '../submission';
+import { useI18n } from '../i18n';
+import { contactFields, validateContact, contactReducer, initialContactState, contactRateLimiter } from '../contactForm';
+
+const inputClass = (hasError) =>
+  `w-full border-2 rounded-md p-3 bg-surface text-ink focus:ring-2 focus:ring-brand focus:border-brand transition ${hasError ? 'border-red-500' : 'border-line'}`;
+
+const formatWait = (ms, { t, formatNumber }) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 60
+    ? t('contact.seconds', { count: formatNumber(seconds) })
+    : t('contact.minutes', { count: formatNumber(Math.ceil(seconds / 60)) });
+};
+
+const ContactPage = ({ navigateTo }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [state, dispatch] = useReducer(contactReducer, initialContactState);
+  const [submission, submit] = useSubmission('contact');
+  const summaryRef = useRef(null);
+  const { fields, errors, status } = state;
+
+  // Bring the error summary into focus whenever a submit attempt fails.
+  useEffect(() => {
+    if ((status === 'idle' && Object.keys(errors).length > 0) || status === 'error') {
+      summaryRef.current?.focus();
+    }
+  }, [status, errors]);
+
+  const handleChange = (e) => dispatch({ type: 'change', field: e.target.name, value: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (status === 'validating' || status === 'submitting') return;
+    dispatch({ type: 'submit' });
+
+    const fieldErrors = validateContact(fields);
+    if (Object.keys(fieldErrors).length > 0) {
+      dispatch({ type: 'invalid', errors: fieldErrors });
+      return;
+    }
+
+    // Bots fill every input, including the hidden one; quietly pretend it worked.
+    if (e.target.elements._gotcha.value) {
+      dispatch({ type: 'success', outcome: 'sent' });
+      return;
+    }
+
+    const wait = contactRateLimiter.retryAfter();
+    if (wait > 0) {
+      dispatch({ type: 'error', error: t('contact.rateLimited', { wait: formatWait(wait, i18n) }) });
+      return;
+    }
+
+    dispatch({ type: 'valid' });
+    contactRateLimiter.record();
+    const result = await submit(fields);
+    if (result.status === 'failed') {
+      dispatch({ type: 'error', error: result.error?.message || t('contact.failed') });
+    } else {
+      dispatch({ type: 'success', outcome: result.status });
+    }
+  };
+
+  const fieldProps = (id) => ({
+    id,
+    name: id,
+    value: fields[id],
+    onChange: handleChange,
+    'aria-invalid': Boolean(errors[id]),
+    'aria-describedby': errors[id] ? `${id}-error` : undefined,
+    className: inputClass(errors[id]),
+  });
+
+  const fieldError = (id) => errors[id] && <p id={`${id}-error`} className="text-red-600 dark:text-red-400 text-sm mt-2">{t(errors[id])}</p>;
+
+  const isBusy = status === 'validating' || status === 'submitting';
+  const statusMessages = { queued: t('contact.queued'), sent: t('contact.sent'), failed: t('contact.failed') };
+
+  return (
+    <div className="pt-12 bg-surface-muted">
+      <AnimatedSection className="py-12">
+        <div className="container mx-auto px-6 mt-10">
+          <SectionTitle title={t('contact.title')} subtitle={t('contact.subtitle')} />
+
+          <div className="flex flex-col lg:flex-row gap-12">
+            {/* Contact Form */}
+            <div className="lg:w-1/2 bg-surface-raised p-8 rounded-lg shadow-lg">
+              <h2 className="text-2xl font-bold mb-6">{t('contact.formTitle')}</h2>
+              <form onSubmit={handleSubmit} noValidate className="space-y-6">
+                <ErrorSummary
+                  ref={summaryRef}
+                  id="contact-error-summary"
+                  fieldIds={contactFields.map((field) => field.id)}
+                  errors={errors}
+                  submitError={state.submitError}
+                  title={state.submitError ? t('contact.notSentTitle') : t('contact.summaryTitle')}
+                />
+                <div>
+                  <label htmlFor="name" className="block text-ink-body font-medium mb-2">{t('contact.name')}</label>
+                  <input type="text" autoComplete="name" required {...fieldProps('name')} />
+                  {fieldError('name')}
+                </div>
+                <div>
+                  <label htmlFor="email" className="block text-ink-body font-medium mb-2">{t('contact.email')}</label>
+                  <input type="email" autoComplete="email" required {...fieldProps('email')} />
+                  {fieldError('email')}
+                </div>
+                <div>
+                  <label htmlFor="phone" className="block text-ink-body font-medium mb-2">{t('contact.phone')} <span className="text-ink-subtle font-normal">{t('contact.optional')}</span></label>
+                  <input type="tel" autoComplete="tel" placeholder="+91 98765 43210" {...fieldProps('phone')} />
+                  {fieldError('phone')}
+                </div>
+                <div>
+                  <label htmlFor="message" className="block text-ink-body font-medium mb-2">{t('contact.message')}</label>
+                  <textarea rows="5" required {...fieldProps('message')}></textarea>
+                  {fieldError('message')}
+                </div>
+                {/* Honeypot: hidden from people, filled in by spam bots */}
+                <div className="absolute -left-[9999px] w-px h-px overflow-hidden" aria-hidden="true">
+                  <label htmlFor="_gotcha">{t('contact.honeypot')}</label>
+                  <input type="text" id="_gotcha" name="_gotcha" tabIndex={-1} autoComplete="off" defaultValue="" />
+                </div>
+                <button type="submit" disabled={isBusy} className="w-full bg-brand hover:bg-brand-soft text-on-brand font-bold py-3 rounded-md text-lg transition duration-300 transform hover:scale-105 active:scale-95 motion-reduce:transform-none disabled:opacity-60 disabled:hover:scale-100">
+                  {isBusy ? t('contact.sending') : t('contact.submit')}
+                </button>
+                {status === 'success' && (
+                  <SubmissionStatus status={state.outcome === 'queued' ? submission.status : 'sent'} error={submission.error} messages={statusMessages} />
+                )}
+              </form>
+            </div>
+
+            {/* Contact Info */}
+            <div className="lg:w-1/2">
+              <div className="bg-surface-raised p-8 rounded-lg shadow-lg">
+                <h2 className="text-2xl font-bold mb-6">{t('contact.infoTitle')}</h2>
+                <div className="space-y-6">
+                  <div className="flex items-start space-x-4 animate-fade-in-up delay-100">
+                    <MapPin className="text-brand shrink-0 mt-1" size={24} aria-hidden="true" />
+                    <div>
+                      <h3 className="font-semibold text-lg">{t('contact.office')}</h3>
+                      <AddressLines className="text-ink-muted" />
+                      <AddressActions className="mt-4" />
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-4 animate-fade-in-up delay-200">
+                    <Mail className="text-brand" size={24} aria-hidden="true" />
+                    <div>
+                      <h3 className="font-semibold text-lg">{t('contact.emailUs')}</h3>
+                      <p className="text-ink-muted"><a href={`mailto:${company.email}`} className="hover:text-blue-400">{company.email}</a></p>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-4 animate-fade-in-up delay-300">
+                    <Phone className="text-brand" size={24} aria-hidden="true" />
+                    <div>
+                      <h3 className="font-semibold text-lg">{t('contact.callUs')}</h3>
+                      {company.phones.map((phone) => (
+                        <p key={phone} className="text-ink-muted"><a href={telHref(phone)} className="hover:text-blue-400">{phone}</a></p>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Service area */}
+          <section aria-labelledby="coverage-title" className="mt-12 bg-surface-raised p-8 rounded-lg shadow-lg">
+            <h2 id="coverage-title" className="text-2xl font-bold mb-2">{t('contact.map.title')}</h2>
+            <p className="text-ink-muted mb-6">{t('contact.map.intro')}</p>
+            <CoverageMap navigateTo={navigateTo} />
+          </section>
+        </div>
+      </AnimatedSection>
+    </div>
+  );
+};
+
+export default ContactPage;
@@ -0,0 +1,82 @@
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import { I18nProvider } from '../i18n';
+import ContactPage from './ContactPage';
+
+// Send through the real Formspree adapter, with `fetch` standing in for Formspree.
+jest.mock('../submission/adapters', () => {
+  const adapters = jest.requireActual('../submission/adapters');
+  return { ...adapters, createMockAdapter: () => adapters.createFormspreeAdapter('test-form') };
+});
+
+const jsonResponse = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+const renderPage = () => render(
+  <I18nProvider locale="en" setLocale={jest.fn()}>
+    <ContactPage navigateTo={jest.fn()} />
+  </I18nProvider>,
+);
+
+const fillIn = () => {
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Asha Patil' } });
+  fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'asha@example.com' } });
+  fireEvent.change(screen.getByLabelText(/Phone/), { target: { value: '+91 98765 43210' } });
+  fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'We need cabling for a new ward block.' } });
+};
+
+const submit = () => fireEvent.click(screen.getByRole('button', { name: 'Submit Inquiry' }));
+
+beforeEach(() => {
+  window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+  window.fetch = jest.fn();
+  localStorage.clear();
+});
+afterEach(() => {
+  delete window.fetch;
+});
+
+test('sends the message to Formspree and confirms it', async () => {
+  window.fetch.mockResolvedValue(jsonResponse(200, { ok: true }));
+  renderPage();
+  fillIn();
+  submit();
+
+  expect(await screen.findByText('Your message has been sent! We will get back to you shortly.')).toBeInTheDocument();
+  expect(window.fetch).toHaveBeenCalledTimes(1);
+  const [url, init] = window.fetch.mock.calls[0];
+  expect(url).toBe('https://formspree.io/f/test-form');
+  expect(init.method).toBe('POST');
+  expect(init.body.get('email')).toBe('asha@example.com');
+  expect(init.body.get('message')).toBe('We need cabling for a new ward block.');
+});
+
+test('shows the reason Formspree gives for rejecting a message', async () => {
+  window.fetch.mockResolvedValue(jsonResponse(422, { errors: [{ message: 'This form has been disabled.' }] }));
+  renderPage();
+  fillIn();
+  submit();
+
+  const summary = await screen.findByRole('alert');
+  expect(within(summary).getByText('Your message was not sent')).toBeInTheDocument();
+  expect(within(summary).getByText('This form has been disabled.')).toBeInTheDocument();
+  await waitFor(() => expect(summary).toHaveFocus());
+  expect(screen.getByLabelText('Name')).toHaveValue('Asha Patil');
+});
+
+test('keeps the message to send later when the network is down', async () => {
+  window.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+  renderPage();
+  fillIn();
+  submit();
+
+  expect(await screen.findByText(/Your message is saved on this device/)).toBeInTheDocument();
+});
+
+test('does not contact Formspree while fields are invalid', () => {
+  renderPage();
+  submit();
+
+  const summary = screen.getByRole('alert');
+  expect(within(summary).getByText('Please fix the following:')).toBeInTheDocument();
+  expect(screen.getByLabelText('Name')).toHaveAttribute('aria-invalid', 'true');
+  expect(window.fetch).not.toHaveBeenCalled();
+});
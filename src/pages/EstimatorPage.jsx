@@ -0,0 +1,252 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Download, FileText, Loader2 } from 'lucide-react';
+import { SectionTitle, ErrorSummary } from '../components/ui';
+import { useI18n } from '../i18n';
+import { districts } from '../map';
+import { rateCatalogue } from '../content';
+import { loadQuoteDraft, saveQuoteDraft } from '../quote';
+import {
+  gstStates, supplierState, emptyEstimate, estimateFields, validateEstimate, calculateEstimate,
+  ratesValidUntil, ratesExpired, estimateToQuote,
+} from '../estimator';
+
+const inputClass = (hasError) =>
+  `w-full min-h-[3rem] border-2 rounded-md px-3 py-2 text-base bg-surface text-ink focus:ring-2 focus:ring-brand focus:border-brand transition ${hasError ? 'border-red-500' : 'border-line'}`;
+
+const FieldError = ({ id, message }) => {
+  const { t } = useI18n();
+  return message ? <p id={`${id}-error`} className="text-red-600 dark:text-red-400 text-sm mt-2">{t(message)}</p> : null;
+};
+
+const Section = ({ title, children }) => (
+  <section className="space-y-5 border-t border-line-subtle pt-6 first:border-0 first:pt-0">
+    <h2 className="text-xl font-bold text-ink">{title}</h2>
+    {children}
+  </section>
+);
+
+// The catalogue grouped by category, in the order the categories first appear.
+const categories = rateCatalogue.items.reduce((groups, item) => {
+  const group = groups.find((entry) => entry.name === item.category);
+  if (group) group.items.push(item); else groups.push({ name: item.category, items: [item] });
+  return groups;
+}, []);
+
+// Estimator Page - indicative material supply costs with GST
+const EstimatorPage = ({ navigateTo }) => {
+  const { t, formatNumber, formatDate } = useI18n();
+  const [fields, setFields] = useState(emptyEstimate);
+  const [errors, setErrors] = useState({});
+  const [attempt, setAttempt] = useState(0);
+  const [download, setDownload] = useState('idle');
+  const summaryRef = useRef(null);
+
+  const estimate = calculateEstimate(fields);
+  // Past their validity the rates are not quoted: no prices, total or PDF until rates.json is updated.
+  const expired = ratesExpired();
+  const validUntil = formatDate(ratesValidUntil(), { dateStyle: 'medium' });
+  const money = (paise) => formatNumber(paise / 100, { style: 'currency', currency: 'INR' });
+  const itemName = (item) => t(`estimate.items.${item.id}`, { defaultValue: item.name });
+  const unitName = (unit) => t(`estimate.units.${unit}`, { defaultValue: unit });
+
+  // Bring the error summary into focus after each attempt that fails.
+  useEffect(() => {
+    if (attempt > 0) summaryRef.current?.focus();
+  }, [attempt]);
+
+  const update = (changes) => {
+    const next = { ...fields, ...changes, quantities: { ...fields.quantities, ...changes.quantities } };
+    setFields(next);
+    // Once the form has been checked, keep the errors in step with what is typed.
+    if (Object.keys(errors).length > 0) setErrors(validateEstimate(next));
+  };
+
+  // Both actions need a complete estimate.
+  const check = () => {
+    const fieldErrors = validateEstimate(fields);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) {
+      setAttempt((count) => count + 1);
+      return false;
+    }
+    return true;
+  };
+
+  const handleQuote = () => {
+    if (!check()) return;
+    const { step, draft } = estimateToQuote(estimate, fields, loadQuoteDraft().draft, { priced: !expired });
+    saveQuoteDraft(step, draft);
+    navigateTo('quote');
+  };
+
+  const handleDownload = async () => {
+    if (expired || !check()) return;
+    setDownload('preparing');
+    try {
+      const { downloadEstimate } = await import('../estimatePdf');
+      await downloadEstimate(estimate, fields);
+      setDownload('idle');
+    } catch (error) {
+      setDownload('failed');
+    }
+  };
+
+  const fieldProps = (id) => ({
+    id,
+    name: id,
+    value: fields[id],
+    onChange: (e) => update({ [id]: e.target.value }),
+    'aria-invalid': Boolean(errors[id]),
+    'aria-describedby': errors[id] ? `${id}-error` : undefined,
+    className: inputClass(errors[id]),
+  });
+
+  return (
+    <div className="bg-surface-muted">
+      <section className="py-16 sm:py-24">
+        <div className="container mx-auto px-4 sm:px-6 mt-10 max-w-6xl">
+          <SectionTitle title={t('estimate.title')} subtitle={t('estimate.subtitle')} />
+
+          <div className="grid lg:grid-cols-3 gap-8 items-start">
+            <form onSubmit={(e) => e.preventDefault()} noValidate className="lg:col-span-2 bg-surface-raised p-5 sm:p-8 rounded-lg shadow-lg space-y-8">
+              <ErrorSummary
+                ref={summaryRef}
+                id="estimate-error-summary"
+                fieldIds={estimateFields}
+                errors={errors}
+                title={t('estimate.summaryTitle')}
+              />
+
+              <Section title={t('estimate.itemsTitle')}>
+                <div id="items" tabIndex={-1} className="space-y-6 focus:outline-none">
+                  <p className="text-ink-muted">{t('estimate.itemsHint')}</p>
+                  <FieldError id="items" message={errors.items} />
+                  {categories.map((category) => (
+                    <fieldset key={category.name}>
+                      <legend className="font-semibold text-ink mb-3">{t(`estimate.categories.${category.name}`, { defaultValue: category.name })}</legend>
+                      <ul className="divide-y divide-line-subtle">
+                        {category.items.map((item) => {
+                          const id = `quantity-${item.id}`;
+                          return (
+                            <li key={item.id} className="grid grid-cols-1 sm:grid-cols-[1fr_11rem] gap-2 sm:gap-4 sm:items-center py-3">
+                              <div>
+                                <label htmlFor={id} className="block font-medium text-ink-body">{itemName(item)}</label>
+                                {!expired && (
+                                  <p className="text-sm text-ink-subtle">
+                                    {t('estimate.rate', { rate: money(item.rate * 100), unit: unitName(item.unit), gst: formatNumber(item.gstRate) })}
+                                  </p>
+                                )}
+                              </div>
+                              <div>
+                                <div className="flex items-center gap-2">
+                                  <input
+                                    type="number"
+                                    inputMode="decimal"
+                                    min="0"
+                                    step="any"
+                                    id={id}
+                                    name={id}
+                                    value={fields.quantities[item.id] || ''}
+                                    onChange={(e) => update({ quantities: { [item.id]: e.target.value } })}
+                                    aria-invalid={Boolean(errors[id])}
+                                    aria-describedby={errors[id] ? `${id}-error` : undefined}
+                                    className={inputClass(errors[id])}
+                                  />
+                                  <span className="w-10 shrink-0 text-ink-muted">{unitName(item.unit)}</span>
+                                </div>
+                                <FieldError id={id} message={errors[id]} />
+                              </div>
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </fieldset>
+                  ))}
+                </div>
+              </Section>
+
+              <Section title={t('estimate.deliveryTitle')}>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-5">
+                  <div>
+                    <label htmlFor="city" className="block text-ink-body font-medium mb-2">{t('estimate.city')}</label>
+                    <input type="text" list="estimate-districts" autoComplete="address-level2" {...fieldProps('city')} />
+                    <datalist id="estimate-districts">
+                      {districts.map((district) => <option key={district.name} value={district.name} />)}
+                    </datalist>
+                    <FieldError id="city" message={errors.city} />
+                  </div>
+                  <div>
+                    <label htmlFor="state" className="block text-ink-body font-medium mb-2">{t('estimate.state')}</label>
+                    <select autoComplete="address-level1" {...fieldProps('state')}>
+                      {gstStates.map((state) => <option key={state.code} value={state.name}>{state.name}</option>)}
+                    </select>
+                    <FieldError id="state" message={errors.state} />
+                  </div>
+                </div>
+                <p className="text-sm text-ink-subtle">{t('estimate.taxHint', { state: supplierState.name })}</p>
+              </Section>
+            </form>
+
+            <aside aria-labelledby="estimate-summary-title" className="lg:sticky lg:top-28 bg-surface-raised p-5 sm:p-6 rounded-lg shadow-lg">
+              <h2 id="estimate-summary-title" className="text-xl font-bold text-ink mb-4">{t('estimate.summary')}</h2>
+              {expired ? (
+                <p className="rounded-md border border-amber-200 bg-amber-50 text-amber-900 dark:border-amber-500/30 dark:bg-amber-500/10 dark:text-amber-100 p-3 text-sm">
+                  {t('estimate.expired', { validUntil })}
+                </p>
+              ) : (
+                <>
+                  {estimate.lines.length === 0 ? (
+                    <p className="text-ink-muted">{t('estimate.empty')}</p>
+                  ) : (
+                    <dl className="space-y-2 text-sm">
+                      {estimate.lines.map(({ item, quantity, amount }) => (
+                        <div key={item.id} className="flex justify-between gap-4">
+                          <dt className="text-ink-body">{itemName(item)} <span className="text-ink-subtle">× {formatNumber(quantity)} {unitName(item.unit)}</span></dt>
+                          <dd className="text-ink tabular-nums">{money(amount)}</dd>
+                        </div>
+                      ))}
+                      <div className="flex justify-between gap-4 border-t border-line-subtle pt-2">
+                        <dt className="text-ink-body">{t('estimate.subtotal')}</dt>
+                        <dd className="text-ink tabular-nums">{money(estimate.subtotal)}</dd>
+                      </div>
+                      {estimate.taxes.map((tax) => (
+                        <div key={`${tax.name}-${tax.rate}`} className="flex justify-between gap-4">
+                          <dt className="text-ink-muted">{t('estimate.taxLine', { tax: tax.name, rate: formatNumber(tax.rate), taxable: money(tax.taxable) })}</dt>
+                          <dd className="text-ink tabular-nums">{money(tax.amount)}</dd>
+                        </div>
+                      ))}
+                    </dl>
+                  )}
+                  <p aria-live="polite" className="flex justify-between gap-4 border-t-2 border-brand mt-4 pt-3 text-lg font-bold text-ink">
+                    <span>{t('estimate.total')}</span>
+                    <span className="tabular-nums">{money(estimate.total)}</span>
+                  </p>
+                  <p className="text-xs text-ink-subtle mt-3">
+                    {t('estimate.disclaimer', {
+                      updated: formatDate(rateCatalogue.updated, { dateStyle: 'medium' }),
+                      validUntil,
+                    })}
+                  </p>
+                </>
+              )}
+
+              <div className="mt-6 space-y-3">
+                <button type="button" onClick={handleQuote} className="w-full min-h-[3rem] inline-flex items-center justify-center bg-brand hover:bg-brand-soft text-on-brand font-bold py-3 rounded-md transition duration-300 active:scale-95 motion-reduce:transform-none">
+                  <FileText className="mr-2" size={18} aria-hidden="true" />
+                  {t('estimate.requestQuote')}
+                </button>
+                <button type="button" onClick={handleDownload} disabled={expired || download === 'preparing'} className="w-full min-h-[3rem] inline-flex items-center justify-center border-2 border-brand text-brand-strong hover:bg-brand-subtle font-semibold py-3 rounded-md transition disabled:opacity-60">
+                  {download === 'preparing' ? <Loader2 className="mr-2 animate-spin" size={18} aria-hidden="true" /> : <Download className="mr-2" size={18} aria-hidden="true" />}
+                  {download === 'preparing' ? t('estimate.preparing') : t('estimate.download')}
+                </button>
+                {download === 'failed' && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{t('estimate.downloadFailed')}</p>}
+              </div>
+            </aside>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default EstimatorPage;
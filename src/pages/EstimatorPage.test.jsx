@@ -0,0 +1,101 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { I18nProvider } from '../i18n';
+import { loadQuoteDraft } from '../quote';
+import { rateCatalogue } from '../content';
+import { ratesValidUntil } from '../estimator';
+import EstimatorPage from './EstimatorPage';
+
+const renderPage = (navigateTo = jest.fn()) => render(
+  <I18nProvider locale="en" setLocale={jest.fn()}>
+    <EstimatorPage navigateTo={navigateTo} />
+  </I18nProvider>,
+);
+
+const estimate = () => screen.getByRole('complementary', { name: 'Your estimate' });
+
+// Pin the clock to a day the shipped rates hold, whatever their date.
+const setToday = (day) => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(new Date(`${day}T12:00:00`));
+};
+
+const dayAfter = (day) => {
+  const date = new Date(`${day}T12:00:00`);
+  date.setDate(date.getDate() + 1);
+  return date;
+};
+
+beforeEach(() => setToday(rateCatalogue.updated));
+afterEach(() => {
+  jest.useRealTimers();
+  window.localStorage.clear();
+});
+
+test('totals the chosen items with CGST and SGST, or IGST outside Maharashtra', () => {
+  renderPage();
+  expect(within(estimate()).getByText('Enter a quantity to see your estimate.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('TMT steel rods (Fe 500D)'), { target: { value: '2' } });
+  fireEvent.change(screen.getByLabelText('Solar inverter, 3 kW'), { target: { value: '1' } });
+  expect(within(estimate()).getByText('CGST 9% on ₹1,16,000.00')).toBeInTheDocument();
+  expect(within(estimate()).getByText('SGST 2.5% on ₹32,000.00')).toBeInTheDocument();
+  expect(within(estimate()).getByText('₹1,70,480.00')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('State'), { target: { value: 'Gujarat' } });
+  expect(within(estimate()).getByText('IGST 18% on ₹1,16,000.00')).toBeInTheDocument();
+  expect(within(estimate()).queryByText(/CGST/)).not.toBeInTheDocument();
+  expect(within(estimate()).getByText('₹1,70,480.00')).toBeInTheDocument();
+});
+
+test('lists what is missing before sending an estimate on', () => {
+  const navigateTo = jest.fn();
+  renderPage(navigateTo);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Request a formal quote' }));
+  const summary = screen.getByRole('alert');
+  expect(summary).toHaveFocus();
+  expect(within(summary).getByRole('link', { name: 'Enter a quantity for at least one item.' })).toHaveAttribute('href', '#items');
+  expect(within(summary).getByRole('link', { name: 'Please enter the delivery city or district.' })).toHaveAttribute('href', '#city');
+  expect(navigateTo).not.toHaveBeenCalled();
+
+  fireEvent.change(screen.getByLabelText('CCTV dome camera, 2 MP'), { target: { value: '0' } });
+  expect(screen.getByLabelText('CCTV dome camera, 2 MP')).toHaveAttribute('aria-invalid', 'true');
+});
+
+test('carries the estimate into the quote request', () => {
+  const navigateTo = jest.fn();
+  renderPage(navigateTo);
+
+  fireEvent.change(screen.getByLabelText('CCTV dome camera, 2 MP'), { target: { value: '8' } });
+  fireEvent.change(screen.getByLabelText('City or district'), { target: { value: 'Nagpur' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Request a formal quote' }));
+
+  expect(navigateTo).toHaveBeenCalledWith('quote');
+  const { step, draft } = loadQuoteDraft();
+  expect(step).toBe(1);
+  expect(draft).toMatchObject({
+    service: 'supply-procurement',
+    city: 'Nagpur',
+    budget: 'Under ₹5 lakh',
+    materials: [{ item: 'CCTV dome camera, 2 MP', quantity: '8', unit: 'Nos' }],
+  });
+});
+
+test('shows no prices and offers no PDF once the rates are out of date', () => {
+  jest.setSystemTime(dayAfter(ratesValidUntil()));
+  const navigateTo = jest.fn();
+  renderPage(navigateTo);
+
+  fireEvent.change(screen.getByLabelText('TMT steel rods (Fe 500D)'), { target: { value: '2' } });
+  expect(within(estimate()).getByText(/^These rates were valid until .* and are being updated/)).toBeInTheDocument();
+  expect(within(estimate()).queryByText('Estimated total')).not.toBeInTheDocument();
+  expect(screen.queryByText(/per MT/)).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Download estimate (PDF)' })).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText('City or district'), { target: { value: 'Nagpur' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Request a formal quote' }));
+  expect(navigateTo).toHaveBeenCalledWith('quote');
+  const { draft } = loadQuoteDraft();
+  expect(draft.materials).toEqual([{ item: 'TMT steel rods (Fe 500D)', quantity: '2', unit: 'MT' }]);
+  expect(draft.notes).not.toMatch(/Website estimate/);
+});
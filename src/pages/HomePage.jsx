@@ -0,0 +1,120 @@
+import React from 'react';
+import { ArrowRight, CheckCircle, Lightbulb, Users } from 'lucide-react';
+import { pathFor, Link } from '../router';
+import { useI18n } from '../i18n';
+import { MotionDiv, SectionTitle, ServiceCard, ProjectCard, ResponsiveImage } from '../components/ui';
+import HeroCarousel from '../components/HeroCarousel';
+import TestimonialCarousel from '../components/TestimonialCarousel';
+import { company, heroSlides, featuredServices, featuredProjects, featuredTestimonials, pageImages } from '../content';
+import { trackProjectClick } from '../analytics';
+
+// Home Page
+const HomePage = ({ navigateTo }) => {
+  const { t } = useI18n();
+  const slides = heroSlides.map(({ id, image, alt, title, highlight, text, cta }) => ({
+    image,
+    alt: t(`hero.${id}.alt`, { defaultValue: alt }),
+    title: t(`hero.${id}.title`, { defaultValue: title }),
+    highlight: highlight && t(`hero.${id}.highlight`, { defaultValue: highlight }),
+    text: text && t(`hero.${id}.text`, { defaultValue: text }),
+    cta: cta && { text: t(`hero.${id}.cta`, { defaultValue: cta.label }), to: pathFor(cta.page), navigateTo, trackAs: `hero-${id}` },
+  }));
+
+  return (
+    <>
+      <h1 className="sr-only">{t('meta.home.title', { company: company.name })}</h1>
+      <HeroCarousel slides={slides} label={t('carousel.label')} parallax={-0.2} />
+      {/* Services Overview */}
+      <section className="py-24 bg-surface-muted overflow-hidden">
+        <div className="container mx-auto px-6">
+          
+          <SectionTitle title={t('home.servicesTitle')} subtitle={t('home.servicesSubtitle')} />
+          <MotionDiv className="grid md:grid-cols-3 gap-8">
+            {featuredServices.map((service) => (
+              <ServiceCard key={service.slug} {...service} navigateTo={navigateTo} />
+            ))}
+          </MotionDiv>
+          <div className="text-center mt-16">
+            <Link to={pathFor('services')} navigateTo={navigateTo} className="inline-block rounded-sm text-brand-strong font-semibold text-lg hover:text-brand-deep transition group">
+              {t('home.viewAllServices')} <ArrowRight className="inline-block ml-1 group-hover:translate-x-1 transition-transform motion-reduce:transform-none" size={20} aria-hidden="true" />
+            </Link>
+          </div>
+        </div>
+      </section>
+
+      {/* Projects Overview */}
+      <section className="py-24 bg-surface-muted overflow-hidden">
+        <div className="container mx-auto px-6">
+          
+          <SectionTitle title={t('home.projectsTitle')} subtitle={t('home.projectsSubtitle')} />
+          <MotionDiv className="grid md:grid-cols-2 gap-8">
+            {featuredProjects.map((project) => (
+              <Link key={project.slug} to={pathFor('project', { slug: project.slug })} navigateTo={navigateTo} onClick={() => trackProjectClick(project.slug, 'home')} className="block h-full rounded-xl">
+                <ProjectCard {...project} />
+              </Link>
+            ))}
+          </MotionDiv>
+          <div className="text-center mt-16">
+            <Link to={pathFor('projects')} navigateTo={navigateTo} className="inline-block rounded-sm text-brand-strong font-semibold text-lg hover:text-brand-deep transition group">
+              {t('home.viewAllProjects')} <ArrowRight className="inline-block ml-1 group-hover:translate-x-1 transition-transform motion-reduce:transform-none" size={20} aria-hidden="true" />
+            </Link>
+          </div>
+        </div>
+      </section>
+
+      {/* Why Choose Us */}
+      <section className="py-24 bg-surface overflow-hidden">
+        <div className="container mx-auto px-6">
+          <SectionTitle title={t('home.whyTitle')} subtitle={t('home.whySubtitle')} />
+          <div className="grid lg:grid-cols-2 gap-16 items-center">
+            <MotionDiv className="lg:order-2 flex flex-col items-center">
+              <ResponsiveImage src={pageImages.whyChooseUs} alt={t('home.whyImageAlt')} sizes="(min-width: 1024px) 512px, 100vw" loading="lazy" className="rounded-2xl shadow-xl w-full max-w-lg transition-transform duration-500 hover:scale-[1.02] hover:shadow-2xl" />
+            </MotionDiv>
+            <div className="lg:order-1">
+              <MotionDiv className="space-y-8">
+                <div className="flex items-start group">
+                  <CheckCircle className="text-brand min-w-8 min-h-8 mt-1 mr-4 transition-transform duration-300 group-hover:scale-110" size={32} aria-hidden="true" />
+                  <div>
+                    <h3 className="text-2xl font-bold text-ink">{t('home.experiencedTitle')}</h3>
+                    <p className="text-ink-muted mt-1">{t('home.experiencedText')}</p>
+                  </div>
+                </div>
+                <div className="flex items-start group">
+                  <Lightbulb className="text-brand min-w-8 min-h-8 mt-1 mr-4 transition-transform duration-300 group-hover:scale-110" size={32} aria-hidden="true" />
+                  <div>
+                    <h3 className="text-2xl font-bold text-ink">{t('home.innovativeTitle')}</h3>
+                    <p className="text-ink-muted mt-1">{t('home.innovativeText')}</p>
+                  </div>
+                </div>
+                <div className="flex items-start group">
+                  <Users className="text-brand min-w-8 min-h-8 mt-1 mr-4 transition-transform duration-300 group-hover:scale-110" size={32} aria-hidden="true" />
+                  <div>
+                    <h3 className="text-2xl font-bold text-ink">{t('home.clientTitle')}</h3>
+                    <p className="text-ink-muted mt-1">{t('home.clientText')}</p>
+                  </div>
+                </div>
+              </MotionDiv>
+            </div>
+          </div>
+        </div>
+      </section>
+
+      {/* Client Testimonials - references backing the claims above, once there are any */}
+      {featuredTestimonials.length > 0 && (
+        <section className="py-24 bg-surface-muted overflow-hidden">
+          <div className="container mx-auto px-6">
+            <SectionTitle title={t('testimonials.homeTitle')} subtitle={t('testimonials.homeSubtitle')} />
+            <TestimonialCarousel testimonials={featuredTestimonials} navigateTo={navigateTo} />
+            <div className="text-center mt-16">
+              <Link to={pathFor('testimonials')} navigateTo={navigateTo} className="inline-block rounded-sm text-brand-strong font-semibold text-lg hover:text-brand-deep transition group">
+                {t('testimonials.viewAll')} <ArrowRight className="inline-block ml-1 group-hover:translate-x-1 transition-transform motion-reduce:transform-none" size={20} aria-hidden="true" />
+              </Link>
+            </div>
+          </div>
+        </section>
+      )}
+    </>
+  );
+};
+
+export default HomePage;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { CTAButton } from '../components/ui';
+
+// Not Found Page
+const NotFoundPage = ({ navigateTo }) => {
+  const { t } = useI18n();
+  return (
+    <div className="bg-surface-muted">
+      <section className="py-24 min-h-screen flex items-center">
+        <div className="container mx-auto px-6 mt-10 text-center">
+          <p className="text-brand text-7xl font-extrabold mb-4">404</p>
+          <h1 className="text-4xl md:text-5xl font-extrabold text-ink mb-4">{t('notFound.title')}</h1>
+          <p className="text-ink-muted text-lg max-w-xl mx-auto mb-10">{t('notFound.text')}</p>
+          <CTAButton text={t('notFound.cta')} onClick={() => navigateTo('home')} />
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default NotFoundPage;
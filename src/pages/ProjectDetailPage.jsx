@@ -0,0 +1,90 @@
+import React from 'react';
+import { ArrowLeft } from 'lucide-react';
+import { pathFor, Link } from '../router';
+import { useI18n } from '../i18n';
+import { MotionDiv, CTAButton, TestimonialCard } from '../components/ui';
+import { ImageGallery } from '../components/Lightbox';
+import { getProject, testimonialsFor } from '../content';
+import NotFoundPage from './NotFoundPage';
+
+// Key facts shown on the project detail page; missing values render as a dash
+const projectFacts = [
+  { label: 'project.client', value: (project) => project.client },
+  { label: 'project.location', value: (project) => project.location },
+  { label: 'project.completed', value: (project, { formatDate }) => formatDate(project.completedOn) },
+  { label: 'project.tenderRef', value: (project) => project.tenderRef },
+];
+
+// Projects saved without gallery photos show their cover image instead.
+const galleryImages = (project) => (project.images?.length ? project.images : [{ src: project.imgSrc, alt: project.title }]);
+
+// Project Detail Page
+const ProjectDetailPage = ({ slug, navigateTo }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const project = getProject(slug);
+
+  if (!project) {
+    return <NotFoundPage navigateTo={navigateTo} />;
+  }
+
+  return (
+    <div className="bg-surface">
+      <section className="py-24">
+        <div className="container mx-auto px-6 mt-10 max-w-5xl">
+          <Link to={pathFor('projects')} navigateTo={navigateTo} className="inline-flex items-center text-brand-strong font-semibold hover:text-brand-deep transition mb-8">
+            <ArrowLeft className="mr-2" size={20} /> {t('project.allProjects')}
+          </Link>
+          <MotionDiv className="grid lg:grid-cols-2 gap-12 items-start">
+            <ImageGallery images={galleryImages(project)} />
+            <div>
+              <p className="text-brand font-bold mb-2">{t(`projects.category.${project.category}`, { defaultValue: project.category })}</p>
+              <h1 className="text-4xl md:text-5xl font-extrabold text-ink leading-tight mb-6">{project.title}</h1>
+              <p className="text-ink-muted text-lg mb-8">{project.describe}</p>
+              <dl className="grid grid-cols-2 gap-6 mb-8">
+                {projectFacts.map(({ label, value }) => (
+                  <div key={label}>
+                    <dt className="text-sm font-semibold text-ink-muted uppercase tracking-wide">{t(label)}</dt>
+                    <dd className="text-ink font-medium mt-1">{value(project, i18n) || '—'}</dd>
+                  </div>
+                ))}
+              </dl>
+              <CTAButton text={t('project.discuss')} onClick={() => navigateTo('contact')} />
+            </div>
+          </MotionDiv>
+          {project.scope.length > 0 && (
+            <div className="mt-16 overflow-x-auto">
+              <table className="w-full text-left border-collapse bg-surface-raised rounded-2xl shadow-lg overflow-hidden">
+                <caption className="text-left text-2xl font-bold text-ink mb-4">{t('project.scopeTitle')}</caption>
+                <thead className="bg-gray-900 text-white">
+                  <tr>
+                    <th scope="col" className="p-4 font-semibold">{t('project.item')}</th>
+                    <th scope="col" className="p-4 font-semibold">{t('project.quantity')}</th>
+                    <th scope="col" className="p-4 font-semibold">{t('project.unit')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {project.scope.map((line) => (
+                    <tr key={line.item} className="border-b border-line-subtle last:border-0">
+                      <th scope="row" className="p-4 font-medium text-ink">{line.item}</th>
+                      <td className="p-4 text-ink-muted">{line.quantity ?? t('project.asPerTender')}</td>
+                      <td className="p-4 text-ink-muted">{line.unit}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {testimonialsFor(project.slug).map((testimonial) => (
+            <div key={testimonial.id} className="mt-16">
+              <h2 className="text-2xl font-bold text-ink mb-4">{t('project.referenceTitle')}</h2>
+              <TestimonialCard testimonial={testimonial} navigateTo={navigateTo} linkProject={false} />
+            </div>
+          ))}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default ProjectDetailPage;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { Search } from 'lucide-react';
+import { pathFor, Link } from '../router';
+import { useI18n } from '../i18n';
+import { MotionDiv, SectionTitle, ProjectCard, FilterChip } from '../components/ui';
+import { parseProjectQuery, buildProjectQuery, filterProjects, distinctValues, sortOptions } from '../projectFilters';
+import { projects } from '../content';
+import { trackProjectClick } from '../analytics';
+
+const projectCategories = distinctValues(projects, 'category');
+const projectClientTypes = distinctValues(projects, 'clientType');
+
+// Projects Page
+const ProjectsPage = ({ navigateTo, search }) => {
+  const { t, formatNumber } = useI18n();
+  const filters = parseProjectQuery(search);
+  const visibleProjects = filterProjects(projects, filters);
+
+  // Filters live in the query string; replace the entry so typing doesn't flood history.
+  const updateFilters = (changes) => {
+    const query = buildProjectQuery({ ...filters, ...changes });
+    navigateTo(pathFor('projects') + query, undefined, { replace: true });
+  };
+
+  const hasFilters = Boolean(filters.category || filters.client || filters.q.trim());
+
+  return (
+    <div className="bg-surface">
+      <section className="py-24">
+        <div className="container mx-auto px-6 mt-10">
+          <SectionTitle title={t('projects.title')} subtitle={t('projects.subtitle')} />
+
+          <div className="mb-12 space-y-6">
+            <div className="flex flex-col md:flex-row gap-4">
+              <div className="relative flex-1">
+                <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-ink-subtle" size={20} />
+                <label htmlFor="project-search" className="sr-only">{t('projects.searchLabel')}</label>
+                <input
+                  type="search"
+                  id="project-search"
+                  value={filters.q}
+                  onChange={(e) => updateFilters({ q: e.target.value })}
+                  placeholder={t('projects.searchPlaceholder')}
+                  className="w-full border-2 border-line rounded-full py-3 pl-12 pr-4 bg-surface text-ink focus:ring-2 focus:ring-brand focus:border-brand transition"
+                />
+              </div>
+              <label htmlFor="project-sort" className="sr-only">{t('projects.sortLabel')}</label>
+              <select
+                id="project-sort"
+                value={filters.sort}
+                onChange={(e) => updateFilters({ sort: e.target.value })}
+                className="border-2 border-line rounded-full py-3 px-5 bg-surface text-ink focus:ring-2 focus:ring-brand focus:border-brand transition"
+              >
+                {sortOptions.map((option) => (
+                  <option key={option.id} value={option.id}>{t(option.messageKey)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-wrap gap-3" role="group" aria-label={t('projects.filterCategory')}>
+              <FilterChip label={t('projects.allCategories')} active={!filters.category} onClick={() => updateFilters({ category: '' })} />
+              {projectCategories.map((category) => (
+                <FilterChip key={category} label={t(`projects.category.${category}`, { defaultValue: category })} active={filters.category === category} onClick={() => updateFilters({ category })} />
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-3" role="group" aria-label={t('projects.filterClient')}>
+              <FilterChip label={t('projects.allClients')} active={!filters.client} onClick={() => updateFilters({ client: '' })} />
+              {projectClientTypes.map((client) => (
+                <FilterChip key={client} label={t(`projects.clientType.${client}`, { defaultValue: client })} active={filters.client === client} onClick={() => updateFilters({ client })} />
+              ))}
+            </div>
+          </div>
+
+          <p className="sr-only" role="status">
+            {t('projects.resultCount', { count: formatNumber(visibleProjects.length), total: formatNumber(projects.length) })}
+          </p>
+          {visibleProjects.length > 0 ? (
+            // Keyed on the result set so the stagger animation replays whenever it changes.
+            <MotionDiv key={visibleProjects.map((project) => project.slug).join()} className="grid md:grid-cols-2 lg:grid-cols-2 gap-8">
+              {visibleProjects.map((project) => (
+                <Link key={project.slug} to={pathFor('project', { slug: project.slug })} navigateTo={navigateTo} onClick={() => trackProjectClick(project.slug, 'projects')} className="block h-full">
+                  <ProjectCard {...project} />
+                </Link>
+              ))}
+            </MotionDiv>
+          ) : (
+            <div className="text-center py-16">
+              <p className="text-ink-muted text-lg mb-6">{t('projects.noResults')}</p>
+              {hasFilters && (
+                <button onClick={() => updateFilters({ category: '', client: '', q: '' })} className="text-brand-strong font-semibold text-lg hover:text-brand-deep transition">
+                  {t('projects.clearFilters')}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default ProjectsPage;
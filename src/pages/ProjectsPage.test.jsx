@@ -0,0 +1,32 @@
+import React, { useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { I18nProvider } from '../i18n';
+import ProjectsPage from './ProjectsPage';
+
+// Stands in for the router: navigating updates the query string the page reads.
+const Harness = () => {
+  const [search, setSearch] = useState('');
+  const navigateTo = (path) => setSearch(path.includes('?') ? path.slice(path.indexOf('?')) : '');
+  return (
+    <I18nProvider locale="en" setLocale={jest.fn()}>
+      <ProjectsPage navigateTo={navigateTo} search={search} />
+    </I18nProvider>
+  );
+};
+
+beforeEach(() => {
+  window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+
+test('a search of several words can be typed one key at a time', () => {
+  render(<Harness />);
+  const searchBox = screen.getByRole('searchbox');
+
+  [...'cctv wiring'].forEach((key) => {
+    fireEvent.change(searchBox, { target: { value: `${searchBox.value}${key}` } });
+  });
+
+  expect(searchBox).toHaveValue('cctv wiring');
+  expect(screen.getByRole('link', { name: /Byculla Government Hospital/ })).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: /Byculla Railways/ })).not.toBeInTheDocument();
+});
@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ArrowLeft, CheckCircle, CloudOff, Paperclip, Plus, Trash2 } from 'lucide-react';
+import { SectionTitle, CTAButton, SubmissionStatus } from '../components/ui';
+import { useSubmission } from '../submission';
+import { useI18n } from '../i18n';
+import { services } from '../content';
+import {
+  quoteSteps, timelines, budgetBands, materialUnits, emptyMaterial, emptyQuoteDraft,
+  ATTACHMENT_TYPES, MAX_ATTACHMENTS, validateQuoteStep, firstInvalidStep, invalidAttachment, toQuoteSubmission,
+  loadQuoteDraft, saveQuoteDraft, clearQuoteDraft,
+} from '../quote';
+
+const inputClass = (hasError) =>
+  `w-full border-2 rounded-md p-3 bg-surface text-ink focus:ring-2 focus:ring-brand focus:border-brand transition ${hasError ? 'border-red-500' : 'border-line'}`;
+
+// Errors are message keys from quote.js
+const FieldError = ({ id, message, values }) => {
+  const { t } = useI18n();
+  return message ? <p id={id} className="text-red-600 dark:text-red-400 text-sm mt-2">{t(message, values)}</p> : null;
+};
+
+// Labelled text input wired up to the wizard's error map
+const TextField = ({ id, label, value, onChange, error, type = 'text', optional = false, ...rest }) => {
+  const { t } = useI18n();
+  return (
+    <div>
+      <label htmlFor={id} className="block text-ink-body font-medium mb-2">
+        {label} {optional && <span className="text-ink-subtle font-normal">{t('quote.optional')}</span>}
+      </label>
+      <input
+        type={type}
+        id={id}
+        name={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? `${id}-error` : undefined}
+        className={inputClass(error)}
+        {...rest}
+      />
+      <FieldError id={`${id}-error`} message={error} />
+    </div>
+  );
+};
+
+// A group of large radio cards, used for service, timeline and budget choices
+const ChoiceGroup = ({ name, legend, options, value, onChange, error }) => (
+  <fieldset aria-describedby={error ? `${name}-error` : undefined}>
+    <legend className="block text-ink-body font-medium mb-3">{legend}</legend>
+    <div className="grid sm:grid-cols-2 gap-3">
+      {options.map((option) => (
+        <label
+          key={option.value}
+          className={`flex items-center gap-3 border-2 rounded-lg p-4 cursor-pointer transition focus-within:ring-2 focus-within:ring-brand ${value === option.value ? 'border-brand bg-brand-subtle' : 'border-line hover:border-brand-soft'}`}
+        >
+          <input type="radio" name={name} value={option.value} checked={value === option.value} onChange={() => onChange(option.value)} className="accent-brand" />
+          {option.icon && <option.icon className="text-brand shrink-0" size={24} />}
+          <span className="font-medium text-ink">{option.label}</span>
+        </label>
+      ))}
+    </div>
+    <FieldError id={`${name}-error`} message={error} />
+  </fieldset>
+);
+
+const formatBytes = (bytes) => (bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+// Quote Request Page - a step-by-step wizard with a review screen before submission
+const QuotePage = () => {
+  const { t } = useI18n();
+  const [{ step: savedStep, draft: savedDraft }] = useState(loadQuoteDraft);
+  const [step, setStep] = useState(savedStep);
+  const [draft, setDraft] = useState(savedDraft);
+  const [attachments, setAttachments] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [submission, submit] = useSubmission('quote');
+  const headingRef = useRef(null);
+  const isFirstRender = useRef(true);
+
+  const current = quoteSteps[step];
+  const stepTitle = ({ id }) => t(`quote.steps.${id}`);
+  const unitName = (unit) => t(`quote.units.${unit}`, { defaultValue: unit });
+  const service = services.find((s) => s.slug === draft.service);
+
+  // Once the quote is sent or safely queued, the draft is no longer needed.
+  const isSubmitted = submission.status === 'sent' || submission.status === 'queued';
+
+  useEffect(() => {
+    if (isSubmitted) {
+      clearQuoteDraft();
+    } else {
+      saveQuoteDraft(step, draft);
+    }
+  }, [step, draft, isSubmitted]);
+
+  // Move focus to the step heading so screen readers announce the new step.
+  useEffect(() => {
+    if (isFirstRender.current) {
+      isFirstRender.current = false;
+      return;
+    }
+    headingRef.current?.focus();
+  }, [step]);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const updateMaterial = (index, changes) =>
+    update({ materials: draft.materials.map((line, i) => (i === index ? { ...line, ...changes } : line)) });
+
+  const goTo = (index) => {
+    setErrors({});
+    setStep(index);
+  };
+
+  const handleNext = () => {
+    const stepErrors = validateQuoteStep(current.id, draft, attachments);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length === 0) {
+      setStep(step + 1);
+    }
+  };
+
+  const handleQuoteSubmit = (e) => {
+    e.preventDefault();
+    // Enter in a field submits the form; before the review step that means "Next".
+    if (current.id !== 'review') {
+      handleNext();
+      return;
+    }
+    const invalid = firstInvalidStep(draft, attachments);
+    if (invalid !== -1) {
+      setStep(invalid);
+      setErrors(validateQuoteStep(quoteSteps[invalid].id, draft, attachments));
+      return;
+    }
+    submit(toQuoteSubmission(draft, service.title), attachments);
+  };
+
+  const handleStartOver = () => {
+    clearQuoteDraft();
+    setDraft(emptyQuoteDraft());
+    setAttachments([]);
+    goTo(0);
+  };
+
+  const handleFiles = (e) => {
+    const files = [...attachments, ...Array.from(e.target.files)];
+    setAttachments(files);
+    setErrors(validateQuoteStep('attachments', draft, files));
+    e.target.value = '';
+  };
+
+  if (isSubmitted) {
+    const queued = submission.status === 'queued';
+    return (
+      <div className="pt-12 bg-surface-muted min-h-screen">
+        <section className="py-24">
+          <div className="container mx-auto px-6 mt-10 max-w-2xl text-center bg-surface-raised p-12 rounded-lg shadow-lg" role="status">
+            {queued ? <CloudOff className="text-brand mx-auto mb-6" size={64} /> : <CheckCircle className="text-green-600 mx-auto mb-6" size={64} />}
+            <h1 className="text-3xl font-bold text-ink mb-4">{queued ? t('quote.savedTitle') : t('quote.sentTitle')}</h1>
+            <p className="text-ink-muted text-lg">
+              {queued ? t('quote.savedText') : t('quote.sentText', { name: draft.name })}
+            </p>
+          </div>
+        </section>
+      </div>
+    );
+  }
+
+  const renderStep = () => {
+    switch (current.id) {
+      case 'service':
+        return (
+          <ChoiceGroup
+            name="service"
+            legend={t('quote.serviceLegend')}
+            options={services.map((s) => ({ value: s.slug, label: s.title, icon: s.icon }))}
+            value={draft.service}
+            onChange={(value) => update({ service: value })}
+            error={errors.service}
+          />
+        );
+      case 'location':
+        return (
+          <div className="space-y-6">
+            <div className="grid sm:grid-cols-2 gap-6">
+              <TextField id="city" label={t('quote.city')} value={draft.city} onChange={(city) => update({ city })} error={errors.city} autoComplete="address-level2" />
+              <TextField id="state" label={t('quote.state')} value={draft.state} onChange={(value) => update({ state: value })} error={errors.state} autoComplete="address-level1" />
+            </div>
+            <ChoiceGroup
+              name="timeline"
+              legend={t('quote.timelineLegend')}
+              options={timelines.map((timeline) => ({ value: timeline, label: t(`quote.timelines.${timeline}`, { defaultValue: timeline }) }))}
+              value={draft.timeline}
+              onChange={(timeline) => update({ timeline })}
+              error={errors.timeline}
+            />
+          </div>
+        );
+      case 'budget':
+        return (
+          <ChoiceGroup
+            name="budget"
+            legend={t('quote.budgetLegend')}
+            options={budgetBands.map((band) => ({ value: band, label: t(`quote.budgets.${band}`, { defaultValue: band }) }))}
+            value={draft.budget}
+            onChange={(budget) => update({ budget })}
+            error={errors.budget}
+          />
+        );
+      case 'materials':
+        return (
+          <div className="space-y-4">
+            <p className="text-ink-muted">{t('quote.materialsHint')}</p>
+            {draft.materials.map((line, index) => (
+              <div key={index} className="grid grid-cols-12 gap-3 items-start">
+                <div className="col-span-12 sm:col-span-6">
+                  <TextField id={`material-${index}-item`} label={t('quote.item')} value={line.item} onChange={(item) => updateMaterial(index, { item })} error={errors[`materials.${index}.item`]} />
+                </div>
+                <div className="col-span-5 sm:col-span-2">
+                  <TextField id={`material-${index}-quantity`} label={t('quote.quantity')} type="number" min="0" step="any" value={line.quantity} onChange={(quantity) => updateMaterial(index, { quantity })} error={errors[`materials.${index}.quantity`]} />
+                </div>
+                <div className="col-span-5 sm:col-span-3">
+                  <label htmlFor={`material-${index}-unit`} className="block text-ink-body font-medium mb-2">{t('quote.unit')}</label>
+                  <select id={`material-${index}-unit`} value={line.unit} onChange={(e) => updateMaterial(index, { unit: e.target.value })} className={inputClass(false)}>
+                    {materialUnits.map((unit) => <option key={unit} value={unit}>{unitName(unit)}</option>)}
+                  </select>
+                </div>
+                <div className="col-span-2 sm:col-span-1 pt-9">
+                  <button type="button" onClick={() => update({ materials: draft.materials.filter((_, i) => i !== index) })} className="p-2 text-ink-muted hover:text-red-600 transition" aria-label={t('quote.removeLine', { number: index + 1 })}>
+                    <Trash2 size={20} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button type="button" onClick={() => update({ materials: [...draft.materials, emptyMaterial()] })} className="inline-flex items-center text-brand-strong font-semibold hover:text-brand-deep transition">
+              <Plus className="mr-1" size={20} /> {t('quote.addLine')}
+            </button>
+          </div>
+        );
+      case 'attachments':
+        return (
+          <div className="space-y-4">
+            <p className="text-ink-muted">{t('quote.attachmentsHint', { max: MAX_ATTACHMENTS })}</p>
+            <label htmlFor="attachments" className="flex flex-col items-center justify-center border-2 border-dashed border-line rounded-lg p-8 cursor-pointer hover:border-brand transition focus-within:ring-2 focus-within:ring-brand">
+              <Paperclip className="text-brand mb-2" size={32} />
+              <span className="font-medium text-ink">{t('quote.chooseFiles')}</span>
+              <span className="text-sm text-ink-muted">{ATTACHMENT_TYPES.join(', ')}</span>
+              <input id="attachments" type="file" multiple accept={ATTACHMENT_TYPES.join(',')} onChange={handleFiles} className="sr-only" aria-describedby={errors.attachments ? 'attachments-error' : undefined} />
+            </label>
+            <FieldError id="attachments-error" message={errors.attachments} values={{ max: MAX_ATTACHMENTS, name: invalidAttachment(attachments)?.file.name }} />
+            {attachments.length > 0 && (
+              <ul className="divide-y divide-line-subtle border border-line rounded-lg">
+                {attachments.map((file, index) => (
+                  <li key={`${file.name}-${index}`} className="flex items-center justify-between p-3">
+                    <span className="text-ink truncate">{file.name} <span className="text-ink-muted text-sm">({formatBytes(file.size)})</span></span>
+                    <button type="button" onClick={() => { const files = attachments.filter((_, i) => i !== index); setAttachments(files); setErrors(validateQuoteStep('attachments', draft, files)); }} className="p-2 text-ink-muted hover:text-red-600 transition" aria-label={t('quote.removeFile', { name: file.name })}>
+                      <Trash2 size={18} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <p className="text-sm text-ink-muted">{t('quote.attachmentsNotKept')}</p>
+          </div>
+        );
+      case 'contact':
+        return (
+          <div className="space-y-6">
+            <div className="grid sm:grid-cols-2 gap-6">
+              <TextField id="name" label={t('quote.name')} value={draft.name} onChange={(name) => update({ name })} error={errors.name} autoComplete="name" />
+              <TextField id="organisation" label={t('quote.organisation')} optional value={draft.organisation} onChange={(organisation) => update({ organisation })} autoComplete="organization" />
+              <TextField id="email" label={t('quote.email')} type="email" value={draft.email} onChange={(email) => update({ email })} error={errors.email} autoComplete="email" />
+              <TextField id="phone" label={t('quote.phone')} type="tel" value={draft.phone} onChange={(phone) => update({ phone })} error={errors.phone} autoComplete="tel" placeholder="+91 98765 43210" />
+            </div>
+            <div>
+              <label htmlFor="notes" className="block text-ink-body font-medium mb-2">{t('quote.notes')} <span className="text-ink-subtle font-normal">{t('quote.optional')}</span></label>
+              <textarea id="notes" name="notes" rows="4" value={draft.notes} onChange={(e) => update({ notes: e.target.value })} className={inputClass(false)}></textarea>
+            </div>
+          </div>
+        );
+      default:
+        return <QuoteReview draft={draft} attachments={attachments} serviceTitle={service?.title} unitName={unitName} onEdit={goTo} />;
+    }
+  };
+
+  return (
+    <div className="pt-12 bg-surface-muted">
+      <section className="py-12">
+        <div className="container mx-auto px-6 mt-10 max-w-3xl">
+          <SectionTitle title={t('quote.title')} subtitle={t('quote.subtitle')} />
+
+          <ol className="flex flex-wrap gap-2 mb-8" aria-label={t('quote.progress')}>
+            {quoteSteps.map((s, index) => (
+              <li key={s.id} aria-current={index === step ? 'step' : undefined} className={`flex-1 min-w-[3rem] h-2 rounded-full ${index <= step ? 'bg-brand' : 'bg-line-subtle'}`}>
+                <span className="sr-only">{index < step ? t('quote.stepCompleted', { step: stepTitle(s) }) : stepTitle(s)}</span>
+              </li>
+            ))}
+          </ol>
+
+          <form onSubmit={handleQuoteSubmit} noValidate className="bg-surface-raised p-8 rounded-lg shadow-lg">
+            <p className="text-sm font-semibold text-brand-strong mb-1">{t('quote.stepOf', { step: step + 1, total: quoteSteps.length })}</p>
+            <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-bold mb-6 focus:outline-none">{stepTitle(current)}</h2>
+
+            {renderStep()}
+
+            <SubmissionStatus status={submission.status} error={submission.error} messages={{ sending: t('quote.status.sending'), failed: t('quote.status.failed') }} />
+
+            <div className="flex justify-between items-center mt-10">
+              {step > 0 ? (
+                <button type="button" onClick={() => goTo(step - 1)} className="inline-flex items-center text-ink-muted font-semibold hover:text-brand-strong transition">
+                  <ArrowLeft className="mr-2" size={20} /> {t('quote.back')}
+                </button>
+              ) : (
+                <button type="button" onClick={handleStartOver} className="text-ink-muted text-sm hover:text-brand-strong transition">{t('quote.startOver')}</button>
+              )}
+              {current.id === 'review' ? (
+                <button type="submit" disabled={submission.status === 'sending'} className="bg-brand hover:bg-brand-soft text-on-brand font-bold py-3 px-8 rounded-md text-lg transition duration-300 disabled:opacity-60">
+                  {submission.status === 'sending' ? t('quote.sending') : t('quote.submit')}
+                </button>
+              ) : (
+                <CTAButton text={t('quote.next')} onClick={handleNext} className="py-2 px-6 rounded-md text-base" />
+              )}
+            </div>
+          </form>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+// Summary of every step, each with a link back to edit it
+const QuoteReview = ({ draft, attachments, serviceTitle, unitName, onEdit }) => {
+  const { t } = useI18n();
+  const rows = [
+    { id: 'service', step: 0, value: serviceTitle },
+    { id: 'location', step: 1, value: `${draft.city}, ${draft.state}` },
+    { id: 'timeline', step: 1, value: draft.timeline && t(`quote.timelines.${draft.timeline}`, { defaultValue: draft.timeline }) },
+    { id: 'budget', step: 2, value: draft.budget && t(`quote.budgets.${draft.budget}`, { defaultValue: draft.budget }) },
+    { id: 'materials', step: 3, value: draft.materials.length ? draft.materials.map((l) => `${l.item} — ${l.quantity} ${unitName(l.unit)}`).join('\n') : t('quote.review.noMaterials') },
+    { id: 'documents', step: 4, value: attachments.length ? attachments.map((f) => f.name).join('\n') : t('quote.review.noDocuments') },
+    { id: 'contact', step: 5, value: [draft.name, draft.organisation, draft.email, draft.phone].filter(Boolean).join('\n') },
+    { id: 'notes', step: 5, value: draft.notes || '—' },
+  ];
+
+  return (
+    <dl className="divide-y divide-line-subtle">
+      {rows.map((row) => (
+        <div key={row.id} className="py-4 grid grid-cols-3 gap-4">
+          <dt className="font-semibold text-ink-body">{t(`quote.review.${row.id}`)}</dt>
+          <dd className="col-span-2 flex justify-between gap-4">
+            <span className="text-ink whitespace-pre-line">{row.value}</span>
+            <button type="button" onClick={() => onEdit(row.step)} className="text-brand-strong font-semibold text-sm hover:text-brand-deep transition shrink-0" aria-label={t('quote.review.editLabel', { section: t(`quote.review.${row.id}`) })}>{t('quote.review.edit')}</button>
+          </dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+export default QuotePage;
@@ -0,0 +1,65 @@
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import { I18nProvider } from '../i18n';
+import { emptyQuoteDraft, loadQuoteDraft, saveQuoteDraft } from '../quote';
+import QuotePage from './QuotePage';
+
+const savedDraft = (changes = {}) => ({
+  ...emptyQuoteDraft(),
+  service: 'railway-infrastructure',
+  city: 'Nagpur',
+  timeline: 'Within 1 month',
+  budget: 'Under ₹5 lakh',
+  name: 'Asha Patil',
+  email: 'asha@example.com',
+  phone: '+91 98765 43210',
+  ...changes,
+});
+
+const renderPage = (locale = 'en') => render(
+  <I18nProvider locale={locale} setLocale={jest.fn()}>
+    <QuotePage />
+  </I18nProvider>,
+);
+
+beforeEach(() => {
+  window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+afterEach(() => window.localStorage.clear());
+
+test('picks up a saved draft at the review and sends it', async () => {
+  saveQuoteDraft(6, savedDraft());
+  renderPage();
+
+  expect(screen.getByRole('heading', { name: 'Review' })).toBeInTheDocument();
+  expect(screen.getByText('Railway Infrastructure Solutions')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Submit Quote Request' }));
+
+  expect(await screen.findByRole('heading', { name: 'Quote request sent' })).toBeInTheDocument();
+  expect(screen.getByText(/^Thank you, Asha Patil\./)).toBeInTheDocument();
+  await waitFor(() => expect(loadQuoteDraft()).toEqual({ step: 0, draft: emptyQuoteDraft() }));
+});
+
+test('asks for the service again when the saved one has been withdrawn', () => {
+  saveQuoteDraft(6, savedDraft({ service: 'bridge-works' }));
+  renderPage();
+
+  expect(screen.getByText('Step 1 of 7')).toBeInTheDocument();
+  const choices = screen.getByRole('group', { name: 'Which service do you need?' });
+  within(choices).getAllByRole('radio').forEach((radio) => expect(radio).not.toBeChecked());
+
+  fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(screen.getByText('Please choose the service you need.')).toBeInTheDocument();
+
+  fireEvent.click(within(choices).getByRole('radio', { name: 'Defence Projects' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(screen.getByRole('heading', { name: 'Location & Timeline' })).toBeInTheDocument();
+});
+
+test('shows the wizard in the page language', () => {
+  saveQuoteDraft(6, savedDraft());
+  renderPage('mr');
+
+  expect(screen.getByRole('heading', { name: 'पुनरावलोकन' })).toBeInTheDocument();
+  expect(screen.getByText('1 महिन्याच्या आत')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'कोटेशन विनंती पाठवा' })).toBeInTheDocument();
+});
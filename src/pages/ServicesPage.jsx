@@ -0,0 +1,26 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { MotionDiv, SectionTitle, ServiceCard } from '../components/ui';
+import { services } from '../content';
+
+// Services Page
+const ServicesPage = ({ navigateTo }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="bg-surface-muted">
+      <section className="py-24">
+        <div className="container mx-auto px-6 mt-10">
+          <SectionTitle title={t('services.title')} subtitle={t('services.subtitle')} />
+          <MotionDiv className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {services.map((service) => (
+              <ServiceCard key={service.slug} {...service} navigateTo={navigateTo} />
+            ))}
+          </MotionDiv>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default ServicesPage;
@@ -0,0 +1,177 @@
+import React from 'react';
+import { ArrowRight, CalendarDays, LayoutList } from 'lucide-react';
+import { pathFor, Link } from '../router';
+import { useI18n } from '../i18n';
+import { MotionDiv, SectionTitle, FilterChip } from '../components/ui';
+import { parseTenderQuery, buildTenderQuery, filterTenders, countByStatus, tenderTimeline, tenderStatuses, tenderMilestones, withCurrentStatus } from '../tenders';
+import { tenders, getProject } from '../content';
+
+const statusStyles = {
+  bidding: 'bg-amber-50 text-amber-800 border-amber-200 dark:bg-amber-500/10 dark:text-amber-200 dark:border-amber-500/30',
+  closed: 'bg-surface-muted text-ink-muted border-line',
+  won: 'bg-green-50 text-green-700 border-green-200 dark:bg-green-500/10 dark:text-green-300 dark:border-green-500/30',
+  completed: 'bg-surface-muted text-ink-body border-line',
+};
+
+const listedTenders = withCurrentStatus(tenders);
+const statusCounts = countByStatus(listedTenders);
+
+const StatusBadge = ({ status }) => {
+  const { t } = useI18n();
+  return (
+    <span className={`inline-block border rounded-full px-3 py-1 text-xs font-bold uppercase tracking-wide ${statusStyles[status]}`}>
+      {t(`tenders.status.${status}`)}
+    </span>
+  );
+};
+
+// Link from a completed tender to the portfolio entry for the work
+const ProjectLink = ({ tender, navigateTo }) => {
+  const { t } = useI18n();
+  const project = tender.status === 'completed' && getProject(tender.projectSlug);
+  if (!project) return null;
+  return (
+    <Link to={pathFor('project', { slug: project.slug })} navigateTo={navigateTo} className="inline-flex items-center text-brand-strong font-semibold hover:text-brand-deep transition">
+      {t('tenders.viewProject', { project: project.title })} <ArrowRight className="ml-1" size={16} aria-hidden="true" />
+    </Link>
+  );
+};
+
+// One tender with its reference, value band and milestone dates
+const TenderCard = ({ tender, navigateTo }) => {
+  const { t, formatDate } = useI18n();
+  const facts = [
+    { label: t('tenders.tenderNumber'), value: tender.tenderNumber },
+    { label: t('tenders.value'), value: t(`tenders.valueBand.${tender.valueBand}`) },
+    ...tenderMilestones.filter((milestone) => tender.dates[milestone]).map((milestone) => ({
+      label: t(`tenders.milestone.${milestone}`),
+      value: <time dateTime={tender.dates[milestone]}>{formatDate(tender.dates[milestone], { dateStyle: 'medium' })}</time>,
+    })),
+  ];
+
+  return (
+    <article aria-labelledby={`tender-${tender.id}`} className="bg-surface-raised p-8 rounded-3xl shadow-lg border border-line-subtle h-full flex flex-col">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <p className="text-brand-strong font-bold">{t(`tenders.department.${tender.department}`, { defaultValue: tender.department })}</p>
+        <StatusBadge status={tender.status} />
+      </div>
+      <h3 id={`tender-${tender.id}`} className="text-xl font-bold text-ink mb-6">{tender.title}</h3>
+      <dl className="grid grid-cols-2 gap-4 flex-1">
+        {facts.map(({ label, value }) => (
+          <div key={label}>
+            <dt className="text-xs font-semibold text-ink-muted uppercase tracking-wide">{label}</dt>
+            <dd className="text-ink font-medium mt-1 break-words">{value}</dd>
+          </div>
+        ))}
+      </dl>
+      <div className="mt-6 empty:hidden">
+        <ProjectLink tender={tender} navigateTo={navigateTo} />
+      </div>
+    </article>
+  );
+};
+
+// Every milestone of the listed tenders, newest first and grouped by year
+const TenderTimeline = ({ tenders: listed, navigateTo }) => {
+  const { t, formatDate } = useI18n();
+  return (
+    <div className="space-y-12">
+      {tenderTimeline(listed).map(({ year, events }) => (
+        <section key={year} aria-labelledby={`tenders-${year}`}>
+          <h3 id={`tenders-${year}`} className="text-2xl font-bold text-ink mb-6">{year}</h3>
+          <ol className="border-l-2 border-line ml-2 space-y-8">
+            {events.map(({ date, milestone, tender }) => (
+              <li key={`${tender.id}-${milestone}`} className="relative pl-8">
+                <span className={`absolute -left-[9px] top-1.5 w-4 h-4 rounded-full border-2 border-surface ${milestone === 'completed' ? 'bg-brand-strong' : 'bg-brand'}`} aria-hidden="true"></span>
+                <p className="text-sm text-ink-muted">
+                  <time dateTime={date}>{formatDate(date, { day: 'numeric', month: 'long' })}</time> · {t(`tenders.milestone.${milestone}`)}
+                </p>
+                <p className="font-semibold text-ink mt-1">{tender.title}</p>
+                <p className="text-sm text-ink-muted">
+                  {t(`tenders.department.${tender.department}`, { defaultValue: tender.department })} · {tender.tenderNumber}
+                </p>
+                {milestone === 'completed' && (
+                  <p className="mt-2 text-sm"><ProjectLink tender={tender} navigateTo={navigateTo} /></p>
+                )}
+              </li>
+            ))}
+          </ol>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+// Tenders Page - what we are bidding on, have won and have delivered
+const TendersPage = ({ navigateTo, search }) => {
+  const { t, formatNumber } = useI18n();
+  const filters = parseTenderQuery(search);
+  const visibleTenders = filterTenders(listedTenders, filters);
+
+  // Filters live in the query string; replace the entry so switching doesn't flood history.
+  const updateFilters = (changes) => {
+    navigateTo(pathFor('tenders') + buildTenderQuery({ ...filters, ...changes }), undefined, { replace: true });
+  };
+
+  const views = [
+    { id: 'list', Icon: LayoutList, label: t('tenders.listView') },
+    { id: 'timeline', Icon: CalendarDays, label: t('tenders.timelineView') },
+  ];
+
+  return (
+    <div className="bg-surface-muted">
+      <section className="py-24">
+        <div className="container mx-auto px-6 mt-10">
+          <SectionTitle title={t('tenders.title')} subtitle={t('tenders.subtitle')} />
+
+          <div className="mb-12 flex flex-col lg:flex-row lg:items-center lg:justify-between gap-6">
+            <div className="flex flex-wrap gap-3" role="group" aria-label={t('tenders.filterStatus')}>
+              <FilterChip label={t('tenders.allStatuses')} active={!filters.status} onClick={() => updateFilters({ status: '' })} />
+              {tenderStatuses.map(({ id, messageKey }) => (
+                <FilterChip
+                  key={id}
+                  label={`${t(messageKey)} (${formatNumber(statusCounts[id])})`}
+                  active={filters.status === id}
+                  onClick={() => updateFilters({ status: id })}
+                />
+              ))}
+            </div>
+            <div className="flex gap-2" role="group" aria-label={t('tenders.viewLabel')}>
+              {views.map(({ id, Icon, label }) => (
+                <button
+                  key={id}
+                  type="button"
+                  aria-pressed={filters.view === id}
+                  onClick={() => updateFilters({ view: id })}
+                  className={`inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm font-semibold transition ${filters.view === id ? 'bg-gray-900 text-white dark:bg-surface-raised' : 'text-ink-body hover:bg-surface-raised'}`}
+                >
+                  <Icon size={18} aria-hidden="true" /> {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <p className="sr-only" role="status">
+            {t('tenders.resultCount', { count: formatNumber(visibleTenders.length), total: formatNumber(listedTenders.length) })}
+          </p>
+          {visibleTenders.length === 0 && (
+            <p className="text-center text-ink-muted text-lg py-16">{t(listedTenders.length === 0 ? 'tenders.empty' : 'tenders.noResults')}</p>
+          )}
+          {visibleTenders.length > 0 && filters.view === 'timeline' && (
+            <TenderTimeline tenders={visibleTenders} navigateTo={navigateTo} />
+          )}
+          {visibleTenders.length > 0 && filters.view === 'list' && (
+            // Keyed on the result set so the stagger animation replays whenever it changes.
+            <MotionDiv key={visibleTenders.map((tender) => tender.id).join()} className="grid md:grid-cols-2 xl:grid-cols-3 gap-8">
+              {visibleTenders.map((tender) => (
+                <TenderCard key={tender.id} tender={tender} navigateTo={navigateTo} />
+              ))}
+            </MotionDiv>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default TendersPage;
@@ -0,0 +1,82 @@
+import { render, screen, within, fireEvent } from '@testing-library/react';
+import { I18nProvider } from '../i18n';
+import TendersPage from './TendersPage';
+
+// The shipped board stays empty until the office supplies real tender records,
+// so the page is tested against a made-up board.
+jest.mock('../content', () => {
+  const tender = (id, status, dates, extra = {}) => ({
+    id,
+    title: `Test tender ${id}`,
+    department: 'Test department',
+    tenderNumber: `TEST/${id}`,
+    valueBand: 'under-10l',
+    status,
+    dates: { published: null, closes: null, awarded: null, completed: null, ...dates },
+    ...extra,
+  });
+  return {
+    ...jest.requireActual('../content'),
+    tenders: [
+      tender('open', 'bidding', { published: '2099-01-05', closes: '2099-02-01' }, { valueBand: 'over-1cr' }),
+      tender('lapsed', 'bidding', { published: '2025-10-01', closes: '2025-11-03' }),
+      tender('won', 'won', { published: '2025-03-01', closes: '2025-03-20', awarded: '2025-04-10' }),
+      tender('done', 'completed', {
+        published: '2024-10-21', closes: '2024-11-18', awarded: '2024-12-16', completed: '2025-03-18',
+      }, { projectSlug: 'byculla-railways' }),
+    ],
+  };
+});
+
+let navigateTo;
+const renderPage = (search = '') => render(
+  <I18nProvider locale="en" setLocale={jest.fn()}>
+    <TendersPage navigateTo={navigateTo} search={search} />
+  </I18nProvider>,
+);
+
+beforeEach(() => {
+  navigateTo = jest.fn();
+  window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+
+test('lists every tender with its number, value band and status', () => {
+  renderPage();
+  expect(screen.getByRole('status')).toHaveTextContent('Showing 4 of 4 tenders');
+
+  const card = screen.getByRole('article', { name: 'Test tender open' });
+  expect(within(card).getByText('TEST/open')).toBeInTheDocument();
+  expect(within(card).getByText('Above ₹1 crore')).toBeInTheDocument();
+  expect(within(card).getByText('Bidding')).toBeInTheDocument();
+  expect(within(card).queryByRole('link')).not.toBeInTheDocument();
+});
+
+test('shows a tender whose bids have closed as awaiting award, not bidding', () => {
+  renderPage();
+  const card = screen.getByRole('article', { name: 'Test tender lapsed' });
+  expect(within(card).getByText('Closed, awaiting award')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Bidding (1)' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Closed, awaiting award (1)' })).toBeInTheDocument();
+});
+
+test('filters by status and links completed tenders to their projects', () => {
+  renderPage('?status=completed');
+  expect(screen.getByRole('button', { name: 'Completed (1)' })).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByRole('status')).toHaveTextContent('Showing 1 of 4 tenders');
+  expect(screen.getByRole('link', { name: 'View project: Byculla Railways' })).toHaveAttribute('href', '/projects/byculla-railways');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Bidding (1)' }));
+  expect(navigateTo).toHaveBeenCalledWith('/tenders?status=bidding', undefined, { replace: true });
+});
+
+test('shows the milestones as a timeline grouped by year', () => {
+  renderPage('?view=timeline');
+  expect(screen.getByRole('button', { name: 'Timeline' })).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getAllByRole('heading', { level: 3 }).map((heading) => heading.textContent)).toEqual(['2099', '2025', '2024']);
+
+  const year2024 = screen.getByRole('region', { name: '2024' });
+  expect(within(year2024).getAllByRole('listitem')).toHaveLength(3);
+
+  fireEvent.click(screen.getByRole('button', { name: 'List' }));
+  expect(navigateTo).toHaveBeenCalledWith('/tenders', undefined, { replace: true });
+});
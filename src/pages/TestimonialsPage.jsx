@@ -0,0 +1,30 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { MotionDiv, SectionTitle, TestimonialCard } from '../components/ui';
+import { testimonials } from '../content';
+
+// Testimonials Page - every client reference, newest first
+const TestimonialsPage = ({ navigateTo }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="bg-surface-muted">
+      <section className="py-24">
+        <div className="container mx-auto px-6 mt-10">
+          <SectionTitle title={t('testimonials.title')} subtitle={t('testimonials.subtitle')} />
+          {testimonials.length === 0 ? (
+            <p className="text-center text-ink-muted text-lg max-w-2xl mx-auto">{t('testimonials.empty')}</p>
+          ) : (
+            <MotionDiv className="grid md:grid-cols-2 gap-8">
+              {testimonials.map((testimonial) => (
+                <TestimonialCard key={testimonial.id} testimonial={testimonial} navigateTo={navigateTo} />
+              ))}
+            </MotionDiv>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default TestimonialsPage;
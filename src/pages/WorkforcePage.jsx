@@ -0,0 +1,329 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { CheckCircle, FileUp, X } from 'lucide-react';
+import { SectionTitle, SubmissionStatus, ErrorSummary } from '../components/ui';
+import { useSubmission } from '../submission';
+import { useI18n } from '../i18n';
+import { localDateIso } from '../validation';
+import { districts } from '../map';
+import {
+  applicantTypes, trades, skillLevels, certifications, ID_DOCUMENT_TYPES, emptyRegistration,
+  registrationFields, validateRegistration, toRegistrationSubmission,
+} from '../workforce';
+
+// Mobile first: full-width, 16px inputs (no zoom on focus in iOS Safari) and
+// tap targets at least 48px tall.
+const inputClass = (hasError) =>
+  `w-full min-h-[3rem] border-2 rounded-md px-3 py-2 text-base bg-surface text-ink focus:ring-2 focus:ring-brand focus:border-brand transition ${hasError ? 'border-red-500' : 'border-line'}`;
+
+const FieldError = ({ id, message }) => {
+  const { t } = useI18n();
+  return message ? <p id={`${id}-error`} className="text-red-600 dark:text-red-400 text-sm mt-2">{t(message)}</p> : null;
+};
+
+// Large radio cards, one per row on phones
+const ChoiceGroup = ({ id, legend, group, options, value, onChange, error }) => {
+  const { t } = useI18n();
+  return (
+    <fieldset id={id} tabIndex={-1} aria-describedby={error ? `${id}-error` : undefined} className="focus:outline-none">
+      <legend className="block text-ink-body font-medium mb-3">{legend}</legend>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {options.map((option) => (
+          <label
+            key={option}
+            className={`flex items-center gap-3 min-h-[3rem] border-2 rounded-lg px-4 py-3 cursor-pointer transition focus-within:ring-2 focus-within:ring-brand ${value === option ? 'border-brand bg-brand-subtle' : 'border-line hover:border-brand-soft'}`}
+          >
+            <input type="radio" name={id} value={option} checked={value === option} onChange={() => onChange(option)} className="accent-brand w-5 h-5" />
+            <span className="font-medium text-ink">{t(`workforce.${group}.${option}`, { defaultValue: option })}</span>
+          </label>
+        ))}
+      </div>
+      <FieldError id={id} message={error} />
+    </fieldset>
+  );
+};
+
+const Section = ({ title, children }) => (
+  <section className="space-y-5 border-t border-line-subtle pt-6 first:border-0 first:pt-0">
+    <h2 className="text-xl font-bold text-ink">{title}</h2>
+    {children}
+  </section>
+);
+
+// Workforce Page - registration for workers and subcontractors
+const WorkforcePage = () => {
+  const { t, formatNumber } = useI18n();
+  const [fields, setFields] = useState(emptyRegistration);
+  const [idDocument, setIdDocument] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [attempt, setAttempt] = useState(0);
+  const [submission, submit, resetSubmission] = useSubmission('workforce');
+  // The visitor's own date, for both the date pickers and the validation.
+  const today = localDateIso();
+  const summaryRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const isBusy = submission.status === 'sending';
+  const isRegistered = submission.status === 'sent' || submission.status === 'queued';
+  const isSubcontractor = fields.applicantType === 'Subcontractor';
+
+  // Bring the error summary into focus after each submit that fails.
+  useEffect(() => {
+    if (attempt > 0) summaryRef.current?.focus();
+  }, [attempt]);
+
+  const update = (changes) => {
+    const next = { ...fields, ...changes };
+    setFields(next);
+    // Once a field has been flagged, re-check it as the user types.
+    const flagged = Object.keys(changes).filter((id) => errors[id]);
+    if (flagged.length > 0) {
+      const current = validateRegistration(next, idDocument, today);
+      setErrors((prev) => {
+        const updated = { ...prev };
+        flagged.forEach((id) => {
+          if (current[id]) updated[id] = current[id]; else delete updated[id];
+        });
+        return updated;
+      });
+    }
+  };
+
+  const toggleCertification = (name) => update({
+    certifications: fields.certifications.includes(name)
+      ? fields.certifications.filter((held) => held !== name)
+      : [...fields.certifications, name],
+  });
+
+  const handleFile = (e) => {
+    const file = e.target.files[0] || null;
+    setIdDocument(file);
+    if (errors.idDocument) {
+      const { idDocument: error } = validateRegistration(fields, file, today);
+      setErrors((prev) => {
+        const updated = { ...prev, idDocument: error };
+        if (!error) delete updated.idDocument;
+        return updated;
+      });
+    }
+  };
+
+  const removeFile = () => {
+    setIdDocument(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isBusy) return;
+
+    const fieldErrors = validateRegistration(fields, idDocument, today);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) {
+      setAttempt((count) => count + 1);
+      return;
+    }
+
+    const result = await submit(toRegistrationSubmission(fields), [idDocument]);
+    if (result.status === 'failed') {
+      setAttempt((count) => count + 1);
+    }
+  };
+
+  const handleRegisterAnother = () => {
+    setFields(emptyRegistration());
+    setIdDocument(null);
+    setErrors({});
+    resetSubmission();
+  };
+
+  const fieldProps = (id) => ({
+    id,
+    name: id,
+    value: fields[id],
+    onChange: (e) => update({ [id]: e.target.value }),
+    'aria-invalid': Boolean(errors[id]),
+    'aria-describedby': errors[id] ? `${id}-error` : undefined,
+    className: inputClass(errors[id]),
+  });
+
+  const label = (id, text, optional = false) => (
+    <label htmlFor={id} className="block text-ink-body font-medium mb-2">
+      {text} {optional && <span className="text-ink-subtle font-normal">{t('workforce.optional')}</span>}
+    </label>
+  );
+
+  if (isRegistered) {
+    return (
+      <div className="bg-surface-muted">
+        <section className="py-16 sm:py-24">
+          <div className="container mx-auto px-4 sm:px-6 mt-10 max-w-2xl">
+            <div role="status" className="bg-surface-raised p-6 sm:p-8 rounded-lg shadow-lg text-center">
+              <CheckCircle className="mx-auto text-green-600 mb-4" size={48} aria-hidden="true" />
+              <h1 className="text-2xl sm:text-3xl font-bold text-ink mb-3">{t('workforce.thanksTitle')}</h1>
+              <p className="text-ink-muted">{submission.status === 'queued' ? t('workforce.queued') : t('workforce.sent')}</p>
+              <button type="button" onClick={handleRegisterAnother} className="mt-6 w-full sm:w-auto min-h-[3rem] px-6 font-semibold text-brand-strong hover:text-brand-deep transition">
+                {t('workforce.registerAnother')}
+              </button>
+            </div>
+          </div>
+        </section>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-surface-muted">
+      <section className="py-16 sm:py-24">
+        <div className="container mx-auto px-4 sm:px-6 mt-10 max-w-2xl">
+          <SectionTitle title={t('workforce.title')} subtitle={t('workforce.subtitle')} />
+
+          <form onSubmit={handleSubmit} noValidate className="bg-surface-raised p-5 sm:p-8 rounded-lg shadow-lg space-y-8">
+            <ErrorSummary
+              ref={summaryRef}
+              id="workforce-error-summary"
+              fieldIds={registrationFields}
+              errors={errors}
+              submitError={submission.status === 'failed' ? submission.error?.message || t('workforce.failed') : null}
+              title={submission.status === 'failed' ? t('workforce.notSentTitle') : t('workforce.summaryTitle')}
+            />
+
+            <Section title={t('workforce.aboutTitle')}>
+              <ChoiceGroup id="applicantType" legend={t('workforce.applicantType')} group="applicantTypes" options={applicantTypes} value={fields.applicantType} onChange={(applicantType) => update({ applicantType })} />
+              <div>
+                {label('name', t('workforce.name'))}
+                <input type="text" autoComplete="name" {...fieldProps('name')} />
+                <FieldError id="name" message={errors.name} />
+              </div>
+              {isSubcontractor && (
+                <>
+                  <div>
+                    {label('company', t('workforce.company'))}
+                    <input type="text" autoComplete="organization" {...fieldProps('company')} />
+                    <FieldError id="company" message={errors.company} />
+                  </div>
+                  <div>
+                    {label('teamSize', t('workforce.teamSize'))}
+                    <input type="number" inputMode="numeric" min="1" {...fieldProps('teamSize')} />
+                    <FieldError id="teamSize" message={errors.teamSize} />
+                  </div>
+                </>
+              )}
+              <div>
+                {label('phone', t('workforce.phone'))}
+                <input type="tel" inputMode="tel" autoComplete="tel" {...fieldProps('phone')} />
+                <FieldError id="phone" message={errors.phone} />
+              </div>
+              <div>
+                {label('email', t('workforce.email'), true)}
+                <input type="email" autoComplete="email" {...fieldProps('email')} />
+                <FieldError id="email" message={errors.email} />
+              </div>
+            </Section>
+
+            <Section title={t('workforce.tradeTitle')}>
+              <ChoiceGroup id="trade" legend={t('workforce.trade')} group="trades" options={trades} value={fields.trade} onChange={(trade) => update({ trade })} error={errors.trade} />
+              <ChoiceGroup id="skillLevel" legend={t('workforce.skillLevel')} group="skillLevels" options={skillLevels} value={fields.skillLevel} onChange={(skillLevel) => update({ skillLevel })} error={errors.skillLevel} />
+              <fieldset>
+                <legend className="block text-ink-body font-medium mb-3">
+                  {t('workforce.certifications')} <span className="text-ink-subtle font-normal">{t('workforce.optional')}</span>
+                </legend>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {certifications.map((name) => (
+                    <label key={name} className="flex items-center gap-3 min-h-[3rem] border-2 border-line rounded-lg px-4 py-3 cursor-pointer focus-within:ring-2 focus-within:ring-brand">
+                      <input type="checkbox" checked={fields.certifications.includes(name)} onChange={() => toggleCertification(name)} className="accent-brand w-5 h-5" />
+                      <span className="text-ink">{t(`workforce.certificationNames.${name}`, { defaultValue: name })}</span>
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+              <div>
+                {label('otherCertification', t('workforce.otherCertification'), true)}
+                <input type="text" {...fieldProps('otherCertification')} />
+              </div>
+            </Section>
+
+            <Section title={t('workforce.availabilityTitle')}>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-5">
+                <div>
+                  {label('availableFrom', t('workforce.availableFrom'))}
+                  <input type="date" min={today} {...fieldProps('availableFrom')} />
+                  <FieldError id="availableFrom" message={errors.availableFrom} />
+                </div>
+                <div>
+                  {label('availableUntil', t('workforce.availableUntil'), true)}
+                  <input type="date" min={fields.availableFrom || today} {...fieldProps('availableUntil')} />
+                  <FieldError id="availableUntil" message={errors.availableUntil} />
+                </div>
+              </div>
+              <div>
+                {label('location', t('workforce.location'))}
+                <input type="text" list="workforce-districts" autoComplete="address-level2" {...fieldProps('location')} />
+                <datalist id="workforce-districts">
+                  {districts.map((district) => <option key={district.name} value={district.name} />)}
+                </datalist>
+                <p className="text-sm text-ink-subtle mt-2">{t('workforce.locationHint')}</p>
+                <FieldError id="location" message={errors.location} />
+              </div>
+            </Section>
+
+            <Section title={t('workforce.idTitle')}>
+              <div>
+                <label
+                  htmlFor="idDocument"
+                  className={`flex flex-col items-center justify-center gap-2 min-h-[7rem] border-2 border-dashed rounded-lg p-4 text-center cursor-pointer transition focus-within:ring-2 focus-within:ring-brand ${errors.idDocument ? 'border-red-500' : 'border-line hover:border-brand-soft'}`}
+                >
+                  <FileUp className="text-brand" size={32} aria-hidden="true" />
+                  <span className="font-semibold text-ink">{t('workforce.idDocument')}</span>
+                  <span className="text-sm text-ink-muted">{t('workforce.idHint', { types: ID_DOCUMENT_TYPES.join(', '), size: formatNumber(5) })}</span>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    id="idDocument"
+                    name="idDocument"
+                    accept={ID_DOCUMENT_TYPES.join(',')}
+                    onChange={handleFile}
+                    aria-invalid={Boolean(errors.idDocument)}
+                    aria-describedby={errors.idDocument ? 'idDocument-error' : undefined}
+                    className="sr-only"
+                  />
+                </label>
+                {idDocument && (
+                  <div className="flex items-center justify-between gap-3 mt-3 bg-surface-muted rounded-md px-4 py-2">
+                    <span className="text-ink break-all">{idDocument.name}</span>
+                    <button type="button" onClick={removeFile} className="shrink-0 p-3 -mr-3 text-ink-muted hover:text-red-600 transition" aria-label={t('workforce.removeFile', { name: idDocument.name })}>
+                      <X size={20} aria-hidden="true" />
+                    </button>
+                  </div>
+                )}
+                <FieldError id="idDocument" message={errors.idDocument} />
+              </div>
+              <div>
+                <label htmlFor="consent" className="flex items-start gap-3 min-h-[3rem] cursor-pointer">
+                  <input
+                    type="checkbox"
+                    id="consent"
+                    name="consent"
+                    checked={fields.consent}
+                    onChange={(e) => update({ consent: e.target.checked })}
+                    aria-invalid={Boolean(errors.consent)}
+                    aria-describedby={errors.consent ? 'consent-error' : undefined}
+                    className="accent-brand w-5 h-5 mt-0.5 shrink-0"
+                  />
+                  <span className="text-ink-body">{t('workforce.consent')}</span>
+                </label>
+                <FieldError id="consent" message={errors.consent} />
+              </div>
+            </Section>
+
+            <button type="submit" disabled={isBusy} className="w-full min-h-[3rem] bg-brand hover:bg-brand-soft text-on-brand font-bold py-3 rounded-md text-lg transition duration-300 active:scale-95 motion-reduce:transform-none disabled:opacity-60">
+              {isBusy ? t('workforce.sending') : t('workforce.submit')}
+            </button>
+            {isBusy && <SubmissionStatus status="sending" messages={{ sending: t('workforce.sending') }} />}
+          </form>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default WorkforcePage;
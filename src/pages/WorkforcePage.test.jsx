@@ -0,0 +1,87 @@
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import { I18nProvider } from '../i18n';
+import { localDateIso } from '../validation';
+import WorkforcePage from './WorkforcePage';
+
+// Send through the real Formspree adapter, with `fetch` standing in for Formspree.
+jest.mock('../submission/adapters', () => {
+  const adapters = jest.requireActual('../submission/adapters');
+  return { ...adapters, createMockAdapter: () => adapters.createFormspreeAdapter('test-form') };
+});
+
+const renderPage = () => render(
+  <I18nProvider locale="en" setLocale={jest.fn()}>
+    <WorkforcePage />
+  </I18nProvider>,
+);
+
+const nextMonth = () => {
+  const date = new Date();
+  date.setMonth(date.getMonth() + 1);
+  return localDateIso(date);
+};
+
+const idProof = new File(['id'], 'aadhaar.jpg', { type: 'image/jpeg' });
+
+beforeEach(() => {
+  window.fetch = jest.fn();
+});
+afterEach(() => {
+  delete window.fetch;
+});
+
+test('sends a subcontractor registration with the ID proof attached', async () => {
+  window.fetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({ ok: true }) });
+  renderPage();
+
+  fireEvent.click(screen.getByRole('radio', { name: 'Subcontractor' }));
+  fireEvent.change(screen.getByLabelText('Full name'), { target: { value: 'Ravi Meshram' } });
+  fireEvent.change(screen.getByLabelText('Company or firm name'), { target: { value: 'Meshram Electricals' } });
+  fireEvent.change(screen.getByLabelText('Number of workers in your team'), { target: { value: '6' } });
+  fireEvent.change(screen.getByLabelText('Mobile number'), { target: { value: '98765 43210' } });
+  fireEvent.click(screen.getByRole('radio', { name: 'CCTV Technician' }));
+  fireEvent.click(screen.getByRole('radio', { name: 'Highly skilled' }));
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Wireman Licence' }));
+  fireEvent.change(screen.getByLabelText('Available from'), { target: { value: nextMonth() } });
+  fireEvent.change(screen.getByLabelText('Where you are based'), { target: { value: 'Nagpur' } });
+  fireEvent.change(screen.getByLabelText(/Upload Aadhaar/), { target: { files: [idProof] } });
+  expect(screen.getByText('aadhaar.jpg')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('checkbox', { name: /may keep my ID proof/ }));
+  fireEvent.click(screen.getByRole('button', { name: 'Register' }));
+
+  expect(await screen.findByRole('heading', { name: 'Thank you for registering' })).toBeInTheDocument();
+  const [url, init] = window.fetch.mock.calls[0];
+  expect(url).toBe('https://formspree.io/f/test-form');
+  expect(init.body.get('_subject')).toBe('Workforce registration: CCTV Technician (Highly skilled)');
+  expect(init.body.get('company')).toBe('Meshram Electricals');
+  expect(init.body.get('certifications')).toBe('Wireman Licence');
+  expect(init.body.get('attachments').name).toBe('aadhaar.jpg');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Register someone else' }));
+  expect(screen.getByLabelText('Full name')).toHaveValue('');
+});
+
+test('lists missing fields and clears each one once it is fixed', async () => {
+  renderPage();
+  fireEvent.click(screen.getByRole('button', { name: 'Register' }));
+
+  const summary = screen.getByRole('alert');
+  await waitFor(() => expect(summary).toHaveFocus());
+  expect(within(summary).getByRole('link', { name: 'Please choose your trade.' })).toHaveAttribute('href', '#trade');
+  expect(within(summary).getByRole('link', { name: 'Please upload a photo or scan of your ID proof.' })).toHaveAttribute('href', '#idDocument');
+  expect(screen.getByLabelText('Full name')).toHaveAttribute('aria-invalid', 'true');
+
+  fireEvent.change(screen.getByLabelText('Full name'), { target: { value: 'Ravi Meshram' } });
+  expect(screen.getByLabelText('Full name')).toHaveAttribute('aria-invalid', 'false');
+  expect(within(summary).queryByText('Please enter your full name.')).not.toBeInTheDocument();
+  expect(window.fetch).not.toHaveBeenCalled();
+});
+
+test('offers availability dates from today, in the visitor\'s time zone', () => {
+  renderPage();
+  expect(screen.getByLabelText('Available from')).toHaveAttribute('min', localDateIso());
+  expect(screen.getByLabelText(/Available until/)).toHaveAttribute('min', localDateIso());
+
+  fireEvent.change(screen.getByLabelText('Available from'), { target: { value: nextMonth() } });
+  expect(screen.getByLabelText(/Available until/)).toHaveAttribute('min', nextMonth());
+});
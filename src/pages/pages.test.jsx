@@ -0,0 +1,27 @@
+import { render } from '@testing-library/react';
+import { I18nProvider } from '../i18n';
+import AboutPage from './AboutPage';
+import ServicesPage from './ServicesPage';
+import ProjectDetailPage from './ProjectDetailPage';
+import TestimonialsPage from './TestimonialsPage';
+import NotFoundPage from './NotFoundPage';
+
+// Snapshots of the content pages, so layout changes show up in review.
+const renderPage = (page) => render(
+  <I18nProvider locale="en" setLocale={jest.fn()}>{page}</I18nProvider>,
+);
+
+beforeEach(() => {
+  window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+
+test.each([
+  ['about', <AboutPage />],
+  ['services', <ServicesPage />],
+  ['project detail', <ProjectDetailPage slug="ordnance-factory" navigateTo={jest.fn()} />],
+  ['testimonials', <TestimonialsPage navigateTo={jest.fn()} />],
+  ['not found', <NotFoundPage navigateTo={jest.fn()} />],
+])('the %s page matches its snapshot', (name, page) => {
+  const { container } = renderPage(page);
+  expect(container).toMatchSnapshot();
+});
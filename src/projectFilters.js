@@ -0,0 +1,83 @@
+// --- Portfolio filtering, search and sorting ---
+// Filters round-trip through the query string, so a filtered view of the
+// portfolio (e.g. `/projects?client=Railways`) can be shared as a link.
+
+// `messageKey` is the i18n catalogue key for the option's label.
+export const sortOptions = [
+  { id: 'newest', messageKey: 'projects.sortNewest' },
+  { id: 'oldest', messageKey: 'projects.sortOldest' },
+  { id: 'client', messageKey: 'projects.sortClient' },
+];
+
+const defaultFilters = { category: '', client: '', q: '', sort: 'newest' };
+
+/**
+ * Reads the portfolio filters from a query string.
+ * @param {string} search - A query string such as `?category=Industrial&q=cctv`.
+ * @returns {{category: string, client: string, q: string, sort: string}}
+ */
+export const parseProjectQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const sort = params.get('sort');
+
+  return {
+    category: params.get('category') || defaultFilters.category,
+    client: params.get('client') || defaultFilters.client,
+    q: params.get('q') || defaultFilters.q,
+    sort: sortOptions.some((option) => option.id === sort) ? sort : defaultFilters.sort,
+  };
+};
+
+/**
+ * Serialises portfolio filters back to a query string, leaving out defaults.
+ * The search text is kept as typed, spaces included, because the search box
+ * reads it back from the URL; a search of only spaces is left out.
+ * @param {object} filters - The filters returned by `parseProjectQuery`.
+ * @returns {string} - The query string, including the leading `?`, or an empty string.
+ */
+export const buildProjectQuery = (filters) => {
+  const params = new URLSearchParams();
+
+  Object.keys(defaultFilters).forEach((key) => {
+    const value = filters[key];
+    if (value && value.trim() && value !== defaultFilters[key]) {
+      params.set(key, value);
+    }
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Returns the distinct values of a project field, in first-seen order.
+ * @param {object[]} projects
+ * @param {string} field - e.g. `category` or `clientType`.
+ * @returns {string[]}
+ */
+export const distinctValues = (projects, field) => [...new Set(projects.map((project) => project[field]))];
+
+const comparators = {
+  newest: (a, b) => b.completedOn.localeCompare(a.completedOn),
+  oldest: (a, b) => a.completedOn.localeCompare(b.completedOn),
+  client: (a, b) => a.clientType.localeCompare(b.clientType) || a.title.localeCompare(b.title),
+};
+
+/**
+ * Applies category/client filters, free-text search and sorting to a project list.
+ * @param {object[]} projects - The full project list.
+ * @param {object} filters - The filters returned by `parseProjectQuery`.
+ * @returns {object[]} - A new, filtered and sorted array.
+ */
+export const filterProjects = (projects, { category, client, q, sort }) => {
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return projects
+    .filter((project) => !category || project.category === category)
+    .filter((project) => !client || project.clientType === client)
+    .filter((project) => {
+      const haystack = `${project.title} ${project.describe}`.toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    })
+    .sort(comparators[sort] || comparators.newest);
+};
@@ -0,0 +1,37 @@
+import { parseProjectQuery, buildProjectQuery, filterProjects } from './projectFilters';
+
+const projects = [
+  { slug: 'a', title: 'Ordnance Factory', describe: 'Steel rods', category: 'Industrial', clientType: 'Ordnance Factory', completedOn: '2025-03-01' },
+  { slug: 'b', title: 'Byculla Railways', describe: 'CCTV and inverters', category: 'Commercial', clientType: 'Railways', completedOn: '2025-09-01' },
+  { slug: 'c', title: 'Byculla Hospital', describe: 'Wiring and CCTV', category: 'Commercial', clientType: 'Government Hospital', completedOn: '2025-06-01' },
+];
+
+const slugs = (list) => list.map((project) => project.slug);
+
+test('round-trips filters through the query string', () => {
+  const filters = parseProjectQuery('?client=Railways&q=cctv&sort=oldest');
+  expect(filters).toEqual({ category: '', client: 'Railways', q: 'cctv', sort: 'oldest' });
+  expect(buildProjectQuery(filters)).toBe('?client=Railways&q=cctv&sort=oldest');
+});
+
+test('drops defaults and unknown sort values', () => {
+  expect(parseProjectQuery('?sort=bogus').sort).toBe('newest');
+  expect(buildProjectQuery(parseProjectQuery(''))).toBe('');
+});
+
+test('keeps the search as typed, trailing space included', () => {
+  expect(parseProjectQuery(buildProjectQuery({ ...parseProjectQuery(''), q: 'steel ' })).q).toBe('steel ');
+  expect(buildProjectQuery({ ...parseProjectQuery(''), q: '   ' })).toBe('');
+});
+
+test('filters by category, client and search terms', () => {
+  expect(slugs(filterProjects(projects, parseProjectQuery('?category=Commercial')))).toEqual(['b', 'c']);
+  expect(slugs(filterProjects(projects, parseProjectQuery('?client=Railways')))).toEqual(['b']);
+  expect(slugs(filterProjects(projects, parseProjectQuery('?q=cctv%20wiring')))).toEqual(['c']);
+});
+
+test('sorts by date or client type', () => {
+  expect(slugs(filterProjects(projects, parseProjectQuery('')))).toEqual(['b', 'c', 'a']);
+  expect(slugs(filterProjects(projects, parseProjectQuery('?sort=oldest')))).toEqual(['a', 'c', 'b']);
+  expect(slugs(filterProjects(projects, parseProjectQuery('?sort=client')))).toEqual(['c', 'a', 'b']);
+});
@@ -0,0 +1,177 @@
+import { isEmail, isIndianPhone, isFilled } from './validation';
+import { services } from './content';
+
+// --- Quote request wizard: steps, validation and draft persistence ---
+
+// Step titles are under `quote.steps.<id>` in the message catalogues.
+export const quoteSteps = [
+  { id: 'service' },
+  { id: 'location' },
+  { id: 'budget' },
+  { id: 'materials' },
+  { id: 'attachments' },
+  { id: 'contact' },
+  { id: 'review' },
+];
+
+// Timelines, budget bands and units are sent to the office in English; the
+// wizard shows them through `quote.timelines`, `quote.budgets` and `quote.units`.
+export const timelines = ['Immediately', 'Within 1 month', '1–3 months', '3–6 months', 'More than 6 months'];
+
+export const budgetBands = ['Under ₹5 lakh', '₹5 – 25 lakh', '₹25 lakh – ₹1 crore', 'Above ₹1 crore', 'Not sure yet'];
+
+export const materialUnits = ['Nos', 'MT', 'Kg', 'm', 'Lot'];
+
+export const ATTACHMENT_TYPES = ['.pdf', '.xls', '.xlsx', '.doc', '.docx', '.jpg', '.jpeg', '.png'];
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export const emptyMaterial = () => ({ item: '', quantity: '', unit: materialUnits[0] });
+
+export const emptyQuoteDraft = () => ({
+  service: '',
+  city: '',
+  state: 'Maharashtra',
+  timeline: '',
+  budget: '',
+  materials: [],
+  name: '',
+  organisation: '',
+  email: '',
+  phone: '',
+  notes: '',
+});
+
+const hasAllowedType = (file) => ATTACHMENT_TYPES.some((type) => file.name.toLowerCase().endsWith(type));
+
+/**
+ * Finds the first attached file that cannot be sent, for the error message.
+ * @param {File[]} attachments
+ * @returns {{file: File, error: string}|undefined} - The file and the message key for its problem.
+ */
+export const invalidAttachment = (attachments) => {
+  const wrongType = attachments.find((file) => !hasAllowedType(file));
+  if (wrongType) return { file: wrongType, error: 'quote.errors.fileType' };
+  const tooLarge = attachments.find((file) => file.size > MAX_ATTACHMENT_BYTES);
+  if (tooLarge) return { file: tooLarge, error: 'quote.errors.fileSize' };
+  return undefined;
+};
+
+// A saved draft can name a service that has since been removed from services.json.
+const isKnownService = (slug) => services.some((service) => service.slug === slug);
+
+const validators = {
+  service: (draft) => ({
+    ...(!isKnownService(draft.service) && { service: 'quote.errors.service' }),
+  }),
+  location: (draft) => ({
+    ...(!isFilled(draft.city) && { city: 'quote.errors.city' }),
+    ...(!isFilled(draft.state) && { state: 'quote.errors.state' }),
+    ...(!draft.timeline && { timeline: 'quote.errors.timeline' }),
+  }),
+  budget: (draft) => ({
+    ...(!draft.budget && { budget: 'quote.errors.budget' }),
+  }),
+  materials: (draft) => draft.materials.reduce((errors, line, index) => {
+    if (!isFilled(line.item)) {
+      errors[`materials.${index}.item`] = 'quote.errors.item';
+    }
+    if (!(Number(line.quantity) > 0)) {
+      errors[`materials.${index}.quantity`] = 'quote.errors.quantity';
+    }
+    return errors;
+  }, {}),
+  attachments: (draft, attachments) => {
+    if (attachments.length > MAX_ATTACHMENTS) {
+      return { attachments: 'quote.errors.tooManyFiles' };
+    }
+    const invalid = invalidAttachment(attachments);
+    return invalid ? { attachments: invalid.error } : {};
+  },
+  contact: (draft) => ({
+    ...(!isFilled(draft.name) && { name: 'quote.errors.name' }),
+    ...(!isEmail(draft.email) && { email: 'quote.errors.email' }),
+    ...(!isIndianPhone(draft.phone) && { phone: 'quote.errors.phone' }),
+  }),
+  review: () => ({}),
+};
+
+/**
+ * Validates the fields that belong to one wizard step.
+ * @param {string} stepId - A step id from `quoteSteps`.
+ * @param {object} draft - The quote draft.
+ * @param {File[]} attachments - The files chosen on the documents step.
+ * @returns {object} - A map of field name to error message key; empty when the step is valid.
+ */
+export const validateQuoteStep = (stepId, draft, attachments = []) => validators[stepId](draft, attachments);
+
+/**
+ * Finds the first step with validation errors, so the review screen can send the user back to it.
+ * @returns {number} - The step index, or -1 when every step is valid.
+ */
+export const firstInvalidStep = (draft, attachments = []) =>
+  quoteSteps.findIndex((step) => Object.keys(validateQuoteStep(step.id, draft, attachments)).length > 0);
+
+/**
+ * Flattens a quote draft into the fields sent through the submission layer.
+ * @param {object} draft - The quote draft.
+ * @param {string} serviceTitle - The display name of the chosen service.
+ * @returns {object}
+ */
+export const toQuoteSubmission = (draft, serviceTitle) => ({
+  _subject: `Quote request: ${serviceTitle}`,
+  service: serviceTitle,
+  location: `${draft.city}, ${draft.state}`,
+  timeline: draft.timeline,
+  budget: draft.budget,
+  materials: draft.materials.map((line) => `${line.item} — ${line.quantity} ${line.unit}`).join('\n') || 'None listed',
+  name: draft.name,
+  organisation: draft.organisation,
+  email: draft.email,
+  phone: draft.phone,
+  message: draft.notes,
+});
+
+// Progress is kept in localStorage so a half-filled quote survives a reload.
+// Files cannot be stored there, so attachments have to be re-added after a reload.
+const STORAGE_KEY = 'afsc:quote-draft';
+
+/**
+ * Restores a saved quote draft. A draft whose service no longer exists opens
+ * on the service step with the choice cleared.
+ * @returns {{step: number, draft: object}} - The saved progress, or a fresh draft.
+ */
+export const loadQuoteDraft = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (saved && saved.draft) {
+      const draft = { ...emptyQuoteDraft(), ...saved.draft };
+      if (draft.service && !isKnownService(draft.service)) {
+        return { step: 0, draft: { ...draft, service: '' } };
+      }
+      return {
+        step: Math.min(Math.max(Number(saved.step) || 0, 0), quoteSteps.length - 1),
+        draft,
+      };
+    }
+  } catch (error) {
+    // Corrupt or inaccessible storage: start over.
+  }
+  return { step: 0, draft: emptyQuoteDraft() };
+};
+
+export const saveQuoteDraft = (step, draft) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ step, draft }));
+  } catch (error) {
+    // Storage full or disabled; the wizard still works without persistence.
+  }
+};
+
+export const clearQuoteDraft = () => {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Nothing to clear.
+  }
+};
@@ -0,0 +1,55 @@
+import { emptyQuoteDraft, validateQuoteStep, firstInvalidStep, loadQuoteDraft, saveQuoteDraft, clearQuoteDraft } from './quote';
+
+const completeDraft = () => ({
+  ...emptyQuoteDraft(),
+  service: 'railway-infrastructure',
+  city: 'Nagpur',
+  timeline: 'Within 1 month',
+  budget: 'Under ₹5 lakh',
+  name: 'Asha Patil',
+  email: 'asha@example.com',
+  phone: '+91 98765 43210',
+});
+
+afterEach(() => window.localStorage.clear());
+
+test('each step reports only its own missing fields', () => {
+  const draft = emptyQuoteDraft();
+  expect(Object.keys(validateQuoteStep('service', draft))).toEqual(['service']);
+  expect(Object.keys(validateQuoteStep('location', draft))).toEqual(['city', 'timeline']);
+  expect(validateQuoteStep('materials', draft)).toEqual({});
+});
+
+test('validates material lines and contact details', () => {
+  const draft = { ...completeDraft(), materials: [{ item: 'Steel rods', quantity: '0', unit: 'MT' }], phone: '12345' };
+  expect(validateQuoteStep('materials', draft)).toEqual({ 'materials.0.quantity': 'quote.errors.quantity' });
+  expect(Object.keys(validateQuoteStep('contact', draft))).toEqual(['phone']);
+});
+
+test('rejects unsupported or oversized attachments', () => {
+  const boq = { name: 'boq.xlsx', size: 1024 };
+  expect(validateQuoteStep('attachments', completeDraft(), [boq])).toEqual({});
+  expect(validateQuoteStep('attachments', completeDraft(), [{ name: 'setup.exe', size: 10 }]).attachments).toBe('quote.errors.fileType');
+  expect(validateQuoteStep('attachments', completeDraft(), [{ name: 'big.pdf', size: 11 * 1024 * 1024 }]).attachments).toBe('quote.errors.fileSize');
+});
+
+test('finds the first invalid step', () => {
+  expect(firstInvalidStep(completeDraft())).toBe(-1);
+  expect(firstInvalidStep({ ...completeDraft(), budget: '' })).toBe(2);
+});
+
+test('persists and clears the draft', () => {
+  expect(loadQuoteDraft()).toEqual({ step: 0, draft: emptyQuoteDraft() });
+  saveQuoteDraft(3, completeDraft());
+  expect(loadQuoteDraft()).toEqual({ step: 3, draft: completeDraft() });
+  clearQuoteDraft();
+  expect(loadQuoteDraft().step).toBe(0);
+});
+
+test('sends a draft whose service was withdrawn back to the service step', () => {
+  const draft = { ...completeDraft(), service: 'bridge-works' };
+  expect(firstInvalidStep(draft)).toBe(0);
+
+  saveQuoteDraft(6, draft);
+  expect(loadQuoteDraft()).toEqual({ step: 0, draft: { ...draft, service: '' } });
+});
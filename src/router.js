@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { splitLocale, useI18n } from './i18n';
+
+// --- Path-based routing on top of the History API ---
+
+/**
+ * The route table. `page` is the id the rest of the app navigates with,
+ * `parent` marks which top-level nav entry a nested route belongs to.
+ */
+export const routes = [
+  { page: 'home', path: '/' },
+  { page: 'about', path: '/about' },
+  { page: 'services', path: '/services' },
+  { page: 'projects', path: '/projects' },
+  { page: 'project', path: '/projects/:slug', parent: 'projects' },
+  { page: 'testimonials', path: '/testimonials' },
+  { page: 'tenders', path: '/tenders' },
+  { page: 'workforce', path: '/workforce' },
+  { page: 'estimate', path: '/estimate' },
+  { page: 'contact', path: '/contact' },
+  { page: 'quote', path: '/quote' },
+  { page: 'admin', path: '/admin' },
+];
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+/**
+ * Resolves a pathname against the route table.
+ * @param {string} pathname - The path to match, e.g. `/projects/byculla-railways`.
+ * @returns {{page: string, params: object, parent?: string}} - The matched route, or the `notFound` page.
+ */
+export const matchRoute = (pathname) => {
+  const segments = splitPath(pathname);
+
+  for (const route of routes) {
+    const pattern = splitPath(route.path);
+    if (pattern.length !== segments.length) continue;
+
+    const params = {};
+    let matches;
+    try {
+      matches = pattern.every((part, index) => {
+        if (part.startsWith(':')) {
+          params[part.slice(1)] = decodeURIComponent(segments[index]);
+          return true;
+        }
+        return part === segments[index];
+      });
+    } catch (error) {
+      // A malformed escape such as `%E0%A4` cannot name any page.
+      return { page: 'notFound', params: {} };
+    }
+
+    if (matches) {
+      return { page: route.page, parent: route.parent, params };
+    }
+  }
+
+  return { page: 'notFound', params: {} };
+};
+
+/**
+ * Builds the path for a page id.
+ * @param {string} page - A page id from the route table.
+ * @param {object} params - Values for the route's `:param` segments.
+ * @returns {string} - The path, e.g. `/projects/ordnance-factory`.
+ */
+export const pathFor = (page, params = {}) => {
+  const route = routes.find((r) => r.page === page);
+  if (!route) {
+    throw new Error(`Unknown page "${page}"`);
+  }
+  return route.path.replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]));
+};
+
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search,
+});
+
+/**
+ * A custom React hook that keeps the current location in sync with the browser history.
+ * Pushes a history entry on navigation, follows Back/Forward via `popstate`, and
+ * restores the scroll position that was saved with each history entry.
+ * Routes are matched on `path`, the pathname without its locale prefix, which is returned as `locale`.
+ * @returns {{pathname: string, search: string, path: string, locale: string, route: object, navigate: Function}}
+ */
+export const useRouter = () => {
+  const [location, setLocation] = useState(readLocation);
+  const pendingScroll = useRef(null);
+
+  useEffect(() => {
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+
+    const handlePopState = (event) => {
+      pendingScroll.current = event.state?.scrollY ?? 0;
+      setLocation(readLocation());
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  useEffect(() => {
+    if (pendingScroll.current !== null) {
+      window.scrollTo(0, pendingScroll.current);
+      pendingScroll.current = null;
+    }
+  }, [location]);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const current = window.location.pathname + window.location.search;
+
+    if (to === current) {
+      if (!replace) {
+        window.scrollTo(0, 0);
+      }
+      return;
+    }
+
+    if (replace) {
+      // A replaced entry is the same page with new state (e.g. filters), so stay put.
+      window.history.replaceState({ scrollY: window.scrollY }, '', to);
+    } else {
+      // Remember where we were so Back can put the user there again.
+      window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+      window.history.pushState({ scrollY: 0 }, '', to);
+      pendingScroll.current = 0;
+    }
+    setLocation(readLocation());
+  }, []);
+
+  const { locale, path } = splitLocale(location.pathname);
+  return { ...location, path, locale, route: matchRoute(path), navigate };
+};
+
+/**
+ * An anchor that navigates client-side on a plain left click, but still
+ * behaves like a normal link for new tabs, copy-link and crawlers.
+ * @param {object} props
+ * @param {string} props.to - The path to link to, without a locale prefix.
+ * @param {Function} props.navigateTo - The app's navigate function.
+ * @param {Function} props.onClick - Runs first, e.g. to close a menu; calling `preventDefault` stops the navigation.
+ */
+export const Link = ({ to, navigateTo, onClick, children, ...rest }) => {
+  const { localizePath } = useI18n();
+
+  const handleClick = (event) => {
+    onClick?.(event);
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    event.preventDefault();
+    navigateTo(to);
+  };
+
+  return (
+    <a href={localizePath(to)} {...rest} onClick={handleClick}>
+      {children}
+    </a>
+  );
+};
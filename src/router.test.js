@@ -0,0 +1,30 @@
+import { matchRoute, pathFor } from './router';
+
+test('matches top-level pages', () => {
+  expect(matchRoute('/').page).toBe('home');
+  expect(matchRoute('/services').page).toBe('services');
+  expect(matchRoute('/contact/').page).toBe('contact');
+});
+
+test('matches project detail routes with their slug', () => {
+  expect(matchRoute('/projects/byculla-railways')).toEqual({
+    page: 'project',
+    parent: 'projects',
+    params: { slug: 'byculla-railways' },
+  });
+});
+
+test('falls back to the not-found page', () => {
+  expect(matchRoute('/tenders/2024').page).toBe('notFound');
+});
+
+test('treats a malformed escape in a slug as not found', () => {
+  expect(matchRoute('/projects/%E0%A4')).toEqual({ page: 'notFound', params: {} });
+  expect(matchRoute('/projects/%E0%A4%A8').params.slug).toBe('न');
+});
+
+test('builds paths from page ids', () => {
+  expect(pathFor('home')).toBe('/');
+  expect(pathFor('project', { slug: 'ordnance-factory' })).toBe('/projects/ordnance-factory');
+  expect(() => pathFor('missing')).toThrow('Unknown page');
+});
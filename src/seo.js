@@ -0,0 +1,151 @@
+import { useEffect } from 'react';
+import { company, getProject } from './content';
+import { locales, localizePath } from './i18n';
+
+// --- Search engine and social sharing metadata ---
+// Each page gets its own title, description, canonical URL, hreflang
+// alternates, Open Graph and Twitter tags. The build's prerender step
+// (`scripts/prerender.js`) snapshots them into static HTML per route.
+
+/**
+ * The public origin used for canonical and Open Graph URLs. Set
+ * `REACT_APP_SITE_URL` at build time; falls back to the current origin.
+ */
+export const siteUrl = () => (process.env.REACT_APP_SITE_URL || window.location.origin).replace(/\/$/, '');
+
+const absoluteUrl = (path) => (/^https?:/.test(path) ? path : `${siteUrl()}${path}`);
+
+const defaultImage = '/logo.png';
+
+/**
+ * Describes the metadata for a matched route.
+ * @param {object} route - The route from `matchRoute`.
+ * @param {string} path - The pathname without locale prefix or query string.
+ * @param {object} i18n - The helpers from `createI18n` for the page's locale.
+ * @returns {{title: string, description: string, path: string, image: string, type: string, locale: string, noindex: boolean}}
+ */
+export const pageMeta = (route, path, { t, locale }) => {
+  const meta = { path, image: defaultImage, type: 'website', locale, noindex: false };
+  const project = route.page === 'project' && getProject(route.params.slug);
+
+  if (project) {
+    return {
+      ...meta,
+      title: t('meta.titleTemplate', { page: project.title, company: company.name }),
+      description: project.describe,
+      image: project.imgSrc,
+      type: 'article',
+    };
+  }
+
+  if (route.page === 'home') {
+    return {
+      ...meta,
+      title: t('meta.home.title', { company: company.name }),
+      description: t('meta.home.description', { company: company.name }),
+    };
+  }
+
+  // Unknown routes and project slugs share the not-found metadata.
+  const page = route.page === 'project' ? 'notFound' : route.page;
+  return {
+    ...meta,
+    title: t('meta.titleTemplate', { page: t(`meta.${page}.title`), company: company.name }),
+    description: t(`meta.${page}.description`, { company: company.name }),
+    noindex: page === 'notFound' || page === 'admin',
+  };
+};
+
+/**
+ * Builds the schema.org description of the business, from the same company
+ * data the footer shows.
+ * @returns {object} - A JSON-LD object.
+ */
+export const organizationJsonLd = () => {
+  const { streetLines, locality, region, postalCode, country } = company.address;
+  const { lat, lng } = company.geo;
+  return {
+    '@context': 'https://schema.org',
+    '@type': ['LocalBusiness', 'GeneralContractor'],
+    '@id': `${siteUrl()}/#organization`,
+    name: company.name,
+    description: company.tagline,
+    url: `${siteUrl()}/`,
+    logo: absoluteUrl('/logo.png'),
+    image: absoluteUrl('/logo.png'),
+    email: company.email,
+    telephone: company.phones,
+    taxID: company.gstin,
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: streetLines.join(', '),
+      addressLocality: locality,
+      addressRegion: region,
+      postalCode,
+      addressCountry: country,
+    },
+    geo: { '@type': 'GeoCoordinates', latitude: lat, longitude: lng },
+    areaServed: region,
+  };
+};
+
+// Finds the tag matching `selector` in <head>, creating it when missing, so repeat calls update in place.
+const upsert = (tagName, selector, attributes) => {
+  let element = document.head.querySelector(selector);
+  if (!element) {
+    element = document.createElement(tagName);
+    document.head.appendChild(element);
+  }
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+};
+
+const setMeta = (key, name, content) => upsert('meta', `meta[${key}="${name}"]`, { [key]: name, content });
+
+/**
+ * Writes page metadata into the document head.
+ * @param {object} meta - As returned by `pageMeta`.
+ */
+export const applyDocumentMeta = ({ title, description, path, image, type, locale, noindex }) => {
+  const url = absoluteUrl(localizePath(path, locale));
+  const imageUrl = absoluteUrl(image);
+  const { tag } = locales.find((entry) => entry.code === locale);
+
+  document.title = title;
+  setMeta('name', 'description', description);
+  setMeta('name', 'robots', noindex ? 'noindex' : 'index, follow');
+  upsert('link', 'link[rel="canonical"]', { rel: 'canonical', href: url });
+
+  locales.forEach((entry) => {
+    upsert('link', `link[rel="alternate"][hreflang="${entry.code}"]`, { rel: 'alternate', hreflang: entry.code, href: absoluteUrl(localizePath(path, entry.code)) });
+  });
+  upsert('link', 'link[rel="alternate"][hreflang="x-default"]', { rel: 'alternate', hreflang: 'x-default', href: absoluteUrl(path) });
+
+  setMeta('property', 'og:site_name', company.name);
+  setMeta('property', 'og:title', title);
+  setMeta('property', 'og:description', description);
+  setMeta('property', 'og:type', type);
+  setMeta('property', 'og:url', url);
+  setMeta('property', 'og:image', imageUrl);
+  setMeta('property', 'og:locale', tag.replace('-', '_'));
+
+  setMeta('name', 'twitter:card', 'summary_large_image');
+  setMeta('name', 'twitter:title', title);
+  setMeta('name', 'twitter:description', description);
+  setMeta('name', 'twitter:image', imageUrl);
+
+  upsert('script', 'script#structured-data', { id: 'structured-data', type: 'application/ld+json' })
+    .textContent = JSON.stringify(organizationJsonLd());
+};
+
+/**
+ * A custom React hook that keeps the document head in sync with the current page.
+ * @param {object} meta - As returned by `pageMeta`.
+ */
+export const useDocumentMeta = (meta) => {
+  const { title, description, path, image, type, locale, noindex } = meta;
+
+  useEffect(() => {
+    applyDocumentMeta({ title, description, path, image, type, locale, noindex });
+  }, [title, description, path, image, type, locale, noindex]);
+};
@@ -0,0 +1,41 @@
+import { pageMeta, organizationJsonLd, applyDocumentMeta } from './seo';
+import { matchRoute } from './router';
+import { createI18n } from './i18n';
+
+const metaFor = (path, locale = 'en') => pageMeta(matchRoute(path), path, createI18n(locale));
+
+test('describes pages from the catalogue and projects from their content', () => {
+  expect(metaFor('/services', 'hi').title).toBe('सेवाएँ | AF Skyhigh Construction');
+
+  const project = metaFor('/projects/byculla-railways');
+  expect(project.title).toBe('Byculla Railways | AF Skyhigh Construction');
+  expect(project.type).toBe('article');
+  expect(project.description).toMatch(/^Executed supply of telecommunications/);
+});
+
+test('marks unknown pages, project slugs and the content editor as noindex', () => {
+  expect(metaFor('/nope').noindex).toBe(true);
+  expect(metaFor('/projects/nope').title).toBe('Page Not Found | AF Skyhigh Construction');
+  expect(metaFor('/about').noindex).toBe(false);
+  expect(metaFor('/admin', 'mr')).toMatchObject({ title: 'मजकूर संपादक | AF Skyhigh Construction', noindex: true });
+});
+
+test('builds LocalBusiness structured data from the company details', () => {
+  const jsonLd = organizationJsonLd();
+  expect(jsonLd['@type']).toEqual(['LocalBusiness', 'GeneralContractor']);
+  expect(jsonLd.taxID).toBe('27ABCCA9829P1ZW');
+  expect(jsonLd.telephone).toEqual(['+91-7507897502', '+91-7038630149']);
+  expect(jsonLd.address).toMatchObject({ streetAddress: expect.not.stringMatching(/,,/), addressLocality: 'Nagpur', postalCode: '440008', addressCountry: 'IN' });
+  expect(jsonLd.geo).toEqual({ '@type': 'GeoCoordinates', latitude: 21.1525, longitude: 79.1075 });
+});
+
+test('updates head tags in place', () => {
+  applyDocumentMeta(metaFor('/about'));
+  applyDocumentMeta(metaFor('/about', 'mr'));
+
+  expect(document.title).toBe('आमच्याबद्दल | AF Skyhigh Construction');
+  expect(document.querySelectorAll('meta[property="og:title"]')).toHaveLength(1);
+  expect(document.querySelector('link[rel="canonical"]').href).toBe('http://localhost/mr/about');
+  expect(document.querySelector('link[hreflang="en"]').href).toBe('http://localhost/about');
+  expect(JSON.parse(document.getElementById('structured-data').textContent).name).toBe('AF Skyhigh Construction');
+});
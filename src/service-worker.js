@@ -0,0 +1,84 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for offline use. react-scripts compiles this file into
+// build/service-worker.js in production builds; src/serviceWorkerRegistration.js
+// registers it and offers new versions to the visitor.
+
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, matchPrecache } from 'workbox-precaching';
+import { offlineFallback } from 'workbox-recipes';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+const DAY = 24 * 60 * 60;
+
+clientsClaim();
+
+// The app shell, plus every page's code chunk and the content bundled with it.
+// The list is injected at build time.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Pages: the prerendered HTML from the network while it answers, so content is
+// fresh. Offline, the copy from the last visit, or else the app shell, which
+// can render any route. Only when neither is cached does offline.html show.
+const pages = new NetworkFirst({
+  cacheName: 'pages',
+  networkTimeoutSeconds: 4,
+  plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+});
+
+const isPage = ({ request, url }) =>
+  request.mode === 'navigate' && !url.pathname.startsWith('/_') && !/\.[^/]+$/.test(url.pathname);
+
+registerRoute(isPage, async (options) => {
+  try {
+    return await pages.handle(options);
+  } catch (error) {
+    const shell = await matchPrecache(`${process.env.PUBLIC_URL}/index.html`);
+    if (shell) return shell;
+    throw error;
+  }
+});
+
+// Project photos and other images: from the cache once seen, the least
+// recently used dropped when there are too many.
+registerRoute(
+  ({ request, url }) => request.destination === 'image' && url.origin === self.location.origin,
+  new CacheFirst({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 80, maxAgeSeconds: 30 * DAY, purgeOnQuotaError: true })],
+  }),
+);
+
+// Tailwind and the font stylesheet come from CDNs; keep the last copy so the
+// site is still styled offline.
+registerRoute(
+  ({ url }) => url.hostname === 'cdn.tailwindcss.com' || url.hostname === 'fonts.googleapis.com',
+  new StaleWhileRevalidate({
+    cacheName: 'styles',
+    plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })],
+  }),
+);
+
+registerRoute(
+  ({ url }) => url.hostname === 'fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'fonts',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 20, maxAgeSeconds: 365 * DAY }),
+    ],
+  }),
+);
+
+// Last resort for pages that fail to load at all.
+offlineFallback({ pageFallback: `${process.env.PUBLIC_URL}/offline.html` });
+
+// A new version waits until the visitor accepts the update prompt.
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
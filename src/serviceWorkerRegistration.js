@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import { Workbox } from 'workbox-window';
+
+// --- Offline support ---
+// Registers the service worker built from src/service-worker.js. Production
+// builds only: in development it would cache files that are still changing.
+// A new version installs in the background and waits until the visitor
+// accepts the update prompt, so a page never mixes old and new code.
+
+let workbox = null;
+let updateWaiting = false;
+const listeners = new Set();
+
+const setUpdateWaiting = (waiting) => {
+  updateWaiting = waiting;
+  listeners.forEach((listener) => listener(waiting));
+};
+
+/**
+ * Registers the service worker; call once when the app boots.
+ */
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  workbox = new Workbox(`${process.env.PUBLIC_URL}/service-worker.js`);
+  workbox.addEventListener('waiting', () => setUpdateWaiting(true));
+  workbox.register();
+};
+
+/**
+ * Switches to the waiting version and reloads the page once it has taken over.
+ */
+export const applyUpdate = () => {
+  if (!workbox || !updateWaiting) return;
+  workbox.addEventListener('controlling', () => window.location.reload());
+  workbox.messageSkipWaiting();
+};
+
+/**
+ * A custom React hook that reports when a new version of the site is ready.
+ * @returns {[boolean, Function]} - Whether an update is waiting, and `applyUpdate`.
+ */
+export const useServiceWorkerUpdate = () => {
+  const [waiting, setWaiting] = useState(updateWaiting);
+
+  useEffect(() => {
+    listeners.add(setWaiting);
+    setWaiting(updateWaiting);
+    return () => listeners.delete(setWaiting);
+  }, []);
+
+  return [waiting, applyUpdate];
+};
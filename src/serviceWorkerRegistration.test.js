@@ -0,0 +1,49 @@
+import { renderHook, act } from '@testing-library/react';
+import { Workbox } from 'workbox-window';
+import { registerServiceWorker, useServiceWorkerUpdate } from './serviceWorkerRegistration';
+
+jest.mock('workbox-window', () => ({ Workbox: jest.fn() }));
+
+// Records the listeners the module adds so the test can play the worker's part.
+const handlers = {};
+const workbox = {
+  addEventListener: (type, handler) => { handlers[type] = handler; },
+  register: jest.fn(),
+  messageSkipWaiting: jest.fn(),
+};
+
+const originalEnv = process.env.NODE_ENV;
+const originalLocation = window.location;
+beforeEach(() => {
+  Workbox.mockImplementation(() => workbox);
+  Object.defineProperty(navigator, 'serviceWorker', { value: {}, configurable: true });
+  Object.defineProperty(window, 'location', { value: { reload: jest.fn() }, configurable: true });
+});
+afterEach(() => {
+  process.env.NODE_ENV = originalEnv;
+  delete navigator.serviceWorker;
+  Object.defineProperty(window, 'location', { value: originalLocation, configurable: true });
+});
+
+test('registers only in production builds', () => {
+  registerServiceWorker();
+  expect(Workbox).not.toHaveBeenCalled();
+});
+
+test('offers a waiting update and reloads once it takes over', () => {
+  process.env.NODE_ENV = 'production';
+  registerServiceWorker();
+  expect(workbox.register).toHaveBeenCalled();
+
+  const { result } = renderHook(() => useServiceWorkerUpdate());
+  expect(result.current[0]).toBe(false);
+
+  act(() => handlers.waiting());
+  expect(result.current[0]).toBe(true);
+
+  result.current[1]();
+  expect(workbox.messageSkipWaiting).toHaveBeenCalled();
+  expect(window.location.reload).not.toHaveBeenCalled();
+  handlers.controlling();
+  expect(window.location.reload).toHaveBeenCalled();
+});
@@ -0,0 +1,121 @@
+// --- Submission adapters ---
+// Every adapter exposes `send({ form, fields, files })` and rejects with a
+// `SubmissionError`. `retryable` tells the queue whether trying again later
+// could help (network drop, 5xx, rate limit) or not (validation rejected).
+
+export class SubmissionError extends Error {
+  constructor(message, { retryable = false, status } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toFormData = ({ fields, files }) => {
+  const data = new FormData();
+  Object.entries(fields).forEach(([key, value]) => data.append(key, value));
+  files.forEach((file) => data.append('attachments', file));
+  return data;
+};
+
+const encodeFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve({ name: file.name, type: file.type, size: file.size, data: reader.result });
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const readErrorMessage = async (response) => {
+  try {
+    const body = await response.json();
+    if (Array.isArray(body.errors) && body.errors.length > 0) {
+      return body.errors.map((error) => error.message).join(' ');
+    }
+    if (body.error) {
+      return body.error;
+    }
+  } catch (error) {
+    // Not JSON; fall through to the generic message.
+  }
+  return `The server responded with ${response.status}.`;
+};
+
+const sendRequest = async (url, init) => {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    throw new SubmissionError('The network request failed.', { retryable: true });
+  }
+
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 429;
+    throw new SubmissionError(await readErrorMessage(response), { retryable, status: response.status });
+  }
+  return response;
+};
+
+/**
+ * Sends submissions to a Formspree form as multipart form data.
+ * @param {string} formId - The Formspree form id, e.g. `xandyorv`.
+ */
+export const createFormspreeAdapter = (formId) => ({
+  name: 'formspree',
+  send: (submission) => sendRequest(`https://formspree.io/f/${formId}`, {
+    method: 'POST',
+    headers: { Accept: 'application/json' },
+    body: toFormData(submission),
+  }),
+});
+
+/**
+ * Posts submissions as JSON to any webhook. Attachments are inlined as data URLs.
+ * @param {string} url - The webhook endpoint.
+ * @param {object} options
+ * @param {object} options.headers - Extra request headers, e.g. an auth token.
+ */
+export const createWebhookAdapter = (url, { headers = {} } = {}) => ({
+  name: 'webhook',
+  send: async ({ form, fields, files }) => sendRequest(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({
+      form,
+      fields,
+      attachments: await Promise.all(files.map(encodeFile)),
+      submittedAt: new Date().toISOString(),
+    }),
+  }),
+});
+
+/**
+ * An in-browser stand-in for development and tests. Successful submissions are
+ * kept in `sent`. Going offline in the browser makes it fail like a real network.
+ * @param {object} options
+ * @param {number} options.delay - Simulated latency in milliseconds.
+ * @param {false|'network'|'server'|'rejected'} options.fail - Force a failure mode.
+ */
+export const createMockAdapter = ({ delay = 300, fail = false } = {}) => {
+  const sent = [];
+
+  return {
+    name: 'mock',
+    sent,
+    send: async (submission) => {
+      await wait(delay);
+      if (fail === 'network' || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+        throw new SubmissionError('The network request failed.', { retryable: true });
+      }
+      if (fail === 'server') {
+        throw new SubmissionError('The server responded with 503.', { retryable: true, status: 503 });
+      }
+      if (fail === 'rejected') {
+        throw new SubmissionError('The submission was rejected.', { status: 422 });
+      }
+      sent.push(submission);
+    },
+  };
+};
@@ -0,0 +1,76 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createFormspreeAdapter, createWebhookAdapter, createMockAdapter } from './adapters';
+import { createSubmissionQueue, createIndexedDbStore, createMemoryStore } from './queue';
+import { trackFormSubmission } from '../analytics';
+
+export { SubmissionError } from './adapters';
+
+// --- Form submission layer ---
+// Forms hand their fields to `useSubmission` instead of talking to a backend
+// directly. The backend is picked at build time:
+//   REACT_APP_SUBMISSION_ADAPTER   formspree (default) | webhook | mock
+//   REACT_APP_FORMSPREE_FORM       Formspree form id (default xandyorv)
+//   REACT_APP_SUBMISSION_WEBHOOK_URL  endpoint for the webhook adapter
+// Tests always use the mock adapter.
+
+const createAdapter = () => {
+  const kind = process.env.NODE_ENV === 'test' ? 'mock' : process.env.REACT_APP_SUBMISSION_ADAPTER || 'formspree';
+
+  switch (kind) {
+    case 'mock':
+      return createMockAdapter();
+    case 'webhook':
+      return createWebhookAdapter(process.env.REACT_APP_SUBMISSION_WEBHOOK_URL);
+    default:
+      return createFormspreeAdapter(process.env.REACT_APP_FORMSPREE_FORM || 'xandyorv');
+  }
+};
+
+export const submissionQueue = createSubmissionQueue({
+  adapter: createAdapter(),
+  store: typeof indexedDB === 'undefined' ? createMemoryStore() : createIndexedDbStore(),
+});
+
+// Queued submissions can finish after the form is gone, even on a later visit,
+// so their outcome is recorded here rather than in the hook.
+submissionQueue.subscribe((event) => trackFormSubmission(event.form, event.status));
+
+/**
+ * Starts retrying queued submissions; call once when the app boots.
+ */
+export const startSubmissionQueue = () => submissionQueue.start();
+
+/**
+ * A custom React hook for submitting a form through the submission layer.
+ * `status` moves from `idle` to `sending`, then to `sent`, `queued` (saved
+ * offline, will retry) or `failed`. A queued submission later becomes `sent`
+ * or `failed` while the component is still mounted.
+ * @param {string} form - Which form this is, e.g. `contact`.
+ * @returns {[{status: string, error: Error|null}, Function, Function]} - State, `submit(fields, files)` and `reset()`.
+ */
+export const useSubmission = (form) => {
+  const [state, setState] = useState({ status: 'idle', error: null });
+  const submissionId = useRef(null);
+
+  useEffect(() => submissionQueue.subscribe((event) => {
+    if (event.id === submissionId.current) {
+      setState({ status: event.status, error: event.error || null });
+    }
+  }), []);
+
+  const submit = useCallback(async (fields, files = []) => {
+    setState({ status: 'sending', error: null });
+    const result = await submissionQueue.submit(form, fields, files);
+    submissionId.current = result.id;
+    trackFormSubmission(form, result.status);
+    setState({ status: result.status, error: result.error || null });
+    return result;
+  }, [form]);
+
+  const reset = useCallback(() => {
+    submissionId.current = null;
+    setState({ status: 'idle', error: null });
+  }, []);
+
+  return [state, submit, reset];
+};
@@ -0,0 +1,200 @@
+// --- Offline submission queue ---
+// Submissions that fail for a retryable reason are stored (IndexedDB in the
+// browser) and retried with exponential backoff, and straight away when the
+// browser reports it is back online.
+
+const DB_NAME = 'afsc-submissions';
+const STORE_NAME = 'outbox';
+
+/**
+ * A queue store backed by IndexedDB, so queued submissions (files included)
+ * survive a reload or a closed tab.
+ */
+export const createIndexedDbStore = () => {
+  let dbPromise;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = (mode, operation) => openDb().then((db) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  }));
+
+  return {
+    getAll: () => run('readonly', (store) => store.getAll()),
+    put: (entry) => run('readwrite', (store) => store.put(entry)),
+    remove: (id) => run('readwrite', (store) => store.delete(id)),
+  };
+};
+
+/**
+ * A queue store that lives in memory; used where IndexedDB is unavailable (e.g. tests).
+ */
+export const createMemoryStore = () => {
+  const entries = new Map();
+  return {
+    getAll: async () => [...entries.values()],
+    put: async (entry) => { entries.set(entry.id, entry); },
+    remove: async (id) => { entries.delete(id); },
+  };
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Creates a submission queue around an adapter.
+ * @param {object} options
+ * @param {object} options.adapter - A submission adapter (see `adapters.js`).
+ * @param {object} options.store - Where queued entries are kept.
+ * @param {number} options.baseDelay - First retry delay in milliseconds; doubles per attempt.
+ * @param {number} options.maxDelay - Upper bound for the retry delay.
+ * @param {number} options.maxAttempts - Attempts before a submission is reported as failed.
+ * @param {Function} options.now - Clock, injectable for tests.
+ * @param {Function} options.random - Jitter source, injectable for tests.
+ */
+export const createSubmissionQueue = ({
+  adapter,
+  store,
+  baseDelay = 5000,
+  maxDelay = 5 * 60 * 1000,
+  maxAttempts = 8,
+  now = Date.now,
+  random = Math.random,
+}) => {
+  const listeners = new Set();
+  let timer = null;
+  let flushing = null;
+
+  const emit = (event) => listeners.forEach((listener) => listener(event));
+
+  // Exponential backoff with ±20% jitter so queued clients don't retry in lockstep.
+  const backoff = (attempts) => Math.min(maxDelay, baseDelay * 2 ** (attempts - 1)) * (0.8 + random() * 0.4);
+
+  // Never rejects: callers fire it and move on. If the store cannot be read,
+  // nothing is scheduled and the queue waits for the next `online` event or reload.
+  const schedule = async () => {
+    clearTimeout(timer);
+    try {
+      const entries = await store.getAll();
+      if (entries.length === 0) return;
+      const next = Math.min(...entries.map((entry) => entry.nextAttemptAt));
+      timer = setTimeout(() => flush(), Math.max(0, next - now()));
+    } catch (error) {
+      // Leave the queue as it is.
+    }
+  };
+
+  // Store writes here are best effort: an entry that could not be removed or
+  // rescheduled stays as it was and comes up again on a later flush.
+  const write = async (change) => {
+    try {
+      await change();
+    } catch (error) {
+      // Leave the entry as it is.
+    }
+  };
+
+  const attempt = async (entry) => {
+    try {
+      await adapter.send(entry);
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      if (!error.retryable || attempts >= maxAttempts) {
+        await write(() => store.remove(entry.id));
+        emit({ id: entry.id, form: entry.form, status: 'failed', error });
+        return;
+      }
+      await write(() => store.put({ ...entry, attempts, nextAttemptAt: now() + backoff(attempts), lastError: error.message }));
+      return;
+    }
+    await write(() => store.remove(entry.id));
+    emit({ id: entry.id, form: entry.form, status: 'sent' });
+  };
+
+  /**
+   * Retries queued submissions that are due, or all of them when `force` is set.
+   * Never rejects; if the store cannot be read, nothing is retried this time.
+   * @param {object} options
+   * @param {boolean} options.force - Ignore backoff, e.g. because the browser just came online.
+   */
+  const flush = ({ force = false } = {}) => {
+    if (flushing) return flushing;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return Promise.resolve();
+
+    flushing = (async () => {
+      try {
+        const entries = await store.getAll();
+        const due = entries.filter((entry) => force || entry.nextAttemptAt <= now());
+        for (const entry of due) {
+          await attempt(entry);
+        }
+      } catch (error) {
+        // Leave the queue as it is.
+      }
+    })().finally(() => {
+      flushing = null;
+      schedule();
+    });
+    return flushing;
+  };
+
+  /**
+   * Sends a submission now, queueing it for retry if that fails for a retryable reason.
+   * If it cannot be queued either (storage full or unavailable), it is reported as failed.
+   * @param {string} form - Which form this came from, e.g. `contact` or `quote`.
+   * @param {object} fields - Plain field values.
+   * @param {File[]} files - Attachments.
+   * @returns {Promise<{id: string, status: 'sent'|'queued'|'failed', error?: Error}>}
+   */
+  const submit = async (form, fields, files = []) => {
+    const entry = { id: createId(), form, fields, files, attempts: 0, createdAt: now() };
+
+    try {
+      await adapter.send(entry);
+      return { id: entry.id, status: 'sent' };
+    } catch (error) {
+      if (!error.retryable) {
+        return { id: entry.id, status: 'failed', error };
+      }
+      try {
+        await store.put({ ...entry, attempts: 1, nextAttemptAt: now() + backoff(1), lastError: error.message });
+      } catch (storeError) {
+        return { id: entry.id, status: 'failed', error };
+      }
+      schedule();
+      return { id: entry.id, status: 'queued', error };
+    }
+  };
+
+  const handleOnline = () => flush({ force: true });
+
+  return {
+    submit,
+    flush,
+    pending: () => store.getAll(),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    start: () => {
+      window.addEventListener('online', handleOnline);
+      return flush();
+    },
+    stop: () => {
+      window.removeEventListener('online', handleOnline);
+      clearTimeout(timer);
+    },
+  };
+};
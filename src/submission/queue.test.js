@@ -0,0 +1,117 @@
+import { createSubmissionQueue, createMemoryStore } from './queue';
+import { createMockAdapter, SubmissionError } from './adapters';
+
+const flakyAdapter = (failures) => {
+  let calls = 0;
+  return {
+    calls: () => calls,
+    send: async () => {
+      calls += 1;
+      if (calls <= failures) {
+        throw new SubmissionError('offline', { retryable: true });
+      }
+    },
+  };
+};
+
+const setup = (adapter, options = {}) => {
+  let clock = 0;
+  const queue = createSubmissionQueue({ adapter, store: createMemoryStore(), baseDelay: 1000, random: () => 0.5, now: () => clock, ...options });
+  return { queue, tick: (ms) => { clock += ms; } };
+};
+
+test('sends straight away when the adapter succeeds', async () => {
+  const adapter = createMockAdapter({ delay: 0 });
+  const { queue } = setup(adapter);
+  await expect(queue.submit('contact', { name: 'Asha' })).resolves.toMatchObject({ status: 'sent' });
+  expect(adapter.sent[0]).toMatchObject({ form: 'contact', fields: { name: 'Asha' } });
+  expect(await queue.pending()).toHaveLength(0);
+});
+
+test('does not queue submissions the server rejected', async () => {
+  const { queue } = setup(createMockAdapter({ delay: 0, fail: 'rejected' }));
+  await expect(queue.submit('contact', {})).resolves.toMatchObject({ status: 'failed' });
+  expect(await queue.pending()).toHaveLength(0);
+});
+
+test('reports a submission it could not queue as failed', async () => {
+  const store = { ...createMemoryStore(), put: async () => { throw new Error('QuotaExceededError'); } };
+  const { queue } = setup(flakyAdapter(1), { store });
+  const result = await queue.submit('quote', {});
+  expect(result).toMatchObject({ status: 'failed', error: { message: 'offline' } });
+  expect(await queue.pending()).toHaveLength(0);
+});
+
+test('keeps going when the store cannot be read back', async () => {
+  const store = createMemoryStore();
+  const { queue } = setup(flakyAdapter(1), { store: { ...store, getAll: async () => { throw new Error('unavailable'); } } });
+  const unhandled = jest.fn();
+  process.on('unhandledRejection', unhandled);
+
+  await expect(queue.submit('quote', {})).resolves.toMatchObject({ status: 'queued' });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  expect(unhandled).not.toHaveBeenCalled();
+  process.off('unhandledRejection', unhandled);
+  queue.stop();
+});
+
+test('starts and retries on reconnect when the store is unavailable', async () => {
+  const store = { ...createMemoryStore(), getAll: async () => { throw new Error('blocked'); } };
+  const { queue } = setup(flakyAdapter(0), { store });
+  const unhandled = jest.fn();
+  process.on('unhandledRejection', unhandled);
+
+  await expect(queue.start()).resolves.toBeUndefined();
+  window.dispatchEvent(new Event('online'));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  expect(unhandled).not.toHaveBeenCalled();
+  process.off('unhandledRejection', unhandled);
+  queue.stop();
+});
+
+test('reports a retried submission as sent even if it cannot be removed from the store', async () => {
+  const store = createMemoryStore();
+  const { queue } = setup(flakyAdapter(1), { store: { ...store, remove: async () => { throw new Error('blocked'); } } });
+  const events = [];
+  queue.subscribe((event) => events.push(event.status));
+
+  await queue.submit('contact', {});
+  await expect(queue.flush({ force: true })).resolves.toBeUndefined();
+  expect(events).toEqual(['sent']);
+  queue.stop();
+});
+
+test('queues retryable failures and retries with backoff', async () => {
+  const adapter = flakyAdapter(2);
+  const { queue, tick } = setup(adapter);
+  const events = [];
+  queue.subscribe((event) => events.push(event.status));
+
+  const result = await queue.submit('quote', {});
+  expect(result.status).toBe('queued');
+  expect((await queue.pending())[0].nextAttemptAt).toBe(1000);
+
+  await queue.flush();
+  expect(adapter.calls()).toBe(1);
+
+  tick(1000);
+  await queue.flush();
+  expect(adapter.calls()).toBe(2);
+  expect((await queue.pending())[0].nextAttemptAt).toBe(3000);
+
+  await queue.flush({ force: true });
+  expect(events).toEqual(['sent']);
+  expect(await queue.pending()).toHaveLength(0);
+  queue.stop();
+});
+
+test('gives up after the maximum number of attempts', async () => {
+  const { queue } = setup(flakyAdapter(Infinity), { maxAttempts: 2 });
+  const events = [];
+  queue.subscribe((event) => events.push(event.status));
+
+  await queue.submit('contact', {});
+  await queue.flush({ force: true });
+  expect(events).toEqual(['failed']);
+  queue.stop();
+});
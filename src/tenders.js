@@ -0,0 +1,118 @@
+import { localDateIso } from './validation';
+
+// --- Tender board filtering and timeline ---
+// Like the portfolio filters, the status filter and the chosen view live in
+// the query string, so `/tenders?status=won&view=timeline` can be shared.
+
+// `messageKey` is the i18n catalogue key for each option's label.
+export const tenderStatuses = [
+  { id: 'bidding', messageKey: 'tenders.status.bidding' },
+  { id: 'closed', messageKey: 'tenders.status.closed' },
+  { id: 'won', messageKey: 'tenders.status.won' },
+  { id: 'completed', messageKey: 'tenders.status.completed' },
+];
+
+// Tender values are published as bands rather than exact amounts.
+export const valueBands = [
+  { id: 'under-10l', messageKey: 'tenders.valueBand.under-10l' },
+  { id: '10l-50l', messageKey: 'tenders.valueBand.10l-50l' },
+  { id: '50l-1cr', messageKey: 'tenders.valueBand.50l-1cr' },
+  { id: 'over-1cr', messageKey: 'tenders.valueBand.over-1cr' },
+];
+
+export const tenderViews = ['list', 'timeline'];
+
+// The milestones a tender passes through, in order, keyed by its `dates` field.
+export const tenderMilestones = ['published', 'closes', 'awarded', 'completed'];
+
+const defaultFilters = { status: '', view: 'list' };
+
+/**
+ * Reads the tender board filters from a query string.
+ * @param {string} search - A query string such as `?status=won&view=timeline`.
+ * @returns {{status: string, view: string}} - Unknown values fall back to the defaults.
+ */
+export const parseTenderQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const status = params.get('status');
+  const view = params.get('view');
+
+  return {
+    status: tenderStatuses.some((option) => option.id === status) ? status : defaultFilters.status,
+    view: tenderViews.includes(view) ? view : defaultFilters.view,
+  };
+};
+
+/**
+ * Serialises tender board filters back to a query string, leaving out defaults.
+ * @param {object} filters - The filters returned by `parseTenderQuery`.
+ * @returns {string} - The query string, including the leading `?`, or an empty string.
+ */
+export const buildTenderQuery = (filters) => {
+  const params = new URLSearchParams();
+
+  Object.keys(defaultFilters).forEach((key) => {
+    if (filters[key] && filters[key] !== defaultFilters[key]) {
+      params.set(key, filters[key]);
+    }
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Works out the status to show for each tender on a given day. A tender still
+ * marked `bidding` after its bids closed shows as `closed` (awaiting the award)
+ * until its entry is updated.
+ * @param {object[]} tenders - Entries from tenders.json.
+ * @param {string} today - `YYYY-MM-DD`, injectable for tests.
+ * @returns {object[]} - Copies of the tenders with `status` brought up to date.
+ */
+export const withCurrentStatus = (tenders, today = localDateIso()) => tenders.map((tender) => (
+  tender.status === 'bidding' && tender.dates.closes && tender.dates.closes < today ? { ...tender, status: 'closed' } : tender
+));
+
+/**
+ * Keeps the tenders with the given status.
+ * @param {object[]} tenders
+ * @param {{status: string}} filters - An empty status keeps every tender.
+ * @returns {object[]}
+ */
+export const filterTenders = (tenders, { status }) => tenders.filter((tender) => !status || tender.status === status);
+
+/**
+ * Counts tenders per status, for the filter labels.
+ * @param {object[]} tenders
+ * @returns {object} - e.g. `{ bidding: 2, closed: 0, won: 1, completed: 4 }`.
+ */
+export const countByStatus = (tenders) => Object.fromEntries(
+  tenderStatuses.map(({ id }) => [id, tenders.filter((tender) => tender.status === id).length]),
+);
+
+/**
+ * Lays the tenders' milestones out as a timeline, newest first and grouped by year.
+ * Milestones that have not happened yet (no date) are left out.
+ * @param {object[]} tenders
+ * @returns {{year: string, events: {date: string, milestone: string, tender: object}[]}[]}
+ */
+export const tenderTimeline = (tenders) => {
+  const order = (milestone) => tenderMilestones.indexOf(milestone);
+  const events = tenders
+    .flatMap((tender) => tenderMilestones
+      .filter((milestone) => tender.dates[milestone])
+      .map((milestone) => ({ date: tender.dates[milestone], milestone, tender })))
+    // Same-day milestones keep their natural order, reversed with the rest.
+    .sort((a, b) => b.date.localeCompare(a.date) || order(b.milestone) - order(a.milestone));
+
+  return events.reduce((years, event) => {
+    const year = event.date.slice(0, 4);
+    const last = years[years.length - 1];
+    if (last && last.year === year) {
+      last.events.push(event);
+    } else {
+      years.push({ year, events: [event] });
+    }
+    return years;
+  }, []);
+};
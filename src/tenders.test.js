@@ -0,0 +1,41 @@
+import { parseTenderQuery, buildTenderQuery, withCurrentStatus, filterTenders, countByStatus, tenderTimeline } from './tenders';
+
+const tenders = [
+  { id: 'a', status: 'bidding', dates: { published: '2025-10-06', closes: '2025-11-03', awarded: null, completed: null } },
+  { id: 'b', status: 'won', dates: { published: '2025-07-08', closes: '2025-08-05', awarded: '2025-09-22', completed: null } },
+  { id: 'c', status: 'completed', dates: { published: '2024-10-21', closes: '2024-11-18', awarded: '2024-12-16', completed: '2025-03-18' } },
+];
+
+const ids = (list) => list.map((tender) => tender.id);
+
+test('round-trips filters through the query string', () => {
+  const filters = parseTenderQuery('?status=won&view=timeline');
+  expect(filters).toEqual({ status: 'won', view: 'timeline' });
+  expect(buildTenderQuery(filters)).toBe('?status=won&view=timeline');
+});
+
+test('drops defaults and unknown values', () => {
+  expect(parseTenderQuery('?status=lost&view=grid')).toEqual({ status: '', view: 'list' });
+  expect(buildTenderQuery(parseTenderQuery('?view=list'))).toBe('');
+});
+
+test('marks bidding tenders past their closing date as closed', () => {
+  expect(withCurrentStatus(tenders, '2025-11-03').map((tender) => tender.status)).toEqual(['bidding', 'won', 'completed']);
+  expect(withCurrentStatus(tenders, '2025-11-04').map((tender) => tender.status)).toEqual(['closed', 'won', 'completed']);
+  expect(tenders[0].status).toBe('bidding');
+});
+
+test('filters and counts by status', () => {
+  expect(ids(filterTenders(tenders, parseTenderQuery('')))).toEqual(['a', 'b', 'c']);
+  expect(ids(filterTenders(tenders, parseTenderQuery('?status=completed')))).toEqual(['c']);
+  expect(countByStatus(tenders)).toEqual({ bidding: 1, closed: 0, won: 1, completed: 1 });
+});
+
+test('lays out dated milestones newest first, grouped by year', () => {
+  const timeline = tenderTimeline(tenders);
+  expect(timeline.map(({ year }) => year)).toEqual(['2025', '2024']);
+
+  const events = timeline[0].events.map(({ tender, milestone }) => `${tender.id}:${milestone}`);
+  expect(events).toEqual(['a:closes', 'a:published', 'b:awarded', 'b:closes', 'b:published', 'c:completed']);
+  expect(timeline[1].events.map(({ milestone }) => milestone)).toEqual(['awarded', 'closes', 'published']);
+});
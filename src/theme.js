@@ -0,0 +1,69 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useMediaQuery } from './hooks';
+
+// --- Colour theme: light, dark, or whatever the operating system uses ---
+
+export const themePreferences = ['light', 'dark', 'system'];
+
+/**
+ * Works out which theme to show for a preference.
+ * @param {string} preference - `light`, `dark` or `system`.
+ * @param {boolean} systemDark - Whether the operating system is in dark mode.
+ * @returns {string} - `light` or `dark`.
+ */
+export const resolveTheme = (preference, systemDark) => {
+  if (preference === 'system') return systemDark ? 'dark' : 'light';
+  return preference;
+};
+
+// The header toggle steps through the preferences in order.
+export const nextThemePreference = (preference) =>
+  themePreferences[(themePreferences.indexOf(preference) + 1) % themePreferences.length];
+
+// Read before React starts by the script in public/index.html; keep the key in step.
+const STORAGE_KEY = 'afsc:theme';
+
+export const loadThemePreference = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return themePreferences.includes(saved) ? saved : 'system';
+  } catch (error) {
+    return 'system';
+  }
+};
+
+export const saveThemePreference = (preference) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, preference);
+  } catch (error) {
+    // Storage disabled; the choice lasts until the page is closed.
+  }
+};
+
+const ThemeContext = createContext({ preference: 'system', theme: 'light', setPreference: () => {} });
+
+// Keeps the `dark` class on <html> in step with the visitor's choice; the colour
+// tokens in index.css switch on that class.
+export const ThemeProvider = ({ children }) => {
+  const [preference, setPreferenceState] = useState(loadThemePreference);
+  const systemDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const theme = resolveTheme(preference, systemDark);
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', theme === 'dark');
+  }, [theme]);
+
+  const setPreference = useCallback((next) => {
+    saveThemePreference(next);
+    setPreferenceState(next);
+  }, []);
+
+  const value = useMemo(() => ({ preference, theme, setPreference }), [preference, theme, setPreference]);
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+/**
+ * A custom React hook for the colour theme.
+ * @returns {{preference: string, theme: string, setPreference: Function}} - The saved preference, the theme in use (`light` or `dark`) and a setter.
+ */
+export const useTheme = () => useContext(ThemeContext);
@@ -0,0 +1,44 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { ThemeProvider, useTheme, resolveTheme, nextThemePreference, loadThemePreference } from './theme';
+
+const mockSystemTheme = (dark) => {
+  window.matchMedia = (query) => ({
+    matches: dark && query === '(prefers-color-scheme: dark)', addEventListener() {}, removeEventListener() {},
+  });
+};
+
+const Toggle = () => {
+  const { preference, theme, setPreference } = useTheme();
+  return <button type="button" onClick={() => setPreference(nextThemePreference(preference))}>{`${preference}:${theme}`}</button>;
+};
+
+afterEach(() => {
+  window.localStorage.clear();
+  document.documentElement.classList.remove('dark');
+  delete window.matchMedia;
+});
+
+test('resolves the system preference and cycles through the choices', () => {
+  expect(resolveTheme('system', true)).toBe('dark');
+  expect(resolveTheme('light', true)).toBe('light');
+  expect(['light', 'dark', 'system'].map(nextThemePreference)).toEqual(['dark', 'system', 'light']);
+});
+
+test('ignores unknown saved values', () => {
+  window.localStorage.setItem('afsc:theme', 'sepia');
+  expect(loadThemePreference()).toBe('system');
+});
+
+test('follows the system until the visitor chooses, then remembers the choice', () => {
+  mockSystemTheme(true);
+  render(<ThemeProvider><Toggle /></ThemeProvider>);
+  const button = screen.getByRole('button');
+
+  expect(button).toHaveTextContent('system:dark');
+  expect(document.documentElement).toHaveClass('dark');
+
+  fireEvent.click(button);
+  expect(button).toHaveTextContent('light:light');
+  expect(document.documentElement).not.toHaveClass('dark');
+  expect(window.localStorage.getItem('afsc:theme')).toBe('light');
+});
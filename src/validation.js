@@ -0,0 +1,40 @@
+// --- Shared form field validators ---
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Indian mobile numbers: optional +91/91/0 prefix, then ten digits starting 6-9.
+const INDIAN_PHONE_PATTERN = /^(?:\+?91|0)?[6-9]\d{9}$/;
+
+/**
+ * Checks that a value looks like an email address.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isEmail = (value) => EMAIL_PATTERN.test(value.trim());
+
+/**
+ * Checks that a value is an Indian mobile number, ignoring spaces, dashes and brackets.
+ * @param {string} value - e.g. `+91-7507897502` or `075078 97502`.
+ * @returns {boolean}
+ */
+export const isIndianPhone = (value) => INDIAN_PHONE_PATTERN.test(value.replace(/[\s\-()]/g, ''));
+
+/**
+ * Checks that a string has non-whitespace content.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isFilled = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Formats a date as `YYYY-MM-DD` in the visitor's own time zone, the way date
+ * inputs give their value. (`toISOString` gives the UTC date, which in India
+ * is still the day before until 05:30.)
+ * @param {Date} date - Defaults to now.
+ * @returns {string}
+ */
+export const localDateIso = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
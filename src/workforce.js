@@ -0,0 +1,100 @@
+import { isEmail, isIndianPhone, isFilled, localDateIso } from './validation';
+
+// --- Workforce registration: options, validation and the submitted fields ---
+// Option values are the English names the office reads in the submission; the
+// form shows them through `workforce.<group>.<value>` catalogue keys.
+
+export const applicantTypes = ['Worker', 'Subcontractor'];
+
+export const trades = ['Electrician', 'Welder', 'Mason', 'CCTV Technician'];
+
+export const skillLevels = ['Unskilled', 'Semi-skilled', 'Skilled', 'Highly skilled'];
+
+export const certifications = ['ITI Certificate', 'Wireman Licence', 'Electrical Supervisor Licence', 'Welding Certificate', 'Safety Training'];
+
+export const ID_DOCUMENT_TYPES = ['.pdf', '.jpg', '.jpeg', '.png'];
+export const MAX_ID_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+export const emptyRegistration = () => ({
+  applicantType: applicantTypes[0],
+  name: '',
+  company: '',
+  teamSize: '',
+  phone: '',
+  email: '',
+  trade: '',
+  skillLevel: '',
+  certifications: [],
+  otherCertification: '',
+  availableFrom: '',
+  availableUntil: '',
+  location: '',
+  consent: false,
+});
+
+// The fields in the order they appear on the form, for the error summary.
+export const registrationFields = [
+  'name', 'company', 'teamSize', 'phone', 'email', 'trade', 'skillLevel',
+  'availableFrom', 'availableUntil', 'location', 'idDocument', 'consent',
+];
+
+const hasAllowedType = (file) => ID_DOCUMENT_TYPES.some((type) => file.name.toLowerCase().endsWith(type));
+
+const validateIdDocument = (file) => {
+  if (!file) return 'workforce.errors.idRequired';
+  if (!hasAllowedType(file)) return 'workforce.errors.idType';
+  if (file.size > MAX_ID_DOCUMENT_BYTES) return 'workforce.errors.idSize';
+  return null;
+};
+
+/**
+ * Validates a registration. Subcontractors also give a company name and team size.
+ * @param {object} fields - As returned by `emptyRegistration`.
+ * @param {File|null} idDocument - The uploaded ID proof.
+ * @param {string} today - Today as `YYYY-MM-DD`, injectable for tests.
+ * @returns {object} - A map of field id to an i18n message key; empty when valid.
+ */
+export const validateRegistration = (fields, idDocument, today = localDateIso()) => {
+  const isSubcontractor = fields.applicantType === 'Subcontractor';
+  const idError = validateIdDocument(idDocument);
+
+  return {
+    ...(!isFilled(fields.name) && { name: 'workforce.errors.nameRequired' }),
+    ...(isSubcontractor && !isFilled(fields.company) && { company: 'workforce.errors.companyRequired' }),
+    ...(isSubcontractor && !(Number.isInteger(Number(fields.teamSize)) && Number(fields.teamSize) > 0) && { teamSize: 'workforce.errors.teamSize' }),
+    ...(!isIndianPhone(fields.phone) && { phone: 'workforce.errors.phoneInvalid' }),
+    ...(isFilled(fields.email) && !isEmail(fields.email) && { email: 'workforce.errors.emailInvalid' }),
+    ...(!trades.includes(fields.trade) && { trade: 'workforce.errors.tradeRequired' }),
+    ...(!skillLevels.includes(fields.skillLevel) && { skillLevel: 'workforce.errors.skillRequired' }),
+    ...(!fields.availableFrom && { availableFrom: 'workforce.errors.fromRequired' }),
+    ...(fields.availableFrom && fields.availableFrom < today && { availableFrom: 'workforce.errors.fromPast' }),
+    ...(fields.availableFrom && fields.availableUntil && fields.availableUntil < fields.availableFrom && { availableUntil: 'workforce.errors.untilBeforeFrom' }),
+    ...(!isFilled(fields.location) && { location: 'workforce.errors.locationRequired' }),
+    ...(idError && { idDocument: idError }),
+    ...(!fields.consent && { consent: 'workforce.errors.consentRequired' }),
+  };
+};
+
+/**
+ * Flattens a registration into the fields sent through the submission layer.
+ * @param {object} fields - A valid registration.
+ * @returns {object}
+ */
+export const toRegistrationSubmission = (fields) => {
+  const isSubcontractor = fields.applicantType === 'Subcontractor';
+  const held = [...fields.certifications, fields.otherCertification.trim()].filter(Boolean);
+
+  return {
+    _subject: `Workforce registration: ${fields.trade} (${fields.skillLevel})`,
+    applicantType: fields.applicantType,
+    name: fields.name.trim(),
+    ...(isSubcontractor && { company: fields.company.trim(), teamSize: String(Number(fields.teamSize)) }),
+    phone: fields.phone,
+    email: fields.email.trim(),
+    trade: fields.trade,
+    skillLevel: fields.skillLevel,
+    certifications: held.join(', ') || 'None',
+    availability: fields.availableUntil ? `${fields.availableFrom} to ${fields.availableUntil}` : `From ${fields.availableFrom}`,
+    location: fields.location.trim(),
+  };
+};
@@ -0,0 +1,84 @@
+import { emptyRegistration, validateRegistration, toRegistrationSubmission } from './workforce';
+import { localDateIso } from './validation';
+
+const today = '2025-10-20';
+const idProof = { name: 'aadhaar.JPG', size: 800 * 1024 };
+
+const completeRegistration = () => ({
+  ...emptyRegistration(),
+  name: 'Ravi Meshram',
+  phone: '98765 43210',
+  trade: 'Electrician',
+  skillLevel: 'Skilled',
+  availableFrom: '2025-11-01',
+  location: 'Nagpur',
+  consent: true,
+});
+
+test('accepts a complete worker registration', () => {
+  expect(validateRegistration(completeRegistration(), idProof, today)).toEqual({});
+});
+
+test('reports every missing field as a message key', () => {
+  expect(validateRegistration(emptyRegistration(), null, today)).toEqual({
+    name: 'workforce.errors.nameRequired',
+    phone: 'workforce.errors.phoneInvalid',
+    trade: 'workforce.errors.tradeRequired',
+    skillLevel: 'workforce.errors.skillRequired',
+    availableFrom: 'workforce.errors.fromRequired',
+    location: 'workforce.errors.locationRequired',
+    idDocument: 'workforce.errors.idRequired',
+    consent: 'workforce.errors.consentRequired',
+  });
+});
+
+test('asks subcontractors for their firm and team size', () => {
+  const fields = { ...completeRegistration(), applicantType: 'Subcontractor', teamSize: '2.5' };
+  expect(validateRegistration(fields, idProof, today)).toEqual({
+    company: 'workforce.errors.companyRequired',
+    teamSize: 'workforce.errors.teamSize',
+  });
+});
+
+test('checks availability dates and the ID document', () => {
+  const fields = { ...completeRegistration(), availableFrom: '2025-10-01', availableUntil: '2025-09-01' };
+  expect(validateRegistration(fields, idProof, today)).toEqual({ availableFrom: 'workforce.errors.fromPast', availableUntil: 'workforce.errors.untilBeforeFrom' });
+
+  const complete = completeRegistration();
+  expect(validateRegistration(complete, { name: 'id.heic', size: 1024 }, today)).toEqual({ idDocument: 'workforce.errors.idType' });
+  expect(validateRegistration(complete, { name: 'id.pdf', size: 6 * 1024 * 1024 }, today)).toEqual({ idDocument: 'workforce.errors.idSize' });
+});
+
+test('takes today from the local calendar rather than UTC', () => {
+  // 00:30 on 18 October in India is still 17 October in UTC.
+  expect(localDateIso(new Date(2026, 9, 18, 0, 30))).toBe('2026-10-18');
+  expect(localDateIso(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+});
+
+test('flattens a registration for the submission layer', () => {
+  const fields = {
+    ...completeRegistration(),
+    applicantType: 'Subcontractor',
+    company: ' Meshram Electricals ',
+    teamSize: '06',
+    certifications: ['Wireman Licence'],
+    otherCertification: ' CCTV installer course ',
+    availableUntil: '2026-03-31',
+  };
+  expect(toRegistrationSubmission(fields)).toEqual({
+    _subject: 'Workforce registration: Electrician (Skilled)',
+    applicantType: 'Subcontractor',
+    name: 'Ravi Meshram',
+    company: 'Meshram Electricals',
+    teamSize: '6',
+    phone: '98765 43210',
+    email: '',
+    trade: 'Electrician',
+    skillLevel: 'Skilled',
+    certifications: 'Wireman Licence, CCTV installer course',
+    availability: '2025-11-01 to 2026-03-31',
+    location: 'Nagpur',
+  });
+  expect(toRegistrationSubmission(completeRegistration())).toMatchObject({ certifications: 'None', availability: 'From 2025-11-01' });
+  expect(toRegistrationSubmission(completeRegistration())).not.toHaveProperty('company');
+});